@@ -3,7 +3,6 @@ import express from "express";
 import http from "http";
 import { WebSocketServer, WebSocket } from "ws";
 import cors from "cors";
-import AIService from "aiservice";
 import multer from 'multer';
 import pkg from '@transcriptionservice/sdk';
 
@@ -12,6 +11,42 @@ import authRoutes from './routes/database-auth.js';
 import templateRoutes from './routes/templates.js';
 import feedbackRoutes from './routes/feedback.js';
 import analyticsRoutes from './routes/analytics.js';
+import reportRoutes from './routes/reports.js';
+import contradictionRuleRoutes from './routes/contradiction-rules.js';
+import fhirRoutes from './routes/fhir.js';
+import worklistRoutes from './routes/worklist.js';
+import studyRoutes from './routes/studies.js';
+import recistRoutes from './routes/recist.js';
+import scoringRoutes from './routes/scoring.js';
+import guidelineRoutes from './routes/guidelines.js';
+import followUpRoutes from './routes/follow-ups.js';
+import criticalResultRoutes from './routes/critical-results.js';
+import terminologyRoutes from './routes/terminology.js';
+import billingCodeRoutes from './routes/billing-codes.js';
+import { saveGeneratedReport } from './lib/reports.js';
+import { getUser } from './lib/database.js';
+import {
+  REPORT_SYSTEM_PROMPT,
+  REPORT_PHI_FIELDS,
+  prepareReportRequest,
+  withoutDerivedFields,
+  buildReportPrompt,
+  finalizeReport
+} from './lib/report-generator.js';
+import { createSectionParser } from './lib/report-stream.js';
+import { createAIClient } from './lib/ai/index.js';
+import { createDeidentifier, logRedactions } from './lib/deidentify.js';
+import { loadContradictionRules } from './lib/contradictions.js';
+import { applyWorklistOrder, handleOrderMessage, markOrderReported } from './lib/worklist.js';
+import { loadHL7Config } from './lib/hl7/config.js';
+import { createMLLPListener } from './lib/hl7/mllp.js';
+import { applyStudyLookup } from './lib/dicom/study-context.js';
+import { applyMeasurementGrowth, applyPriorReport } from './lib/prior-reports.js';
+import { applyRecist, recordRecistAssessment } from './lib/recist.js';
+import { applyScoring, validateScoringRequest } from './lib/scoring/index.js';
+import { applyGuidelines } from './lib/guidelines/index.js';
+import { loadFollowUpConfig, notifyOverdueFollowUps } from './lib/follow-ups.js';
+import { detectCriticalFindings, escalateCriticalResults, loadCriticalConfig, openCriticalResults } from './lib/critical-results.js';
 const { TranscriptionService } = pkg;
 
 const app = express();
@@ -45,7 +80,7 @@ const corsOptions = {
     /^https:\/\/.*\.vercel\.app$/
   ].filter(Boolean), // Remove undefined values
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS']
 };
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
@@ -63,7 +98,8 @@ app.use((req, res, next) => {
     // Skip JSON parsing for transcribe endpoint and multipart uploads
     next();
   } else {
-    express.json({ limit: '1mb' })(req, res, next);
+    // FHIR clients send application/fhir+json
+    express.json({ limit: '1mb', type: ['application/json', 'application/fhir+json'] })(req, res, next);
   }
 });
 
@@ -96,6 +132,42 @@ app.use('/api/feedback', feedbackRoutes);
 // Mount analytics routes
 app.use('/api/analytics', analyticsRoutes);
 
+// Mount report routes
+app.use('/api/reports', reportRoutes);
+
+// Mount contradiction rule routes
+app.use('/api/contradiction-rules', contradictionRuleRoutes);
+
+// Mount FHIR R4 routes
+app.use('/fhir', fhirRoutes);
+
+// Mount worklist routes (orders arrive over the HL7 listener below)
+app.use('/api/worklist', worklistRoutes);
+
+// Mount DICOMweb study lookup routes
+app.use('/api/studies', studyRoutes);
+
+// Mount RECIST 1.1 response tracking routes
+app.use('/api/recist', recistRoutes);
+
+// Mount reporting-system calculator routes
+app.use('/api/scoring', scoringRoutes);
+
+// Mount incidental-finding follow-up guideline routes
+app.use('/api/guidelines', guidelineRoutes);
+
+// Mount follow-up recommendation tracking routes
+app.use('/api/follow-ups', followUpRoutes);
+
+// Mount critical result communication routes
+app.use('/api/critical-results', criticalResultRoutes);
+
+// Mount RadLex / SNOMED CT terminology routes
+app.use('/api/terminology', terminologyRoutes);
+
+// Mount CPT / ICD-10-CM billing code routes
+app.use('/api/billing-codes', billingCodeRoutes);
+
 // Debug endpoint to test authentication
 app.get('/api/auth/test', authenticateDatabase, (req, res) => {
   res.json({
@@ -389,6 +461,11 @@ wss.on("connection", (ws, req) => {
     return;
   }
 
+  if (mode === 'report') {
+    handleReportSocket(ws, req);
+    return;
+  }
+
   // Default echo mode
   ws.send(JSON.stringify({ type: 'welcome', msg: 'Hello from WS backend' }));
   ws.on('message', (buf) => {
@@ -409,435 +486,96 @@ setInterval(() => {
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, '0.0.0.0', () => console.log("HTTP+WS listening on", PORT, "and accessible via web"));
 
-// AIService client
-const aiservice = new AIService({ apiKey: process.env.AI_SERVICE_API_KEY });
+// Inbound HL7 orders for the worklist (only when MLLP_LISTEN_PORT is set)
+const hl7Listener = loadHL7Config().listener;
+if (hl7Listener.port) {
+  const { allowedSources, allowedFacilities, maxMessageLength } = hl7Listener;
+  const mllpServer = createMLLPListener({ onMessage: handleOrderMessage, allowedSources, allowedFacilities, maxMessageLength });
+  mllpServer.on('error', (error) => console.error('MLLP listener error:', error));
+  mllpServer.listen(hl7Listener.port, hl7Listener.host, () => console.log("MLLP order listener on", hl7Listener.port));
+}
+
+// Overdue follow-up notifications (FOLLOW_UP_CHECK_INTERVAL_MINUTES=0 turns the job off)
+const followUpCheckMinutes = loadFollowUpConfig().checkIntervalMinutes;
+if (followUpCheckMinutes > 0) {
+  setInterval(async () => {
+    try {
+      const result = await notifyOverdueFollowUps();
+      if (result.notified > 0) console.log(`Overdue follow-ups: notified ${result.notified} to ${result.radiologists} radiologist(s)`);
+    } catch (error) {
+      console.error('Overdue follow-up job error:', error);
+    }
+  }, followUpCheckMinutes * 60 * 1000);
+}
+
+// Escalation of unacknowledged critical results (CRITICAL_CHECK_INTERVAL_MINUTES=0 turns the job off)
+const criticalCheckMinutes = loadCriticalConfig().checkIntervalMinutes;
+if (criticalCheckMinutes > 0) {
+  setInterval(async () => {
+    try {
+      const result = await escalateCriticalResults();
+      if (result.escalated > 0) console.log(`Critical results: escalated ${result.escalated} unacknowledged`);
+    } catch (error) {
+      console.error('Critical result escalation job error:', error);
+    }
+  }, criticalCheckMinutes * 60 * 1000);
+}
+
+// AI client (provider, model chains, retries and timeouts come from the environment)
+const ai = createAIClient();
+console.log(`[AI] Using provider: ${ai.provider}`);
 
 // Note: Old TypeScript system removed - using simplified approach
 
 // Report generation endpoint (requires authentication)
 app.post('/api/generate-report', authenticateDatabase, async (req, res) => {
   try {
-    const {
-      prompt,
-      scan_name,
-      template_id = "",
-      findings_raw,
-      findings,
-      template_content = null,
-      comparison = null,
-      clinical_history = null,
-      simulate_clinical_questions = false,
-      include_advice = false,
-      include_questions = false,
-      include_differential = false,
-      generation_mode = 'espresso'
-    } = req.body || {};
-
-    // Use findings_raw if provided, otherwise fall back to findings
-    const actualFindings = findings_raw || findings;
-    
-    // Debug: Log template content to verify it's being received
-    console.log('DEBUG - Template content received:', template_content ? 'YES' : 'NO');
-    if (template_content) {
-      console.log('Template content preview:', template_content.substring(0, 100) + '...');
+    const scoringError = validateScoringRequest(req.body?.scoring);
+    if (scoringError) {
+      return res.status(400).json({ error: scoringError });
     }
-    
 
-    
-    // Extract scan name exactly as written in first line
-    function extractScanNameFromFirstLine(text) {
-      try {
-        if (!text) return null;
-        const firstLine = (text.split('\n')[0] || '').trim();
-        if (!firstLine) return null;
-        
-        // Return the first line exactly as written (no processing)
-        return firstLine;
-        
-      } catch (_) { 
-        return null; 
-      }
-    }
+    const request = prepareReportRequest(await resolveReportBody(req.user, req.body));
+    const { prompt, generation_mode, actualFindings } = request;
 
-    // Enhanced scan name extraction with findings cleanup
-    let actualScanName = scan_name;
-    let cleanedFindings = actualFindings;
-    
-    if (!actualScanName) {
-      // Priority 1: Try template first (highest priority)
-      if (template_content) {
-        console.log('DEBUG - Template content first line:', template_content.split('\n')[0]);
-        actualScanName = extractScanNameFromFirstLine(template_content);
-        console.log('DEBUG - Template scan name extracted:', actualScanName);
-      } else {
-        console.log('DEBUG - No template content received');
-      }
-      
-      // Priority 2: If no template or no scan name from template, try findings
-      if (!actualScanName && actualFindings) {
-        actualScanName = extractScanNameFromFirstLine(actualFindings);
-        console.log('DEBUG - Findings scan name extracted:', actualScanName);
-        
-        // If we extracted scan name from findings, remove that line from findings
-        if (actualScanName) {
-          const firstLine = (actualFindings.split('\n')[0] || '').trim();
-          // Check if first line contains explicit modality (CT, MRI, etc.)
-          const hasExplicitModality = /^\s*(ct|mri|usg|x-ray|cxr|pet)\s+/i.test(firstLine);
-          
-          if (hasExplicitModality) {
-            // Remove the first line (scan name) from findings
-            const lines = actualFindings.split('\n');
-            lines.shift(); // Remove first line
-            cleanedFindings = lines.join('\n').trim();
-            console.log('DEBUG - Removed scan name line from findings:', firstLine);
-          }
-        }
-      }
-      
-      // Final fallback
-      if (!actualScanName) {
-        actualScanName = "Radiology Report";
-      }
-    }
-    
-    console.log('DEBUG - Final scan name being sent to AI:', actualScanName);
-
-    // Resolve include flags
-    const includeAdviceFlag = include_advice === true;
-    const includeQuestionsFlag = include_questions === true;
-    const includeDifferentialFlag = include_differential === true;
-    
-    console.log('🔍 Backend received flags:', {
-        include_advice: include_advice,
-        include_questions: include_questions,
-        include_differential: include_differential,
-        resolved: { includeAdviceFlag, includeQuestionsFlag, includeDifferentialFlag }
-    });
-
-    // Generate structured report using AIService directly
+    // Generate structured report using the configured AI provider
     if (actualFindings) {
         try {
+            // De-identify free text before anything leaves for the AI service
+            const phi = createDeidentifier();
+            const redactedRequest = phi.redactFields(request, REPORT_PHI_FIELDS);
+            logRedactions('generate-report', phi);
+
             // Create a comprehensive prompt for structured report generation
-            // Generate different prompts based on generation mode
-        const isSlowBrewed = generation_mode === 'slow_brewed';
-        
-            // Simple approach: Always ask AI for everything, but tell it what to exclude
-            const reportPrompt = `You are an expert radiologist. Generate a detailed radiology report based on the following clinical history and findings.
-
-${!includeAdviceFlag ? '🚫 DO NOT include clinical_advice field - user did not request clinical advice.' : ''}
-${!includeQuestionsFlag ? '🚫 DO NOT include clinician_questions field - user did not request clinician questions.' : ''}
-${!includeDifferentialFlag ? '🚫 DO NOT include differential_diagnosis field - user did not request differential diagnosis.' : ''}
-
-REPORTING STYLE:
-- Write like a senior consultant radiologist with 20+ years of experience
-- Follow the provided template style exactly when present
-- Provide comprehensive, detailed descriptions of all findings
-- Use precise radiological terminology and measurements
-- Include detailed anatomical descriptions and spatial relationships
-- Provide thorough differential considerations
-- Include detailed technical observations and image quality assessment
-
-CLINICAL HISTORY:
-${clinical_history || 'NA'}
-
-${comparison ? `COMPARISON STUDY:
-${comparison}
-
-` : ''}FINDINGS:
-${cleanedFindings}
-
-THIS IS A ${actualScanName.toUpperCase()} SCAN - GENERATE REPORT FOR THIS SPECIFIC SCAN TYPE
-
-${template_content ? `TEMPLATE TO FOLLOW (CRITICAL - THIS IS YOUR PRIMARY INSTRUCTION):
-${template_content}
-
-RADIOLOGIST BEHAVIOR WITH TEMPLATES:
-1. USE TEMPLATE SCAN NAME: The scan type above is extracted from template first line - MUST use this exact scan type
-2. CLINICAL INTEGRATION: Combine template normal findings with user's positive findings
-3. NARRATIVE STYLE: Write as one flowing radiologist narrative, not separate sections
-4. TEMPLATE COMPLIANCE: Use template's exact phrasing for normal findings
-5. ADAPTATION RULE: Modify template normals to work with positives
-   Example: Template "No fracture" + User "C7 fracture" = "Fracture at C7 vertebra. No fracture at other levels."
-
-MANDATORY INTEGRATION PROCESS:
-- Start with user's positive findings (abnormalities first)
-- Add ALL template normal findings in same paragraph
-- Modify template language to avoid contradictions
-- Write as experienced radiologist would dictate
-
-
-EXACT INTEGRATION EXAMPLE:
-Template: "Alignment is anatomic. No evidence of acute fracture or dislocation. Vertebral body heights are maintained. Degenerative disc disease and facet arthropathy noted at multiple levels."
-User Input: "There is a fracture identified at the C7 vertebra"
-REQUIRED OUTPUT: "There is a fracture identified at the C7 vertebra. Alignment is otherwise anatomic. No evidence of acute fracture or dislocation at other levels. Vertebral body heights are maintained. Degenerative disc disease and facet arthropathy noted at multiple levels."
-
-SCAN NAME EXTRACTION: "${template_content ? template_content.split('\n')[0] : actualScanName}"
-
-` : `STANDARD RADIOLOGIST BEHAVIOR:
-Generate a structured radiology report with these sections:`}
-
-EXPERT RADIOLOGIST BEHAVIOR (MANDATORY):
-1. CLINICAL REASONING: Consider clinical context, patient history, and imaging protocol
-2. DIAGNOSTIC ACCURACY: Use precise anatomical terminology and measurements
-3. SYSTEMATIC APPROACH: Evaluate all relevant structures systematically
-4. SAFETY FOCUS: Identify and clearly state critical or urgent findings
-5. CONSISTENCY RULE: Never contradict yourself within same organ system
-
-7. DIFFERENTIAL THINKING: Consider multiple diagnostic possibilities
-8. CLINICAL CORRELATION: Recommend appropriate follow-up or additional studies
-
-CONTRADICTION PREVENTION (CRITICAL):
-- If you mention an abnormality in an organ, do NOT say that organ is "normal"
-- Example: If "cardiomegaly noted" then do NOT say "heart size normal"
-- Example: If "liver lesions present" then do NOT say "liver unremarkable"
-- Be internally consistent within each organ system
-
-REPORTING STANDARDS:
-- Abnormal findings FIRST, then normal findings
-- Use standard radiological terminology
-- Include measurements when relevant
-- Describe anatomical relationships
-
-${template_content ? `
-FORMAT AS JSON WITH STANDARD RADIOLOGY SECTIONS:
-{
-  "technique": "Standard imaging protocol description",
-  "comparison": "${comparison ? 'Systematic comparison with prior study' : 'No previous exam available for comparison.'}",
-  "findings": "INTEGRATE TEMPLATE CONTENT HERE - combine user findings with template normals in one narrative paragraph",
-  "impression": "Clinical impression based on findings",
-  "clinical_advice": "Recommendations for follow-up or treatment",
-  "clinician_questions": ["5 relevant questions a referring physician might ask"],
-  "differential_diagnosis": [
-    {"diagnosis": "Most likely diagnosis", "reasoning": "Supporting evidence"},
-    {"diagnosis": "Alternative diagnosis", "reasoning": "Why this is possible"},
-    {"diagnosis": "Third consideration", "reasoning": "Less likely but important to consider"}
-  ]
-}` : `
-FORMAT AS JSON WITH THESE SECTIONS:
-{
-  "technique": "${isSlowBrewed ? 'Detailed technique with technical parameters' : 'Brief technique description'}",
-  "comparison": "${comparison ? 'Systematic comparison with prior study' : 'No previous exam available for comparison.'}",
-  "findings": "${isSlowBrewed ? 'Comprehensive systematic findings with detailed descriptions' : 'Detailed findings with abnormalities first'}",
-  "impression": "${isSlowBrewed ? 'Comprehensive clinical impression with reasoning' : 'Clinical impression'}",
-  "clinical_advice": "${isSlowBrewed ? 'Detailed recommendations and follow-up plan' : 'Clinical recommendations'}",
-  "clinician_questions": ["Question 1", "Question 2", "Question 3", "Question 4", "Question 5"],
-  "differential_diagnosis": [
-    {"diagnosis": "Diagnosis 1", "reasoning": "${isSlowBrewed ? 'Detailed reasoning with evidence' : 'Why this is possible'}"},
-    {"diagnosis": "Diagnosis 2", "reasoning": "${isSlowBrewed ? 'Detailed reasoning with evidence' : 'Why this is possible'}"},
-    {"diagnosis": "Diagnosis 3", "reasoning": "${isSlowBrewed ? 'Detailed reasoning with evidence' : 'Why this is possible'}"}${isSlowBrewed ? ',\n    {"diagnosis": "Diagnosis 4", "reasoning": "Additional consideration"},\n    {"diagnosis": "Diagnosis 5", "reasoning": "Final consideration"}' : ''}
-  ]
-}`}
-
-CRITICAL REMINDERS:
-- NEVER create a section or heading called "Pertinent Negatives" or any variation
-- DO NOT use these forbidden headings: "Pertinent Negatives:", "Notable Negatives:", "Relevant Negatives:"
-- Write findings as ONE continuous narrative without subsections
-- Ensure internal consistency - no contradictory statements
-- Follow template style exactly when template is provided
-- Extract scan name from template first line when available
-
-FORBIDDEN OUTPUT PATTERNS:
-- "Pertinent Negatives: [list]"
-- Any heading followed by a list of negative findings
-- Separate sections for negative findings within the findings field
-`;
-
-            // Select models based on generation_mode with safe fallbacks
-            const primaryModel = generation_mode === 'slow_brewed' ? 'o3' : 'gpt-5';
-            const fallbackModel = generation_mode === 'slow_brewed' ? 'gpt-4o' : 'gpt-4o-mini';
-            const temperature = generation_mode === 'slow_brewed' ? 0.1 : 0.3;
-            console.log(`[AI] Report generation: mode=${generation_mode} primary=${primaryModel} fallback=${fallbackModel} temp=${temperature}`);
-            console.log('DEBUG - Prompt preview (first 500 chars):', reportPrompt.substring(0, 500) + '...');
-            console.log('DEBUG - Template mode active:', template_content ? 'YES' : 'NO');
+            const reportPrompt = buildReportPrompt(redactedRequest);
 
-            let response;
-            try {
-              response = await aiservice.chat.completions.create({
-                model: primaryModel,
-                messages: [
-                    { role: 'system', content: 'You are an expert radiologist generating structured reports. Always respond with valid JSON.' },
-                    { role: 'user', content: reportPrompt }
-                ],
-                temperature,
-                max_tokens: 2000,
-                response_format: { type: "json_object" }
+            console.log(`[AI] Report generation: mode=${generation_mode} provider=${ai.provider}`);
+            console.log('DEBUG - Prompt preview (first 500 chars):', reportPrompt.substring(0, 500) + '...');
+            console.log('DEBUG - Template mode active:', request.template_content ? 'YES' : 'NO');
+
+            const { content, model: usedModel } = await ai.complete({
+              task: 'report',
+              mode: generation_mode,
+              messages: [
+                { role: 'system', content: [REPORT_SYSTEM_PROMPT, phi.instructions()].filter(Boolean).join(' ') },
+                { role: 'user', content: reportPrompt }
+              ],
+              maxTokens: 2000,
+              json: true
             });
-            } catch (primaryErr) {
-              console.warn(`[AI] Primary model failed (${primaryModel}). Falling back to ${fallbackModel}:`, primaryErr?.message || primaryErr);
-              response = await aiservice.chat.completions.create({
-                model: fallbackModel,
-                messages: [
-                  { role: 'system', content: 'You are an expert radiologist generating structured reports. Always respond with valid JSON.' },
-                  { role: 'user', content: reportPrompt }
-                ],
-                temperature,
-                max_tokens: 2000,
-                response_format: { type: "json_object" }
-              });
-            }
 
-            const reportData = JSON.parse(response.choices[0].message.content);
-            
-            // Log what the AI returned
-            console.log('🔍 AI returned fields:', Object.keys(reportData));
-            console.log('🎯 User requested - Advice:', includeAdviceFlag, 'Questions:', includeQuestionsFlag, 'Differential:', includeDifferentialFlag);
-            
-            // Clean up - AI should have followed instructions, but double-check
-            if (!includeAdviceFlag && reportData.clinical_advice) {
-                delete reportData.clinical_advice;
-                console.log('🔍 Removed clinical_advice (AI ignored instruction)');
-            }
-            if (!includeQuestionsFlag && reportData.clinician_questions) {
-                delete reportData.clinician_questions;
-                console.log('🔍 Removed clinician_questions (AI ignored instruction)');
-            }
-            if (!includeDifferentialFlag && reportData.differential_diagnosis) {
-                delete reportData.differential_diagnosis;
-                console.log('🔍 Removed differential_diagnosis (AI ignored instruction)');
-            }
-            console.log('🔍 Final fields after cleanup:', Object.keys(reportData));
-            
-            // Helper to remove conflicting normal statements when abnormalities are present
-            function cleanConflictingNormals(findingsText) {
-              try {
-                if (!findingsText) return findingsText;
-                const text = findingsText.replace(/\s+\n/g, '\n').replace(/\n\s+/g, '\n');
-
-                // Split into sentences conservatively
-                const sentences = text
-                  .replace(/\n+/g, ' ') // merge lines
-                  .split(/(?<=[.?!])\s+/);
-
-                const organs = [
-                  'liver', 'hepatic', 'gallbladder', 'biliary', 'pancreas', 'spleen', 'kidney', 'kidneys', 'adrenal', 'stomach',
-                  'small bowel', 'colon', 'appendix', 'mesentery', 'peritoneum', 'retroperitoneum', 'bladder', 'uterus', 'ovary', 'ovaries',
-                  'prostate', 'seminal vesicles', 'lungs', 'lung', 'pleura', 'mediastinum', 'heart', 'brain', 'cerebellum', 'spine', 'bones',
-                  'lymph node', 'lymph nodes', 'vasculature', 'aorta', 'portal vein', 'bile duct'
-                ];
-
-                const abnormalHints = [
-                  'lesion', 'mass', 'nodule', 'cyst', 'metast', 'enlarg', 'thicken', 'dilat', 'obstruct', 'stone', 'edema', 'infarct',
-                  'hemorr', 'aneurysm', 'effusion', 'opacity', 'consolidation', 'fracture', 'lytic', 'sclerotic', 'tear', 'stricture',
-                  'cardiomegaly', 'cardiomegali', 'enlarged heart', 'heart enlarg', 'increased heart size', 'cardiac enlarg'
-                ];
-
-                const normalHints = [
-                  'normal', 'unremarkable', 'no focal', 'no significant', 'without abnormal', 'no evidence of', 'within normal limits',
-                  'heart size is normal', 'heart size within normal', 'normal heart size', 'normal cardiac size'
-                ];
-
-                // Determine organs with abnormalities mentioned
-                const abnormalOrgans = new Set();
-                for (const s of sentences) {
-                  const low = s.toLowerCase();
-                  for (const organ of organs) {
-                    if (low.includes(organ)) {
-                      for (const hint of abnormalHints) {
-                        if (low.includes(hint)) {
-                          abnormalOrgans.add(organ);
-                          break;
-                        }
-                      }
-                    }
-                  }
-                }
-
-                // Filter out normal statements for those organs
-                const cleaned = sentences.filter(s => {
-                  const low = s.toLowerCase();
-                  // keep sentence if it is not a normal line for an abnormal organ
-                  for (const organ of abnormalOrgans) {
-                    if (low.includes(organ)) {
-                      for (const normal of normalHints) {
-                        if (low.includes(normal)) {
-                          return false; // drop conflicting normal line
-                        }
-                      }
-                    }
-                  }
-                  return true;
-                });
-
-                return cleaned.join(' ');
-              } catch (_) {
-                return findingsText;
-              }
-            }
+            const reportData = phi.reidentify(JSON.parse(content));
+            const contradictionRules = await loadContradictionRules(req.user.id, request.template_id);
+            const result = finalizeReport(reportData, request, { contradictionRules });
 
-            // Clean findings for contradictions
-            const aiCleanedFindings = cleanConflictingNormals(reportData.findings);
-
-
-            const cleanedFindingsNoPN = aiCleanedFindings;
-
-            // Create HTML report with all required sections
-            const reportHtml = `
-                <div class="report">
-                    <h1>${actualScanName}</h1>
-                    <div class="history">
-                        <h2>Clinical History</h2>
-                        ${clinical_history ? clinical_history : 'NA'}
-                    </div>
-                    <div class="technique">
-                        <h2>Technique</h2>
-                        ${reportData.technique || 'Standard imaging protocol was performed.'}
-                    </div>
-                    <div class="comparison">
-                        <h2>Comparison</h2>
-                        ${reportData.comparison || 'No previous exam available for comparison.'}
-                    </div>
-                    <div class="findings">
-                        <h2>Findings</h2>
-                        ${cleanedFindingsNoPN || reportData.findings || aiCleanedFindings}
-                    </div>
-                    <div class="impression">
-                        <h2>Impression</h2>
-                        ${reportData.impression || 'No specific impression provided.'}
-                    </div>
-                    ${includeAdviceFlag ? `
-                    <div class="clinical-advice">
-                        <h2>Clinical Advice and Safety Considerations</h2>
-                        ${reportData.clinical_advice || 'No clinical advice provided.'}
-                    </div>` : ''}
-                    ${includeQuestionsFlag ? `
-                    <div class="clinician-questions">
-                        <h2>Clinician Simulation Questions</h2>
-                        ${Array.isArray(reportData.clinician_questions) && reportData.clinician_questions.length > 0 ? `
-                        <ol>
-                            ${reportData.clinician_questions.map(q => `<li>${q}</li>`).join('')}
-                        </ol>` : '<p>No clinician questions provided.</p>'}
-                    </div>` : ''}
-                    ${includeDifferentialFlag ? `
-                    <div class="differential-diagnosis">
-                        <h2>Differential Diagnosis</h2>
-                        ${Array.isArray(reportData.differential_diagnosis) && reportData.differential_diagnosis.length > 0 ? `
-                        ${reportData.differential_diagnosis.map((dd, idx) => `
-                            <div class="differential-item">
-                                <strong>${idx + 1}. ${dd.diagnosis}</strong>
-                                <p>${dd.reasoning}</p>
-                            </div>
-                        `).join('')}` : '<p>No differential diagnoses provided.</p>'}
-                    </div>` : ''}
-                </div>
-            `;
-
-            // Create compatible response
-            const compatibleReport = {
-                scan_name: actualScanName,
-                findings: cleanedFindingsNoPN || reportData.findings,
-                impression: reportData.impression,
-                technique: reportData.technique,
-                ...(includeAdviceFlag ? { clinical_advice: reportData.clinical_advice || '' } : {}),
-                ...(includeQuestionsFlag ? { clinician_questions: Array.isArray(reportData.clinician_questions) ? reportData.clinician_questions : [] } : {}),
-                ...(includeDifferentialFlag ? { differential_diagnosis: Array.isArray(reportData.differential_diagnosis) ? reportData.differential_diagnosis : [] } : {})
-            };
+            // Persist the report with its inputs so it survives the browser session
+            const savedReport = await persistGeneratedReport(req.user, request, result, usedModel);
 
             return res.json({ 
-                reportHtml, 
-                impressionText: reportData.impression,
-                structuredData: compatibleReport,
-                text: `${reportData.technique}\n\n${cleanedFindings || reportData.findings}\n\n${reportData.impression}`,
-                report: compatibleReport
+                ...result,
+                reportId: savedReport?.id || null,
+                priorReportId: request.prior_report_id || null,
+                status: 'draft'
             });
 
         } catch (error) {
@@ -849,43 +587,34 @@ FORBIDDEN OUTPUT PATTERNS:
     // Plain mode: require prompt
     if (!prompt) return res.status(400).json({ error: 'Either provide findings OR prompt is required' });
 
+    const phi = createDeidentifier();
+    const redactedPrompt = phi.redact(prompt);
+    logRedactions('generate-report (prompt mode)', phi);
+
     const messages = [
-      { role: 'system', content: 'You are a helpful assistant that generates reports. Return your response as JSON with two fields: reportHtml (HTML content) and impressionText (summary text).' },
-      { role: 'user', content: prompt }
+      { role: 'system', content: ['You are a helpful assistant that generates reports. Return your response as JSON with two fields: reportHtml (HTML content) and impressionText (summary text).', phi.instructions()].filter(Boolean).join(' ') },
+      { role: 'user', content: redactedPrompt }
     ];
 
     // Apply same model mapping for plain prompt mode
-    const primaryModel = generation_mode === 'slow_brewed' ? 'o3' : 'gpt-5';
-    const fallbackModel = generation_mode === 'slow_brewed' ? 'gpt-4o' : 'gpt-4o-mini';
-    const temperature = generation_mode === 'slow_brewed' ? 0.1 : 0.3;
-
-    async function getCompletion(model) {
-      const resp = await aiservice.chat.completions.create({
-        model,
-        messages,
-        temperature,
-        max_tokens: 1000,
-        response_format: { type: "json_object" }
-      });
-      return resp.choices?.[0]?.message?.content || '';
-    }
-
-    let text = '';
-    try {
-      console.log(`[AI] Using primary model for plain mode: ${primaryModel} (mode=${generation_mode})`);
-      text = await getCompletion(primaryModel);
-    } catch (err) {
-      console.error(`[AI] Primary model failed (${primaryModel}). Falling back to ${fallbackModel}:`, err?.response?.data || err?.message || err);
-      text = await getCompletion(fallbackModel);
-    }
-
+    console.log(`[AI] Plain mode generation: mode=${generation_mode} provider=${ai.provider}`);
+    const { content } = await ai.complete({
+      task: 'prompt',
+      mode: generation_mode,
+      messages,
+      maxTokens: 1000,
+      json: true
+    });
+    // Parse before re-identifying so restored values are never read as JSON
     try {
-      const parsed = JSON.parse(text);
+      const parsed = phi.reidentify(JSON.parse(content));
       if (parsed.reportHtml && parsed.impressionText) {
         return res.json(parsed);
       }
     } catch (_) {}
 
+    const text = phi.reidentify(content);
+
     const reportHtml = `<div class="report"><h2>Generated Report</h2><p>${text.replace(/\n/g, '</p><p>')}</p></div>`;
     const impressionText = text.split('\n')[0] || (text.substring(0, 160) + '...');
 
@@ -898,6 +627,237 @@ FORBIDDEN OUTPUT PATTERNS:
 
 
 
+// Fill a generate-report body from its worklist order (order_id), the PACS
+// (study_lookup), the patient's prior reports (prior_report_id or patient_id), its
+// RECIST track (recist_track_id), the reporting-system calculators (scoring) and the
+// incidental-finding follow-up guidelines (guidelines). Derived fields in the posted body
+// are ignored: they are always computed here.
+async function resolveReportBody(user, body) {
+  const withOrder = await applyWorklistOrder(user.id, withoutDerivedFields(body));
+  const withPrior = await applyPriorReport(user.id, await applyStudyLookup(withOrder));
+  const withRecist = await applyRecist(user.id, await applyMeasurementGrowth(user.id, withPrior));
+  return applyGuidelines(applyScoring(withRecist));
+}
+
+// Persist a generated report with the inputs it came from (draft status), linking
+// it to the worklist order it was opened from, recording its RECIST assessment and
+// opening a critical result for each critical finding
+async function persistGeneratedReport(user, request, result, model) {
+  const saved = await saveGeneratedReport(user.id, {
+    scan_name: request.actualScanName,
+    findings: request.actualFindings,
+    clinical_history: request.clinical_history,
+    comparison: request.comparison,
+    template_id: request.template_id,
+    generation_mode: request.generation_mode,
+    model,
+    report_html: result.reportHtml,
+    impression_text: result.impressionText,
+    structured_data: result.structuredData,
+    verification: result.verification,
+    consistency: result.consistency,
+    contradictions: result.contradictions,
+    order_id: request.order_id,
+    procedure_code: request.procedure_code,
+    patient_id: request.patient_id,
+    prior_report_id: request.prior_report_id,
+    measurements: result.measurements,
+    measurement_growth: result.measurementGrowth,
+    advice_issues: result.guidelines.advice_issues
+  });
+
+  if (saved && request.order_id) {
+    await markOrderReported(request.order_id, saved.id);
+  }
+  if (saved && request.recist_assessment) {
+    await recordRecistAssessment(user.id, request.recist_assessment, saved.id);
+  }
+  if (saved && result.criticalFindings.length > 0) {
+    await openCriticalResults(user, saved, result.criticalFindings);
+  }
+  return saved;
+}
+
+// Sections the client may see while streaming, honouring the include flags
+function streamableSections(request) {
+  return new Set([
+    'technique', 'comparison', 'findings', 'impression',
+    ...(request.includeAdviceFlag ? ['clinical_advice'] : []),
+    ...(request.includeQuestionsFlag ? ['clinician_questions'] : []),
+    ...(request.includeDifferentialFlag ? ['differential_diagnosis'] : [])
+  ]);
+}
+
+// Generate a structured report, emitting each section as the model writes it.
+// `send(type, data)` delivers an event over SSE or WebSocket; the final `complete`
+// event carries the same payload as POST /api/generate-report.
+async function streamReport(body, user, send, signal) {
+  const scoringError = validateScoringRequest(body?.scoring);
+  if (scoringError) {
+    send('error', { error: scoringError });
+    return;
+  }
+
+  const request = prepareReportRequest(await resolveReportBody(user, body));
+
+  if (!request.actualFindings) {
+    send('error', { error: 'Findings are required for streaming report generation' });
+    return;
+  }
+
+  const phi = createDeidentifier();
+  const reportPrompt = buildReportPrompt(phi.redactFields(request, REPORT_PHI_FIELDS));
+  logRedactions('generate-report (stream)', phi);
+  console.log(`[AI] Streaming report generation: mode=${request.generation_mode} provider=${ai.provider}`);
+
+  const { stream, model: usedModel } = await ai.stream({
+    task: 'report',
+    mode: request.generation_mode,
+    messages: [
+      { role: 'system', content: [REPORT_SYSTEM_PROMPT, phi.instructions()].filter(Boolean).join(' ') },
+      { role: 'user', content: reportPrompt }
+    ],
+    maxTokens: 2000,
+    json: true,
+    signal
+  });
+
+  send('start', { scan_name: request.actualScanName, generation_mode: request.generation_mode, model: usedModel });
+
+  const allowed = streamableSections(request);
+  const parser = createSectionParser();
+  const sentText = {}; // re-identified text already sent per section
+  let content = '';
+  for await (const delta of stream) {
+    content += delta;
+    for (const event of parser.push(delta)) {
+      if (!allowed.has(event.section)) continue;
+      if (event.type === 'section_delta') {
+        // Placeholders can be split across chunks, so re-identify the whole text and send what is new
+        const text = phi.reidentifyPartial(event.text);
+        const previous = sentText[event.section] || '';
+        if (text.length > previous.length) {
+          sentText[event.section] = text;
+          send('section_delta', { section: event.section, delta: text.slice(previous.length), text });
+        }
+      } else {
+        send('section', { section: event.section, value: phi.reidentify(event.value) });
+      }
+    }
+  }
+
+  if (signal?.aborted) return;
+
+  const contradictionRules = await loadContradictionRules(user.id, request.template_id);
+  const result = finalizeReport(phi.reidentify(JSON.parse(content)), request, { contradictionRules });
+  const savedReport = await persistGeneratedReport(user, request, result, usedModel);
+
+  send('complete', {
+    ...result,
+    reportId: savedReport?.id || null,
+    priorReportId: request.prior_report_id || null,
+    status: 'draft'
+  });
+}
+
+// Streaming report generation over Server-Sent Events (requires authentication)
+app.post('/api/generate-report/stream', authenticateDatabase, async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering so sections arrive as written
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => {
+    if (!res.writableEnded) res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    await streamReport(req.body, req.user, send, controller.signal);
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('Error streaming report:', error);
+      send('error', { error: 'Failed to generate structured report: ' + error.message });
+    }
+  }
+  res.end();
+});
+
+// WebSocket report mode: /ws?mode=report[&token=...]
+// Client sends {"type":"generate", "access_token": "...", ...generate-report body};
+// the server replies with start / section_delta / section / complete / error messages.
+function handleReportSocket(ws, req) {
+  let queryToken = null;
+  try {
+    queryToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+  } catch (_) {}
+
+  let controller = null;
+  const send = (type, data) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ ...data, type }));
+  };
+
+  ws.send(JSON.stringify({ type: 'ready' }));
+
+  ws.on('message', async (buf) => {
+    let message;
+    try {
+      message = JSON.parse(buf.toString());
+    } catch (_) {
+      send('error', { error: 'Messages must be JSON' });
+      return;
+    }
+
+    if (message.type === 'cancel') {
+      controller?.abort();
+      return;
+    }
+
+    if (message.type !== 'generate') {
+      send('error', { error: `Unsupported message type: ${message.type}` });
+      return;
+    }
+
+    if (controller) {
+      send('error', { error: 'A report is already being generated on this connection' });
+      return;
+    }
+
+    let user;
+    try {
+      user = await getUser(message.access_token || queryToken);
+    } catch (_) {}
+    if (!user) {
+      send('error', { error: 'Invalid or expired token' });
+      return;
+    }
+
+    controller = new AbortController();
+    try {
+      const { type, access_token, ...body } = message;
+      await streamReport(body, user, send, controller.signal);
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error('[WS] Report streaming error:', error);
+        send('error', { error: 'Failed to generate structured report: ' + error.message });
+      }
+    } finally {
+      controller = null;
+    }
+  });
+
+  ws.on('close', () => {
+    controller?.abort();
+    console.log('WS (report) closed');
+  });
+  ws.on('error', (e) => console.error('WS (report) error:', e));
+}
+
 // NEW: Add this analyze-report endpoint
 app.post('/api/analyze-report', authenticateDatabase, async (req, res) => {
   try {
@@ -907,6 +867,11 @@ app.post('/api/analyze-report', authenticateDatabase, async (req, res) => {
       return res.status(400).json({ error: 'reportContent is required' });
     }
 
+    // De-identify the report before it leaves for the AI service
+    const phi = createDeidentifier();
+    const redactedContent = phi.redact(reportContent);
+    logRedactions('analyze-report', phi);
+
     // Construct a prompt for the AIService API
     const analysisPrompt = `
       Analyze the following radiology report. Based on the report, provide:
@@ -914,23 +879,24 @@ app.post('/api/analyze-report', authenticateDatabase, async (req, res) => {
       2.  A "differentials" array with the top 3 differential diagnoses, including why each fits and why it might not fit.
       
       Report Content:
-      ${reportContent}
+      ${redactedContent}
     `;
 
     const messages = [
-      { role: 'system', content: 'You are an expert radiologist providing clinical analysis. Return your response as a JSON object with two keys: "whatNotToMiss" and "differentials".' },
+      { role: 'system', content: ['You are an expert radiologist providing clinical analysis. Return your response as a JSON object with two keys: "whatNotToMiss" and "differentials".', phi.instructions()].filter(Boolean).join(' ') },
       { role: 'user', content: analysisPrompt }
     ];
 
-    const response = await aiservice.chat.completions.create({
-      model: 'gpt-4o',
+    const { content } = await ai.complete({
+      task: 'analysis',
       messages,
-      response_format: { type: 'json_object' }
+      json: true
     });
 
-    const analysis = JSON.parse(response.choices[0].message.content);
+    const analysis = phi.reidentify(JSON.parse(content));
 
-    res.json({ success: true, analysis });
+    // Rule-based critical findings alongside the model's whatNotToMiss list
+    res.json({ success: true, analysis, criticalFindings: detectCriticalFindings({ findings: reportContent }) });
 
   } catch (e) {
     console.error('Analysis error:', e?.response?.data || e?.message || e);
@@ -0,0 +1,33 @@
+import AIService from 'aiservice'
+
+// Provider backed by the hosted AIService chat completions API
+export const createAIServiceProvider = ({ apiKey }) => {
+  const client = new AIService({ apiKey })
+
+  const buildParams = ({ model, messages, temperature, maxTokens, json }) => ({
+    model,
+    messages,
+    ...(temperature !== undefined ? { temperature } : {}),
+    ...(maxTokens ? { max_tokens: maxTokens } : {}),
+    ...(json ? { response_format: { type: 'json_object' } } : {})
+  })
+
+  return {
+    name: 'aiservice',
+
+    async complete(request) {
+      const response = await client.chat.completions.create(buildParams(request), { signal: request.signal })
+      return response.choices?.[0]?.message?.content || ''
+    },
+
+    async stream(request) {
+      const stream = await client.chat.completions.create({ ...buildParams(request), stream: true }, { signal: request.signal })
+      return (async function* () {
+        for await (const chunk of stream) {
+          const delta = chunk.choices?.[0]?.delta?.content
+          if (delta) yield delta
+        }
+      })()
+    }
+  }
+}
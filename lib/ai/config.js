@@ -0,0 +1,47 @@
+// AI provider configuration, resolved from the environment.
+//
+//   AI_PROVIDER              aiservice (default) | mock
+//   AI_MODELS_ESPRESSO       comma-separated fallback chain, e.g. "gpt-5,gpt-4o-mini"
+//   AI_MODELS_SLOW_BREWED    e.g. "o3,gpt-4o"
+//   AI_MODELS_ANALYSIS       models for /api/analyze-report
+//   AI_TIMEOUT_MS            per-attempt timeout
+//   AI_MAX_RETRIES           retries per model on transient errors, before falling back
+//   AI_RETRY_DELAY_MS        base delay for exponential backoff
+
+// Model chains per generation_mode (report and plain prompt) and per task
+const DEFAULT_MODELS = {
+  espresso: ['gpt-5', 'gpt-4o-mini'],
+  slow_brewed: ['o3', 'gpt-4o'],
+  analysis: ['gpt-4o']
+}
+
+const DEFAULT_TEMPERATURES = {
+  espresso: 0.3,
+  slow_brewed: 0.1,
+  analysis: undefined
+}
+
+const parseList = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean)
+
+const parseNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10)
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed
+}
+
+export const loadAIConfig = (env = process.env) => {
+  const models = {}
+  for (const [key, chain] of Object.entries(DEFAULT_MODELS)) {
+    const override = parseList(env[`AI_MODELS_${key.toUpperCase()}`])
+    models[key] = override.length > 0 ? override : chain
+  }
+
+  return {
+    provider: (env.AI_PROVIDER || 'aiservice').toLowerCase(),
+    apiKey: env.AI_SERVICE_API_KEY,
+    models,
+    temperatures: { ...DEFAULT_TEMPERATURES },
+    timeoutMs: parseNumber(env.AI_TIMEOUT_MS, 120000),
+    maxRetries: parseNumber(env.AI_MAX_RETRIES, 2),
+    retryDelayMs: parseNumber(env.AI_RETRY_DELAY_MS, 500)
+  }
+}
@@ -0,0 +1,124 @@
+import { loadAIConfig } from './config.js'
+import { createAIServiceProvider } from './aiservice.js'
+import { createMockProvider } from './mock.js'
+
+const PROVIDERS = {
+  aiservice: createAIServiceProvider,
+  mock: createMockProvider
+}
+
+// Errors worth retrying on the same model before falling back to the next one
+const isTransient = (error) => {
+  const status = error?.status || error?.response?.status
+  if (status === 408 || status === 409 || status === 429 || status >= 500) return true
+  if (error?.code === 'AI_TIMEOUT') return true
+  return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error?.code)
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Run one attempt with a timeout. The attempt receives a signal that aborts when either the
+// timeout fires or the caller's signal aborts.
+const withTimeout = async (timeoutMs, signal, attempt) => {
+  const controller = new AbortController()
+  const onAbort = () => controller.abort()
+  signal?.addEventListener('abort', onAbort)
+
+  let timer
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const timeoutError = new Error(`AI request timed out after ${timeoutMs}ms`)
+      timeoutError.code = 'AI_TIMEOUT'
+      controller.abort()
+      reject(timeoutError)
+    }, timeoutMs)
+  })
+
+  try {
+    return await Promise.race([attempt(controller.signal), timeout])
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+  }
+}
+
+// Signal that aborts when any of the signals does (AbortSignal.any needs Node 20.3)
+const anySignal = (signals) => {
+  const present = signals.filter(Boolean)
+  if (typeof AbortSignal.any === 'function') return AbortSignal.any(present)
+  const controller = new AbortController()
+  for (const signal of present) {
+    if (signal.aborted) {
+      controller.abort(signal.reason)
+      break
+    }
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true })
+  }
+  return controller.signal
+}
+
+// AI client used by every route. Resolves the model chain for a task or generation_mode,
+// retries transient failures with exponential backoff and falls back along the chain.
+//
+//   complete({ task, mode, messages, maxTokens, json, signal }) -> { content, model }
+//   stream({ ...same })                                         -> { stream, model }
+//
+// `task` is 'report', 'prompt' or 'analysis'; report and prompt tasks use the model chain
+// and temperature of `mode` (espresso | slow_brewed).
+export const createAIClient = (config = loadAIConfig()) => {
+  const createProvider = PROVIDERS[config.provider]
+  if (!createProvider) {
+    throw new Error(`Unknown AI provider "${config.provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`)
+  }
+  const provider = createProvider(config)
+
+  const resolve = ({ task, mode }) => {
+    const key = task === 'analysis' ? 'analysis' : (mode === 'slow_brewed' ? 'slow_brewed' : 'espresso')
+    return { models: config.models[key], temperature: config.temperatures[key] }
+  }
+
+  const run = async (request, call) => {
+    const { models, temperature } = resolve(request)
+    let lastError
+
+    for (const model of models) {
+      for (let attempt = 0; attempt <= config.maxRetries; attempt++) {
+        if (request.signal?.aborted) throw lastError || new Error('AI request aborted')
+        try {
+          const result = await withTimeout(config.timeoutMs, request.signal, (signal) =>
+            call({ ...request, model, temperature, signal }))
+          return { result, model }
+        } catch (error) {
+          lastError = error
+          if (request.signal?.aborted) throw error
+          if (!isTransient(error) || attempt === config.maxRetries) {
+            console.warn(`[AI] ${provider.name} model ${model} failed:`, error?.message || error)
+            break
+          }
+          const delay = config.retryDelayMs * 2 ** attempt
+          console.warn(`[AI] ${provider.name} model ${model} transient failure, retrying in ${delay}ms:`, error?.message || error)
+          await sleep(delay)
+        }
+      }
+    }
+
+    throw lastError
+  }
+
+  return {
+    provider: provider.name,
+
+    async complete(request) {
+      const { result, model } = await run(request, (attempt) => provider.complete(attempt))
+      return { content: result, model }
+    },
+
+    // The timeout and retries cover opening the stream; once it is flowing it runs to
+    // completion unless the caller aborts. The attempt's signal aborts a timed-out open.
+    async stream(request) {
+      const { result, model } = await run(request, (attempt) =>
+        provider.stream({ ...attempt, signal: anySignal([attempt.signal, request.signal]) }))
+      return { stream: result, model }
+    }
+  }
+}
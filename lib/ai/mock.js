@@ -0,0 +1,87 @@
+// Deterministic offline provider for development and tests (AI_PROVIDER=mock).
+// Builds its answer from the prompt alone, so the same input always produces the same output
+// and no network access is needed.
+
+const STREAM_CHUNK_SIZE = 16
+
+const match = (text, pattern) => (text.match(pattern)?.[1] || '').trim()
+
+const splitSentences = (text) => text.replace(/\s+/g, ' ').split(/(?<=[.?!])\s+/).map(s => s.trim()).filter(Boolean)
+
+const mockReport = (prompt) => {
+  const scanName = match(prompt, /THIS IS A (.+?) SCAN - GENERATE/) || 'RADIOLOGY'
+  const findings = match(prompt, /FINDINGS:\n([\s\S]*?)\n\nTHIS IS A /)
+  const comparison = match(prompt, /COMPARISON STUDY:\n([\s\S]*?)\n\n/)
+  const sentences = splitSentences(findings)
+
+  const report = {
+    technique: `${scanName} performed according to the standard departmental protocol.`,
+    comparison: comparison ? `Compared with prior study: ${comparison}` : 'No previous exam available for comparison.',
+    findings: sentences.join(' ') || 'No abnormality detected.',
+    impression: sentences[0] || 'No acute abnormality detected.'
+  }
+
+  if (!prompt.includes('DO NOT include clinical_advice')) {
+    report.clinical_advice = 'Clinical correlation is recommended.'
+  }
+  if (!prompt.includes('DO NOT include clinician_questions')) {
+    report.clinician_questions = [
+      'Is the finding acute?',
+      'Is further imaging required?',
+      'Is there any complication?',
+      'What is the recommended follow-up interval?',
+      'Is specialist referral indicated?'
+    ]
+  }
+  if (!prompt.includes('DO NOT include differential_diagnosis')) {
+    report.differential_diagnosis = [
+      { diagnosis: 'Primary consideration', reasoning: sentences[0] || 'Based on the dictated findings.' },
+      { diagnosis: 'Alternative consideration', reasoning: 'Less likely given the imaging appearance.' },
+      { diagnosis: 'Third consideration', reasoning: 'Included for completeness.' }
+    ]
+  }
+
+  return report
+}
+
+const mockAnalysis = (prompt) => {
+  const reportContent = match(prompt, /Report Content:\n([\s\S]*)$/)
+  return {
+    whatNotToMiss: splitSentences(reportContent).slice(0, 3),
+    differentials: [
+      { diagnosis: 'Primary consideration', whyItFits: 'Matches the reported findings.', whyItMightNot: 'Requires clinical correlation.' },
+      { diagnosis: 'Alternative consideration', whyItFits: 'Overlapping imaging features.', whyItMightNot: 'Less typical distribution.' },
+      { diagnosis: 'Third consideration', whyItFits: 'Possible in this clinical context.', whyItMightNot: 'Uncommon presentation.' }
+    ]
+  }
+}
+
+const mockPlain = (prompt) => ({
+  reportHtml: `<div class="report"><h2>Generated Report</h2><p>${prompt.trim().replace(/\n/g, '</p><p>')}</p></div>`,
+  impressionText: prompt.trim().split('\n')[0]
+})
+
+const respond = ({ task, messages }) => {
+  const prompt = messages.filter(m => m.role === 'user').map(m => m.content).join('\n')
+  if (task === 'analysis') return JSON.stringify(mockAnalysis(prompt))
+  if (task === 'prompt') return JSON.stringify(mockPlain(prompt))
+  return JSON.stringify(mockReport(prompt))
+}
+
+export const createMockProvider = () => ({
+  name: 'mock',
+
+  async complete(request) {
+    return respond(request)
+  },
+
+  async stream(request) {
+    const content = respond(request)
+    return (async function* () {
+      for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+        if (request.signal?.aborted) return
+        yield content.slice(i, i + STREAM_CHUNK_SIZE)
+      }
+    })()
+  }
+})
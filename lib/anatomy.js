@@ -0,0 +1,46 @@
+// Anatomy ontology shared by the report checks. Each organ lists the words reports use
+// for it, the sub-regions a finding can be localised to and the body regions it lies in
+// (null when it can appear in any study, e.g. bones or lymph nodes).
+
+export const ORGANS = {
+  brain: { terms: ['brain', 'cerebral', 'cerebrum', 'basal ganglia'], subregions: ['frontal lobe', 'parietal lobe', 'temporal lobe', 'occipital lobe', 'thalamus'], regions: ['head'] },
+  cerebellum: { terms: ['cerebell'], subregions: ['vermis', 'hemisphere'], regions: ['head'] },
+  orbit: { terms: ['orbit'], subregions: [], regions: ['head'] },
+  sinus: { terms: ['paranasal sinus', 'maxillary sinus', 'frontal sinus', 'ethmoid', 'sphenoid sinus'], subregions: [], regions: ['head'] },
+  thyroid: { terms: ['thyroid'], subregions: ['isthmus', 'lobe'], regions: ['neck'] },
+  larynx: { terms: ['larynx', 'laryngeal'], subregions: [], regions: ['neck'] },
+  lung: { terms: ['lung', 'pulmonary'], subregions: ['upper lobe', 'middle lobe', 'lower lobe', 'lingula', 'apex', 'base'], regions: ['chest'] },
+  pleura: { terms: ['pleura'], subregions: [], regions: ['chest'] },
+  mediastinum: { terms: ['mediastin'], subregions: [], regions: ['chest'] },
+  heart: { terms: ['heart', 'cardiac', 'pericardi', 'cardiomegaly'], subregions: [], regions: ['chest'] },
+  liver: { terms: ['liver', 'hepatic'], subregions: ['right lobe', 'left lobe', 'caudate lobe', 'segment'], regions: ['abdomen'] },
+  gallbladder: { terms: ['gallbladder', 'gall bladder'], subregions: ['fundus', 'neck'], regions: ['abdomen'] },
+  biliary: { terms: ['biliary', 'bile duct', 'cbd', 'common duct'], subregions: [], regions: ['abdomen'] },
+  pancreas: { terms: ['pancrea'], subregions: ['head', 'body', 'tail', 'uncinate'], regions: ['abdomen'] },
+  spleen: { terms: ['spleen', 'splenic'], subregions: [], regions: ['abdomen'] },
+  kidney: { terms: ['kidney', 'renal'], subregions: ['upper pole', 'lower pole', 'interpolar', 'pelvis'], regions: ['abdomen'] },
+  adrenal: { terms: ['adrenal'], subregions: [], regions: ['abdomen'] },
+  stomach: { terms: ['stomach', 'gastric'], subregions: ['fundus', 'antrum', 'body'], regions: ['abdomen'] },
+  bowel: { terms: ['small bowel', 'bowel loop', 'jejun', 'ileum', 'ileal', 'duoden'], subregions: [], regions: ['abdomen', 'pelvis'] },
+  colon: { terms: ['colon', 'colonic', 'caecum', 'cecum', 'sigmoid'], subregions: ['ascending', 'transverse', 'descending'], regions: ['abdomen', 'pelvis'] },
+  appendix: { terms: ['appendix', 'appendic'], subregions: [], regions: ['abdomen', 'pelvis'] },
+  peritoneum: { terms: ['peritone', 'mesenter'], subregions: [], regions: ['abdomen', 'pelvis'] },
+  bladder: { terms: ['urinary bladder', 'bladder'], subregions: [], regions: ['pelvis'] },
+  uterus: { terms: ['uterus', 'uterine'], subregions: ['fundus', 'cervix'], regions: ['pelvis'] },
+  ovary: { terms: ['ovary', 'ovaries', 'ovarian'], subregions: [], regions: ['pelvis'] },
+  prostate: { terms: ['prostate'], subregions: ['peripheral zone', 'transition zone'], regions: ['pelvis'] },
+  rectum: { terms: ['rectum', 'rectal'], subregions: [], regions: ['pelvis'] },
+  aorta: { terms: ['aorta', 'aortic'], subregions: ['ascending', 'arch', 'descending', 'abdominal', 'infrarenal'], regions: null },
+  lymph_nodes: { terms: ['lymph node', 'lymphadenopathy', 'nodal'], subregions: [], regions: null },
+  spine: { terms: ['spine', 'vertebra', 'spinal'], subregions: ['cervical', 'thoracic', 'lumbar', 'sacral'], regions: null },
+  bones: { terms: ['bones', 'bony', 'osseous', 'skeleton'], subregions: [], regions: null }
+}
+
+// Word-start matching so 'renal' does not match inside 'adrenal'
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+export const mentions = (text, term) => new RegExp(`\\b${escapeRegExp(term)}`, 'i').test(text)
+
+// Organ keys mentioned in a sentence
+export const organsIn = (sentence, organs = ORGANS) => Object.keys(organs)
+  .filter(organ => organs[organ].terms.some(term => mentions(sentence, term)))
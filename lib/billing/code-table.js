@@ -0,0 +1,243 @@
+// Built-in code table for billing suggestions: the CPT procedure codes of common
+// diagnostic imaging studies and the ICD-10-CM codes the impression rules map to.
+// `billable: false` marks ICD-10-CM category headers that need more characters before
+// they can go on a claim. CPT descriptors are abbreviated. Sites load their licensed,
+// current-year code set with BILLING_CODE_TABLE_FILE (see lib/billing/index.js), which
+// replaces this table system by system.
+
+export const BUILT_IN_CPT_CODES = [
+  // CT
+  { code: '70450', display: 'CT head/brain without contrast material' },
+  { code: '70460', display: 'CT head/brain with contrast material' },
+  { code: '70470', display: 'CT head/brain without contrast material, followed by contrast material' },
+  { code: '70486', display: 'CT maxillofacial area without contrast material' },
+  { code: '70487', display: 'CT maxillofacial area with contrast material' },
+  { code: '70488', display: 'CT maxillofacial area without contrast material, followed by contrast material' },
+  { code: '70490', display: 'CT soft tissue neck without contrast material' },
+  { code: '70491', display: 'CT soft tissue neck with contrast material' },
+  { code: '70492', display: 'CT soft tissue neck without contrast material, followed by contrast material' },
+  { code: '70496', display: 'CT angiography, head' },
+  { code: '70498', display: 'CT angiography, neck' },
+  { code: '71250', display: 'CT thorax, diagnostic, without contrast material' },
+  { code: '71260', display: 'CT thorax, diagnostic, with contrast material' },
+  { code: '71270', display: 'CT thorax, diagnostic, without contrast material, followed by contrast material' },
+  { code: '71271', display: 'CT thorax, low dose for lung cancer screening, without contrast material' },
+  { code: '71275', display: 'CT angiography, chest (noncoronary)' },
+  { code: '72125', display: 'CT cervical spine without contrast material' },
+  { code: '72126', display: 'CT cervical spine with contrast material' },
+  { code: '72127', display: 'CT cervical spine without contrast material, followed by contrast material' },
+  { code: '72128', display: 'CT thoracic spine without contrast material' },
+  { code: '72129', display: 'CT thoracic spine with contrast material' },
+  { code: '72130', display: 'CT thoracic spine without contrast material, followed by contrast material' },
+  { code: '72131', display: 'CT lumbar spine without contrast material' },
+  { code: '72132', display: 'CT lumbar spine with contrast material' },
+  { code: '72133', display: 'CT lumbar spine without contrast material, followed by contrast material' },
+  { code: '72192', display: 'CT pelvis without contrast material' },
+  { code: '72193', display: 'CT pelvis with contrast material' },
+  { code: '72194', display: 'CT pelvis without contrast material, followed by contrast material' },
+  { code: '74150', display: 'CT abdomen without contrast material' },
+  { code: '74160', display: 'CT abdomen with contrast material' },
+  { code: '74170', display: 'CT abdomen without contrast material, followed by contrast material' },
+  { code: '74174', display: 'CT angiography, abdomen and pelvis' },
+  { code: '74175', display: 'CT angiography, abdomen' },
+  { code: '74176', display: 'CT abdomen and pelvis without contrast material' },
+  { code: '74177', display: 'CT abdomen and pelvis with contrast material' },
+  { code: '74178', display: 'CT abdomen and pelvis without contrast material in one or both body regions, followed by contrast material' },
+
+  // MR
+  { code: '70540', display: 'MRI orbit, face and/or neck without contrast material' },
+  { code: '70542', display: 'MRI orbit, face and/or neck with contrast material' },
+  { code: '70543', display: 'MRI orbit, face and/or neck without contrast material, followed by contrast material' },
+  { code: '70544', display: 'MR angiography, head, without contrast material' },
+  { code: '70545', display: 'MR angiography, head, with contrast material' },
+  { code: '70546', display: 'MR angiography, head, without contrast material, followed by contrast material' },
+  { code: '70551', display: 'MRI brain without contrast material' },
+  { code: '70552', display: 'MRI brain with contrast material' },
+  { code: '70553', display: 'MRI brain without contrast material, followed by contrast material' },
+  { code: '72141', display: 'MRI cervical spine without contrast material' },
+  { code: '72142', display: 'MRI cervical spine with contrast material' },
+  { code: '72146', display: 'MRI thoracic spine without contrast material' },
+  { code: '72147', display: 'MRI thoracic spine with contrast material' },
+  { code: '72148', display: 'MRI lumbar spine without contrast material' },
+  { code: '72149', display: 'MRI lumbar spine with contrast material' },
+  { code: '72156', display: 'MRI cervical spine without contrast material, followed by contrast material' },
+  { code: '72157', display: 'MRI thoracic spine without contrast material, followed by contrast material' },
+  { code: '72158', display: 'MRI lumbar spine without contrast material, followed by contrast material' },
+  { code: '72195', display: 'MRI pelvis without contrast material' },
+  { code: '72196', display: 'MRI pelvis with contrast material' },
+  { code: '72197', display: 'MRI pelvis without contrast material, followed by contrast material' },
+  { code: '73221', display: 'MRI any joint of upper extremity without contrast material' },
+  { code: '73222', display: 'MRI any joint of upper extremity with contrast material' },
+  { code: '73223', display: 'MRI any joint of upper extremity without contrast material, followed by contrast material' },
+  { code: '73721', display: 'MRI any joint of lower extremity without contrast material' },
+  { code: '73722', display: 'MRI any joint of lower extremity with contrast material' },
+  { code: '73723', display: 'MRI any joint of lower extremity without contrast material, followed by contrast material' },
+  { code: '74181', display: 'MRI abdomen without contrast material' },
+  { code: '74182', display: 'MRI abdomen with contrast material' },
+  { code: '74183', display: 'MRI abdomen without contrast material, followed by contrast material' },
+  { code: '77046', display: 'MRI breast without contrast material, unilateral' },
+  { code: '77047', display: 'MRI breast without contrast material, bilateral' },
+  { code: '77048', display: 'MRI breast without and with contrast material, unilateral' },
+  { code: '77049', display: 'MRI breast without and with contrast material, bilateral' },
+
+  // Ultrasound
+  { code: '76536', display: 'Ultrasound, soft tissues of head and neck (e.g. thyroid)' },
+  { code: '76641', display: 'Ultrasound, breast, unilateral, complete' },
+  { code: '76642', display: 'Ultrasound, breast, unilateral, limited' },
+  { code: '76700', display: 'Ultrasound, abdominal, complete' },
+  { code: '76705', display: 'Ultrasound, abdominal, limited' },
+  { code: '76770', display: 'Ultrasound, retroperitoneal, complete' },
+  { code: '76775', display: 'Ultrasound, retroperitoneal, limited' },
+  { code: '76801', display: 'Ultrasound, pregnant uterus, first trimester (< 14 weeks 0 days), single gestation' },
+  { code: '76805', display: 'Ultrasound, pregnant uterus, after first trimester (>= 14 weeks 0 days), single gestation' },
+  { code: '76830', display: 'Ultrasound, transvaginal' },
+  { code: '76856', display: 'Ultrasound, pelvic (nonobstetric), complete' },
+  { code: '76857', display: 'Ultrasound, pelvic (nonobstetric), limited or follow-up' },
+  { code: '76870', display: 'Ultrasound, scrotum and contents' },
+  { code: '93970', display: 'Duplex scan of extremity veins, complete bilateral study' },
+  { code: '93971', display: 'Duplex scan of extremity veins, unilateral or limited study' },
+
+  // Radiography
+  { code: '71045', display: 'Radiologic examination, chest; single view' },
+  { code: '71046', display: 'Radiologic examination, chest; 2 views' },
+  { code: '71047', display: 'Radiologic examination, chest; 3 views' },
+  { code: '71048', display: 'Radiologic examination, chest; 4 or more views' },
+  { code: '72040', display: 'Radiologic examination, spine, cervical; 2 or 3 views' },
+  { code: '72050', display: 'Radiologic examination, spine, cervical; 4 or 5 views' },
+  { code: '72070', display: 'Radiologic examination, spine; thoracic, 2 views' },
+  { code: '72100', display: 'Radiologic examination, spine, lumbosacral; 2 or 3 views' },
+  { code: '72110', display: 'Radiologic examination, spine, lumbosacral; minimum of 4 views' },
+  { code: '72170', display: 'Radiologic examination, pelvis; 1 or 2 views' },
+  { code: '73020', display: 'Radiologic examination, shoulder; 1 view' },
+  { code: '73030', display: 'Radiologic examination, shoulder; complete, minimum of 2 views' },
+  { code: '73100', display: 'Radiologic examination, wrist; 2 views' },
+  { code: '73110', display: 'Radiologic examination, wrist; complete, minimum of 3 views' },
+  { code: '73120', display: 'Radiologic examination, hand; 2 views' },
+  { code: '73130', display: 'Radiologic examination, hand; minimum of 3 views' },
+  { code: '73501', display: 'Radiologic examination, hip, unilateral, with pelvis when performed; 1 view' },
+  { code: '73502', display: 'Radiologic examination, hip, unilateral, with pelvis when performed; 2-3 views' },
+  { code: '73503', display: 'Radiologic examination, hip, unilateral, with pelvis when performed; minimum of 4 views' },
+  { code: '73560', display: 'Radiologic examination, knee; 1 or 2 views' },
+  { code: '73562', display: 'Radiologic examination, knee; 3 views' },
+  { code: '73564', display: 'Radiologic examination, knee; complete, 4 or more views' },
+  { code: '73600', display: 'Radiologic examination, ankle; 2 views' },
+  { code: '73610', display: 'Radiologic examination, ankle; complete, minimum of 3 views' },
+  { code: '73620', display: 'Radiologic examination, foot; 2 views' },
+  { code: '73630', display: 'Radiologic examination, foot; complete, minimum of 3 views' },
+  { code: '74018', display: 'Radiologic examination, abdomen; 1 view' },
+  { code: '74019', display: 'Radiologic examination, abdomen; 2 views' },
+  { code: '74021', display: 'Radiologic examination, abdomen; 3 or more views' },
+
+  // Mammography
+  { code: '77065', display: 'Diagnostic mammography, including CAD when performed; unilateral' },
+  { code: '77066', display: 'Diagnostic mammography, including CAD when performed; bilateral' },
+  { code: '77067', display: 'Screening mammography, bilateral, including CAD when performed' },
+
+  // Nuclear medicine
+  { code: '78306', display: 'Bone and/or joint imaging; whole body' },
+  { code: '78815', display: 'PET with concurrently acquired CT; skull base to mid-thigh' }
+]
+
+export const BUILT_IN_ICD10CM_CODES = [
+  // Chest
+  { code: 'I26.9', display: 'Pulmonary embolism without acute cor pulmonale', billable: false },
+  { code: 'I26.09', display: 'Other pulmonary embolism with acute cor pulmonale' },
+  { code: 'I26.92', display: 'Saddle embolus of pulmonary artery without acute cor pulmonale' },
+  { code: 'I26.99', display: 'Other pulmonary embolism without acute cor pulmonale' },
+  { code: 'J93', display: 'Pneumothorax and air leak', billable: false },
+  { code: 'J93.0', display: 'Spontaneous tension pneumothorax' },
+  { code: 'J93.9', display: 'Pneumothorax, unspecified' },
+  { code: 'J90', display: 'Pleural effusion, not elsewhere classified' },
+  { code: 'J18.9', display: 'Pneumonia, unspecified organism' },
+  { code: 'J43.9', display: 'Emphysema, unspecified' },
+  { code: 'J98.11', display: 'Atelectasis' },
+  { code: 'R91', display: 'Abnormal findings on diagnostic imaging of lung', billable: false },
+  { code: 'R91.1', display: 'Solitary pulmonary nodule' },
+  { code: 'R91.8', display: 'Other nonspecific abnormal finding of lung field' },
+  { code: 'I51.7', display: 'Cardiomegaly' },
+  { code: 'I31.39', display: 'Other pericardial effusion (noninflammatory)' },
+  { code: 'R59.0', display: 'Localized enlarged lymph nodes' },
+  { code: 'R59.1', display: 'Generalized enlarged lymph nodes' },
+
+  // Vascular
+  { code: 'I71.00', display: 'Dissection of unspecified site of aorta' },
+  { code: 'I71.20', display: 'Thoracic aortic aneurysm, without rupture, unspecified' },
+  { code: 'I71.40', display: 'Abdominal aortic aneurysm, without rupture, unspecified' },
+  { code: 'I71.9', display: 'Aortic aneurysm of unspecified site, without rupture' },
+  { code: 'I82.40', display: 'Acute embolism and thrombosis of unspecified deep veins of lower extremity', billable: false },
+  { code: 'I82.401', display: 'Acute embolism and thrombosis of unspecified deep veins of right lower extremity' },
+  { code: 'I82.402', display: 'Acute embolism and thrombosis of unspecified deep veins of left lower extremity' },
+  { code: 'I82.403', display: 'Acute embolism and thrombosis of unspecified deep veins of lower extremity, bilateral' },
+  { code: 'I82.409', display: 'Acute embolism and thrombosis of unspecified deep veins of unspecified lower extremity' },
+
+  // Head
+  { code: 'I60.9', display: 'Nontraumatic subarachnoid hemorrhage, unspecified' },
+  { code: 'I61.9', display: 'Nontraumatic intracerebral hemorrhage, unspecified' },
+  { code: 'I62.00', display: 'Nontraumatic subdural hemorrhage, unspecified' },
+  { code: 'I62.9', display: 'Nontraumatic intracranial hemorrhage, unspecified' },
+  { code: 'I63.9', display: 'Cerebral infarction, unspecified' },
+
+  // Abdomen and pelvis
+  { code: 'K35.80', display: 'Unspecified acute appendicitis' },
+  { code: 'K56.609', display: 'Unspecified intestinal obstruction, unspecified as to partial versus complete obstruction' },
+  { code: 'K57.30', display: 'Diverticulosis of large intestine without perforation or abscess without bleeding' },
+  { code: 'K57.32', display: 'Diverticulitis of large intestine without perforation or abscess without bleeding' },
+  { code: 'K40.20', display: 'Bilateral inguinal hernia, without obstruction or gangrene, not specified as recurrent' },
+  { code: 'K40.90', display: 'Unilateral inguinal hernia, without obstruction or gangrene, not specified as recurrent' },
+  { code: 'K42.9', display: 'Umbilical hernia without obstruction or gangrene' },
+  { code: 'K44.9', display: 'Diaphragmatic hernia without obstruction or gangrene' },
+  { code: 'K76.0', display: 'Fatty (change of) liver, not elsewhere classified' },
+  { code: 'K76.89', display: 'Other specified diseases of liver' },
+  { code: 'K74.60', display: 'Unspecified cirrhosis of liver' },
+  { code: 'K80.2', display: 'Calculus of gallbladder without cholecystitis', billable: false },
+  { code: 'K80.00', display: 'Calculus of gallbladder with acute cholecystitis without obstruction' },
+  { code: 'K80.20', display: 'Calculus of gallbladder without cholecystitis without obstruction' },
+  { code: 'K81.0', display: 'Acute cholecystitis' },
+  { code: 'K86.2', display: 'Cyst of pancreas' },
+  { code: 'R16.0', display: 'Hepatomegaly, not elsewhere classified' },
+  { code: 'R16.1', display: 'Splenomegaly, not elsewhere classified' },
+  { code: 'R16.2', display: 'Hepatomegaly with splenomegaly, not elsewhere classified' },
+  { code: 'R18.8', display: 'Other ascites' },
+  { code: 'N13.2', display: 'Hydronephrosis with renal and ureteral calculous obstruction' },
+  { code: 'N13.30', display: 'Unspecified hydronephrosis' },
+  { code: 'N20.0', display: 'Calculus of kidney' },
+  { code: 'N20.1', display: 'Calculus of ureter' },
+  { code: 'N20.2', display: 'Calculus of kidney with calculus of ureter' },
+  { code: 'N21.0', display: 'Calculus in bladder' },
+  { code: 'N28.1', display: 'Cyst of kidney, acquired' },
+  { code: 'N83.20', display: 'Unspecified ovarian cysts', billable: false },
+  { code: 'N83.201', display: 'Unspecified ovarian cyst, right side' },
+  { code: 'N83.202', display: 'Unspecified ovarian cyst, left side' },
+  { code: 'N83.209', display: 'Unspecified ovarian cyst, unspecified side' },
+  { code: 'D25.9', display: 'Leiomyoma of uterus, unspecified' },
+
+  // Endocrine
+  { code: 'E04.1', display: 'Nontoxic single thyroid nodule' },
+  { code: 'E04.2', display: 'Nontoxic multinodular goiter' },
+  { code: 'E27.8', display: 'Other specified disorders of adrenal gland' },
+  { code: 'D35.00', display: 'Benign neoplasm of unspecified adrenal gland' },
+  { code: 'D35.01', display: 'Benign neoplasm of right adrenal gland' },
+  { code: 'D35.02', display: 'Benign neoplasm of left adrenal gland' },
+
+  // Neoplasm
+  { code: 'C77.9', display: 'Secondary and unspecified malignant neoplasm of lymph node, unspecified' },
+  { code: 'C78.00', display: 'Secondary malignant neoplasm of unspecified lung' },
+  { code: 'C78.7', display: 'Secondary malignant neoplasm of liver and intrahepatic bile duct' },
+  { code: 'C79.31', display: 'Secondary malignant neoplasm of brain' },
+  { code: 'C79.51', display: 'Secondary malignant neoplasm of bone' },
+  { code: 'C79.70', display: 'Secondary malignant neoplasm of unspecified adrenal gland' },
+  { code: 'C79.9', display: 'Secondary malignant neoplasm of unspecified site' },
+
+  // Musculoskeletal
+  { code: 'M17.0', display: 'Bilateral primary osteoarthritis of knee' },
+  { code: 'M17.11', display: 'Unilateral primary osteoarthritis, right knee' },
+  { code: 'M17.12', display: 'Unilateral primary osteoarthritis, left knee' },
+  { code: 'M17.9', display: 'Osteoarthritis of knee, unspecified' },
+  { code: 'M47.81', display: 'Spondylosis without myelopathy or radiculopathy', billable: false },
+  { code: 'M47.812', display: 'Spondylosis without myelopathy or radiculopathy, cervical region' },
+  { code: 'M47.814', display: 'Spondylosis without myelopathy or radiculopathy, thoracic region' },
+  { code: 'M47.816', display: 'Spondylosis without myelopathy or radiculopathy, lumbar region' },
+  { code: 'M47.819', display: 'Spondylosis without myelopathy or radiculopathy, site unspecified' },
+  { code: 'M50.20', display: 'Other cervical disc displacement, unspecified cervical region' },
+  { code: 'M51.26', display: 'Other intervertebral disc displacement, lumbar region' }
+]
@@ -0,0 +1,539 @@
+import fs from 'fs'
+import { ORGANS, mentions } from '../anatomy.js'
+import { isNegated } from '../report-text.js'
+import { modalityFromScanName } from '../report-codes.js'
+import { BUILT_IN_CPT_CODES, BUILT_IN_ICD10CM_CODES } from './code-table.js'
+
+// Billing code suggestions for a report: CPT procedure codes from the scan name (or the
+// order's procedure code) and ICD-10-CM diagnosis codes from the final impression. Each
+// suggestion carries a confidence and the text it rests on, and is checked against the
+// local code table so only codes that exist (and are billable) reach the billing team.
+//
+//   high    - stated outright (modality, region and contrast in the scan name; a
+//             definite diagnosis in the impression)
+//   medium  - partly inferred (contrast or views read from the technique, a diagnosis
+//             coded as unspecified because the report leaves out the detail)
+//   low     - assumed (contrast or views not stated) or an uncertain diagnosis, which
+//             outpatient coding does not report
+//
+//   BILLING_CODE_TABLE_FILE   JSON { cpt: [...], icd10cm: [...] } of { code, display, billable }
+//                             replacing the built-in table for each system it lists
+
+export const CODE_SYSTEMS = ['cpt', 'icd10cm']
+
+export const CODE_SYSTEM_NAMES = { cpt: 'CPT', icd10cm: 'ICD-10-CM' }
+
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low']
+
+const CODE_FORMATS = {
+  cpt: /^\d{4}[0-9FTU]$/,
+  icd10cm: /^[A-TV-Z]\d[0-9AB](\.[0-9A-Z]{1,4})?$/
+}
+
+// "j90" -> "J90", "N83201" -> "N83.201"
+export const normaliseCode = (system, code) => {
+  const value = String(code || '').trim().toUpperCase()
+  if (system === 'icd10cm' && /^[A-Z]\d[0-9A-Z][0-9A-Z]{1,4}$/.test(value)) return `${value.slice(0, 3)}.${value.slice(3)}`
+  return value
+}
+
+const readCodeTableFile = (path) => {
+  try {
+    const table = JSON.parse(fs.readFileSync(path, 'utf8'))
+    if (!table || typeof table !== 'object') throw new Error('expected a JSON object')
+    const result = {}
+    for (const system of CODE_SYSTEMS) {
+      if (!Array.isArray(table[system])) continue
+      result[system] = table[system]
+        .filter(entry => entry && entry.code && entry.display)
+        .map(entry => ({ code: normaliseCode(system, entry.code), display: String(entry.display), billable: entry.billable !== false }))
+    }
+    return result
+  } catch (error) {
+    console.error('Error reading billing code table:', error.message)
+    return {}
+  }
+}
+
+let cached = null
+
+// Code table as { cpt: Map, icd10cm: Map } keyed by code
+export const loadCodeTable = (env = process.env) => {
+  if (cached && cached.file === (env.BILLING_CODE_TABLE_FILE || null)) return cached.table
+
+  const loaded = env.BILLING_CODE_TABLE_FILE ? readCodeTableFile(env.BILLING_CODE_TABLE_FILE) : {}
+  const entries = {
+    cpt: loaded.cpt || BUILT_IN_CPT_CODES,
+    icd10cm: loaded.icd10cm || BUILT_IN_ICD10CM_CODES
+  }
+  const table = Object.fromEntries(CODE_SYSTEMS.map(system => [
+    system,
+    new Map(entries[system].map(entry => [entry.code, { code: entry.code, display: entry.display, billable: entry.billable !== false }]))
+  ]))
+
+  cached = { file: env.BILLING_CODE_TABLE_FILE || null, table }
+  return table
+}
+
+// { system, code, display, valid, billable, error } for one code
+export const validateCode = (system, code, table = loadCodeTable()) => {
+  if (!CODE_SYSTEMS.includes(system)) {
+    return { system, code, display: null, valid: false, billable: false, error: `system must be one of: ${CODE_SYSTEMS.join(', ')}` }
+  }
+
+  const normalised = normaliseCode(system, code)
+  const result = { system, code: normalised, display: null, valid: false, billable: false, error: null }
+  if (!CODE_FORMATS[system].test(normalised)) {
+    return { ...result, error: `"${code}" is not a valid ${CODE_SYSTEM_NAMES[system]} code` }
+  }
+
+  const entry = table[system].get(normalised)
+  if (!entry) return { ...result, error: `${normalised} is not in the local ${CODE_SYSTEM_NAMES[system]} table` }
+  if (!entry.billable) {
+    return { ...result, display: entry.display, error: `${normalised} is a category; code to a more specific subcode` }
+  }
+  return { ...result, display: entry.display, valid: true, billable: true }
+}
+
+// Table entries matching a search on code or description
+export const searchCodes = ({ system = null, search = '', limit = 50 } = {}, table = loadCodeTable()) => {
+  const low = String(search).trim().toLowerCase()
+  return (system ? [system] : CODE_SYSTEMS)
+    .flatMap(key => [...table[key].values()].map(entry => ({ system: key, ...entry })))
+    .filter(entry => !low || entry.code.toLowerCase().startsWith(low) || entry.display.toLowerCase().includes(low))
+    .slice(0, limit)
+}
+
+// -- Procedures ------------------------------------------------------------------------
+
+// First match of a pattern as an evidence span: { source, text, start, end }
+const spanOf = (source, text, pattern) => {
+  const match = pattern.exec(text || '')
+  return match ? { source, text: match[0], start: match.index, end: match.index + match[0].length } : null
+}
+
+const CONTRAST_PATTERNS = [
+  { contrast: 'both', pattern: /\b(with and without|without and with|w\/?wo|w\/?o and w|pre[\s-]?(?:and|&)[\s-]?post|pre[\s-]?and[\s-]?post[\s-]?contrast|triple[\s-]?phase|multi[\s-]?phase|dynamic contrast)\b/i },
+  { contrast: 'without', pattern: /\b(without (?:iv |intravenous )?contrast|non[\s-]?contrast|unenhanced|non[\s-]?enhanced|ncct|plain ct|w\/o contrast|no contrast)\b/i },
+  { contrast: 'with', pattern: /\b(with (?:iv |intravenous |oral and iv )?contrast|contrast[\s-]?enhanced|post[\s-]?contrast|cect|(?:iv|intravenous) contrast|enhanced)\b/i }
+]
+
+const contrastIn = (source, text) => {
+  for (const { contrast, pattern } of CONTRAST_PATTERNS) {
+    const span = spanOf(source, text, pattern)
+    if (span) return { contrast, span }
+  }
+  return null
+}
+
+const VIEW_WORDS = { one: 1, single: 1, two: 2, three: 3, four: 4, five: 5 }
+
+const viewsIn = (source, text) => {
+  const counted = spanOf(source, text, /\b(\d|one|single|two|three|four|five)\s*(?:\+\s*)?views?\b/i)
+  if (counted) {
+    const word = counted.text.toLowerCase().match(/^(\d|one|single|two|three|four|five)/)[1]
+    return { views: VIEW_WORDS[word] || parseInt(word, 10), span: counted }
+  }
+  const pair = spanOf(source, text, /\b(pa|ap) (?:and|&|\/) lat(?:eral)?\b|\b(pa|ap)\/lat\b/i)
+  if (pair) return { views: 2, span: pair }
+  const single = spanOf(source, text, /\b(portable|single|pa|ap)\b/i)
+  if (single) return { views: 1, span: single }
+  return null
+}
+
+const CTA = /\b(cta|ctpa|ct angio\w*|angiogra\w*)\b/i
+const MRA = /\b(mra|mr angio\w*)\b/i
+
+// Procedure rules by modality, most specific first. `codes` is keyed by contrast
+// (without / with / both), `views` lists [minimum views, code] pairs, `code` needs
+// neither. `when` narrows a rule to scan names that also match it.
+const PROCEDURE_RULES = [
+  // CT
+  { modality: 'CT', region: /\b(chest|thorax|lungs?)\b/i, when: /\b(ldct|low[\s-]?dose|screening)\b/i, code: '71271' },
+  { modality: 'CT', region: /\b(ctpa|chest|thorax|pulmonary)\b/i, when: CTA, code: '71275' },
+  { modality: 'CT', region: /\b(head|brain|intracranial|circle of willis)\b/i, when: CTA, code: '70496' },
+  { modality: 'CT', region: /\b(neck|carotids?)\b/i, when: CTA, code: '70498' },
+  { modality: 'CT', region: /\b(abd(?:omen|ominal)?\w*\s*(?:and|&|\/|\+)?\s*pelvi[sc]|aorto[\s-]?(?:iliac|femoral)|run[\s-]?off)\b/i, when: CTA, code: '74174' },
+  { modality: 'CT', region: /\b(abd(?:omen|ominal)?|aorta|mesenteric|renal arter\w*)\b/i, when: CTA, code: '74175' },
+  { modality: 'CT', region: /\b(cervical spine|c[\s-]?spine)\b/i, codes: { without: '72125', with: '72126', both: '72127' } },
+  { modality: 'CT', region: /\b(thoracic spine|dorsal spine|t[\s-]?spine)\b/i, codes: { without: '72128', with: '72129', both: '72130' } },
+  { modality: 'CT', region: /\b(lumbar|lumbosacral|l[\s-]?spine)\b/i, codes: { without: '72131', with: '72132', both: '72133' } },
+  { modality: 'CT', region: /\b(abd(?:omen|ominal)?\w*\s*(?:and|&|\/|\+)?\s*pelvi[sc]|kub|urogra\w*)\b/i, codes: { without: '74176', with: '74177', both: '74178' } },
+  { modality: 'CT', region: /\b(abd(?:omen|ominal)?|liver|pancrea\w*|adrenals?)\b/i, codes: { without: '74150', with: '74160', both: '74170' } },
+  { modality: 'CT', region: /\b(pelvi[sc])\b/i, codes: { without: '72192', with: '72193', both: '72194' } },
+  { modality: 'CT', region: /\b(chest|thorax|lungs?|hrct)\b/i, codes: { without: '71250', with: '71260', both: '71270' } },
+  { modality: 'CT', region: /\b(head|brain|skull)\b/i, codes: { without: '70450', with: '70460', both: '70470' } },
+  { modality: 'CT', region: /\b(sinus\w*|facial|face|maxillofacial|orbits?|pns)\b/i, codes: { without: '70486', with: '70487', both: '70488' } },
+  { modality: 'CT', region: /\b(neck)\b/i, codes: { without: '70490', with: '70491', both: '70492' } },
+
+  // MR
+  { modality: 'MR', region: /\b(head|brain|intracranial|circle of willis)\b/i, when: MRA, codes: { without: '70544', with: '70545', both: '70546' } },
+  { modality: 'MR', region: /\b(breasts?)\b/i, when: /\b(left|right|unilateral)\b/i, codes: { without: '77046', with: '77048', both: '77048' } },
+  { modality: 'MR', region: /\b(breasts?)\b/i, codes: { without: '77047', with: '77049', both: '77049' } },
+  { modality: 'MR', region: /\b(cervical spine|c[\s-]?spine)\b/i, codes: { without: '72141', with: '72142', both: '72156' } },
+  { modality: 'MR', region: /\b(thoracic spine|dorsal spine|t[\s-]?spine)\b/i, codes: { without: '72146', with: '72147', both: '72157' } },
+  { modality: 'MR', region: /\b(lumbar|lumbosacral|l[\s-]?spine)\b/i, codes: { without: '72148', with: '72149', both: '72158' } },
+  { modality: 'MR', region: /\b(head|brain)\b/i, codes: { without: '70551', with: '70552', both: '70553' } },
+  { modality: 'MR', region: /\b(abd(?:omen|ominal)?|liver|mrcp|pancrea\w*|adrenals?|kidneys?|renal)\b/i, codes: { without: '74181', with: '74182', both: '74183' } },
+  { modality: 'MR', region: /\b(pelvi[sc]|prostate|rectum|uterus)\b/i, codes: { without: '72195', with: '72196', both: '72197' } },
+  { modality: 'MR', region: /\b(shoulder|elbow|wrist)\b/i, codes: { without: '73221', with: '73222', both: '73223' } },
+  { modality: 'MR', region: /\b(knee|ankle|hip)\b/i, codes: { without: '73721', with: '73722', both: '73723' } },
+  { modality: 'MR', region: /\b(neck|orbits?|face)\b/i, codes: { without: '70540', with: '70542', both: '70543' } },
+
+  // Ultrasound
+  { modality: 'US', region: /\b(venous|dvt|veins?)\b/i, when: /\b(bilateral|both)\b/i, code: '93970' },
+  { modality: 'US', region: /\b(venous|dvt|veins?)\b/i, code: '93971' },
+  { modality: 'US', region: /\b(obstetric\w*|ob|pregnan\w*|fetal|dating|gestation\w*|anomaly)\b/i, when: /\b(first trimester|early|dating|viability)\b/i, code: '76801' },
+  { modality: 'US', region: /\b(obstetric\w*|ob|pregnan\w*|fetal|gestation\w*|anomaly|growth)\b/i, code: '76805' },
+  { modality: 'US', region: /\b(tvs|transvaginal)\b/i, code: '76830' },
+  { modality: 'US', region: /\b(breasts?)\b/i, when: /\b(limited|targeted|focused)\b/i, code: '76642' },
+  { modality: 'US', region: /\b(breasts?)\b/i, code: '76641' },
+  { modality: 'US', region: /\b(thyroid|neck|parotid|salivary)\b/i, code: '76536' },
+  { modality: 'US', region: /\b(scrot\w*|testi\w*)\b/i, code: '76870' },
+  { modality: 'US', region: /\b(kidneys?|renal|kub|retroperitone\w*)\b/i, when: /\b(limited)\b/i, code: '76775' },
+  { modality: 'US', region: /\b(kidneys?|renal|kub|retroperitone\w*)\b/i, code: '76770' },
+  { modality: 'US', region: /\b(ruq|liver|gall\s?bladder|hepatobiliary)\b/i, code: '76705' },
+  { modality: 'US', region: /\b(abd(?:omen|ominal)?)\b/i, when: /\b(limited)\b/i, code: '76705' },
+  { modality: 'US', region: /\b(abd(?:omen|ominal)?)\b/i, code: '76700' },
+  { modality: 'US', region: /\b(pelvi[sc])\b/i, when: /\b(limited|follow[\s-]?up)\b/i, code: '76857' },
+  { modality: 'US', region: /\b(pelvi[sc])\b/i, code: '76856' },
+
+  // Mammography
+  { modality: 'MG', region: /\b(mammo\w*|breasts?)\b/i, when: /\bscreening\b/i, code: '77067' },
+  { modality: 'MG', region: /\b(mammo\w*|breasts?)\b/i, when: /\b(left|right|unilateral)\b/i, code: '77065' },
+  { modality: 'MG', region: /\b(mammo\w*|breasts?)\b/i, code: '77066' },
+
+  // Nuclear medicine
+  { modality: 'PT', region: /\b(pet|whole body|skull base)\b/i, code: '78815' },
+  { modality: 'NM', region: /\b(bone scan|bone scintigra\w*|skeletal)\b/i, code: '78306' },
+
+  // Radiography
+  { modality: 'DX', region: /\b(chest|cxr|thorax)\b/i, views: [[1, '71045'], [2, '71046'], [3, '71047'], [4, '71048']] },
+  { modality: 'DX', region: /\b(cervical spine|c[\s-]?spine)\b/i, views: [[1, '72040'], [4, '72050']] },
+  { modality: 'DX', region: /\b(thoracic spine|dorsal spine|t[\s-]?spine)\b/i, views: [[1, '72070']] },
+  { modality: 'DX', region: /\b(lumbar|lumbosacral|l[\s-]?spine)\b/i, views: [[1, '72100'], [4, '72110']] },
+  { modality: 'DX', region: /\b(hip)\b/i, views: [[1, '73501'], [2, '73502'], [4, '73503']] },
+  { modality: 'DX', region: /\b(pelvi[sc])\b/i, views: [[1, '72170']] },
+  { modality: 'DX', region: /\b(knee)\b/i, views: [[1, '73560'], [3, '73562'], [4, '73564']] },
+  { modality: 'DX', region: /\b(shoulder)\b/i, views: [[1, '73020'], [2, '73030']] },
+  { modality: 'DX', region: /\b(wrist)\b/i, views: [[1, '73100'], [3, '73110']] },
+  { modality: 'DX', region: /\b(hand)\b/i, views: [[1, '73120'], [3, '73130']] },
+  { modality: 'DX', region: /\b(ankle)\b/i, views: [[1, '73600'], [3, '73610']] },
+  { modality: 'DX', region: /\b(foot)\b/i, views: [[1, '73620'], [3, '73630']] },
+  { modality: 'DX', region: /\b(abd(?:omen|ominal)?|kub)\b/i, views: [[1, '74018'], [2, '74019'], [3, '74021']] }
+]
+
+const ruleApplies = (rule, modality, text) => rule.modality === modality &&
+  rule.region.test(text) && (!rule.when || rule.when.test(text))
+
+// One rule per region of the scan name ("CT chest, abdomen and pelvis" is two codes): a
+// rule is skipped when its region overlaps one an earlier rule already coded
+const matchingRules = (modality, scanName) => {
+  const taken = []
+  return PROCEDURE_RULES.filter(rule => {
+    if (!ruleApplies(rule, modality, scanName)) return false
+    const span = spanOf('scan_name', scanName, rule.region)
+    if (taken.some(other => span.start < other.end && span.end > other.start)) return false
+    taken.push(span)
+    return true
+  })
+}
+
+// Contrast or views from the scan name, then the technique; `assumed` when neither says
+const readQualifier = (read, scanName, technique) => {
+  const fromName = read('scan_name', scanName)
+  if (fromName) return { ...fromName, confidence: 'high' }
+  const fromTechnique = read('technique', technique)
+  if (fromTechnique) return { ...fromTechnique, confidence: 'medium' }
+  return { span: null, confidence: 'low', assumed: true }
+}
+
+const procedureFromRule = (rule, scanName, technique) => {
+  const evidence = [spanOf('scan_name', scanName, rule.region), rule.when ? spanOf('scan_name', scanName, rule.when) : null]
+  const notes = []
+  let code = rule.code
+  let confidence = 'high'
+
+  if (rule.codes) {
+    const qualifier = readQualifier(contrastIn, scanName, technique)
+    const contrast = qualifier.contrast || 'without'
+    code = rule.codes[contrast]
+    confidence = qualifier.confidence
+    evidence.push(qualifier.span)
+    if (qualifier.assumed) notes.push('Contrast not stated; coded as without contrast')
+  } else if (rule.views) {
+    const qualifier = readQualifier(viewsIn, scanName, technique)
+    const views = qualifier.views || rule.views[0][0]
+    code = [...rule.views].reverse().find(([minimum]) => views >= minimum)[1]
+    confidence = qualifier.confidence
+    evidence.push(qualifier.span)
+    if (qualifier.assumed) notes.push('Number of views not stated; coded as the fewest views')
+  }
+
+  const spans = evidence.filter((span, index) => span && !evidence.slice(0, index).some(other => other && other.start === span.start))
+  return { code, confidence, evidence: spans, notes }
+}
+
+// CPT suggestions for a study: the order's procedure code when it is a CPT code in the
+// table, otherwise a code for each region of the scan name
+export const suggestProcedureCodes = ({ scanName = '', procedureCode = null, technique = '' } = {}, table = loadCodeTable()) => {
+  if (procedureCode) {
+    const ordered = validateCode('cpt', procedureCode, table)
+    if (ordered.valid) {
+      return [{
+        ...ordered,
+        confidence: 'high',
+        evidence: [{ source: 'procedure_code', text: String(procedureCode), start: 0, end: String(procedureCode).length }],
+        notes: []
+      }]
+    }
+  }
+
+  const modality = modalityFromScanName(scanName)?.code
+  if (!modality) return []
+
+  return matchingRules(modality, scanName)
+    .map(rule => {
+      const { code, confidence, evidence, notes } = procedureFromRule(rule, scanName, technique)
+      return { ...validateCode('cpt', code, table), confidence, evidence, notes }
+    })
+    .sort((a, b) => a.evidence[0].start - b.evidence[0].start)
+}
+
+// -- Diagnoses -------------------------------------------------------------------------
+
+// Hedges that make a diagnosis uncertain; outpatient coding does not report these
+const UNCERTAINTY_CUES = /\b(suspicious for|suspected|concerning for|possible|possibly|probable|probably|likely|may represent|could represent|suggestive of|cannot be excluded|not excluded|differential|versus|vs|query|questionable|equivocal|indeterminate)\b|\?/
+
+const isUncertain = (sentence, term) => {
+  const low = sentence.toLowerCase()
+  const index = low.indexOf(term)
+  if (index === -1) return false
+  const clause = low.slice(0, index).split(/[,;:]|\bbut\b|\bhowever\b/).pop()
+  return UNCERTAINTY_CUES.test(clause) || /\b(cannot be excluded|not excluded|is not excluded)\b/.test(low.slice(index))
+}
+
+const URETER = ['ureter', 'ureteric', 'ureteral', 'vuj', 'pelviureteric', 'puj']
+const SPINE_LEVELS = [['cervical', 'M47.812'], ['thoracic', 'M47.814'], ['lumbar', 'M47.816'], ['lumbosacral', 'M47.816']]
+
+// Laterality in a sentence: 'right', 'left', 'bilateral' or null
+const sideOf = (sentence) => {
+  if (mentions(sentence, 'bilateral') || mentions(sentence, 'both')) return 'bilateral'
+  const right = mentions(sentence, 'right')
+  const left = mentions(sentence, 'left')
+  if (right && left) return 'bilateral'
+  return right ? 'right' : left ? 'left' : null
+}
+
+// `refine` picks a more specific code from the sentence; it returns { code, specific }
+// where `specific: false` means the report lacks the detail and the code is unspecified.
+// `context` terms must appear in the sentence; `unless` terms exclude it.
+const DIAGNOSIS_RULES = [
+  {
+    terms: ['pulmonary embolism', 'pulmonary emboli', 'pulmonary embolus', 'saddle embol'],
+    refine: (sentence) => mentions(sentence, 'saddle') ? { code: 'I26.92' }
+      : /\b(cor pulmonale|right heart strain|rv strain|right ventricular strain)\b/i.test(sentence) ? { code: 'I26.09' }
+        : { code: 'I26.99' }
+  },
+  { terms: ['tension pneumothorax'], code: 'J93.0' },
+  { terms: ['pneumothorax'], unless: ['tension'], code: 'J93.9' },
+  { terms: ['pericardial effusion'], code: 'I31.39' },
+  { terms: ['pleural effusion', 'pleural effusions'], code: 'J90' },
+  { terms: ['pneumonia'], code: 'J18.9' },
+  { terms: ['consolidation'], unless: ['pneumonia'], code: 'R91.8' },
+  { terms: ['emphysema'], code: 'J43.9' },
+  { terms: ['atelectasis'], code: 'J98.11' },
+  { terms: ['nodules'], context: ORGANS.lung.terms, code: 'R91.8' },
+  { terms: ['nodule'], context: ORGANS.lung.terms, code: 'R91.1' },
+  { terms: ['multinodular', 'nodules'], context: ORGANS.thyroid.terms, code: 'E04.2' },
+  { terms: ['nodule'], context: ORGANS.thyroid.terms, code: 'E04.1' },
+  {
+    terms: ['adenoma'],
+    context: ORGANS.adrenal.terms,
+    refine: (sentence) => ({ right: { code: 'D35.01' }, left: { code: 'D35.02' } })[sideOf(sentence)] || { code: 'D35.00', specific: false }
+  },
+  { terms: ['nodule', 'mass', 'lesion'], context: ORGANS.adrenal.terms, unless: ['adenoma', 'metasta'], code: 'E27.8' },
+  { terms: ['cardiomegaly'], code: 'I51.7' },
+  { terms: ['lymphadenopathy', 'enlarged lymph nodes', 'enlarged nodes'], refine: (sentence) => ({ code: /\b(generali[sz]ed|diffuse|widespread)\b/i.test(sentence) ? 'R59.1' : 'R59.0' }) },
+  { terms: ['aortic dissection', 'dissection of the aorta'], code: 'I71.00' },
+  {
+    terms: ['aneurysm'],
+    context: ORGANS.aorta.terms,
+    unless: ['rupture', 'leak'],
+    refine: (sentence) => /\b(abdominal|infrarenal|juxtarenal|suprarenal|aaa)\b/i.test(sentence) ? { code: 'I71.40' }
+      : /\b(thoracic|ascending|arch|descending thoracic)\b/i.test(sentence) ? { code: 'I71.20' }
+        : { code: 'I71.9', specific: false }
+  },
+  {
+    terms: ['deep vein thrombosis', 'deep venous thrombosis', 'dvt'],
+    refine: (sentence) => ({ right: { code: 'I82.401' }, left: { code: 'I82.402' }, bilateral: { code: 'I82.403' } })[sideOf(sentence)] || { code: 'I82.409', specific: false }
+  },
+  { terms: ['subarachnoid haemorrhage', 'subarachnoid hemorrhage'], unless: ['traumatic'], code: 'I60.9' },
+  { terms: ['subdural haematoma', 'subdural hematoma', 'subdural haemorrhage', 'subdural hemorrhage'], unless: ['traumatic'], code: 'I62.00' },
+  { terms: ['intracerebral haemorrhage', 'intracerebral hemorrhage', 'intraparenchymal haemorrhage', 'intraparenchymal hemorrhage'], unless: ['traumatic'], code: 'I61.9' },
+  { terms: ['intracranial haemorrhage', 'intracranial hemorrhage'], unless: ['traumatic'], code: 'I62.9' },
+  { terms: ['infarct', 'infarction', 'stroke'], context: [...ORGANS.brain.terms, ...ORGANS.cerebellum.terms, 'mca', 'aca', 'pca', 'lacunar', 'territory'], code: 'I63.9' },
+  { terms: ['appendicitis'], code: 'K35.80' },
+  { terms: ['bowel obstruction', 'intestinal obstruction'], code: 'K56.609' },
+  { terms: ['diverticulitis'], code: 'K57.32' },
+  { terms: ['diverticulosis', 'diverticular disease'], unless: ['diverticulitis'], code: 'K57.30' },
+  { terms: ['inguinal hernia', 'inguinal hernias'], refine: (sentence) => ({ code: sideOf(sentence) === 'bilateral' ? 'K40.20' : 'K40.90' }) },
+  { terms: ['umbilical hernia', 'paraumbilical hernia'], code: 'K42.9' },
+  { terms: ['hiatus hernia', 'hiatal hernia'], code: 'K44.9' },
+  { terms: ['hepatic steatosis', 'fatty liver', 'fatty infiltration', 'steatosis'], code: 'K76.0' },
+  { terms: ['cirrhosis', 'cirrhotic'], code: 'K74.60' },
+  { terms: ['hepatosplenomegaly'], code: 'R16.2' },
+  { terms: ['hepatomegaly'], code: 'R16.0' },
+  { terms: ['splenomegaly'], code: 'R16.1' },
+  { terms: ['ascites'], code: 'R18.8' },
+  { terms: ['cholecystitis'], refine: (sentence) => ({ code: /\b(calculous|gallstones?|cholelithiasis)\b/i.test(sentence) && !/\bacalculous\b/i.test(sentence) ? 'K80.00' : 'K81.0' }) },
+  { terms: ['gallstone', 'gallstones', 'cholelithiasis'], unless: ['cholecystitis'], code: 'K80.20' },
+  // Hydronephrosis from a stone is one combination code, not the stone coded as well
+  { terms: ['hydronephrosis'], refine: (sentence) => ({ code: /\b(calcul\w*|stones?|\w*lithiasis)\b/i.test(sentence) ? 'N13.2' : 'N13.30' }) },
+  {
+    terms: ['calculus', 'calculi', 'stone', 'stones', 'nephrolithiasis', 'urolithiasis', 'ureterolithiasis'],
+    context: [...ORGANS.kidney.terms, ...URETER, ...ORGANS.bladder.terms, 'nephrolithiasis', 'urolithiasis', 'ureterolithiasis'],
+    unless: ['gallstone', 'gallbladder', 'gall bladder', 'biliary', 'cbd', 'common duct', 'hydronephrosis'],
+    refine: (sentence) => {
+      const kidney = ORGANS.kidney.terms.some(term => mentions(sentence, term)) || mentions(sentence, 'nephrolithiasis')
+      const ureter = URETER.some(term => mentions(sentence, term)) || mentions(sentence, 'ureterolithiasis')
+      if (kidney && ureter) return { code: 'N20.2' }
+      if (ureter) return { code: 'N20.1' }
+      if (kidney) return { code: 'N20.0' }
+      if (ORGANS.bladder.terms.some(term => mentions(sentence, term))) return { code: 'N21.0' }
+      return { code: 'N20.0', specific: false }
+    }
+  },
+  { terms: ['cyst', 'cysts'], context: ORGANS.kidney.terms, code: 'N28.1' },
+  { terms: ['cyst', 'cysts'], context: ORGANS.liver.terms, code: 'K76.89' },
+  { terms: ['cyst', 'cysts'], context: ORGANS.pancreas.terms, code: 'K86.2' },
+  {
+    terms: ['cyst', 'cysts'],
+    context: ORGANS.ovary.terms,
+    refine: (sentence) => ({ right: { code: 'N83.201' }, left: { code: 'N83.202' } })[sideOf(sentence)] || { code: 'N83.209', specific: false }
+  },
+  { terms: ['fibroid', 'fibroids', 'leiomyoma'], code: 'D25.9' },
+  {
+    terms: ['metastasis', 'metastases', 'metastatic'],
+    refine: (sentence) => {
+      if (ORGANS.liver.terms.some(term => mentions(sentence, term))) return { code: 'C78.7' }
+      if (ORGANS.lung.terms.some(term => mentions(sentence, term))) return { code: 'C78.00' }
+      if (ORGANS.brain.terms.some(term => mentions(sentence, term))) return { code: 'C79.31' }
+      if ([...ORGANS.bones.terms, 'bone', 'skeletal', 'vertebra', 'spine'].some(term => mentions(sentence, term))) return { code: 'C79.51' }
+      if (ORGANS.adrenal.terms.some(term => mentions(sentence, term))) return { code: 'C79.70' }
+      if (ORGANS.lymph_nodes.terms.some(term => mentions(sentence, term))) return { code: 'C77.9' }
+      return { code: 'C79.9', specific: false }
+    }
+  },
+  {
+    terms: ['osteoarthritis', 'degenerative change', 'degenerative changes'],
+    context: ['knee', 'knees', 'tibiofemoral', 'patellofemoral'],
+    refine: (sentence) => ({ right: { code: 'M17.11' }, left: { code: 'M17.12' }, bilateral: { code: 'M17.0' } })[sideOf(sentence)] || { code: 'M17.9', specific: false }
+  },
+  {
+    terms: ['spondylosis', 'degenerative change', 'degenerative changes', 'degenerative disc disease'],
+    context: [...ORGANS.spine.terms, 'cervical', 'thoracic', 'lumbar', 'lumbosacral'],
+    refine: (sentence) => {
+      const level = SPINE_LEVELS.find(([term]) => mentions(sentence, term))
+      return level ? { code: level[1] } : { code: 'M47.819', specific: false }
+    }
+  },
+  { terms: ['disc protrusion', 'disc extrusion', 'disc herniation', 'disc bulge', 'herniated disc'], context: ['lumbar', 'l1', 'l2', 'l3', 'l4', 'l5', 's1'], code: 'M51.26' },
+  { terms: ['disc protrusion', 'disc extrusion', 'disc herniation', 'disc bulge', 'herniated disc'], context: ['cervical', 'c2', 'c3', 'c4', 'c5', 'c6', 'c7'], code: 'M50.20' }
+]
+
+// Sentences with their offset in the text, so evidence points into the impression as stored
+const sentencesWithOffsets = (text) => [...(text || '').matchAll(/[^.?!;\n]+[.?!;]*/g)]
+  .map(match => ({ sentence: match[0].trim(), start: match.index + (match[0].length - match[0].trimStart().length) }))
+  .filter(({ sentence }) => sentence)
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const diagnosisFromRule = (rule, sentence) => {
+  if (rule.context && !rule.context.some(term => mentions(sentence, term))) return null
+  if (rule.unless && rule.unless.some(term => mentions(sentence, term))) return null
+
+  for (const term of rule.terms) {
+    const match = new RegExp(`\\b${escapeRegExp(term)}\\b`, 'i').exec(sentence)
+    if (!match || isNegated(sentence, term)) continue
+    const { code, specific = true } = rule.refine ? rule.refine(sentence) : { code: rule.code }
+    return { code, specific, uncertain: isUncertain(sentence, term), match }
+  }
+  return null
+}
+
+// ICD-10-CM suggestions from the impression, in the order the impression lists them (the
+// first is the primary diagnosis); one per code, keeping the most confident mention
+export const suggestDiagnosisCodes = ({ impression = '' } = {}, table = loadCodeTable()) => {
+  const suggestions = new Map()
+
+  for (const { sentence, start } of sentencesWithOffsets(impression)) {
+    for (const rule of DIAGNOSIS_RULES) {
+      const found = diagnosisFromRule(rule, sentence)
+      if (!found) continue
+
+      const confidence = found.uncertain ? 'low' : found.specific ? 'high' : 'medium'
+      const existing = suggestions.get(found.code)
+      if (existing && CONFIDENCE_LEVELS.indexOf(existing.confidence) <= CONFIDENCE_LEVELS.indexOf(confidence)) continue
+
+      const notes = []
+      if (found.uncertain) notes.push('Uncertain diagnosis; outpatient coding reports the symptoms or indication instead')
+      if (!found.specific) notes.push('Unspecified code; the impression does not give the detail a specific code needs')
+
+      suggestions.set(found.code, {
+        ...validateCode('icd10cm', found.code, table),
+        confidence,
+        evidence: [{
+          source: 'impression',
+          text: found.match[0],
+          start: start + found.match.index,
+          end: start + found.match.index + found.match[0].length,
+          sentence
+        }],
+        notes,
+        order: existing ? existing.order : suggestions.size
+      })
+    }
+  }
+
+  return [...suggestions.values()]
+    .sort((a, b) => a.order - b.order)
+    .map(({ order, ...suggestion }) => suggestion)
+}
+
+// CPT and ICD-10-CM suggestions for a report: { procedure, diagnosis, notes, generated_at }
+export const suggestBillingCodes = ({ scanName = '', procedureCode = null, technique = '', impression = '' } = {}, table = loadCodeTable()) => {
+  const procedure = suggestProcedureCodes({ scanName, procedureCode, technique }, table)
+  const diagnosis = suggestDiagnosisCodes({ impression }, table)
+  const notes = []
+
+  if (procedure.length === 0) notes.push('No CPT code matched the scan name; code the procedure by hand')
+  if (!diagnosis.some(suggestion => suggestion.confidence !== 'low')) {
+    notes.push('No confirmed diagnosis in the impression; code the signs or symptoms from the indication')
+  }
+
+  return { procedure, diagnosis, notes, generated_at: new Date().toISOString() }
+}
+
+// `billing_codes` column for a stored report (scan_name, procedure_code, structured_data)
+export const reportBillingFields = (report) => {
+  const data = report.structured_data || {}
+  return {
+    billing_codes: suggestBillingCodes({
+      scanName: data.scan_name || report.scan_name || '',
+      procedureCode: report.procedure_code || null,
+      technique: data.technique || '',
+      impression: data.impression || report.impression_text || ''
+    })
+  }
+}
+
+// "CPT 71250 - CT thorax, diagnostic, without contrast material" for each valid code the
+// export lists; low-confidence codes (uncertain diagnoses, assumed contrast or views) are
+// left to the billing team
+export const billingCodeLines = (billingCodes) => {
+  if (!billingCodes) return []
+  return [...(billingCodes.procedure || []), ...(billingCodes.diagnosis || [])]
+    .filter(suggestion => suggestion.valid && suggestion.confidence !== 'low')
+    .map(suggestion => `${CODE_SYSTEM_NAMES[suggestion.system]} ${suggestion.code} - ${suggestion.display}`)
+}
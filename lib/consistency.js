@@ -0,0 +1,168 @@
+// Rule-based consistency checks for a generated report:
+//   laterality     - findings and impression give different sides for the same finding
+//   sex            - sex-specific organs that conflict with the patient's sex
+//   anatomy        - organs described outside the body part named in the scan name
+//   measurement    - impression measurements that differ from the findings
+// Each issue carries the rule, a message and the sentences involved.
+
+import {
+  splitSentences,
+  positiveTermsIn,
+  isNegated,
+  measurementsIn,
+  sameMeasurement,
+  lateralityIn
+} from './report-text.js'
+import { ORGANS, organsIn } from './anatomy.js'
+
+const SEX_SPECIFIC_ORGANS = {
+  female: ['uterus', 'uterine', 'endometri', 'ovary', 'ovaries', 'ovarian', 'cervix', 'fallopian', 'vagina'],
+  male: ['prostate', 'seminal vesicle', 'testis', 'testes', 'testicle', 'testicular', 'scrotum', 'scrotal', 'penis', 'penile']
+}
+
+// Scan name keywords and the regions a study of that kind covers. Regions at the edge of the
+// field of view are included (lung bases on abdominal CT, upper abdomen on chest CT).
+const SCAN_REGIONS = [
+  { pattern: /\b(brain|head|skull|cranial|orbit|sinus)/i, regions: ['head'] },
+  { pattern: /\b(neck|thyroid|cervical soft tissue)/i, regions: ['neck', 'head'] },
+  { pattern: /\b(chest|thora|lung|cxr|pulmonary|ctpa|cardiac|heart)/i, regions: ['chest', 'neck', 'abdomen-upper'] },
+  { pattern: /\b(abdomen|abdominal|kub|liver|renal|kidney|hepatobiliary)/i, regions: ['abdomen', 'chest-lower', 'pelvis'] },
+  { pattern: /\b(pelvi)/i, regions: ['pelvis', 'abdomen-lower'] }
+]
+
+// Organs visible at the edge of a neighbouring region's field of view
+const EDGE_OF_FIELD = {
+  'abdomen-upper': ['liver', 'spleen', 'adrenal', 'stomach', 'kidney'],
+  'chest-lower': ['lung', 'pleura', 'heart'],
+  'abdomen-lower': ['appendix', 'kidney']
+}
+
+const normaliseSex = (value) => {
+  const low = String(value || '').trim().toLowerCase()
+  if (['m', 'male', 'man', 'boy'].includes(low)) return 'male'
+  if (['f', 'female', 'woman', 'girl'].includes(low)) return 'female'
+  return null
+}
+
+// Patient sex from an explicit value, falling back to the clinical history ("45 year old female", "62M")
+export const resolvePatientSex = (patientSex, clinicalHistory) => {
+  const explicit = normaliseSex(patientSex)
+  if (explicit) return explicit
+  const history = String(clinicalHistory || '')
+  if (/\b(female|woman|lady|girl|she|her)\b|\b\d{1,3}\s*(?:y(?:ears?)?(?:[\s/-]*o(?:ld)?)?)?\s*F\b/i.test(history)) return 'female'
+  if (/\b(male|man|gentleman|boy|he|his)\b|\b\d{1,3}\s*(?:y(?:ears?)?(?:[\s/-]*o(?:ld)?)?)?\s*M\b/i.test(history)) return 'male'
+  return null
+}
+
+export const resolveScanRegions = (scanName) => {
+  const regions = new Set()
+  for (const { pattern, regions: covered } of SCAN_REGIONS) {
+    if (pattern.test(scanName || '')) covered.forEach(region => regions.add(region))
+  }
+  return regions
+}
+
+// Body parts a scan name is about, without the edge-of-field regions, e.g. ['abdomen', 'pelvis']
+export const scanBodyParts = (scanName) => [...new Set(SCAN_REGIONS
+  .filter(({ pattern }) => pattern.test(scanName || ''))
+  .map(({ regions }) => regions[0]))]
+
+const organVisible = (organ, regions) => {
+  if (!ORGANS[organ].regions) return true
+  if (ORGANS[organ].regions.some(region => regions.has(region))) return true
+  return Object.entries(EDGE_OF_FIELD).some(([edge, organs]) => regions.has(edge) && organs.includes(organ))
+}
+
+// Findings sentences describing the same finding as an impression sentence
+const matchingFindings = (sentence, findingsSentences) => {
+  const terms = positiveTermsIn(sentence)
+  const organs = organsIn(sentence)
+  if (terms.length === 0) return []
+  return findingsSentences.filter(candidate => {
+    const low = candidate.toLowerCase()
+    if (!terms.some(term => low.includes(term))) return false
+    const candidateOrgans = organsIn(candidate)
+    return organs.length === 0 || organs.some(organ => candidateOrgans.includes(organ))
+  })
+}
+
+export const checkConsistency = ({ findings, impression, scanName = null, patientSex = null, clinicalHistory = null }) => {
+  const findingsSentences = splitSentences(findings)
+  const impressionSentences = splitSentences(impression)
+  const issues = []
+
+  // Laterality and measurements: impression against the findings it summarises
+  for (const sentence of impressionSentences) {
+    const matches = matchingFindings(sentence, findingsSentences)
+    if (matches.length === 0) continue
+
+    const sides = lateralityIn(sentence)
+    const findingSides = new Set(matches.flatMap(match => [...lateralityIn(match)]))
+    if (sides.size > 0 && findingSides.size > 0 && ![...sides].some(side => findingSides.has(side))) {
+      issues.push({
+        rule: 'laterality',
+        message: `Impression says ${[...sides].join('/')} but findings say ${[...findingSides].join('/')}`,
+        impression: sentence,
+        findings: matches
+      })
+    }
+
+    const measurements = measurementsIn(sentence)
+    const findingMeasurements = matches.flatMap(match => measurementsIn(match))
+    const mismatched = measurements.filter(m => findingMeasurements.length > 0 && !findingMeasurements.some(f => sameMeasurement(f, m)))
+    if (mismatched.length > 0) {
+      issues.push({
+        rule: 'measurement',
+        message: `Impression measurement ${[...new Set(mismatched.map(m => m.text))].join(', ')} does not match the findings`,
+        impression: sentence,
+        findings: matches
+      })
+    }
+  }
+
+  const allSentences = [
+    ...findingsSentences.map(sentence => ({ section: 'findings', sentence })),
+    ...impressionSentences.map(sentence => ({ section: 'impression', sentence }))
+  ]
+
+  // Sex-specific organs
+  const sex = resolvePatientSex(patientSex, clinicalHistory)
+  if (sex) {
+    const conflicting = SEX_SPECIFIC_ORGANS[sex === 'male' ? 'female' : 'male']
+    for (const { section, sentence } of allSentences) {
+      const low = sentence.toLowerCase()
+      const organs = conflicting.filter(organ => low.includes(organ) && !isNegated(sentence, organ))
+      if (organs.length > 0) {
+        issues.push({
+          rule: 'sex',
+          message: `${organs.join(', ')} described in a ${sex} patient`,
+          section,
+          sentence
+        })
+      }
+    }
+  }
+
+  // Organs outside the scanned body part
+  const regions = resolveScanRegions(scanName)
+  if (regions.size > 0) {
+    for (const { section, sentence } of allSentences) {
+      const outside = organsIn(sentence).filter(organ => !organVisible(organ, regions))
+      if (outside.length > 0) {
+        issues.push({
+          rule: 'anatomy',
+          message: `${outside.join(', ')} is outside the scanned region (${scanName})`,
+          section,
+          sentence
+        })
+      }
+    }
+  }
+
+  return {
+    consistent: issues.length === 0,
+    patient_sex: sex,
+    scan_regions: [...regions],
+    issues
+  }
+}
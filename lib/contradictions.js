@@ -0,0 +1,212 @@
+// Contradiction engine: removes "normal" statements about an organ the findings also
+// describe as abnormal ("The liver is unremarkable." next to "2 cm lesion in the right
+// lobe of the liver."). Organ, abnormal and normal vocabularies come from a rule set that
+// users can extend per user and per template; every removal is reported with its reason.
+//
+// A normal statement is only removed when it covers the abnormal location: "The liver is
+// normal" conflicts with a right lobe lesion, "The left lobe is normal" does not, and
+// neither does "The left kidney is normal" next to a right renal cyst.
+
+import { database } from './database.js'
+import { ORGANS, mentions, organsIn } from './anatomy.js'
+import { isNegated, lateralityIn } from './report-text.js'
+
+export const DEFAULT_CONTRADICTION_RULES = {
+  enabled: true,
+  organs: Object.fromEntries(Object.entries(ORGANS).map(([key, { terms, subregions }]) => [key, { terms, subregions }])),
+  abnormal_terms: [
+    'lesion', 'mass', 'nodule', 'cyst', 'metast', 'enlarg', 'thicken', 'dilat', 'obstruct', 'stone', 'calcul', 'edema',
+    'oedema', 'infarct', 'hemorr', 'haemorr', 'aneurysm', 'effusion', 'opacity', 'consolidation', 'fracture', 'lytic',
+    'sclerotic', 'tear', 'stricture', 'abscess', 'collection', 'hydronephrosis', 'thromb', 'cardiomegaly', 'cardiomegali',
+    'enlarged heart', 'heart enlarg', 'increased heart size', 'cardiac enlarg'
+  ],
+  normal_terms: [
+    'normal', 'unremarkable', 'no focal', 'no significant', 'without abnormal', 'no evidence of', 'within normal limits',
+    'heart size is normal', 'heart size within normal', 'normal heart size', 'normal cardiac size'
+  ]
+}
+
+const LIST_KEYS = ['abnormal_terms', 'normal_terms']
+
+const normaliseTerms = (terms) => [...new Set((terms || []).map(term => String(term).trim().toLowerCase()).filter(Boolean))]
+
+// A list override is either a replacement array or { add: [], remove: [] }
+const applyListOverride = (list, override) => {
+  if (!override) return list
+  if (Array.isArray(override)) return normaliseTerms(override)
+  const removed = new Set(normaliseTerms(override.remove))
+  return normaliseTerms([...list.filter(term => !removed.has(term)), ...(override.add || [])])
+}
+
+// Returns an error message for a malformed rule set, or null
+export const validateContradictionRules = (rules) => {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return 'rules must be an object'
+  if ('enabled' in rules && typeof rules.enabled !== 'boolean') return 'enabled must be a boolean'
+
+  const isList = (value) => Array.isArray(value) && value.every(term => typeof term === 'string')
+  const isListOverride = (value) => isList(value) ||
+    (value && typeof value === 'object' && ['add', 'remove'].every(key => value[key] === undefined || isList(value[key])))
+
+  for (const key of LIST_KEYS) {
+    if (rules[key] !== undefined && !isListOverride(rules[key])) {
+      return `${key} must be an array of strings or { add, remove }`
+    }
+  }
+
+  if (rules.organs !== undefined) {
+    if (!rules.organs || typeof rules.organs !== 'object' || Array.isArray(rules.organs)) return 'organs must be an object'
+    for (const [organ, override] of Object.entries(rules.organs)) {
+      if (override === null) continue
+      if (typeof override !== 'object' || ['terms', 'subregions'].some(key => override[key] !== undefined && !isListOverride(override[key]))) {
+        return `organs.${organ} must be null or { terms, subregions }`
+      }
+    }
+  }
+
+  return null
+}
+
+// Merge rule layers onto the defaults, in order (user-wide rules, then template rules).
+// An organ set to null is switched off; an unknown organ key adds a new organ.
+export const mergeContradictionRules = (...layers) => {
+  const merged = {
+    enabled: DEFAULT_CONTRADICTION_RULES.enabled,
+    organs: { ...DEFAULT_CONTRADICTION_RULES.organs },
+    abnormal_terms: DEFAULT_CONTRADICTION_RULES.abnormal_terms,
+    normal_terms: DEFAULT_CONTRADICTION_RULES.normal_terms
+  }
+
+  for (const layer of layers.filter(Boolean)) {
+    if (typeof layer.enabled === 'boolean') merged.enabled = layer.enabled
+    for (const key of LIST_KEYS) merged[key] = applyListOverride(merged[key], layer[key])
+
+    for (const [organ, override] of Object.entries(layer.organs || {})) {
+      if (override === null) {
+        delete merged.organs[organ]
+        continue
+      }
+      const current = merged.organs[organ] || { terms: [], subregions: [] }
+      merged.organs[organ] = {
+        terms: applyListOverride(current.terms, override.terms),
+        subregions: applyListOverride(current.subregions, override.subregions)
+      }
+    }
+  }
+
+  return merged
+}
+
+// Where in an organ a sentence puts itself: sub-region and side. Sub-regions are matched
+// first so the "right" of "right lobe" is not read as laterality.
+const locate = (sentence, organ, rules) => {
+  const subregion = rules.organs[organ].subregions.find(term => mentions(sentence, term)) || null
+  const rest = subregion ? sentence.toLowerCase().split(subregion).join(' ') : sentence
+  const sides = [...lateralityIn(rest)]
+  return { subregion, side: sides.length === 1 ? sides[0] : null }
+}
+
+// A normal statement covers an abnormal location unless it names a different side or sub-region
+const covers = (normal, abnormal) => {
+  if (normal.side && normal.side !== 'bilateral' && normal.side !== abnormal.side) return false
+  if (normal.subregion && normal.subregion !== abnormal.subregion) return false
+  return true
+}
+
+export const createContradictionEngine = (layers = []) => {
+  const rules = mergeContradictionRules(...layers)
+
+  const positiveAbnormalTerms = (sentence) => rules.abnormal_terms
+    .filter(term => sentence.toLowerCase().includes(term) && !isNegated(sentence, term))
+
+  return {
+    rules,
+
+    // clean(findingsText) -> { text, removed, flagged }
+    //   removed: normal statements taken out, each with the organ and the abnormal sentence it contradicted
+    //   flagged: normal statements that conflict for one organ but also cover others, kept for review
+    clean(findingsText) {
+      if (!findingsText || !rules.enabled) return { text: findingsText, removed: [], flagged: [] }
+
+      try {
+        const text = findingsText.replace(/\s+\n/g, '\n').replace(/\n\s+/g, '\n')
+
+        // Split into sentences conservatively
+        const sentences = text
+          .replace(/\n+/g, ' ') // merge lines
+          .split(/(?<=[.?!])\s+/)
+
+        // Abnormal locations per organ
+        const abnormal = []
+        for (const sentence of sentences) {
+          if (positiveAbnormalTerms(sentence).length === 0) continue
+          for (const organ of organsIn(sentence, rules.organs)) {
+            abnormal.push({ organ, sentence, ...locate(sentence, organ, rules) })
+          }
+        }
+
+        const removed = []
+        const flagged = []
+        const kept = sentences.filter(sentence => {
+          if (positiveAbnormalTerms(sentence).length > 0) return true
+          if (!rules.normal_terms.some(term => mentions(sentence, term))) return true
+
+          const organs = organsIn(sentence, rules.organs)
+          const conflicts = organs
+            .map(organ => {
+              const location = locate(sentence, organ, rules)
+              const match = abnormal.find(a => a.organ === organ && covers(location, a))
+              return match && { organ, conflicts_with: match.sentence }
+            })
+            .filter(Boolean)
+
+          if (conflicts.length === 0) return true
+
+          if (conflicts.length < organs.length) {
+            flagged.push({
+              sentence,
+              organs: conflicts.map(c => c.organ),
+              reason: 'normal_statement_also_covers_other_organs',
+              conflicts_with: [...new Set(conflicts.map(c => c.conflicts_with))]
+            })
+            return true
+          }
+
+          removed.push({
+            sentence,
+            organs: conflicts.map(c => c.organ),
+            reason: 'contradicts_abnormal_finding',
+            conflicts_with: [...new Set(conflicts.map(c => c.conflicts_with))]
+          })
+          return false
+        })
+
+        return { text: kept.join(' '), removed, flagged }
+      } catch (_) {
+        return { text: findingsText, removed: [], flagged: [] }
+      }
+    }
+  }
+}
+
+// Rule layers that apply to a user's report: user-wide rules first, then the template's.
+// Never throws - generation falls back to the default rules.
+export const loadContradictionRules = async (userId, templateId = null) => {
+  try {
+    const { data, error } = await database
+      .from('contradiction_rules')
+      .select('template_id, rules')
+      .eq('user_id', userId)
+
+    if (error) {
+      console.error('Error loading contradiction rules:', error)
+      return []
+    }
+
+    const userRules = (data || []).find(row => !row.template_id)
+    const templateRules = templateId ? (data || []).find(row => row.template_id === templateId) : null
+    return [userRules?.rules, templateRules?.rules].filter(Boolean)
+  } catch (error) {
+    console.error('Error loading contradiction rules:', error)
+    return []
+  }
+}
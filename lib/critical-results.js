@@ -0,0 +1,258 @@
+import { database } from './database.js'
+import { mentions } from './anatomy.js'
+import { isNegated, splitSentences } from './report-text.js'
+import { sendNotification } from './notify.js'
+
+// Critical results: findings that have to reach the referring team directly. Every
+// generated (and every signed) report is scanned for them; each one found opens a
+// critical result that stays pending until a communication is logged with the outcome
+// `acknowledged` (or it is dismissed as a false detection). A pending result not
+// acknowledged within its severity's window is escalated, and again each window after.
+//
+// Severity follows the ACR actionable findings categories:
+//   critical     - communicate within minutes (life-threatening)
+//   urgent       - communicate within hours
+//   significant  - communicate within days
+
+export const SEVERITIES = ['critical', 'urgent', 'significant']
+
+export const COMMUNICATION_CHANNELS = ['phone', 'in_person', 'page', 'secure_message', 'ehr', 'email']
+
+// Outcome of one attempt to reach the care team; only `acknowledged` closes the loop
+export const COMMUNICATION_OUTCOMES = ['acknowledged', 'no_answer', 'message_left']
+
+export const CRITICAL_RESULT_STATUSES = ['pending', 'acknowledged', 'dismissed']
+
+// `upgrade` raises the severity when one of its terms is in the same sentence
+export const CRITICAL_FINDINGS = [
+  { id: 'pneumothorax', name: 'Pneumothorax', severity: 'urgent', terms: ['pneumothorax', 'pneumothoraces'], upgrade: { severity: 'critical', terms: ['tension', 'mediastinal shift', 'large'] } },
+  { id: 'pulmonary_embolism', name: 'Pulmonary embolism', severity: 'critical', terms: ['pulmonary embol', 'pulmonary arterial filling defect', 'saddle embol'] },
+  { id: 'aortic_dissection', name: 'Aortic dissection', severity: 'critical', terms: ['aortic dissection', 'dissection flap', 'intimal flap', 'intramural haematoma', 'intramural hematoma'] },
+  { id: 'aortic_rupture', name: 'Ruptured or leaking aneurysm', severity: 'critical', terms: ['ruptured aneurysm', 'aneurysm rupture', 'leaking aneurysm', 'ruptured aortic', 'aortic rupture'] },
+  { id: 'intracranial_haemorrhage', name: 'Intracranial haemorrhage', severity: 'critical', terms: ['intracranial haemorrhage', 'intracranial hemorrhage', 'intracerebral haemorrhage', 'intracerebral hemorrhage', 'subarachnoid haemorrhage', 'subarachnoid hemorrhage', 'subdural haematoma', 'subdural hematoma', 'extradural haematoma', 'extradural hematoma', 'epidural haematoma', 'epidural hematoma', 'intraventricular haemorrhage', 'intraventricular hemorrhage'] },
+  { id: 'brain_herniation', name: 'Brain herniation or mass effect', severity: 'critical', terms: ['midline shift', 'subfalcine herniation', 'uncal herniation', 'tonsillar herniation', 'transtentorial herniation', 'effacement of the basal cisterns'] },
+  { id: 'acute_stroke', name: 'Acute infarct or large vessel occlusion', severity: 'critical', terms: ['acute infarct', 'acute ischaemic', 'acute ischemic', 'large vessel occlusion', 'hyperdense mca', 'dense mca sign'] },
+  { id: 'free_air', name: 'Free intraperitoneal air', severity: 'critical', terms: ['free air', 'free gas', 'pneumoperitoneum', 'free intraperitoneal'] },
+  { id: 'bowel_ischaemia', name: 'Bowel ischaemia', severity: 'critical', terms: ['mesenteric ischaemia', 'mesenteric ischemia', 'bowel ischaemia', 'bowel ischemia', 'pneumatosis', 'portal venous gas'] },
+  { id: 'bowel_obstruction', name: 'Bowel obstruction', severity: 'urgent', terms: ['bowel obstruction', 'closed loop', 'volvulus'], upgrade: { severity: 'critical', terms: ['closed loop', 'strangulat', 'volvulus'] } },
+  { id: 'torsion', name: 'Testicular or ovarian torsion', severity: 'critical', terms: ['testicular torsion', 'ovarian torsion', 'adnexal torsion', 'torsion'] },
+  { id: 'ectopic_pregnancy', name: 'Ectopic pregnancy', severity: 'critical', terms: ['ectopic pregnancy', 'ruptured ectopic'] },
+  { id: 'cord_compression', name: 'Spinal cord compression', severity: 'critical', terms: ['cord compression', 'compression of the spinal cord', 'cauda equina compression'] },
+  { id: 'line_malposition', name: 'Malpositioned tube or line', severity: 'critical', terms: ['tube in the oesophagus', 'tube in the esophagus', 'malpositioned', 'misplaced', 'endobronchial intubation', 'right main bronchus intubation'] },
+  { id: 'unstable_fracture', name: 'Unstable spinal fracture', severity: 'urgent', terms: ['unstable fracture', 'burst fracture', 'fracture dislocation', 'fracture-dislocation'] },
+  { id: 'deep_vein_thrombosis', name: 'Deep vein thrombosis', severity: 'urgent', terms: ['deep vein thrombosis', 'deep venous thrombosis', 'dvt', 'occlusive thrombus'] },
+  { id: 'appendicitis', name: 'Acute appendicitis', severity: 'urgent', terms: ['appendicitis'], upgrade: { severity: 'critical', terms: ['perforat'] } },
+  { id: 'abscess', name: 'Abscess', severity: 'urgent', terms: ['abscess'] },
+  { id: 'suspected_malignancy', name: 'Suspected new malignancy', severity: 'significant', terms: ['suspicious for malignancy', 'concerning for malignancy', 'suspicious for neoplasm', 'suspicious for metasta', 'likely malignan', 'probable malignan', 'new metasta'] }
+]
+
+const parseNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10)
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed
+}
+
+//   CRITICAL_ACK_MINUTES_CRITICAL / _URGENT / _SIGNIFICANT   acknowledgement window per severity
+//   CRITICAL_CHECK_INTERVAL_MINUTES                          how often the escalation job runs (0 turns it off)
+export const loadCriticalConfig = (env = process.env) => ({
+  ackMinutes: {
+    critical: parseNumber(env.CRITICAL_ACK_MINUTES_CRITICAL, 60),
+    urgent: parseNumber(env.CRITICAL_ACK_MINUTES_URGENT, 360),
+    significant: parseNumber(env.CRITICAL_ACK_MINUTES_SIGNIFICANT, 4320)
+  },
+  checkIntervalMinutes: parseNumber(env.CRITICAL_CHECK_INTERVAL_MINUTES, 5)
+})
+
+const higher = (a, b) => SEVERITIES.indexOf(a) <= SEVERITIES.indexOf(b) ? a : b
+
+// Term mentioned in a sentence and not negated ("No pneumothorax", "without free air")
+const positiveMention = (sentence, term) => mentions(sentence, term) && !isNegated(sentence, term)
+
+// Critical findings in a report's findings and impression, one per kind with the most
+// severe mention: [{ id, name, severity, section, sentence }]
+export const detectCriticalFindings = ({ findings = '', impression = '' } = {}) => {
+  const detected = new Map()
+
+  for (const [section, text] of [['impression', impression], ['findings', findings]]) {
+    for (const sentence of splitSentences(text)) {
+      for (const finding of CRITICAL_FINDINGS) {
+        if (!finding.terms.some(term => positiveMention(sentence, term))) continue
+        const severity = finding.upgrade && finding.upgrade.terms.some(term => mentions(sentence, term))
+          ? finding.upgrade.severity
+          : finding.severity
+        const existing = detected.get(finding.id)
+        if (!existing || higher(severity, existing.severity) !== existing.severity) {
+          detected.set(finding.id, { id: finding.id, name: finding.name, severity, section, sentence })
+        }
+      }
+    }
+  }
+
+  return [...detected.values()].sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity))
+}
+
+const ackDueAt = (severity, from = new Date(), config = loadCriticalConfig()) =>
+  new Date(new Date(from).getTime() + config.ackMinutes[severity] * 60 * 1000).toISOString()
+
+// Open a pending critical result for each detected finding of a report that has none
+// yet (so a re-scan at sign-off only adds what editing introduced). Returns the
+// report's critical results; never throws.
+export const openCriticalResults = async (user, report, detected) => {
+  try {
+    const { data: existing, error } = await database
+      .from('critical_results')
+      .select('*')
+      .eq('report_id', report.id)
+
+    if (error) throw error
+
+    const known = new Set((existing || []).map(result => result.finding_id))
+    const now = new Date().toISOString()
+    const added = detected.filter(finding => !known.has(finding.id))
+    if (added.length === 0) return existing || []
+
+    const { data: inserted, error: insertError } = await database
+      .from('critical_results')
+      .insert(added.map(finding => ({
+        user_id: user.id,
+        radiologist_email: user.email || null,
+        report_id: report.id,
+        patient_id: report.patient_id || null,
+        finding_id: finding.id,
+        name: finding.name,
+        severity: finding.severity,
+        sentence: finding.sentence,
+        status: 'pending',
+        detected_at: now,
+        ack_due_at: ackDueAt(finding.severity, now),
+        escalation_level: 0
+      })))
+      .select()
+
+    if (insertError) throw insertError
+    console.log(`Critical results: ${added.map(finding => `${finding.name} (${finding.severity})`).join(', ')} on report ${report.id}`)
+    return [...(existing || []), ...(inserted || [])]
+  } catch (error) {
+    console.error('Error opening critical results:', error)
+    return []
+  }
+}
+
+// Dismiss the pending critical results of a report that is being deleted, so they stop
+// escalating. Returns the dismissed rows.
+export const dismissReportCriticalResults = async (reportId, reason = 'Report deleted') => {
+  const { data, error } = await database
+    .from('critical_results')
+    .update({
+      status: 'dismissed',
+      dismissed_at: new Date().toISOString(),
+      dismissed_reason: reason,
+      updated_at: new Date().toISOString()
+    })
+    .eq('report_id', reportId)
+    .eq('status', 'pending')
+    .select()
+
+  if (error) throw error
+  return data || []
+}
+
+// Error message for a communication log entry, or null
+export const validateCommunication = ({ notified_name, channel, outcome, communicated_at } = {}) => {
+  if (typeof notified_name !== 'string' || !notified_name.trim()) return 'notified_name is required'
+  if (!COMMUNICATION_CHANNELS.includes(channel)) return `channel must be one of: ${COMMUNICATION_CHANNELS.join(', ')}`
+  if (!COMMUNICATION_OUTCOMES.includes(outcome)) return `outcome must be one of: ${COMMUNICATION_OUTCOMES.join(', ')}`
+  if (communicated_at !== undefined && communicated_at !== null && Number.isNaN(new Date(communicated_at).getTime())) {
+    return 'communicated_at must be a date'
+  }
+  return null
+}
+
+export const fetchCommunications = async (resultId) => {
+  const { data, error } = await database
+    .from('critical_result_communications')
+    .select('*')
+    .eq('critical_result_id', resultId)
+    .order('communicated_at', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+// Escalate pending critical results past their acknowledgement window: the first
+// escalation goes to the reporting radiologist, later ones also to the contacts in
+// CRITICAL_ESCALATION_CONTACTS. Each delivered escalation restarts the window.
+export const escalateCriticalResults = async (now = new Date(), config = loadCriticalConfig()) => {
+  const { data: overdue, error } = await database
+    .from('critical_results')
+    .select('*')
+    .eq('status', 'pending')
+    .lt('ack_due_at', now.toISOString())
+    .order('ack_due_at', { ascending: true })
+
+  if (error) throw error
+
+  const contacts = (process.env.CRITICAL_ESCALATION_CONTACTS || '').split(',').map(v => v.trim()).filter(Boolean)
+  let escalated = 0
+
+  for (const result of overdue || []) {
+    const level = (result.escalation_level || 0) + 1
+
+    // Claim the escalation before notifying: a result acknowledged (or escalated by
+    // another run) since the select no longer matches and is skipped
+    const { data: claimed, error: updateError } = await database
+      .from('critical_results')
+      .update({
+        escalation_level: level,
+        escalated_at: now.toISOString(),
+        ack_due_at: ackDueAt(result.severity, now, config),
+        updated_at: now.toISOString()
+      })
+      .eq('id', result.id)
+      .eq('status', 'pending')
+      .eq('ack_due_at', result.ack_due_at)
+      .select()
+    if (updateError) {
+      console.error('Error escalating critical result:', updateError)
+      continue
+    }
+    if (!claimed || claimed.length === 0) continue
+
+    const delivery = await sendNotification('critical_result.unacknowledged', {
+      escalation_level: level,
+      radiologist: { id: result.user_id, email: result.radiologist_email },
+      escalate_to: level > 1 ? contacts : [],
+      critical_result: {
+        id: result.id,
+        report_id: result.report_id,
+        patient_id: result.patient_id,
+        name: result.name,
+        severity: result.severity,
+        sentence: result.sentence,
+        detected_at: result.detected_at,
+        ack_due_at: result.ack_due_at
+      }
+    })
+
+    // Undelivered escalations are put back so the next run retries them
+    if (!delivery.delivered) {
+      console.warn(`Critical result ${result.id} escalation not delivered:`, delivery.error)
+      const { error: revertError } = await database
+        .from('critical_results')
+        .update({
+          escalation_level: result.escalation_level,
+          escalated_at: result.escalated_at,
+          ack_due_at: result.ack_due_at,
+          updated_at: now.toISOString()
+        })
+        .eq('id', result.id)
+        .eq('status', 'pending')
+        .eq('ack_due_at', claimed[0].ack_due_at)
+      if (revertError) console.error('Error reverting critical result escalation:', revertError)
+      continue
+    }
+
+    escalated += 1
+  }
+
+  return { escalated }
+}
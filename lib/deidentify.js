@@ -0,0 +1,167 @@
+// PHI de-identification for text sent to the AI service.
+//
+// A deidentifier is created per request. redact() swaps names, MRNs, dates of birth,
+// accession numbers, phone numbers and addresses for placeholders such as [NAME_1]; the
+// same value always gets the same placeholder, so the model can still refer to it.
+// reidentify() puts the original values back into whatever the model returned.
+
+const DATE = String.raw`(?:\d{1,2}[\/.-]\d{1,2}[\/.-]\d{2,4}|\d{4}-\d{2}-\d{2}|\d{1,2}\s+(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\.?,?\s+\d{4}|(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\.?\s+\d{1,2},?\s+\d{4})`
+const TITLE = String.raw`(?:(?:Dr|Mr|Mrs|Ms|Prof)\.?\s+)?`
+const PERSON = String.raw`([A-Z][A-Za-z'’-]+(?:[ \t]+[A-Z]\.)?(?:[ \t]+[A-Z][A-Za-z'’-]+){0,3})`
+const STREET = String.raw`(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Close|Crescent)`
+
+// Each rule replaces capture group 1 of its pattern. Order matters: labelled identifiers
+// go first so their digits are not picked up by the looser phone pattern.
+const RULES = [
+  {
+    category: 'MRN',
+    pattern: /\b(?:MRN|UHID|[Mm]edical\s+[Rr]ecord(?:\s+(?:[Nn]umber|[Nn]o\.?))?|[Pp]atient\s+ID|[Hh]ospital\s+(?:[Nn]o\.?|[Nn]umber))\s*[:#]?\s*([A-Za-z]*\d[A-Za-z0-9-]{2,})/g
+  },
+  {
+    category: 'ACCESSION',
+    pattern: /\b(?:[Aa]ccession(?:\s+(?:[Nn]umber|[Nn]o\.?))?|ACC(?:\s*[Nn]o\.?)?)\s*[:#]?\s*([A-Za-z]*\d[A-Za-z0-9-]{2,})/g
+  },
+  {
+    category: 'DOB',
+    pattern: new RegExp(String.raw`\b(?:DOB|D\.O\.B\.?|[Dd]ate\s+of\s+[Bb]irth|[Bb]orn(?:\s+on)?)\s*[:]?\s*(${DATE})`, 'g')
+  },
+  {
+    category: 'NAME',
+    // A name only follows a label with a colon ("Patient: ...") or an honorific, so
+    // clinical text after "patient" or "referred by" is left alone
+    pattern: new RegExp(String.raw`(?:\b(?:[Pp]atient(?:[ \t]+[Nn]ame)?|[Nn]ame|[Pp]t\.?|[Rr]eferring[ \t]+(?:[Pp]hysician|[Dd]octor|[Cc]linician)|[Rr]eferred[ \t]+by)[ \t]*:[ \t]*${TITLE}|\b(?:[Rr]eferred[ \t]+by[ \t]+)?(?:Mr|Mrs|Ms|Miss|Dr|Prof)\.?[ \t]+)${PERSON}`, 'g')
+  },
+  {
+    category: 'ADDRESS',
+    pattern: /\b[Aa]ddress\s*:\s*([^\n]+)/g
+  },
+  {
+    category: 'ADDRESS',
+    pattern: new RegExp(String.raw`\b(\d{1,5}\s+(?:[A-Z][A-Za-z]+\s+){1,4}${STREET}\b\.?(?:,?\s+[A-Z][A-Za-z]+)*(?:,?\s+[A-Z]{2})?(?:\s+\d{5}(?:-\d{4})?)?)`, 'g')
+  },
+  {
+    category: 'PHONE',
+    pattern: /((?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{3,4})[\s.-]\d{3}[\s.-]?\d{3,4})\b/g
+  }
+]
+
+// Words that follow a name label but are clinical text, not a person
+const NOT_NAMES = new Set([
+  'Presents', 'Presented', 'Has', 'Had', 'Is', 'Was', 'With', 'Complains', 'Known', 'History', 'Reports',
+  'Underwent', 'Referred', 'Denies', 'Status', 'Post', 'Admitted', 'Scheduled',
+  'Left', 'Right', 'Bilateral', 'CT', 'MR', 'MRI', 'US', 'PET', 'XR', 'Chest', 'Abdomen', 'Pelvis', 'Head'
+])
+
+const PLACEHOLDER = /\[(NAME|MRN|DOB|ACCESSION|PHONE|ADDRESS)_(\d+)\]/g
+const PARTIAL_PLACEHOLDER = /\[[A-Z]*_?\d*$/
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+export const createDeidentifier = () => {
+  const placeholders = new Map() // original value -> placeholder
+  const originals = new Map() // placeholder -> original value
+  const counters = {}
+
+  const placeholderFor = (category, value) => {
+    const key = `${category}:${value}`
+    if (!placeholders.has(key)) {
+      counters[category] = (counters[category] || 0) + 1
+      const placeholder = `[${category}_${counters[category]}]`
+      placeholders.set(key, placeholder)
+      originals.set(placeholder, value)
+    }
+    return placeholders.get(key)
+  }
+
+  // Replace labelled identifiers, remembering each value found
+  const redactLabelled = (text) => {
+    if (!text || typeof text !== 'string') return text
+    let output = text
+
+    for (const { category, pattern } of RULES) {
+      output = output.replace(pattern, (match, value) => {
+        let candidate = value.trim()
+        if (candidate.includes('[')) return match
+        if (category === 'NAME') {
+          // Drop trailing clinical words the capitalised-word pattern swallowed
+          const words = candidate.split(/\s+/)
+          while (words.length && NOT_NAMES.has(words[words.length - 1])) words.pop()
+          if (!words.length || NOT_NAMES.has(words[0])) return match
+          candidate = words.join(' ')
+        }
+        return match.replace(candidate, placeholderFor(category, candidate))
+      })
+    }
+
+    return output
+  }
+
+  // Names and identifiers found once are also replaced where they appear unlabelled
+  const redactKnown = (text) => {
+    if (!text || typeof text !== 'string') return text
+    let output = text
+
+    for (const [key, placeholder] of placeholders) {
+      const value = key.slice(key.indexOf(':') + 1)
+      if (value.length < 3) continue
+      output = output.replace(new RegExp(`\\b${escapeRegExp(value)}\\b`, 'g'), placeholder)
+    }
+
+    return output
+  }
+
+  const redact = (text) => redactKnown(redactLabelled(text))
+
+  const reidentify = (value) => {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER, (placeholder) => originals.get(placeholder) ?? placeholder)
+    }
+    if (Array.isArray(value)) return value.map(reidentify)
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, reidentify(v)]))
+    }
+    return value
+  }
+
+  return {
+    redact,
+    reidentify,
+
+    // Re-identify streamed text, holding back a placeholder that has only partly arrived
+    reidentifyPartial(text) {
+      return reidentify((text || '').replace(PARTIAL_PLACEHOLDER, ''))
+    },
+
+    // Redacted copy of the listed string fields of an object. Labels are read from every
+    // field before unlabelled values are replaced, so a name given in one field is also
+    // caught in the others.
+    redactFields(object, fields) {
+      const copy = { ...object }
+      for (const field of fields) copy[field] = redactLabelled(copy[field])
+      for (const field of fields) copy[field] = redactKnown(copy[field])
+      return copy
+    },
+
+    // Counts per category, for logging - never the values themselves
+    summary() {
+      return { ...counters }
+    },
+
+    // Instruction appended to prompts when placeholders are present
+    instructions() {
+      return originals.size > 0
+        ? 'Identifiers have been replaced with placeholders such as [NAME_1]. Keep every placeholder exactly as written.'
+        : ''
+    }
+  }
+}
+
+// Log which categories were redacted for a request (counts only)
+export const logRedactions = (context, deidentifier) => {
+  const summary = deidentifier.summary()
+  if (Object.keys(summary).length > 0) {
+    console.log(`[PHI] ${context}: redacted`, summary)
+  } else {
+    console.log(`[PHI] ${context}: no identifiers detected`)
+  }
+}
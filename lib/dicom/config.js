@@ -0,0 +1,21 @@
+// DICOMweb (QIDO-RS) configuration, resolved from the environment.
+//
+//   DICOMWEB_QIDO_URL       QIDO-RS base URL, e.g. http://localhost:8042/dicom-web (lookup off when unset)
+//   DICOMWEB_AUTH_TOKEN     bearer token, or
+//   DICOMWEB_USERNAME, DICOMWEB_PASSWORD   HTTP basic credentials
+//   DICOMWEB_TIMEOUT_MS     per-request timeout
+//   DICOMWEB_PRIOR_LIMIT    how many prior studies to offer for comparison
+
+const parseNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10)
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed
+}
+
+export const loadDicomwebConfig = (env = process.env) => ({
+  qidoUrl: env.DICOMWEB_QIDO_URL ? env.DICOMWEB_QIDO_URL.replace(/\/+$/, '') : null,
+  authToken: env.DICOMWEB_AUTH_TOKEN || null,
+  username: env.DICOMWEB_USERNAME || null,
+  password: env.DICOMWEB_PASSWORD || null,
+  timeoutMs: parseNumber(env.DICOMWEB_TIMEOUT_MS, 10000),
+  priorLimit: parseNumber(env.DICOMWEB_PRIOR_LIMIT, 5)
+})
@@ -0,0 +1,107 @@
+import { loadDicomwebConfig } from './config.js'
+
+// QIDO-RS client: study, series and instance searches returning DICOM JSON
+// (PS3.18 F.2) converted to plain objects keyed by attribute keyword.
+
+// Attributes read from QIDO responses: tag -> keyword
+const QIDO_ATTRIBUTES = {
+  '00080020': 'StudyDate',
+  '00080030': 'StudyTime',
+  '00080050': 'AccessionNumber',
+  '00080060': 'Modality',
+  '00080061': 'ModalitiesInStudy',
+  '00081030': 'StudyDescription',
+  '0008103E': 'SeriesDescription',
+  '00100010': 'PatientName',
+  '00100020': 'PatientID',
+  '00180010': 'ContrastBolusAgent',
+  '00180015': 'BodyPartExamined',
+  '00180050': 'SliceThickness',
+  '0020000D': 'StudyInstanceUID',
+  '0020000E': 'SeriesInstanceUID',
+  '00200011': 'SeriesNumber',
+  '00201208': 'NumberOfStudyRelatedInstances',
+  '00201209': 'NumberOfSeriesRelatedInstances'
+}
+
+// Extra attributes asked for with includefield (not in the QIDO default return set)
+const SERIES_INCLUDE_FIELDS = ['00180010', '00180015', '00180050', '0008103E']
+const INSTANCE_INCLUDE_FIELDS = ['00180010', '00180015', '00180050']
+
+// Errors from the PACS carry code DICOMWEB_ERROR (and the HTTP status when there was one)
+const dicomwebError = (message, status = null) => {
+  const error = new Error(message)
+  error.code = 'DICOMWEB_ERROR'
+  error.status = status
+  return error
+}
+
+const attributeValue = ({ vr, Value } = {}) => {
+  if (!Value || Value.length === 0) return null
+  const values = vr === 'PN' ? Value.map(v => v?.Alphabetic || null) : Value
+  return values.length === 1 ? values[0] : values
+}
+
+// DICOM JSON dataset -> { StudyDate: '20240501', ... } for the attributes we know
+export const fromDicomJson = (dataset) => {
+  const result = {}
+  for (const [tag, keyword] of Object.entries(QIDO_ATTRIBUTES)) {
+    const value = attributeValue(dataset[tag] || dataset[tag.toLowerCase()])
+    if (value !== null) result[keyword] = value
+  }
+  return result
+}
+
+export const createDicomwebClient = (config = loadDicomwebConfig()) => {
+  const headers = { Accept: 'application/dicom+json' }
+  if (config.authToken) {
+    headers.Authorization = `Bearer ${config.authToken}`
+  } else if (config.username) {
+    headers.Authorization = `Basic ${Buffer.from(`${config.username}:${config.password || ''}`).toString('base64')}`
+  }
+
+  const search = async (path, params = {}) => {
+    if (!config.qidoUrl) throw dicomwebError('DICOMweb is not configured (DICOMWEB_QIDO_URL)')
+
+    const query = new URLSearchParams()
+    for (const [key, value] of Object.entries(params)) {
+      if (value === null || value === undefined || value === '') continue
+      for (const item of [].concat(value)) query.append(key, item)
+    }
+
+    let response
+    try {
+      response = await fetch(`${config.qidoUrl}${path}${query.toString() ? `?${query}` : ''}`, {
+        headers,
+        signal: AbortSignal.timeout(config.timeoutMs)
+      })
+    } catch (error) {
+      throw dicomwebError(`DICOMweb request failed: ${error.message}`)
+    }
+
+    // 204 No Content is QIDO's empty result
+    if (response.status === 204) return []
+    if (!response.ok) {
+      throw dicomwebError(`DICOMweb ${path} returned ${response.status}`, response.status)
+    }
+
+    const body = await response.json()
+    return Array.isArray(body) ? body.map(fromDicomJson) : []
+  }
+
+  return {
+    configured: Boolean(config.qidoUrl),
+    priorLimit: config.priorLimit,
+
+    searchStudies: (params) => search('/studies', params),
+
+    searchSeries: (studyInstanceUid, params = {}) =>
+      search(`/studies/${encodeURIComponent(studyInstanceUid)}/series`, { includefield: SERIES_INCLUDE_FIELDS, ...params }),
+
+    searchInstances: (studyInstanceUid, seriesInstanceUid, params = {}) =>
+      search(`/studies/${encodeURIComponent(studyInstanceUid)}/series/${encodeURIComponent(seriesInstanceUid)}/instances`, {
+        includefield: INSTANCE_INCLUDE_FIELDS,
+        ...params
+      })
+  }
+}
@@ -0,0 +1,78 @@
+// The DICOM attributes this service reads and writes, by keyword: [group, element, VR].
+// Only what the SR encoder needs - not a general data dictionary.
+export const TAGS = {
+  FileMetaInformationGroupLength: [0x0002, 0x0000, 'UL'],
+  FileMetaInformationVersion: [0x0002, 0x0001, 'OB'],
+  MediaStorageSOPClassUID: [0x0002, 0x0002, 'UI'],
+  MediaStorageSOPInstanceUID: [0x0002, 0x0003, 'UI'],
+  TransferSyntaxUID: [0x0002, 0x0010, 'UI'],
+  ImplementationClassUID: [0x0002, 0x0012, 'UI'],
+  ImplementationVersionName: [0x0002, 0x0013, 'SH'],
+
+  SpecificCharacterSet: [0x0008, 0x0005, 'CS'],
+  SOPClassUID: [0x0008, 0x0016, 'UI'],
+  SOPInstanceUID: [0x0008, 0x0018, 'UI'],
+  StudyDate: [0x0008, 0x0020, 'DA'],
+  ContentDate: [0x0008, 0x0023, 'DA'],
+  StudyTime: [0x0008, 0x0030, 'TM'],
+  ContentTime: [0x0008, 0x0033, 'TM'],
+  AccessionNumber: [0x0008, 0x0050, 'SH'],
+  Modality: [0x0008, 0x0060, 'CS'],
+  Manufacturer: [0x0008, 0x0070, 'LO'],
+  ReferringPhysicianName: [0x0008, 0x0090, 'PN'],
+  CodeValue: [0x0008, 0x0100, 'SH'],
+  CodingSchemeDesignator: [0x0008, 0x0102, 'SH'],
+  CodeMeaning: [0x0008, 0x0104, 'LO'],
+  MappingResource: [0x0008, 0x0105, 'CS'],
+  StudyDescription: [0x0008, 0x1030, 'LO'],
+  SeriesDescription: [0x0008, 0x103e, 'LO'],
+  ReferencedPerformedProcedureStepSequence: [0x0008, 0x1111, 'SQ'],
+
+  PatientName: [0x0010, 0x0010, 'PN'],
+  PatientID: [0x0010, 0x0020, 'LO'],
+  PatientBirthDate: [0x0010, 0x0030, 'DA'],
+  PatientSex: [0x0010, 0x0040, 'CS'],
+
+  StudyInstanceUID: [0x0020, 0x000d, 'UI'],
+  SeriesInstanceUID: [0x0020, 0x000e, 'UI'],
+  StudyID: [0x0020, 0x0010, 'SH'],
+  SeriesNumber: [0x0020, 0x0011, 'IS'],
+  InstanceNumber: [0x0020, 0x0013, 'IS'],
+
+  RelationshipType: [0x0040, 0xa010, 'CS'],
+  VerifyingOrganization: [0x0040, 0xa027, 'LO'],
+  VerificationDateTime: [0x0040, 0xa030, 'DT'],
+  ValueType: [0x0040, 0xa040, 'CS'],
+  ConceptNameCodeSequence: [0x0040, 0xa043, 'SQ'],
+  ContinuityOfContent: [0x0040, 0xa050, 'CS'],
+  VerifyingObserverSequence: [0x0040, 0xa073, 'SQ'],
+  VerifyingObserverName: [0x0040, 0xa075, 'PN'],
+  VerifyingObserverIdentificationCodeSequence: [0x0040, 0xa088, 'SQ'],
+  PersonName: [0x0040, 0xa123, 'PN'],
+  TextValue: [0x0040, 0xa160, 'UT'],
+  ConceptCodeSequence: [0x0040, 0xa168, 'SQ'],
+  PerformedProcedureCodeSequence: [0x0040, 0xa372, 'SQ'],
+  CompletionFlag: [0x0040, 0xa491, 'CS'],
+  VerificationFlag: [0x0040, 0xa493, 'CS'],
+  PreliminaryFlag: [0x0040, 0xa496, 'CS'],
+  ContentTemplateSequence: [0x0040, 0xa504, 'SQ'],
+  ContentSequence: [0x0040, 0xa730, 'SQ'],
+  TemplateIdentifier: [0x0040, 0xdb00, 'CS']
+}
+
+export const tagKey = (group, element) =>
+  `${group.toString(16).padStart(4, '0')}${element.toString(16).padStart(4, '0')}`.toUpperCase()
+
+// Keyword for a tag key such as "0040A730", for the parser
+export const KEYWORDS = Object.fromEntries(
+  Object.entries(TAGS).map(([keyword, [group, element]]) => [tagKey(group, element), keyword])
+)
+
+export const EXPLICIT_VR_LITTLE_ENDIAN = '1.2.840.10008.1.2.1'
+export const BASIC_TEXT_SR = '1.2.840.10008.5.1.4.1.1.88.11'
+
+// VRs with a 4-byte length (and two reserved bytes) in explicit VR encoding
+export const LONG_VRS = new Set(['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'UC', 'UN', 'UR', 'UT'])
+
+// Maximum value length in characters, for VRs that have one
+export const MAX_LENGTHS = { AE: 16, CS: 16, DA: 8, DT: 26, IS: 12, LO: 64, PN: 64, SH: 16, TM: 14, UI: 64 }
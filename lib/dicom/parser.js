@@ -0,0 +1,102 @@
+import { EXPLICIT_VR_LITTLE_ENDIAN, KEYWORDS, LONG_VRS, tagKey } from './dictionary.js'
+
+// Reader for explicit VR little endian Part 10 files - enough to check what the SR
+// encoder writes and to read SR objects back in. Attributes come back keyed by
+// keyword where known (tag key such as "0040A730" otherwise); sequences are arrays
+// of datasets, text values are trimmed strings (split on "\" when multi-valued).
+
+const UNDEFINED_LENGTH = 0xffffffff
+
+const decodeValue = (vr, bytes) => {
+  if (vr === 'UL') return bytes.readUInt32LE(0)
+  if (vr === 'US') return bytes.readUInt16LE(0)
+  if (['OB', 'OW', 'UN'].includes(vr)) return bytes
+  const text = bytes.toString(vr === 'UI' ? 'latin1' : 'utf8').replace(/[\0 ]+$/, '')
+  if (['UT', 'ST', 'LT'].includes(vr)) return text
+  const values = text.split('\\').map(value => value.trim())
+  return values.length > 1 ? values : values[0]
+}
+
+const readTag = (buffer, offset) => [buffer.readUInt16LE(offset), buffer.readUInt16LE(offset + 2)]
+
+// Parse elements from `offset` until `end` (or a sequence/item delimiter when end is null)
+const parseElements = (buffer, offset, end) => {
+  const dataset = {}
+
+  while (end === null ? offset < buffer.length : offset < end) {
+    const [group, element] = readTag(buffer, offset)
+
+    // Item delimiter (end of an undefined-length item)
+    if (group === 0xfffe && element === 0xe00d) {
+      return { dataset, offset: offset + 8 }
+    }
+
+    const vr = buffer.toString('latin1', offset + 4, offset + 6)
+    let length
+    if (LONG_VRS.has(vr)) {
+      length = buffer.readUInt32LE(offset + 8)
+      offset += 12
+    } else {
+      length = buffer.readUInt16LE(offset + 6)
+      offset += 8
+    }
+
+    const key = KEYWORDS[tagKey(group, element)] || tagKey(group, element)
+
+    if (vr === 'SQ') {
+      const parsed = parseSequence(buffer, offset, length)
+      dataset[key] = parsed.items
+      offset = parsed.offset
+      continue
+    }
+
+    if (length === UNDEFINED_LENGTH) {
+      throw new Error(`Undefined length is not supported for ${vr} attribute ${tagKey(group, element)}`)
+    }
+    dataset[key] = decodeValue(vr, buffer.subarray(offset, offset + length))
+    offset += length
+  }
+
+  return { dataset, offset }
+}
+
+const parseSequence = (buffer, offset, length) => {
+  const end = length === UNDEFINED_LENGTH ? null : offset + length
+  const items = []
+
+  while (end === null || offset < end) {
+    const [group, element] = readTag(buffer, offset)
+    const itemLength = buffer.readUInt32LE(offset + 4)
+    offset += 8
+
+    // Sequence delimiter (end of an undefined-length sequence)
+    if (group === 0xfffe && element === 0xe0dd) break
+    if (group !== 0xfffe || element !== 0xe000) {
+      throw new Error(`Expected a sequence item at offset ${offset - 8}`)
+    }
+
+    const parsed = itemLength === UNDEFINED_LENGTH
+      ? parseElements(buffer, offset, null)
+      : parseElements(buffer, offset, offset + itemLength)
+    items.push(parsed.dataset)
+    offset = parsed.offset
+  }
+
+  return { items, offset }
+}
+
+// Parse a Part 10 file into { meta, dataset }
+export const parsePart10 = (buffer) => {
+  if (buffer.length < 132 || buffer.toString('latin1', 128, 132) !== 'DICM') {
+    throw new Error('Not a DICOM Part 10 file (missing DICM prefix)')
+  }
+
+  const groupLength = parseElements(buffer, 132, 144).dataset.FileMetaInformationGroupLength
+  const { dataset: meta, offset } = parseElements(buffer, 144, 144 + groupLength)
+
+  if (meta.TransferSyntaxUID !== EXPLICIT_VR_LITTLE_ENDIAN) {
+    throw new Error(`Unsupported transfer syntax: ${meta.TransferSyntaxUID}`)
+  }
+
+  return { meta: { FileMetaInformationGroupLength: groupLength, ...meta }, dataset: parseElements(buffer, offset, null).dataset }
+}
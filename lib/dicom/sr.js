@@ -0,0 +1,217 @@
+import { BASIC_TEXT_SR } from './dictionary.js'
+import { generateUid } from './uid.js'
+import { writePart10 } from './writer.js'
+import { parsePart10 } from './parser.js'
+
+// DICOM Basic Text SR following TID 2000 (Basic Diagnostic Imaging Report) for a report
+// document (see buildReportDocument). The content tree is:
+//
+//   CONTAINER Diagnostic imaging report (LOINC 18748-4)
+//     HAS CONCEPT MOD  Language = English
+//     HAS OBS CONTEXT  Observer type = Person, Person observer name (signed reports)
+//     CONTAINS         one CONTAINER per section (TID 2001), each with TEXT items
+//
+// Study and series UIDs should come from the PACS/worklist so the SR files with the
+// images; when they are not supplied new ones are generated.
+
+export const SR_SECTIONS = [
+  { key: 'clinical_history', heading: ['121060', 'DCM', 'History'], item: ['121060', 'DCM', 'History'] },
+  { key: 'technique', heading: ['121064', 'DCM', 'Current Procedure Descriptions'], item: ['121065', 'DCM', 'Procedure Description'] },
+  { key: 'comparison', heading: ['121066', 'DCM', 'Prior Procedure Descriptions'], item: ['121065', 'DCM', 'Procedure Description'] },
+  { key: 'findings', heading: ['121070', 'DCM', 'Findings'], item: ['121071', 'DCM', 'Finding'] },
+  { key: 'impression', heading: ['121072', 'DCM', 'Impressions'], item: ['121073', 'DCM', 'Impression'] },
+  { key: 'clinical_advice', heading: ['121074', 'DCM', 'Recommendations'], item: ['121075', 'DCM', 'Recommendation'] }
+]
+
+const ADDENDUM = { heading: ['121078', 'DCM', 'Addendum'], item: ['121106', 'DCM', 'Comment'] }
+const DOCUMENT_TITLE = ['18748-4', 'LN', 'Diagnostic imaging report']
+
+const code = ([value, scheme, meaning]) => ({ CodeValue: value, CodingSchemeDesignator: scheme, CodeMeaning: meaning })
+
+const contentItem = (relationship, valueType, concept, value = {}) => ({
+  RelationshipType: relationship,
+  ValueType: valueType,
+  ConceptNameCodeSequence: [code(concept)],
+  ...value
+})
+
+const textItem = (concept, text) => contentItem('CONTAINS', 'TEXT', concept, { TextValue: text })
+
+const container = (concept, children) => contentItem('CONTAINS', 'CONTAINER', concept, {
+  ContinuityOfContent: 'SEPARATE',
+  ContentSequence: children
+})
+
+const NO_DATE = { date: '', time: '', datetime: '' }
+
+// "YYYY-MM-DD HH:MM" document dates (or anything Date can parse) as DA / TM / DT values.
+// A value that is not a real date (e.g. "13/02/1980") leaves the attributes empty.
+const dicomDateTime = (value) => {
+  if (!value) return NO_DATE
+  let text
+  if (/^\d{4}-\d{2}-\d{2}/.test(String(value))) {
+    text = String(value).replace(/[^0-9]/g, '')
+    const [year, month, day] = [text.slice(0, 4), text.slice(4, 6), text.slice(6, 8)].map(Number)
+    const calendar = new Date(Date.UTC(year, month - 1, day))
+    if (calendar.getUTCMonth() !== month - 1 || calendar.getUTCDate() !== day) return NO_DATE
+  } else {
+    const date = new Date(value)
+    if (Number.isNaN(date.getTime())) return NO_DATE
+    text = date.toISOString().replace(/[^0-9]/g, '')
+  }
+  const digits = text.padEnd(14, '0').slice(0, 14)
+  return { date: digits.slice(0, 8), time: digits.slice(8, 14), datetime: digits }
+}
+
+// PN value: "Doe, John", "John Doe" and "Dr John Doe" all give Doe^John
+const personName = (name) => {
+  if (!name) return ''
+  const text = String(name).trim().replace(/^(?:Dr|Mr|Mrs|Ms|Prof)\.?\s+/i, '').replace(/[\\^=]/g, ' ')
+  if (text.includes(',')) {
+    const [family, given] = text.split(',').map(part => part.trim())
+    return given ? `${family}^${given}` : family
+  }
+  const parts = text.split(/\s+/)
+  const family = parts.pop()
+  return parts.length > 0 ? `${family}^${parts.join(' ')}` : family
+}
+
+const SEX_CODES = { male: 'M', m: 'M', female: 'F', f: 'F', other: 'O', o: 'O' }
+
+// The SR content tree (root content item attributes) for a report document
+export const buildSrContent = (document) => {
+  const children = [
+    contentItem('HAS CONCEPT MOD', 'CODE', ['121049', 'DCM', 'Language of Content Item and Descendants'], {
+      ConceptCodeSequence: [code(['en', 'RFC5646', 'English'])]
+    })
+  ]
+
+  if (document.signature?.name) {
+    children.push(
+      contentItem('HAS OBS CONTEXT', 'CODE', ['121005', 'DCM', 'Observer Type'], {
+        ConceptCodeSequence: [code(['121006', 'DCM', 'Person'])]
+      }),
+      contentItem('HAS OBS CONTEXT', 'PNAME', ['121008', 'DCM', 'Person Observer Name'], {
+        PersonName: personName(document.signature.name)
+      })
+    )
+  }
+
+  const sections = new Map(document.sections.map(section => [section.key, section]))
+  for (const { key, heading, item } of SR_SECTIONS) {
+    const section = sections.get(key)
+    if (!section) continue
+    const texts = key === 'technique'
+      ? [document.study.description || document.title, section.text]
+      : [section.text]
+    children.push(container(heading, texts.filter(Boolean).map(text => textItem(item, text))))
+  }
+
+  for (const addendum of document.addenda) {
+    const meta = [addendum.author, addendum.created_at].filter(Boolean).join(', ')
+    children.push(container(ADDENDUM.heading, [textItem(ADDENDUM.item, meta ? `${meta}\n${addendum.text}` : addendum.text)]))
+  }
+
+  return {
+    ValueType: 'CONTAINER',
+    ConceptNameCodeSequence: [code(DOCUMENT_TITLE)],
+    ContinuityOfContent: 'SEPARATE',
+    ContentTemplateSequence: [{ MappingResource: 'DCMR', TemplateIdentifier: '2000' }],
+    ContentSequence: children
+  }
+}
+
+// Full SR dataset. `uids` may carry study_instance_uid, series_instance_uid and
+// sop_instance_uid; anything missing is generated (and returned alongside).
+export const buildSrDataset = (document, uids = {}, { now = new Date() } = {}) => {
+  const studyInstanceUid = uids.study_instance_uid || generateUid()
+  const seriesInstanceUid = uids.series_instance_uid || generateUid()
+  const sopInstanceUid = uids.sop_instance_uid || generateUid()
+
+  const { patient, study } = document
+  const studyDate = dicomDateTime(study.date || document.report_date)
+  const content = dicomDateTime(document.signature?.signed_at || now)
+
+  const dataset = {
+    SpecificCharacterSet: 'ISO_IR 192',
+    SOPClassUID: BASIC_TEXT_SR,
+    SOPInstanceUID: sopInstanceUid,
+    StudyDate: studyDate.date,
+    ContentDate: content.date,
+    StudyTime: studyDate.time,
+    ContentTime: content.time,
+    AccessionNumber: study.accession || '',
+    Modality: 'SR',
+    Manufacturer: document.letterhead?.name || '',
+    ReferringPhysicianName: personName(study.referring_physician),
+    StudyDescription: study.description || document.title,
+    SeriesDescription: document.title,
+    ReferencedPerformedProcedureStepSequence: [],
+    PatientName: personName(patient.name),
+    PatientID: patient.mrn || '',
+    PatientBirthDate: patient.dob ? dicomDateTime(patient.dob).date : '',
+    PatientSex: SEX_CODES[String(patient.sex || '').toLowerCase()] || '',
+    StudyInstanceUID: studyInstanceUid,
+    SeriesInstanceUID: seriesInstanceUid,
+    StudyID: '',
+    SeriesNumber: '1',
+    InstanceNumber: '1',
+    CompletionFlag: document.final ? 'COMPLETE' : 'PARTIAL',
+    VerificationFlag: document.final ? 'VERIFIED' : 'UNVERIFIED',
+    PreliminaryFlag: document.final ? 'FINAL' : 'PRELIMINARY',
+    PerformedProcedureCodeSequence: [],
+    ...buildSrContent(document)
+  }
+
+  if (document.final) {
+    dataset.VerifyingObserverSequence = [{
+      VerifyingObserverName: personName(document.signature?.name) || 'Unknown',
+      VerifyingObserverIdentificationCodeSequence: [],
+      VerifyingOrganization: document.letterhead?.name || '',
+      VerificationDateTime: content.datetime
+    }]
+  }
+
+  return { dataset, studyInstanceUid, seriesInstanceUid, sopInstanceUid }
+}
+
+// Part 10 file for a report document, e.g. for the /export/dcm download
+export const renderReportSr = (document, options = {}) => writePart10(buildSrDataset(document, {
+  study_instance_uid: options.study_instance_uid || document.study.study_instance_uid,
+  series_instance_uid: options.series_instance_uid || document.study.series_instance_uid,
+  sop_instance_uid: options.sop_instance_uid
+}).dataset)
+
+const conceptOf = (item) => {
+  const concept = item.ConceptNameCodeSequence?.[0]
+  return concept ? { code: concept.CodeValue, scheme: concept.CodingSchemeDesignator, meaning: concept.CodeMeaning } : null
+}
+
+// Section texts back out of an SR file: { uids, study_description, sections: { findings: "...", ... } }.
+// Only reads the tree shape buildSrContent writes; other SR templates are not interpreted.
+export const readReportSr = (buffer) => {
+  const { dataset } = parsePart10(buffer)
+  const sections = {}
+
+  for (const item of dataset.ContentSequence || []) {
+    if (item.ValueType !== 'CONTAINER') continue
+    const heading = conceptOf(item)
+    const section = SR_SECTIONS.find(s => s.heading[0] === heading?.code)
+    if (!section) continue
+    const texts = (item.ContentSequence || []).filter(child => child.ValueType === 'TEXT').map(child => child.TextValue)
+    sections[section.key] = (section.key === 'technique' ? texts.slice(1) : texts).join('\n')
+  }
+
+  return {
+    uids: {
+      study_instance_uid: dataset.StudyInstanceUID,
+      series_instance_uid: dataset.SeriesInstanceUID,
+      sop_instance_uid: dataset.SOPInstanceUID
+    },
+    study_description: dataset.StudyDescription || null,
+    completion: dataset.CompletionFlag,
+    verification: dataset.VerificationFlag,
+    sections,
+    dataset
+  }
+}
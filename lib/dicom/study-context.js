@@ -0,0 +1,163 @@
+import { createDicomwebClient } from './dicomweb.js'
+
+// Study context for report generation from the PACS: acquisition details of the study
+// being reported (for the technique section) and the patient's earlier studies (as
+// comparison candidates). Everything comes from QIDO-RS; nothing is guessed.
+
+// Series that hold no images (reports, key objects, presentation states, documents)
+const NON_IMAGE_MODALITIES = ['SR', 'KO', 'PR', 'DOC', 'OT', 'REG', 'SEG']
+
+// Series looked at per study when filling in instance-level details
+const MAX_SERIES = 20
+
+const isoDate = (value) => /^\d{8}$/.test(String(value || ''))
+  ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`
+  : null
+
+const list = (value) => [].concat(value ?? []).filter(Boolean)
+
+const unique = (values) => [...new Set(values)]
+
+const formatThickness = (value) => {
+  const number = parseFloat(value)
+  return Number.isNaN(number) ? null : `${Number(number.toFixed(2))} mm`
+}
+
+// "CT, Abdomen, 2024-05-01" - the modality is left out when the description already names it
+const studyLabel = (modalities, description, date) => {
+  const named = description && modalities.every(m => new RegExp(`\\b${m}\\b`, 'i').test(description))
+  return [named ? null : modalities.join('/'), description, date].filter(Boolean).join(', ')
+}
+
+const summariseStudy = (study) => ({
+  study_instance_uid: study.StudyInstanceUID || null,
+  accession: study.AccessionNumber || null,
+  patient_id: study.PatientID || null,
+  date: isoDate(study.StudyDate),
+  modalities: list(study.ModalitiesInStudy || study.Modality).filter(m => !NON_IMAGE_MODALITIES.includes(m)),
+  description: study.StudyDescription || null
+})
+
+const summariseSeries = (series) => ({
+  series_instance_uid: series.SeriesInstanceUID || null,
+  number: series.SeriesNumber ?? null,
+  modality: series.Modality || null,
+  description: series.SeriesDescription || null,
+  body_part: series.BodyPartExamined || null,
+  contrast_agent: series.ContrastBolusAgent || null,
+  slice_thickness: formatThickness(series.SliceThickness),
+  instances: series.NumberOfSeriesRelatedInstances ?? null
+})
+
+// Technique text from the study and its image series, e.g.
+//   CT ABDOMEN PELVIS, 2024-05-01
+//   Body part examined: ABDOMEN
+//   Contrast: OMNIPAQUE 350
+//   Slice thickness: 1.25 mm, 5 mm
+//   Series: 2 Axial 5.0 (CT), 3 Coronal MPR (CT)
+export const describeTechnique = (study, series) => {
+  const images = series.filter(s => !NON_IMAGE_MODALITIES.includes(s.modality))
+  const modalities = unique([...study.modalities, ...images.map(s => s.modality)].filter(Boolean))
+  const bodyParts = unique(images.map(s => s.body_part).filter(Boolean))
+  const agents = unique(images.map(s => s.contrast_agent).filter(Boolean))
+  const thicknesses = unique(images.map(s => s.slice_thickness).filter(Boolean))
+    .sort((a, b) => parseFloat(a) - parseFloat(b))
+
+  const lines = [studyLabel(modalities, study.description, study.date)]
+  if (bodyParts.length > 0) lines.push(`Body part examined: ${bodyParts.join(', ')}`)
+  lines.push(agents.length > 0 ? `Contrast: ${agents.join(', ')}` : 'Contrast: none recorded')
+  if (thicknesses.length > 0) lines.push(`Slice thickness: ${thicknesses.join(', ')}`)
+  if (images.length > 0) {
+    lines.push(`Series: ${images.map(s => [s.number, s.description || 'Unnamed series', s.modality ? `(${s.modality})` : null].filter(v => v !== null && v !== '').join(' ')).join(', ')}`)
+  }
+  return lines.join('\n')
+}
+
+export const comparisonCandidate = (prior) => ({
+  ...prior,
+  text: studyLabel(prior.modalities, prior.description, prior.date)
+})
+
+// QIDO treats * and ? as wildcards, and \ separates a list of values, in matching attributes
+export const hasQueryWildcard = (...values) => values.some(value => /[*?\\]/.test(String(value ?? '')))
+
+// The PACS may still match loosely (case, fuzzy names), so results must equal what was asked for
+const matchesLookup = (study, { accession, patient_id, study_instance_uid }) =>
+  (!study_instance_uid || study.StudyInstanceUID === study_instance_uid) &&
+  (!accession || study.AccessionNumber === accession) &&
+  (!patient_id || study.PatientID === patient_id)
+
+// Find the study (by study UID, accession or latest for the patient), its series and
+// the patient's prior studies. Identifiers must match exactly: wildcards find nothing.
+// Returns null when no study matches; PACS errors throw.
+export const lookupStudyContext = async ({ accession, patient_id, study_instance_uid } = {}, client = createDicomwebClient()) => {
+  if (hasQueryWildcard(accession, patient_id, study_instance_uid)) return null
+
+  let studies = []
+  if (study_instance_uid) {
+    studies = await client.searchStudies({ StudyInstanceUID: study_instance_uid })
+  } else if (accession) {
+    studies = await client.searchStudies({ AccessionNumber: accession, ...(patient_id ? { PatientID: patient_id } : {}) })
+  } else if (patient_id) {
+    studies = await client.searchStudies({ PatientID: patient_id })
+  }
+
+  const latest = studies
+    .filter(s => s.StudyInstanceUID && matchesLookup(s, { accession, patient_id, study_instance_uid }))
+    .sort((a, b) => String(b.StudyDate || '').localeCompare(String(a.StudyDate || '')))[0]
+  if (!latest) return null
+
+  const study = summariseStudy(latest)
+  const series = (await client.searchSeries(study.study_instance_uid))
+    .map(summariseSeries)
+    .sort((a, b) => (parseInt(a.number) || 0) - (parseInt(b.number) || 0))
+
+  // Slice thickness and contrast are instance-level in many archives: fill gaps from one instance per series
+  for (const item of series.slice(0, MAX_SERIES)) {
+    if (NON_IMAGE_MODALITIES.includes(item.modality) || (item.slice_thickness && item.body_part && item.contrast_agent)) continue
+    const [instance] = await client.searchInstances(study.study_instance_uid, item.series_instance_uid, { limit: 1 })
+    if (!instance) continue
+    item.slice_thickness = item.slice_thickness || formatThickness(instance.SliceThickness)
+    item.body_part = item.body_part || instance.BodyPartExamined || null
+    item.contrast_agent = item.contrast_agent || instance.ContrastBolusAgent || null
+  }
+
+  const patientId = study.patient_id || patient_id
+  const priors = patientId && !hasQueryWildcard(patientId)
+    ? (await client.searchStudies({ PatientID: patientId }))
+      .filter(s => s.PatientID === patientId)
+      .map(summariseStudy)
+      .filter(s => s.study_instance_uid && s.study_instance_uid !== study.study_instance_uid)
+      .filter(s => !study.date || !s.date || s.date <= study.date)
+      .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')))
+      .slice(0, client.priorLimit)
+    : []
+
+  return {
+    study,
+    series,
+    technique_details: describeTechnique(study, series),
+    comparison_candidates: priors.map(comparisonCandidate)
+  }
+}
+
+// Fill a generate-report body from its `study_lookup` ({ accession, patient_id,
+// study_instance_uid }): technique_details and comparison_candidates are added when the
+// body has none. Never throws - without a PACS the report is generated as before.
+export const applyStudyLookup = async (body = {}, client = createDicomwebClient()) => {
+  if (!body?.study_lookup || !client.configured) return body
+  if (body.technique_details && body.comparison_candidates) return body
+
+  try {
+    const context = await lookupStudyContext(body.study_lookup, client)
+    if (!context) return body
+    return {
+      ...body,
+      technique_details: body.technique_details || context.technique_details,
+      comparison_candidates: body.comparison_candidates || context.comparison_candidates
+    }
+  } catch (error) {
+    console.error('Study lookup error:', error.message)
+    return body
+  }
+}
@@ -0,0 +1,11 @@
+import crypto from 'crypto'
+
+// DICOM UIDs. Generated UIDs use the 2.25 root (ISO/IEC 9834-8), i.e. a random UUID
+// written as one decimal integer, so no registered organisation root is needed.
+
+export const generateUid = () => `2.25.${BigInt(`0x${crypto.randomUUID().replace(/-/g, '')}`).toString()}`
+
+export const isValidUid = (value) =>
+  typeof value === 'string' &&
+  value.length <= 64 &&
+  /^(0|[1-9]\d*)(\.(0|[1-9]\d*))+$/.test(value)
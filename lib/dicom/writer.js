@@ -0,0 +1,88 @@
+import { EXPLICIT_VR_LITTLE_ENDIAN, LONG_VRS, MAX_LENGTHS, TAGS } from './dictionary.js'
+
+// Minimal DICOM Part 10 writer: explicit VR little endian, defined-length sequences.
+// Datasets are plain objects keyed by attribute keyword (see TAGS); a sequence is an
+// array of such objects. Attributes that are null or undefined are left out, an empty
+// string or empty array writes a zero-length (type 2) attribute.
+
+export const IMPLEMENTATION_CLASS_UID = '2.25.241119337419284735541436457011512350377'
+export const IMPLEMENTATION_VERSION_NAME = 'RADREPORT_1'
+
+const TEXT_ENCODING = 'utf8'
+
+const encodeValue = (vr, value) => {
+  if (vr === 'UL') {
+    const buffer = Buffer.alloc(4)
+    buffer.writeUInt32LE(value)
+    return buffer
+  }
+  if (vr === 'OB') return Buffer.from(value)
+
+  let text = Array.isArray(value) ? value.map(String).join('\\') : String(value)
+  if (MAX_LENGTHS[vr]) text = text.slice(0, MAX_LENGTHS[vr])
+  // UI values are NUL padded to an even length, text values space padded
+  const buffer = Buffer.from(text, vr === 'UI' ? 'latin1' : TEXT_ENCODING)
+  return buffer.length % 2 === 0 ? buffer : Buffer.concat([buffer, Buffer.from(vr === 'UI' ? '\0' : ' ')])
+}
+
+const elementHeader = (group, element, vr, length) => {
+  const long = LONG_VRS.has(vr)
+  const header = Buffer.alloc(long ? 12 : 8)
+  header.writeUInt16LE(group, 0)
+  header.writeUInt16LE(element, 2)
+  header.write(vr, 4, 'latin1')
+  if (long) {
+    header.writeUInt32LE(length, 8)
+  } else {
+    header.writeUInt16LE(length, 6)
+  }
+  return header
+}
+
+const encodeItem = (dataset) => {
+  const body = encodeDataset(dataset)
+  const header = Buffer.alloc(8)
+  header.writeUInt16LE(0xfffe, 0)
+  header.writeUInt16LE(0xe000, 2)
+  header.writeUInt32LE(body.length, 4)
+  return Buffer.concat([header, body])
+}
+
+// Encode a dataset (without preamble or file meta) in ascending tag order
+export const encodeDataset = (dataset) => {
+  const elements = Object.entries(dataset)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([keyword, value]) => {
+      const definition = TAGS[keyword]
+      if (!definition) throw new Error(`Unknown DICOM attribute: ${keyword}`)
+      return { definition, value }
+    })
+    .sort((a, b) => (a.definition[0] - b.definition[0]) || (a.definition[1] - b.definition[1]))
+
+  return Buffer.concat(elements.map(({ definition: [group, element, vr], value }) => {
+    const body = vr === 'SQ'
+      ? Buffer.concat([].concat(value).map(encodeItem))
+      : value === '' ? Buffer.alloc(0) : encodeValue(vr, value)
+    return Buffer.concat([elementHeader(group, element, vr, body.length), body])
+  }))
+}
+
+// A complete Part 10 file: 128-byte preamble, "DICM", file meta group and the dataset
+export const writePart10 = (dataset) => {
+  const meta = encodeDataset({
+    FileMetaInformationVersion: [0x00, 0x01],
+    MediaStorageSOPClassUID: dataset.SOPClassUID,
+    MediaStorageSOPInstanceUID: dataset.SOPInstanceUID,
+    TransferSyntaxUID: EXPLICIT_VR_LITTLE_ENDIAN,
+    ImplementationClassUID: IMPLEMENTATION_CLASS_UID,
+    ImplementationVersionName: IMPLEMENTATION_VERSION_NAME
+  })
+
+  return Buffer.concat([
+    Buffer.alloc(128),
+    Buffer.from('DICM', 'latin1'),
+    encodeDataset({ FileMetaInformationGroupLength: meta.length }),
+    meta,
+    encodeDataset(dataset)
+  ])
+}
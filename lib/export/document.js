@@ -0,0 +1,158 @@
+import fs from 'fs'
+import { buildReportHtml } from '../report-html.js'
+import { billingCodeLines } from '../billing/index.js'
+
+// Format-neutral view of a report for the exporters: letterhead, patient/study header,
+// the sections of the report HTML (same headings, same order, same fallbacks), the
+// signature and any addenda, then a stored report's suggested billing codes as a separate
+// appendix. Each exporter (PDF, DOCX, text, ...) renders this object; `html` is the
+// report's reportHtml, rebuilt from the sections when it is not stored.
+
+const formatDate = (value) => {
+  if (!value) return null
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return String(value)
+  return date.toISOString().slice(0, 16).replace('T', ' ')
+}
+
+// Institution letterhead from the environment, overridable per request. A logo can be
+// posted as a data URL; file paths are only read from the server's own configuration.
+export const resolveLetterhead = (overrides = {}, env = process.env) => {
+  const letterhead = {
+    name: overrides.name || env.INSTITUTION_NAME || null,
+    address: overrides.address || env.INSTITUTION_ADDRESS || null,
+    phone: overrides.phone || env.INSTITUTION_PHONE || null,
+    logo: null
+  }
+
+  if (typeof overrides.logo === 'string' && overrides.logo.startsWith('data:image/')) {
+    letterhead.logo = Buffer.from(overrides.logo.split(',')[1] || '', 'base64')
+  } else if (env.INSTITUTION_LOGO_PATH) {
+    try {
+      letterhead.logo = fs.readFileSync(env.INSTITUTION_LOGO_PATH)
+    } catch (error) {
+      console.error('Error reading institution logo:', error.message)
+    }
+  }
+
+  // Address lines may be separated by newlines or "|" in the environment
+  letterhead.addressLines = letterhead.address
+    ? String(letterhead.address).split(/\n|\|/).map(line => line.trim()).filter(Boolean)
+    : []
+
+  return letterhead
+}
+
+const buildSections = (data, clinicalHistory) => {
+  const sections = [
+    { key: 'clinical_history', title: 'Clinical History', text: clinicalHistory || 'NA' },
+    { key: 'technique', title: 'Technique', text: data.technique || 'Standard imaging protocol was performed.' },
+    { key: 'comparison', title: 'Comparison', text: data.comparison || 'No previous exam available for comparison.' },
+    { key: 'findings', title: 'Findings', text: data.findings || '' },
+    { key: 'impression', title: 'Impression', text: data.impression || 'No specific impression provided.' }
+  ]
+
+  if (data.clinical_advice !== undefined) {
+    sections.push({
+      key: 'clinical_advice',
+      title: 'Clinical Advice and Safety Considerations',
+      text: data.clinical_advice || 'No clinical advice provided.'
+    })
+  }
+
+  if (data.clinician_questions !== undefined) {
+    const questions = Array.isArray(data.clinician_questions) ? data.clinician_questions : []
+    sections.push({
+      key: 'clinician_questions',
+      title: 'Clinician Simulation Questions',
+      items: questions.map(String),
+      text: questions.length > 0 ? null : 'No clinician questions provided.'
+    })
+  }
+
+  if (data.differential_diagnosis !== undefined) {
+    const differentials = Array.isArray(data.differential_diagnosis) ? data.differential_diagnosis : []
+    sections.push({
+      key: 'differential_diagnosis',
+      title: 'Differential Diagnosis',
+      items: differentials.map(dd => ({ heading: dd.diagnosis, text: dd.reasoning })),
+      text: differentials.length > 0 ? null : 'No differential diagnoses provided.'
+    })
+  }
+
+  return sections
+}
+
+// Stored reports carry CPT / ICD-10-CM suggestions (see lib/billing). They are not part of
+// the clinical report, so they stay out of `sections` (and the HL7 / SR exports built from
+// them) and are printed after the signature and addenda under their own heading.
+const buildBillingAppendix = (billingCodes) => {
+  const lines = billingCodeLines(billingCodes)
+  if (lines.length === 0) return null
+  return {
+    title: 'Billing Appendix - Suggested Codes',
+    note: 'Automated coding suggestions for billing review. Not part of the clinical report.',
+    items: lines
+  }
+}
+
+// `report` is a stored report row (structured_data, clinical_history, status, signed_*)
+// or a posted report whose sections sit at the top level. `patient` and `study` fill the
+// header block; neither is stored with the report.
+export const buildReportDocument = (report, { patient = {}, study = {}, letterhead = {}, addenda = [] } = {}) => {
+  const data = report.structured_data || report
+  // Only a report that went through signing (signed_at set) counts as final
+  const signed = report.status === 'final' && Boolean(report.signed_at)
+  const status = report.status === 'final' && !signed ? 'draft' : report.status || 'draft'
+  const clinicalHistory = report.clinical_history ?? data.clinical_history
+
+  return {
+    id: report.id || null,
+    title: data.scan_name || report.scan_name || 'Radiology Report',
+    status,
+    final: signed,
+    letterhead: resolveLetterhead(letterhead),
+    patient: {
+      name: patient.name || null,
+      mrn: patient.mrn || null,
+      dob: patient.dob || null,
+      sex: patient.sex || null
+    },
+    study: {
+      description: study.description || data.scan_name || report.scan_name || null,
+      accession: study.accession || null,
+      placer_order_number: study.placer_order_number || null,
+      procedure_code: study.procedure_code || report.procedure_code || null,
+      date: formatDate(study.date),
+      referring_physician: study.referring_physician || null,
+      study_instance_uid: study.study_instance_uid || null,
+      series_instance_uid: study.series_instance_uid || null
+    },
+    report_date: formatDate(report.created_at || new Date()),
+    sections: buildSections(data, clinicalHistory),
+    html: report.report_html || buildReportHtml(data, { clinicalHistory }),
+    signature: signed
+      ? { name: report.signed_by_name || null, signed_at: formatDate(report.signed_at) }
+      : null,
+    addenda: (addenda || []).map(addendum => ({
+      author: addendum.author_name || null,
+      created_at: formatDate(addendum.created_at),
+      text: addendum.content || ''
+    })),
+    billing: buildBillingAppendix(report.billing_codes)
+  }
+}
+
+// Header rows shown under the letterhead, skipping values that are not known
+export const headerRows = (document) => [
+  ['Patient', document.patient.name],
+  ['MRN', document.patient.mrn],
+  ['Date of Birth', document.patient.dob],
+  ['Sex', document.patient.sex],
+  ['Study', document.study.description],
+  ['Accession', document.study.accession],
+  ['Study Date', document.study.date],
+  ['Referring Physician', document.study.referring_physician],
+  ['Report Date', document.report_date],
+  ['Status', document.status.charAt(0).toUpperCase() + document.status.slice(1)]
+].filter(([, value]) => value)
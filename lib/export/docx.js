@@ -0,0 +1,132 @@
+import {
+  AlignmentType,
+  Document,
+  Footer,
+  Header,
+  HeadingLevel,
+  ImageRun,
+  LevelFormat,
+  Packer,
+  PageNumber,
+  Paragraph,
+  TextRun
+} from 'docx'
+import { headerRows } from './document.js'
+
+// Render a report document as Word (.docx). Section titles use the Heading 2 style and
+// list sections use real Word numbering, so the report keeps its structure when pasted.
+
+const NUMBERED_LISTS = ['clinician_questions', 'differential_diagnosis']
+
+const imageType = (buffer) => {
+  if (buffer[0] === 0x89 && buffer[1] === 0x50) return 'png'
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'jpg'
+  return null
+}
+
+// Text with its own line breaks as one paragraph per line
+const paragraphs = (text) => String(text || '').split(/\r?\n/).map(line => new Paragraph({ text: line }))
+
+const letterheadParagraphs = (letterhead, final) => {
+  const children = []
+  const type = letterhead.logo && imageType(letterhead.logo)
+  if (type) {
+    children.push(new Paragraph({
+      children: [new ImageRun({ type, data: letterhead.logo, transformation: { width: 60, height: 60 } })]
+    }))
+  }
+  if (letterhead.name) {
+    children.push(new Paragraph({ children: [new TextRun({ text: letterhead.name, bold: true, size: 28 })] }))
+  }
+  for (const line of letterhead.addressLines) {
+    children.push(new Paragraph({ children: [new TextRun({ text: line, size: 18, color: '555555' })] }))
+  }
+  if (letterhead.phone) {
+    children.push(new Paragraph({ children: [new TextRun({ text: `Tel: ${letterhead.phone}`, size: 18, color: '555555' })] }))
+  }
+  if (!final) {
+    children.push(new Paragraph({
+      alignment: AlignmentType.RIGHT,
+      children: [new TextRun({ text: 'PRELIMINARY - NOT SIGNED', bold: true, color: 'CC0000' })]
+    }))
+  }
+  return children
+}
+
+const sectionParagraphs = (section) => {
+  const children = [new Paragraph({ text: section.title, heading: HeadingLevel.HEADING_2 })]
+
+  if (section.items && section.items.length > 0) {
+    const numbering = { reference: section.key, level: 0 }
+    for (const item of section.items) {
+      if (typeof item === 'string') {
+        children.push(new Paragraph({ text: item, numbering }))
+      } else {
+        children.push(new Paragraph({ children: [new TextRun({ text: item.heading || '', bold: true })], numbering }))
+        children.push(new Paragraph({ text: item.text || '', indent: { left: 720 } }))
+      }
+    }
+  } else {
+    children.push(...paragraphs(section.text))
+  }
+
+  return children
+}
+
+export const renderReportDocx = async (document) => {
+  const body = [
+    ...headerRows(document).map(([label, value]) => new Paragraph({
+      children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(String(value))]
+    })),
+    new Paragraph({ text: document.title, heading: HeadingLevel.HEADING_1, alignment: AlignmentType.CENTER }),
+    ...document.sections.flatMap(sectionParagraphs),
+    new Paragraph({ text: '' })
+  ]
+
+  if (document.signature) {
+    body.push(new Paragraph({ text: `Electronically signed by ${document.signature.name || 'the reporting radiologist'}` }))
+    if (document.signature.signed_at) body.push(new Paragraph({ text: `Signed: ${document.signature.signed_at}` }))
+  } else {
+    body.push(new Paragraph({ text: 'Preliminary report - not signed' }))
+  }
+
+  for (const addendum of document.addenda) {
+    const meta = [addendum.author, addendum.created_at].filter(Boolean).join(', ')
+    body.push(new Paragraph({ text: meta ? `Addendum (${meta})` : 'Addendum', heading: HeadingLevel.HEADING_2 }))
+    body.push(...paragraphs(addendum.text))
+  }
+
+  if (document.billing) {
+    body.push(
+      new Paragraph({ text: '', pageBreakBefore: true }),
+      new Paragraph({ text: document.billing.title, heading: HeadingLevel.HEADING_2 }),
+      new Paragraph({ children: [new TextRun({ text: document.billing.note, italics: true, color: '555555' })] }),
+      ...document.billing.items.map(item => new Paragraph({ text: item, bullet: { level: 0 } }))
+    )
+  }
+
+  const doc = new Document({
+    title: document.title,
+    creator: document.letterhead.name || 'Radiology Report',
+    numbering: {
+      config: NUMBERED_LISTS.map(reference => ({
+        reference,
+        levels: [{ level: 0, format: LevelFormat.DECIMAL, text: '%1.', alignment: AlignmentType.START, style: { paragraph: { indent: { left: 720, hanging: 360 } } } }]
+      }))
+    },
+    sections: [{
+      headers: { default: new Header({ children: letterheadParagraphs(document.letterhead, document.final) }) },
+      footers: {
+        default: new Footer({
+          children: [new Paragraph({
+            alignment: AlignmentType.CENTER,
+            children: [new TextRun({ children: ['Page ', PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES], size: 16 })]
+          })]
+        })
+      },
+      children: body
+    }]
+  })
+
+  return Packer.toBuffer(doc)
+}
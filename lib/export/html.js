@@ -0,0 +1,26 @@
+// Standalone HTML page around the report's reportHtml, for opening or attaching as a file
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch])
+
+// Billing suggestions are not part of the report; they go after it, set apart
+const billingAppendix = (billing) => billing ? `<hr>
+<div class="billing-appendix">
+<h2>${escapeHtml(billing.title)}</h2>
+<p><em>${escapeHtml(billing.note)}</em></p>
+<ul>
+${billing.items.map(item => `<li>${escapeHtml(item)}</li>`).join('\n')}
+</ul>
+</div>
+` : ''
+
+export const renderReportHtml = (document) => Buffer.from(`<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.title)}</title>
+</head>
+<body>
+${document.final ? '' : '<p class="status"><strong>PRELIMINARY - NOT SIGNED</strong></p>\n'}${document.html}
+${billingAppendix(document.billing)}</body>
+</html>
+`, 'utf8')
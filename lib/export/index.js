@@ -0,0 +1,34 @@
+import { renderReportPdf } from './pdf.js'
+import { renderReportDocx } from './docx.js'
+import { renderReportText } from './text.js'
+import { renderReportHtml } from './html.js'
+import { buildOruR01 } from '../hl7/oru.js'
+import { renderReportSr } from '../dicom/sr.js'
+
+export { buildReportDocument } from './document.js'
+
+// Export formats served by /api/reports/:id/export/:format. Each renders a report
+// document (see buildReportDocument) to a Buffer; `options` are format-specific.
+export const EXPORT_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf', render: renderReportPdf },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx',
+    render: renderReportDocx
+  },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt', render: renderReportText },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', render: renderReportHtml },
+  hl7: {
+    contentType: 'application/hl7-v2; charset=utf-8',
+    extension: 'hl7',
+    render: (document) => Buffer.from(buildOruR01(document).message, 'utf8')
+  },
+  dcm: { contentType: 'application/dicom', extension: 'dcm', render: renderReportSr }
+}
+
+// File name for a download, e.g. "ct-abdomen-2024-05-01.pdf"
+export const exportFileName = (document, format) => {
+  const slug = document.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report'
+  const date = (document.report_date || '').slice(0, 10)
+  return `${[slug, date].filter(Boolean).join('-')}.${EXPORT_FORMATS[format].extension}`
+}
@@ -0,0 +1,175 @@
+import PDFDocument from 'pdfkit'
+import { headerRows } from './document.js'
+
+// Render a report document (see buildReportDocument) as an A4 PDF. Everything is drawn
+// locally with pdfkit's built-in fonts; nothing is sent to an external service.
+
+const MARGIN = 50
+const GREY = '#555555'
+const RULE = '#999999'
+
+const rule = (doc) => {
+  doc.moveDown(0.5)
+  doc.moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y).lineWidth(0.5).strokeColor(RULE).stroke()
+  doc.moveDown(0.5)
+}
+
+const drawLetterhead = (doc, letterhead) => {
+  const top = doc.y
+  let textX = MARGIN
+
+  if (letterhead.logo) {
+    try {
+      doc.image(letterhead.logo, MARGIN, top, { fit: [60, 60] })
+      textX = MARGIN + 75
+    } catch (error) {
+      console.error('Error drawing institution logo:', error.message)
+    }
+  }
+
+  const width = doc.page.width - MARGIN - textX
+  if (letterhead.name) {
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('black').text(letterhead.name, textX, top, { width })
+  }
+  doc.font('Helvetica').fontSize(9).fillColor(GREY)
+  for (const line of letterhead.addressLines) doc.text(line, textX, doc.y, { width })
+  if (letterhead.phone) doc.text(`Tel: ${letterhead.phone}`, textX, doc.y, { width })
+
+  doc.x = MARGIN
+  doc.y = Math.max(doc.y, letterhead.logo ? top + 60 : doc.y)
+  if (letterhead.name || letterhead.logo || letterhead.addressLines.length > 0) rule(doc)
+}
+
+// Patient/study details in two columns of label: value pairs
+const drawHeaderBlock = (doc, document) => {
+  const rows = headerRows(document)
+  const columnWidth = (doc.page.width - MARGIN * 2) / 2
+  const half = Math.ceil(rows.length / 2)
+  const top = doc.y
+  let bottom = top
+
+  ;[rows.slice(0, half), rows.slice(half)].forEach((column, index) => {
+    doc.y = top
+    for (const [label, value] of column) {
+      doc.font('Helvetica-Bold').fontSize(9).fillColor('black')
+        .text(`${label}: `, MARGIN + index * columnWidth, doc.y, { continued: true, width: columnWidth - 10 })
+      doc.font('Helvetica').text(String(value))
+    }
+    bottom = Math.max(bottom, doc.y)
+  })
+
+  doc.x = MARGIN
+  doc.y = bottom
+  rule(doc)
+}
+
+const drawSection = (doc, section) => {
+  doc.moveDown(0.4)
+  doc.font('Helvetica-Bold').fontSize(12).fillColor('black').text(section.title)
+  doc.moveDown(0.2)
+  doc.font('Helvetica').fontSize(10.5)
+
+  if (section.items && section.items.length > 0) {
+    section.items.forEach((item, index) => {
+      if (typeof item === 'string') {
+        doc.text(`${index + 1}. ${item}`, { indent: 10 })
+      } else {
+        doc.font('Helvetica-Bold').text(`${index + 1}. ${item.heading || ''}`, { indent: 10 })
+        doc.font('Helvetica').text(item.text || '', { indent: 22 })
+      }
+      doc.moveDown(0.2)
+    })
+  } else {
+    doc.text(section.text || '', { align: 'left' })
+  }
+}
+
+const drawSignature = (doc, document) => {
+  doc.moveDown(1.5)
+  doc.font('Helvetica').fontSize(10).fillColor('black')
+
+  if (document.signature) {
+    doc.text(`Electronically signed by ${document.signature.name || 'the reporting radiologist'}`)
+    if (document.signature.signed_at) doc.fillColor(GREY).text(`Signed: ${document.signature.signed_at}`)
+  } else {
+    doc.moveTo(MARGIN, doc.y + 20).lineTo(MARGIN + 200, doc.y + 20).lineWidth(0.5).strokeColor('black').stroke()
+    doc.y += 25
+    doc.text('Reporting radiologist')
+    doc.fillColor(GREY).text('Preliminary report - not signed')
+  }
+}
+
+const drawAddenda = (doc, addenda) => {
+  for (const addendum of addenda) {
+    doc.moveDown(1)
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('black').text('Addendum')
+    const meta = [addendum.author, addendum.created_at].filter(Boolean).join(', ')
+    if (meta) doc.font('Helvetica').fontSize(9).fillColor(GREY).text(meta)
+    doc.font('Helvetica').fontSize(10.5).fillColor('black').text(addendum.text)
+  }
+}
+
+// Billing suggestions on a page of their own after the signed report
+const drawBillingAppendix = (doc, billing) => {
+  if (!billing) return
+  doc.addPage()
+  doc.font('Helvetica-Bold').fontSize(12).fillColor('black').text(billing.title)
+  doc.font('Helvetica').fontSize(9).fillColor(GREY).text(billing.note)
+  doc.moveDown(0.4)
+  doc.font('Helvetica').fontSize(10.5).fillColor('black')
+  for (const item of billing.items) doc.text(`- ${item}`, { indent: 10 })
+}
+
+// Page numbers and, for unsigned reports, a diagonal watermark on every page
+const decoratePages = (doc, document) => {
+  const { start, count } = doc.bufferedPageRange()
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i)
+    const { width, height } = doc.page
+
+    if (!document.final) {
+      doc.save()
+      doc.rotate(-45, { origin: [width / 2, height / 2] })
+      doc.font('Helvetica-Bold').fontSize(90).fillColor('#cc0000').fillOpacity(0.12)
+        .text('PRELIMINARY', 0, height / 2 - 45, { width, align: 'center', lineBreak: false })
+      doc.restore()
+    }
+
+    // Writing inside the bottom margin would otherwise start a new page
+    const bottomMargin = doc.page.margins.bottom
+    doc.page.margins.bottom = 0
+    doc.font('Helvetica').fontSize(8).fillColor(GREY).fillOpacity(1)
+      .text(`Page ${i - start + 1} of ${count}`, MARGIN, height - 35, { width: width - MARGIN * 2, align: 'center', lineBreak: false })
+    doc.page.margins.bottom = bottomMargin
+  }
+}
+
+export const renderReportPdf = (document) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    bufferPages: true,
+    info: { Title: document.title, Creator: document.letterhead.name || 'Radiology Report' }
+  })
+
+  const chunks = []
+  doc.on('data', chunk => chunks.push(chunk))
+  doc.on('end', () => resolve(Buffer.concat(chunks)))
+  doc.on('error', reject)
+
+  try {
+    drawLetterhead(doc, document.letterhead)
+    drawHeaderBlock(doc, document)
+
+    doc.font('Helvetica-Bold').fontSize(15).fillColor('black').text(document.title, { align: 'center' })
+    for (const section of document.sections) drawSection(doc, section)
+
+    drawSignature(doc, document)
+    drawAddenda(doc, document.addenda)
+    drawBillingAppendix(doc, document.billing)
+    decoratePages(doc, document)
+    doc.end()
+  } catch (error) {
+    reject(error)
+  }
+})
@@ -0,0 +1,117 @@
+import { headerRows } from './document.js'
+
+// Fixed-width plain text for pasting into a RIS. Options:
+//   line_width      - wrap column, 40-200 (default 80)
+//   header_style    - 'upper' ("FINDINGS:"), 'underline' ("Findings" over dashes) or 'plain' ("Findings:")
+//   section_titles  - replacement titles per section key, e.g. { "impression": "CONCLUSION" }
+//   line_ending     - 'lf' (default) or 'crlf'
+
+export const TEXT_HEADER_STYLES = ['upper', 'underline', 'plain']
+
+const clampWidth = (value) => {
+  const width = parseInt(value, 10)
+  if (Number.isNaN(width)) return 80
+  return Math.min(200, Math.max(40, width))
+}
+
+// Greedy word wrap that keeps the text's own line breaks; words longer than a line are split
+export const wrapText = (text, width, indent = '') => {
+  const lines = []
+  for (const paragraph of String(text || '').split(/\r?\n/)) {
+    const words = paragraph.trim().split(/\s+/).filter(Boolean)
+    if (words.length === 0) {
+      lines.push('')
+      continue
+    }
+    let line = indent
+    for (let word of words) {
+      while (indent.length + word.length > width) {
+        if (line.trim()) { lines.push(line); line = indent }
+        lines.push(indent + word.slice(0, width - indent.length))
+        word = word.slice(width - indent.length)
+      }
+      if (!word) continue
+      if (line.trim() && line.length + 1 + word.length > width) {
+        lines.push(line)
+        line = indent
+      }
+      line += (line.trim() ? ' ' : '') + word
+    }
+    if (line.trim()) lines.push(line)
+  }
+  return lines
+}
+
+// Prefix on the first line, following lines indented to line up under the text
+const hangingText = (prefix, text, width) => {
+  const [first, ...rest] = wrapText(text, width, ' '.repeat(prefix.length))
+  return [prefix + first.trimStart(), ...rest]
+}
+
+const sectionHeader = (title, style) => {
+  if (style === 'underline') return [title, '-'.repeat(title.length)]
+  if (style === 'plain') return [`${title}:`]
+  return [`${title.toUpperCase()}:`]
+}
+
+export const renderReportText = (document, options = {}) => {
+  const width = clampWidth(options.line_width)
+  const style = TEXT_HEADER_STYLES.includes(options.header_style) ? options.header_style : 'upper'
+  const titles = options.section_titles || {}
+  const lines = []
+
+  const { letterhead } = document
+  if (letterhead.name) lines.push(...wrapText(letterhead.name.toUpperCase(), width))
+  for (const line of letterhead.addressLines) lines.push(...wrapText(line, width))
+  if (letterhead.phone) lines.push(`Tel: ${letterhead.phone}`)
+  if (lines.length > 0) lines.push('='.repeat(width))
+
+  const rows = headerRows(document)
+  const labelWidth = Math.max(...rows.map(([label]) => label.length)) + 2
+  for (const [label, value] of rows) {
+    lines.push(...hangingText(`${label}:`.padEnd(labelWidth), String(value), width))
+  }
+  lines.push('='.repeat(width), '')
+
+  if (!document.final) lines.push('*** PRELIMINARY REPORT - NOT SIGNED ***', '')
+
+  lines.push(...wrapText(document.title.toUpperCase(), width), '')
+
+  for (const section of document.sections) {
+    lines.push(...sectionHeader(titles[section.key] || section.title, style))
+    if (section.items && section.items.length > 0) {
+      section.items.forEach((item, index) => {
+        const number = `${index + 1}. `
+        if (typeof item === 'string') {
+          lines.push(...hangingText(number, item, width))
+        } else {
+          lines.push(...hangingText(number, item.heading || '', width), ...wrapText(item.text || '', width, ' '.repeat(number.length)))
+        }
+      })
+    } else {
+      lines.push(...wrapText(section.text, width))
+    }
+    lines.push('')
+  }
+
+  if (document.signature) {
+    lines.push(...wrapText(`Electronically signed by ${document.signature.name || 'the reporting radiologist'}${document.signature.signed_at ? ` on ${document.signature.signed_at}` : ''}`, width))
+  } else {
+    lines.push('Preliminary report - not signed')
+  }
+
+  for (const addendum of document.addenda) {
+    const meta = [addendum.author, addendum.created_at].filter(Boolean).join(', ')
+    lines.push('', ...sectionHeader('Addendum', style))
+    if (meta) lines.push(...wrapText(meta, width))
+    lines.push(...wrapText(addendum.text, width))
+  }
+
+  if (document.billing) {
+    lines.push('', '='.repeat(width), ...sectionHeader(document.billing.title, style), ...wrapText(document.billing.note, width))
+    for (const item of document.billing.items) lines.push(...hangingText('- ', item, width))
+  }
+
+  const eol = options.line_ending === 'crlf' ? '\r\n' : '\n'
+  return Buffer.from(lines.join(eol) + eol, 'utf8')
+}
@@ -0,0 +1,113 @@
+// Post-generation faithfulness check: compares the generated findings and impression with
+// what the radiologist dictated (plus the template, which supplies the normals) and lists
+// statements the model may have invented, numbers it changed and positives it dropped.
+// The result is advisory - nothing is removed from the report.
+
+import {
+  splitSentences,
+  positiveTermsIn,
+  measurementsIn,
+  sameMeasurement,
+  lateralityIn
+} from './report-text.js'
+
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'of', 'in', 'on', 'at', 'to', 'with', 'is', 'are', 'was', 'there', 'this',
+  'that', 'seen', 'noted', 'measuring', 'measures', 'which', 'also', 'for', 'from', 'by', 'as', 'be', 'its'
+])
+
+const contentWords = (sentence) => sentence
+  .toLowerCase()
+  .replace(/[^a-z0-9\s-]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word.length > 2 && !STOPWORDS.has(word))
+
+// Source sentences that talk about the same thing as a generated sentence
+const relatedSentences = (sentence, sources) => {
+  const terms = positiveTermsIn(sentence)
+  const words = new Set(contentWords(sentence))
+  return sources.filter(source => {
+    const low = source.toLowerCase()
+    if (terms.some(term => low.includes(term))) return true
+    const overlap = contentWords(source).filter(word => words.has(word)).length
+    return overlap >= 2
+  })
+}
+
+export const checkFaithfulness = ({ findings, impression, dictated, template = null }) => {
+  const dictatedSentences = splitSentences(dictated)
+  const templateSentences = splitSentences(template)
+  const sourceSentences = [...dictatedSentences, ...templateSentences]
+  const sourceText = sourceSentences.join(' ').toLowerCase()
+  const sourceMeasurements = measurementsIn(sourceSentences.join(' '))
+
+  const generated = [
+    ...splitSentences(findings).map(sentence => ({ section: 'findings', sentence })),
+    ...splitSentences(impression).map(sentence => ({ section: 'impression', sentence }))
+  ]
+
+  const unsupportedStatements = []
+  const changedNumbers = []
+
+  for (const { section, sentence } of generated) {
+    // Abnormalities that appear nowhere in the dictation or template
+    const invented = positiveTermsIn(sentence).filter(term => !sourceText.includes(term))
+    if (invented.length > 0) {
+      unsupportedStatements.push({ section, sentence, reason: 'abnormality_not_dictated', terms: invented })
+    }
+
+    // Measurements that were never dictated
+    for (const measurement of measurementsIn(sentence)) {
+      if (!sourceMeasurements.some(source => sameMeasurement(source, measurement))) {
+        changedNumbers.push({ section, sentence, value: measurement.text, reason: 'measurement_not_dictated' })
+      }
+    }
+
+    // Laterality the dictation does not give for the same finding
+    const sides = lateralityIn(sentence)
+    if (sides.size > 0 && positiveTermsIn(sentence).length > 0) {
+      const related = relatedSentences(sentence, dictatedSentences)
+      if (related.length > 0) {
+        const dictatedSides = new Set(related.flatMap(source => [...lateralityIn(source)]))
+        const unsupportedSides = [...sides].filter(side => !dictatedSides.has(side))
+        if (unsupportedSides.length > 0) {
+          unsupportedStatements.push({ section, sentence, reason: 'laterality_not_dictated', terms: unsupportedSides })
+        }
+      }
+    }
+  }
+
+  // Dictated positives whose key term or measurements are missing from the report
+  const generatedText = generated.map(g => g.sentence).join(' ')
+  const generatedLow = generatedText.toLowerCase()
+  const generatedMeasurements = measurementsIn(generatedText)
+  const droppedFindings = []
+
+  for (const sentence of dictatedSentences) {
+    const terms = positiveTermsIn(sentence)
+    if (terms.length === 0) continue
+
+    const missingTerms = terms.filter(term => !generatedLow.includes(term))
+    const missingMeasurements = measurementsIn(sentence)
+      .filter(measurement => !generatedMeasurements.some(g => sameMeasurement(g, measurement)))
+      .map(measurement => measurement.text)
+
+    if (missingTerms.length > 0 || missingMeasurements.length > 0) {
+      droppedFindings.push({
+        sentence,
+        missing_terms: missingTerms,
+        missing_measurements: [...new Set(missingMeasurements)]
+      })
+    }
+  }
+
+  const issueCount = unsupportedStatements.length + changedNumbers.length + droppedFindings.length
+
+  return {
+    faithful: issueCount === 0,
+    issue_count: issueCount,
+    unsupported_statements: unsupportedStatements,
+    changed_numbers: changedNumbers,
+    dropped_findings: droppedFindings
+  }
+}
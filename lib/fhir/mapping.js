@@ -0,0 +1,211 @@
+import { buildReportHtml } from '../report-html.js'
+import { positiveTermsIn, splitSentences } from '../report-text.js'
+import { organsIn } from '../anatomy.js'
+import {
+  DICOM_MODALITY_SYSTEM,
+  IMAGING_REPORT_CODE,
+  LOINC_SYSTEM,
+  REPORT_SECTION_CODES,
+  modalityFromScanName
+} from '../report-codes.js'
+
+// FHIR R4 mapping for stored reports. A report becomes a DiagnosticReport whose
+// Observations (one per narrative section, one per positive finding and one per
+// differential diagnosis) are contained resources, plus an ImagingStudy for the scan.
+// fromDiagnosticReport() goes the other way for reports sent to us.
+
+const RADIOLOGY_CATEGORY = {
+  coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0074', code: 'RAD', display: 'Radiology' }]
+}
+
+const FINDING_CODE = { system: LOINC_SYSTEM, code: '59776-5', display: 'Procedure findings' }
+const DIFFERENTIAL_CODE = { system: 'http://snomed.info/sct', code: '47965005', display: 'Differential diagnosis' }
+
+// DiagnosticReport.status for a report status (a signed report with addenda is "appended")
+export const fhirStatus = (report, addendaCount = 0) => {
+  if (report.status === 'final') return addendaCount > 0 ? 'appended' : 'final'
+  if (report.status === 'preliminary') return 'preliminary'
+  return 'partial'
+}
+
+// Report statuses matching a FHIR status search value
+export const reportStatusesFor = (fhirValue) => ({
+  partial: ['draft'],
+  registered: ['draft'],
+  preliminary: ['preliminary'],
+  final: ['final'],
+  appended: ['final']
+})[fhirValue] || []
+
+const observation = (id, status, code, value, extra = {}) => ({
+  resourceType: 'Observation',
+  id,
+  status,
+  category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'imaging' }] }],
+  code,
+  valueString: value,
+  ...extra
+})
+
+// Contained Observations for a report's sections, positive findings and differentials
+export const toObservations = (report) => {
+  const data = report.structured_data || {}
+  const status = report.status === 'final' ? 'final' : 'preliminary'
+  const observations = []
+
+  for (const { key, code, display } of REPORT_SECTION_CODES) {
+    if (!data[key]) continue
+    observations.push(observation(`section-${key}`, status, { coding: [{ system: LOINC_SYSTEM, code, display }] }, data[key]))
+  }
+
+  splitSentences(data.findings)
+    .filter(sentence => positiveTermsIn(sentence).length > 0)
+    .forEach((sentence, index) => {
+      const organs = organsIn(sentence)
+      observations.push(observation(`finding-${index + 1}`, status, { coding: [FINDING_CODE], text: sentence }, sentence, {
+        ...(organs.length > 0 ? { bodySite: { text: organs.join(', ').replace(/_/g, ' ') } } : {}),
+        derivedFrom: [{ reference: '#section-findings' }]
+      }))
+    })
+
+  const differentials = Array.isArray(data.differential_diagnosis) ? data.differential_diagnosis : []
+  differentials.forEach((dd, index) => {
+    observations.push(observation(`differential-${index + 1}`, status, { coding: [DIFFERENTIAL_CODE], text: 'Differential diagnosis' }, dd.diagnosis, {
+      ...(dd.reasoning ? { note: [{ text: dd.reasoning }] } : {}),
+      extension: [{ url: 'http://hl7.org/fhir/StructureDefinition/rank', valueInteger: index + 1 }]
+    }))
+  })
+
+  return observations
+}
+
+export const toDiagnosticReport = (report, { baseUrl = '', addenda = [] } = {}) => {
+  const data = report.structured_data || {}
+  const scanName = data.scan_name || report.scan_name || 'Radiology Report'
+  const html = report.report_html || buildReportHtml(data, { clinicalHistory: report.clinical_history })
+  const observations = toObservations(report)
+
+  return {
+    resourceType: 'DiagnosticReport',
+    id: report.id,
+    meta: { lastUpdated: report.updated_at || report.created_at },
+    contained: observations,
+    status: fhirStatus(report, addenda.length),
+    category: [RADIOLOGY_CATEGORY],
+    code: { coding: [{ system: LOINC_SYSTEM, ...IMAGING_REPORT_CODE }], text: scanName },
+    effectiveDateTime: report.created_at,
+    issued: report.signed_at || report.updated_at || report.created_at,
+    ...(report.signed_by_name ? { resultsInterpreter: [{ display: report.signed_by_name }] } : {}),
+    result: observations.map(o => ({ reference: `#${o.id}` })),
+    imagingStudy: [{ reference: `ImagingStudy/${report.id}` }],
+    conclusion: data.impression || report.impression_text || undefined,
+    presentedForm: [
+      { contentType: 'text/html', language: 'en', title: scanName, data: Buffer.from(html, 'utf8').toString('base64') },
+      { contentType: 'application/pdf', title: scanName, url: `${baseUrl}/api/reports/${report.id}/export/pdf` }
+    ],
+    ...(addenda.length > 0
+      ? { extension: addenda.map(a => ({ url: 'urn:radiology-report:addendum', valueString: a.content })) }
+      : {})
+  }
+}
+
+// One ImagingStudy per report, describing the scan it reports on
+export const toImagingStudy = (report) => {
+  const data = report.structured_data || {}
+  const scanName = data.scan_name || report.scan_name || 'Radiology Report'
+  const modality = modalityFromScanName(scanName)
+
+  return {
+    resourceType: 'ImagingStudy',
+    id: report.id,
+    meta: { lastUpdated: report.updated_at || report.created_at },
+    status: 'available',
+    ...(modality ? { modality: [{ system: DICOM_MODALITY_SYSTEM, ...modality }] } : {}),
+    started: report.created_at,
+    description: scanName,
+    ...(report.clinical_history ? { reasonCode: [{ text: report.clinical_history }] } : {})
+  }
+}
+
+export const toSearchBundle = (resources, { total, selfUrl, nextUrl = null, baseUrl = '' }) => ({
+  resourceType: 'Bundle',
+  type: 'searchset',
+  total,
+  link: [
+    { relation: 'self', url: selfUrl },
+    ...(nextUrl ? [{ relation: 'next', url: nextUrl }] : [])
+  ],
+  entry: resources.map(resource => ({
+    fullUrl: `${baseUrl}/fhir/${resource.resourceType}/${resource.id}`,
+    resource,
+    search: { mode: 'match' }
+  }))
+})
+
+export const operationOutcome = (code, diagnostics, severity = 'error') => ({
+  resourceType: 'OperationOutcome',
+  issue: [{ severity, code, diagnostics }]
+})
+
+const decodeAttachment = (attachment) => attachment?.data
+  ? Buffer.from(attachment.data, 'base64').toString('utf8')
+  : null
+
+// Report fields from a posted DiagnosticReport. Sections come from LOINC-coded
+// Observations (contained or in `result`), falling back to a text/plain presentedForm
+// for the findings. Returns { report } or { error }.
+export const fromDiagnosticReport = (resource) => {
+  if (!resource || resource.resourceType !== 'DiagnosticReport') {
+    return { error: 'Expected a DiagnosticReport resource' }
+  }
+
+  const contained = new Map((resource.contained || []).map(r => [`#${r.id}`, r]))
+  const observations = [
+    ...(resource.contained || []).filter(r => r.resourceType === 'Observation'),
+    ...(resource.result || []).map(r => r.resource).filter(r => r?.resourceType === 'Observation')
+  ]
+  const referenced = (resource.result || []).map(r => contained.get(r.reference)).filter(Boolean)
+  const all = [...new Set([...observations, ...referenced])]
+
+  const valueOf = (code) => all
+    .filter(o => (o.code?.coding || []).some(c => c.code === code))
+    .map(o => o.valueString)
+    .filter(Boolean)
+    .join('\n') || undefined
+
+  const structured = {
+    scan_name: resource.code?.text || resource.code?.coding?.[0]?.display || 'Radiology Report'
+  }
+  for (const { key, code } of REPORT_SECTION_CODES) {
+    const value = valueOf(code)
+    if (value) structured[key] = value
+  }
+  if (resource.conclusion) structured.impression = resource.conclusion
+
+  if (!structured.findings) {
+    const text = (resource.presentedForm || []).find(f => (f.contentType || '').startsWith('text/plain'))
+    structured.findings = decodeAttachment(text) || undefined
+  }
+
+  const differentials = all
+    .filter(o => (o.code?.coding || []).some(c => c.code === DIFFERENTIAL_CODE.code))
+    .map(o => ({ diagnosis: o.valueString, reasoning: o.note?.[0]?.text || '' }))
+  if (differentials.length > 0) structured.differential_diagnosis = differentials
+
+  if (!structured.findings && !structured.impression) {
+    return { error: 'DiagnosticReport has no findings or conclusion' }
+  }
+
+  const html = (resource.presentedForm || []).find(f => (f.contentType || '').startsWith('text/html'))
+
+  return {
+    report: {
+      scan_name: structured.scan_name,
+      findings: structured.findings || '',
+      comparison: structured.comparison || null,
+      report_html: decodeAttachment(html) || buildReportHtml(structured),
+      impression_text: structured.impression || '',
+      structured_data: structured
+    }
+  }
+}
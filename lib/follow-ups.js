@@ -0,0 +1,260 @@
+import { database } from './database.js'
+import { ORGANS, organsIn } from './anatomy.js'
+import { scanBodyParts } from './consistency.js'
+import { modalityFromScanName } from './report-codes.js'
+import { splitSentences } from './report-text.js'
+import { sendNotification } from './notify.js'
+
+// Follow-up imaging recommended in signed reports. Each recommendation (modality,
+// interval, reason) is stored against the patient with the window it is due in:
+// open -> completed when a later report or order for the same patient matches it
+// (same modality and body part), or cancelled by the radiologist. Open follow-ups
+// past their window (plus a grace period) are overdue and the recommending
+// radiologist is notified once.
+
+export const FOLLOW_UP_STATUSES = ['open', 'completed', 'cancelled']
+
+const parseNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10)
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed
+}
+
+//   FOLLOW_UP_GRACE_DAYS               days after the window before a follow-up is overdue
+//   FOLLOW_UP_CHECK_INTERVAL_MINUTES   how often the overdue job runs (0 turns it off)
+export const loadFollowUpConfig = (env = process.env) => ({
+  graceDays: parseNumber(env.FOLLOW_UP_GRACE_DAYS, 30),
+  checkIntervalMinutes: parseNumber(env.FOLLOW_UP_CHECK_INTERVAL_MINUTES, 60)
+})
+
+// Sentences that recommend imaging rather than describe it. Guideline lines name the
+// modality before the interval instead ("Right lower lobe lung nodule (7 mm): CT at 6-12 months").
+const RECOMMENDATION_CUE = /\b(recommend|suggest|advise|consider|follow[- ]?up|repeat|re-?imag|reassess|surveillance|should (?:be|have|undergo))/i
+const MODALITY_AT_INTERVAL = /\b(CT|MRI?|US|ultrasound|PET(?:[- ]?CT)?|radiograph|x-?ray|mammogra(?:m|phy))\s+(?:[a-z]+\s+){0,3}(?:in|at|within|after)\s+\d/i
+
+// The time to the next study: "in 3 months", "at 6-12 months", "within 2 to 4 weeks", or
+// "a 3 month follow-up". Not "for 2 weeks" or "6 months ago".
+const INTERVAL = /\b(?:in|at|within|after)\s+(\d+)(?:\s*(?:-|–|to)\s*(\d+))?\s*(day|week|month|year)s?\b(?!\s+(?:ago|prior|previously|earlier|before)\b)/i
+const INTERVAL_BEFORE = /\b(\d+)(?:\s*(?:-|–|to)\s*(\d+))?[\s-]*(day|week|month|year)s?[\s-]+(?:follow[- ]?up|interval|surveillance|repeat)\b/i
+
+// Wording before an interval (in the same clause) that makes it a comparison with an earlier study
+const COMPARISON = /\b(compared (?:with|to)|comparison (?:with|to)|since|prior|previous(?:ly)?)\b/i
+
+// A leading condition ("If symptoms persist for 2 weeks, ...") says when, not what to image
+const CONDITION = /^\s*(?:if|when|unless|should|in case)\b[^,]*,\s*/i
+
+const ANNUAL = /\b(annual|annually|yearly)\b/i
+
+const NEGATED = /\bno (?:further |routine |imaging )?(?:follow[- ]?up|imaging|workup)\b|\bnot (?:required|needed|necessary)\b/i
+
+const addInterval = (from, value, unit) => {
+  const date = new Date(from)
+  if (unit === 'day') date.setUTCDate(date.getUTCDate() + value)
+  if (unit === 'week') date.setUTCDate(date.getUTCDate() + value * 7)
+  if (unit === 'month') date.setUTCMonth(date.getUTCMonth() + value)
+  if (unit === 'year') date.setUTCFullYear(date.getUTCFullYear() + value)
+  return date
+}
+
+const intervalIn = (sentence) => {
+  const match = INTERVAL.exec(sentence) || INTERVAL_BEFORE.exec(sentence)
+  if (match && COMPARISON.test(sentence.slice(0, match.index).split(/[,;]/).pop())) return null
+  if (match) {
+    const min = parseInt(match[1], 10)
+    const max = match[2] ? parseInt(match[2], 10) : min
+    const unit = match[3].toLowerCase()
+    return { min, max, unit, text: `${min === max ? min : `${min}-${max}`} ${unit}${max === 1 ? '' : 's'}` }
+  }
+  return ANNUAL.test(sentence) ? { min: 12, max: 12, unit: 'month', text: '12 months' } : null
+}
+
+// What the follow-up is for: the label of a guideline line ("Right lower lobe lung
+// nodule (7 mm): CT at ...") or the organs the sentence names
+const reasonIn = (sentence) => {
+  const label = /^([^:]{3,80}):\s/.exec(sentence)
+  if (label) return label[1].trim()
+  const organs = organsIn(sentence)
+  return organs.length > 0 ? organs.map(organ => organ.replace(/_/g, ' ')).join(', ') : null
+}
+
+const bodyPartsFor = (sentence, scanName) => {
+  const regions = organsIn(sentence).flatMap(organ => ORGANS[organ].regions || [])
+  return regions.length > 0 ? [...new Set(regions)] : scanBodyParts(scanName)
+}
+
+// Follow-up recommendations in a signed report's clinical advice and impression.
+// Each has the modality (the report's own when the sentence names none), the interval
+// and the window it is due in, counted from `signedAt`.
+export const extractFollowUps = (report, signedAt = new Date()) => {
+  const content = report.structured_data || {}
+  const text = [content.clinical_advice, content.impression || report.impression_text].filter(Boolean).join('\n')
+  const results = []
+
+  // A guideline citation closing the previous line, e.g. "(Fleischner Society 2017)", is dropped
+  for (const line of splitSentences(text).map(line => line.replace(/^\([^)]*\)\s*/, ''))) {
+    const sentence = line.replace(CONDITION, '')
+    if (!(RECOMMENDATION_CUE.test(sentence) || MODALITY_AT_INTERVAL.test(sentence)) || NEGATED.test(sentence)) continue
+    const interval = intervalIn(sentence)
+    if (!interval) continue
+
+    const modality = modalityFromScanName(sentence)?.code || modalityFromScanName(report.scan_name)?.code || null
+    const reason = reasonIn(sentence)
+    if (results.some(existing => existing.modality === modality && existing.interval === interval.text && existing.reason === reason)) continue
+
+    results.push({
+      modality,
+      interval: interval.text,
+      reason,
+      recommendation: sentence,
+      body_parts: bodyPartsFor(sentence, report.scan_name),
+      due_from: addInterval(signedAt, interval.min, interval.unit).toISOString(),
+      due_by: addInterval(signedAt, interval.max, interval.unit).toISOString()
+    })
+  }
+
+  return results
+}
+
+// Store the follow-ups a report recommends when it is signed. Returns the stored rows;
+// never throws - signing must not fail because tracking did.
+export const recordFollowUps = async (user, report) => {
+  try {
+    const followUps = extractFollowUps(report, report.signed_at || new Date())
+    if (followUps.length === 0) return []
+
+    const { data, error } = await database
+      .from('follow_ups')
+      .insert(followUps.map(followUp => ({
+        ...followUp,
+        user_id: user.id,
+        radiologist_name: report.signed_by_name || null,
+        radiologist_email: user.email || null,
+        report_id: report.id,
+        // The order the recommending report was for, which can never be its follow-up
+        source_order_id: report.order_id || null,
+        patient_id: report.patient_id || null,
+        status: 'open'
+      })))
+      .select()
+
+    if (error) {
+      console.error('Error recording follow-ups:', error)
+      return []
+    }
+    return data || []
+  } catch (error) {
+    console.error('Follow-up recording error:', error)
+    return []
+  }
+}
+
+// A later study satisfies a follow-up when the modality and body part agree (either
+// side unknown counts as agreeing)
+export const studyMatches = (followUp, { modality, bodyParts }) => {
+  if (followUp.modality && modality && followUp.modality !== modality) return false
+  if (followUp.body_parts?.length > 0 && bodyParts.length > 0 && !followUp.body_parts.some(part => bodyParts.includes(part))) return false
+  return true
+}
+
+// Complete the patient's open follow-ups that a later study satisfies. `study` is
+// { patientId, scanName, reportId } or { ..., modality, orderId } (the modality named
+// by the scan name wins). Only follow-ups recommended before `studyAt`, by `userId`
+// when given, and not from the study's own report or order are closed;
+// `requireModality` also needs both modalities known. Returns the closed rows; never throws.
+export const closeMatchingFollowUps = async ({ patientId, userId = null, scanName = null, modality = null, reportId = null, orderId = null, studyAt = null, requireModality = false }) => {
+  if (!patientId) return []
+
+  try {
+    let query = database
+      .from('follow_ups')
+      .select('*')
+      .eq('patient_id', patientId)
+      .eq('status', 'open')
+
+    if (userId) {
+      query = query.eq('user_id', userId)
+    }
+
+    const { data: open, error } = await query
+    if (error) throw error
+
+    const study = { modality: modalityFromScanName(scanName)?.code || modality || null, bodyParts: scanBodyParts(scanName) }
+    const matched = (open || []).filter(followUp =>
+      followUp.report_id !== reportId &&
+      (!orderId || followUp.source_order_id !== orderId) &&
+      (!studyAt || new Date(followUp.created_at) < new Date(studyAt)) &&
+      (!requireModality || (followUp.modality && study.modality)) &&
+      studyMatches(followUp, study))
+    if (matched.length === 0) return []
+
+    const { data: closed, error: updateError } = await database
+      .from('follow_ups')
+      .update({
+        status: 'completed',
+        completed_at: new Date().toISOString(),
+        completed_report_id: reportId,
+        completed_order_id: orderId,
+        updated_at: new Date().toISOString()
+      })
+      .in('id', matched.map(followUp => followUp.id))
+      .eq('status', 'open')
+      .select()
+
+    if (updateError) throw updateError
+    return closed || []
+  } catch (error) {
+    console.error('Error closing follow-ups:', error)
+    return []
+  }
+}
+
+// Latest due_by of a follow-up that is overdue now
+export const overdueCutoff = (now = new Date(), { graceDays } = loadFollowUpConfig()) => {
+  const cutoff = new Date(now)
+  cutoff.setUTCDate(cutoff.getUTCDate() - graceDays)
+  return cutoff.toISOString()
+}
+
+export const isOverdue = (followUp, now = new Date(), config = loadFollowUpConfig()) =>
+  followUp.status === 'open' && followUp.due_by < overdueCutoff(now, config)
+
+// Notify each radiologist of their overdue follow-ups not yet notified, one message per
+// radiologist. Delivered follow-ups are marked notified_at.
+export const notifyOverdueFollowUps = async (now = new Date()) => {
+  const { data: overdue, error } = await database
+    .from('follow_ups')
+    .select('*')
+    .eq('status', 'open')
+    .is('notified_at', null)
+    .lt('due_by', overdueCutoff(now))
+    .order('due_by', { ascending: true })
+
+  if (error) throw error
+
+  const byRadiologist = new Map()
+  for (const followUp of overdue || []) {
+    byRadiologist.set(followUp.user_id, [...(byRadiologist.get(followUp.user_id) || []), followUp])
+  }
+
+  let notified = 0
+  for (const [userId, followUps] of byRadiologist) {
+    const result = await sendNotification('follow_up.overdue', {
+      radiologist: { id: userId, name: followUps[0].radiologist_name, email: followUps[0].radiologist_email },
+      follow_ups: followUps.map(({ id, patient_id, report_id, modality, interval, reason, recommendation, due_by }) => ({
+        id, patient_id, report_id, modality, interval, reason, recommendation, due_by
+      }))
+    })
+    if (!result.delivered) {
+      console.warn(`Overdue follow-up notification for ${userId} not delivered:`, result.error)
+      continue
+    }
+
+    const { error: updateError } = await database
+      .from('follow_ups')
+      .update({ notified_at: now.toISOString() })
+      .in('id', followUps.map(followUp => followUp.id))
+    if (updateError) console.error('Error marking follow-ups notified:', updateError)
+    notified += followUps.length
+  }
+
+  return { overdue: (overdue || []).length, radiologists: byRadiologist.size, notified }
+}
@@ -0,0 +1,44 @@
+// O-RADS US management of adnexal cysts, including those seen incidentally on CT or MRI.
+
+export const adnexal = {
+  id: 'orads_adnexal',
+  name: 'O-RADS US adnexal cyst',
+  citation: 'Andreotti RF, et al. O-RADS US Risk Stratification and Management System: A Consensus Guideline from the ACR Ovarian-Adnexal Reporting and Data System Committee. Radiology 2020;294:168-185.',
+  organs: ['ovary'],
+  lesionTypes: ['cyst', 'lesion', 'mass', 'measurement'],
+
+  recommend: (finding, patient) => {
+    if (patient.sex === 'male') return { not_applicable: 'Male patient' }
+
+    const size = finding.size_mm
+    const trace = [`adnexal ${finding.simple ? 'simple cyst' : 'lesion'} ${size} mm`]
+
+    if (!finding.simple) {
+      trace.push('not a simple cyst')
+      return {
+        recommendation: finding.solid
+          ? 'Pelvic ultrasound (O-RADS US) or MRI for characterisation and gynaecology referral.'
+          : 'Pelvic ultrasound (O-RADS US) for characterisation.',
+        trace
+      }
+    }
+
+    // Menopausal status, when not given, is assumed from age
+    const status = patient.menopausal || (patient.age !== null ? (patient.age >= 50 ? 'post' : 'pre') : null)
+    if (!status) return { not_applicable: 'Menopausal status and age not stated' }
+    trace.push(`${status}menopausal${patient.menopausal ? '' : ' (assumed from age)'}`)
+
+    if (size >= 100) {
+      trace.push('10 cm or more: O-RADS 3')
+      return { recommendation: 'Ultrasound by a specialist or MRI; gynaecology referral.', trace }
+    }
+    if (status === 'pre') {
+      if (size <= 50) return { recommendation: 'No follow-up.', trace }
+      trace.push('over 5 cm')
+      return { recommendation: 'Follow-up pelvic ultrasound in 8-12 weeks.', trace }
+    }
+    if (size <= 30) return { recommendation: 'No follow-up.', trace }
+    trace.push('over 3 cm')
+    return { recommendation: 'Follow-up pelvic ultrasound in 12 months.', trace }
+  }
+}
@@ -0,0 +1,48 @@
+// ACR Incidental Findings Committee white paper for incidental adrenal masses on CT.
+// Attenuation is the unenhanced value in HU.
+
+export const adrenal = {
+  id: 'acr_adrenal',
+  name: 'ACR incidental adrenal mass',
+  citation: 'Mayo-Smith WW, et al. Management of Incidental Adrenal Masses: A White Paper of the ACR Incidental Findings Committee. J Am Coll Radiol 2017;14:1038-1044.',
+  organs: ['adrenal'],
+  lesionTypes: ['nodule', 'lesion', 'mass', 'measurement'],
+
+  recommend: (finding, patient) => {
+    const size = finding.size_mm
+    const trace = [`adrenal lesion ${size} mm`]
+
+    if (finding.fat) {
+      trace.push('macroscopic fat (myelolipoma)')
+      return { recommendation: 'No further imaging follow-up (myelolipoma).', trace }
+    }
+    if (finding.attenuation_hu !== null && finding.attenuation_hu <= 10) {
+      trace.push(`${finding.attenuation_hu} HU: lipid-rich adenoma`)
+      return { recommendation: 'No further imaging follow-up (lipid-rich adenoma).', trace }
+    }
+    if (finding.stable) {
+      trace.push('stable for 1 year or more')
+      return { recommendation: 'No further imaging follow-up (stable for 1 year or more).', trace }
+    }
+    if (size < 10) {
+      trace.push('under 1 cm')
+      return { recommendation: 'No further workup.', trace }
+    }
+
+    const biochemistry = ' Consider biochemical evaluation for hormonal hypersecretion.'
+    if (patient.cancer_history) {
+      trace.push('indeterminate, history of cancer')
+      return { recommendation: `Adrenal-protocol CT or chemical-shift MRI, or PET/CT; consider biopsy if it would change management.${biochemistry}`, trace }
+    }
+    if (size < 20) {
+      trace.push('indeterminate, 1-2 cm, no history of cancer')
+      return { recommendation: `Adrenal-protocol CT or MRI in 12 months.${biochemistry}`, trace }
+    }
+    if (size < 40) {
+      trace.push('indeterminate, 2-4 cm, no history of cancer')
+      return { recommendation: `Adrenal-protocol (washout) CT or chemical-shift MRI.${biochemistry}`, trace }
+    }
+    trace.push('4 cm or more, no history of cancer')
+    return { recommendation: `Consider resection.${biochemistry}`, trace }
+  }
+}
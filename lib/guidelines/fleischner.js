@@ -0,0 +1,74 @@
+// Fleischner Society 2017 guidelines for incidental pulmonary nodules on CT in adults
+// aged 35 or over. Not for lung cancer screening, patients with known cancer or the
+// immunocompromised. Nodule size is the average of the long and short axis.
+
+const SOLID = {
+  single: {
+    small: { low: 'No routine follow-up.', high: 'Optional CT at 12 months.' },
+    medium: { low: 'CT at 6-12 months, then consider CT at 18-24 months.', high: 'CT at 6-12 months, then CT at 18-24 months.' },
+    large: { low: 'Consider CT at 3 months, PET/CT, or tissue sampling.', high: 'Consider CT at 3 months, PET/CT, or tissue sampling.' }
+  },
+  multiple: {
+    small: { low: 'No routine follow-up.', high: 'Optional CT at 12 months.' },
+    medium: { low: 'CT at 3-6 months, then consider CT at 18-24 months.', high: 'CT at 3-6 months, then CT at 18-24 months.' },
+    large: { low: 'CT at 3-6 months, then consider CT at 18-24 months.', high: 'CT at 3-6 months, then CT at 18-24 months.' }
+  }
+}
+
+const SUBSOLID = {
+  single: {
+    ground_glass: { small: 'No routine follow-up.', large: 'CT at 6-12 months to confirm persistence, then CT every 2 years until 5 years.' },
+    part_solid: { small: 'No routine follow-up.', large: 'CT at 3-6 months to confirm persistence. If unchanged and the solid component remains under 6 mm, annual CT for 5 years.' }
+  },
+  multiple: {
+    small: 'CT at 3-6 months. If stable, consider CT at 2 and 4 years.',
+    large: 'CT at 3-6 months. Subsequent management based on the most suspicious nodule(s).'
+  }
+}
+
+const solidBand = (size) => size < 6 ? 'small' : size <= 8 ? 'medium' : 'large'
+
+export const fleischner = {
+  id: 'fleischner',
+  name: 'Fleischner Society 2017',
+  citation: 'MacMahon H, et al. Guidelines for Management of Incidental Pulmonary Nodules Detected on CT Images: From the Fleischner Society 2017. Radiology 2017;284:228-243.',
+  organs: ['lung'],
+  lesionTypes: ['nodule', 'lesion', 'mass', 'measurement'],
+
+  recommend: (finding, patient) => {
+    if (patient.screening) return { not_applicable: 'Lung cancer screening CT - use Lung-RADS' }
+    if (patient.cancer_history) return { not_applicable: 'Known cancer' }
+    if (patient.immunocompromised) return { not_applicable: 'Immunocompromised patient' }
+    if (patient.age !== null && patient.age < 35) return { not_applicable: 'Patient younger than 35' }
+
+    const size = Math.round(finding.mean_mm)
+    const count = finding.multiple ? 'multiple' : 'single'
+    const trace = [`${count} ${(finding.composition || 'solid').replace(/_/g, '-')} nodule, average diameter ${size} mm`]
+
+    if (finding.composition === 'ground_glass' || finding.composition === 'part_solid') {
+      const band = size < 6 ? 'small' : 'large'
+      const recommendation = count === 'multiple'
+        ? SUBSOLID.multiple[band]
+        : SUBSOLID.single[finding.composition][band]
+      trace.push(`subsolid, ${band === 'small' ? 'under 6 mm' : '6 mm or more'}`)
+      return { recommendation, trace }
+    }
+
+    const band = solidBand(size)
+    trace.push(`solid, ${{ small: 'under 6 mm', medium: '6-8 mm', large: 'over 8 mm' }[band]}`)
+    const options = SOLID[count][band]
+    if (patient.risk === 'low' || patient.risk === 'high') {
+      trace.push(`${patient.risk}-risk patient`)
+      return { recommendation: options[patient.risk], trace }
+    }
+
+    // Without a stated risk both management options are given
+    trace.push('patient risk not stated')
+    return {
+      recommendation: options.low === options.high
+        ? options.low
+        : `Low-risk patient: ${options.low} High-risk patient: ${options.high}`,
+      trace
+    }
+  }
+}
@@ -0,0 +1,238 @@
+import { organsIn } from '../anatomy.js'
+import { resolvePatientSex } from '../consistency.js'
+import { extractMeasurements } from '../measurements.js'
+import { modalityFromScanName } from '../report-codes.js'
+import { splitSentences } from '../report-text.js'
+import { extractScanNameFromFirstLine } from '../report-generator.js'
+import { choiceFor, flagFor } from '../scoring/features.js'
+import { adnexal } from './adnexal.js'
+import { adrenal } from './adrenal.js'
+import { fleischner } from './fleischner.js'
+import { liver } from './liver.js'
+import { renal } from './renal.js'
+import { thyroid } from './thyroid.js'
+
+// Deterministic follow-up recommendations for incidental findings. Measured lesions
+// are read from the findings (see lib/measurements.js) with the features the
+// guidelines need, matched to a guideline by organ, and each guideline returns its
+// recommendation with the rule trace and citation. Only the largest lesion per
+// guideline is used, standing in for the most suspicious one.
+
+export const GUIDELINES = { fleischner, adrenal, renal, liver, thyroid, adnexal }
+
+// Guideline descriptions for GET /api/guidelines
+export const listGuidelines = () => Object.values(GUIDELINES).map(({ id, name, citation, organs, lesionTypes }) => ({
+  id, name, citation, organs, lesion_types: lesionTypes
+}))
+
+const BOSNIAK = { 1: 'I', 2: 'II', '2F': 'IIF', 3: 'III', 4: 'IV' }
+
+const INTERVAL = /(\d+(?:\s*(?:-|–|to)\s*\d+)?)\s*(week|month|year)s?\b/gi
+
+const NO_FOLLOW_UP = /\bno (?:further |routine |imaging )?(?:follow[- ]?up|imaging|workup|evaluation)\b/i
+
+// Age from an explicit value, a date of birth or the clinical history ("62 year old", "45yo", "62M")
+const resolveAge = (age, dob, clinicalHistory) => {
+  if (typeof age === 'number' && Number.isFinite(age)) return age
+  if (dob && !Number.isNaN(new Date(dob).getTime())) {
+    return Math.floor((Date.now() - new Date(dob).getTime()) / (365.25 * 24 * 60 * 60 * 1000))
+  }
+  const match = /\b(\d{1,3})\s*(?:-?\s*y(?:ears?)?(?:[\s/-]*o(?:ld)?)?|yo)\b|\b(\d{1,3})\s*[MF]\b/i.exec(clinicalHistory || '')
+  return match ? parseInt(match[1] || match[2], 10) : null
+}
+
+const CANCER_TERMS = ['cancer', 'carcinoma', 'malignan', 'metasta', 'lymphoma', 'melanoma', 'sarcoma']
+
+// Words before a cancer term that make it a question for the scan or someone else's
+// history ("r/o malignancy", "?metastases", "family history of breast cancer")
+const CANCER_QUERY = /\b(r\/o|rule out|ruling out|exclude|excluding|query|suspected|suspicious for|concern(?:ing)? for|possible|assess(?:ment)? for|evaluat(?:e|ion) for|screen(?:ing)? for|look(?:ing)? for|risk of|family history|fhx)\b|\?\s*$/
+
+// The history states the patient has or had a cancer ("known lymphoma", "h/o breast cancer")
+const statesCancerHistory = (history) => splitSentences(history).some(sentence => {
+  const low = sentence.toLowerCase()
+  return CANCER_TERMS.some(term => {
+    const index = low.indexOf(term)
+    if (index === -1 || flagFor(sentence, [term]) !== true) return false
+    const clause = low.slice(0, index).split(/[,;]|\bbut\b/).pop()
+    return !CANCER_QUERY.test(clause) && !/^[a-z]*\s*\?/.test(low.slice(index))
+  })
+})
+
+// Patient factors from a generate-report body; explicit fields win over the clinical history
+export const patientContext = (body = {}) => {
+  const history = body.clinical_history || ''
+  const fromHistory = (terms) => flagFor(history, terms) === true
+  const scanName = body.scan_name || ''
+
+  return {
+    age: resolveAge(body.patient_age, body.patient_dob, history),
+    sex: resolvePatientSex(body.patient_sex, history),
+    menopausal: ['pre', 'post'].includes(body.menopausal_status) ? body.menopausal_status : null,
+    risk: ['low', 'high'].includes(body.patient_risk)
+      ? body.patient_risk
+      : fromHistory(['smoker', 'smoking', 'pack-year', 'pack year']) ? 'high' : null,
+    cancer_history: typeof body.cancer_history === 'boolean'
+      ? body.cancer_history
+      : statesCancerHistory(history),
+    immunocompromised: body.immunocompromised === true || fromHistory(['immunocompromised', 'immunosuppress', 'transplant', 'hiv']),
+    liver_disease: fromHistory(['cirrho', 'hepatitis', 'liver disease']),
+    screening: /\b(screening|ldct|low[- ]dose)\b/i.test(scanName),
+    limited_life_expectancy: body.limited_life_expectancy === true
+  }
+}
+
+const lesionLabel = (measurement) => [measurement.location.text, measurement.lesion_type === 'measurement' ? 'lesion' : measurement.lesion_type.replace(/_/g, ' ')]
+  .filter(Boolean).join(' ')
+
+// Guideline features of a measured lesion, read from its sentence
+export const describeFinding = (measurement) => {
+  const sentence = measurement.sentence
+  const hu = /(-?\d+(?:\.\d+)?)\s*(?:HU|hounsfield)/i.exec(sentence)
+  const bosniak = /bosniak\s*(?:category\s*)?(IIF|2F|IV|III|II|I|[1-4])\b/i.exec(sentence)
+  const composition = choiceFor(sentence, [
+    { value: 'part_solid', terms: ['part-solid', 'part solid', 'subsolid', 'semi-solid'] },
+    { value: 'ground_glass', terms: ['ground-glass', 'ground glass'] },
+    { value: 'solid', terms: ['solid'] }
+  ]) || null
+
+  return {
+    measurement_id: measurement.id,
+    label: lesionLabel(measurement),
+    organ: measurement.location.organ,
+    lesion_type: measurement.lesion_type,
+    size_mm: measurement.long_axis_mm,
+    mean_mm: measurement.short_axis_mm ? (measurement.long_axis_mm + measurement.short_axis_mm) / 2 : measurement.long_axis_mm,
+    composition,
+    attenuation_hu: hu ? parseFloat(hu[1]) : null,
+    bosniak: bosniak ? BOSNIAK[bosniak[1].toUpperCase()] || bosniak[1].toUpperCase() : null,
+    fat: flagFor(sentence, ['macroscopic fat', 'fat-containing', 'fat density', 'myelolipoma', 'angiomyolipoma']) === true,
+    simple: flagFor(sentence, ['simple cyst', 'simple-appearing', 'simple appearing', 'anechoic']) === true,
+    solid: composition === 'solid' || flagFor(sentence, ['enhancing', 'enhancement', 'solid component']) === true,
+    benign: flagFor(sentence, ['haemangioma', 'hemangioma', 'focal fat', 'focal nodular hyperplasia']) === true,
+    stable: flagFor(sentence, ['stable since', 'unchanged since', 'stable for', 'unchanged for']) === true,
+    suspicious: flagFor(sentence, ['invasion', 'invading', 'extrathyroidal', 'fdg avid', 'fdg-avid', 'hypermetabolic', 'abnormal lymph node']) === true,
+    multiple: flagFor(sentence, ['multiple', 'several', 'numerous', 'nodules']) === true
+  }
+}
+
+const guidelineFor = (finding, modality) => Object.values(GUIDELINES).find(guideline =>
+  guideline.organs.includes(finding.organ) &&
+  guideline.lesionTypes.includes(finding.lesion_type) &&
+  !(modality && guideline.excludeModalities?.includes(modality)))
+
+// Recommendation of one guideline for one finding
+export const recommendForFinding = (guideline, finding, patient) => {
+  const outcome = guideline.recommend(finding, patient)
+  if (outcome.not_applicable) {
+    return { guideline: guideline.id, name: guideline.name, finding, not_applicable: outcome.not_applicable }
+  }
+  return {
+    guideline: guideline.id,
+    name: guideline.name,
+    citation: guideline.citation,
+    finding,
+    recommendation: outcome.recommendation,
+    trace: outcome.trace,
+    text: `${finding.label.charAt(0).toUpperCase()}${finding.label.slice(1)} (${finding.size_mm} mm): ${outcome.recommendation} (${guideline.name})`
+  }
+}
+
+// Features a caller can give for a finding (POST /api/guidelines/recommend)
+const FINDING_FLAGS = ['fat', 'simple', 'solid', 'benign', 'stable', 'suspicious', 'multiple']
+
+// A finding for a named guideline from structured input, or { error }
+export const structuredFinding = (guideline, input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'finding must be an object' }
+  const { size_mm, mean_mm, composition = null, attenuation_hu = null, bosniak = null } = input
+  if (typeof size_mm !== 'number' || !Number.isFinite(size_mm) || size_mm <= 0) return { error: 'finding.size_mm must be a positive number' }
+  if (mean_mm !== undefined && (typeof mean_mm !== 'number' || !Number.isFinite(mean_mm) || mean_mm <= 0)) return { error: 'finding.mean_mm must be a positive number' }
+  if (composition !== null && !['solid', 'part_solid', 'ground_glass'].includes(composition)) return { error: 'finding.composition must be one of: solid, part_solid, ground_glass' }
+  if (attenuation_hu !== null && (typeof attenuation_hu !== 'number' || !Number.isFinite(attenuation_hu))) return { error: 'finding.attenuation_hu must be a number' }
+  if (bosniak !== null && !Object.values(BOSNIAK).includes(bosniak)) return { error: `finding.bosniak must be one of: ${Object.values(BOSNIAK).join(', ')}` }
+  const badFlag = FINDING_FLAGS.find(key => input[key] !== undefined && typeof input[key] !== 'boolean')
+  if (badFlag) return { error: `finding.${badFlag} must be true or false` }
+
+  const organ = guideline.organs[0]
+  return {
+    finding: {
+      measurement_id: null,
+      label: `${organ} ${input.lesion_type || 'lesion'}`,
+      organ,
+      lesion_type: input.lesion_type || 'lesion',
+      size_mm,
+      mean_mm: mean_mm ?? size_mm,
+      composition: composition ?? (input.solid ? 'solid' : null),
+      attenuation_hu,
+      bosniak,
+      ...Object.fromEntries(FINDING_FLAGS.map(key => [key, input[key] === true]))
+    }
+  }
+}
+
+// Guideline recommendations for the incidental findings measured in a findings text
+export const recommendFollowUp = (findings, patient, { scanName = null } = {}) => {
+  const modality = modalityFromScanName(scanName)?.code
+  const byGuideline = new Map()
+
+  for (const measurement of extractMeasurements(findings).filter(m => !m.historical)) {
+    const finding = describeFinding(measurement)
+    const guideline = guidelineFor(finding, modality)
+    if (!guideline) continue
+    const entry = byGuideline.get(guideline.id)
+    if (!entry) {
+      byGuideline.set(guideline.id, { guideline, finding, count: 1 })
+    } else {
+      entry.count += 1
+      if (finding.size_mm > entry.finding.size_mm) entry.finding = finding
+    }
+  }
+
+  return [...byGuideline.values()]
+    .map(({ guideline, finding, count }) => recommendForFinding(guideline, count > 1 ? { ...finding, multiple: true } : finding, patient))
+    .filter(result => result.recommendation)
+}
+
+// Intervals as "6-12 months", "3 months", "1 year"
+const normaliseIntervals = (text) => [...String(text || '').matchAll(INTERVAL)].map(([, value, unit]) => {
+  const range = value.replace(/\s*(?:–|to)\s*/g, '-').replace(/\s+/g, '')
+  return `${range} ${unit.toLowerCase()}${range === '1' ? '' : 's'}`
+})
+
+// Sentences of the clinical advice that contradict a guideline recommendation for the
+// same organ: a different follow-up interval, or no follow-up where one is recommended
+export const checkClinicalAdvice = (advice, recommendations) => {
+  const issues = []
+
+  for (const sentence of splitSentences(advice)) {
+    const organs = organsIn(sentence)
+    for (const result of recommendations.filter(r => organs.includes(r.finding.organ))) {
+      const expected = normaliseIntervals(result.recommendation)
+      const given = normaliseIntervals(sentence)
+      const unexpected = given.filter(interval => !expected.includes(interval))
+
+      if (unexpected.length > 0) {
+        issues.push({ guideline: result.guideline, organ: result.finding.organ, advice: sentence, expected: result.recommendation, reason: `Follow-up interval ${unexpected.join(', ')} differs from the guideline` })
+      } else if (NO_FOLLOW_UP.test(sentence) && !/^No /.test(result.recommendation)) {
+        issues.push({ guideline: result.guideline, organ: result.finding.organ, advice: sentence, expected: result.recommendation, reason: 'Advice omits the follow-up the guideline recommends' })
+      }
+    }
+  }
+
+  return { consistent: issues.length === 0, issues }
+}
+
+// Fill a generate-report body with `guideline_recommendations` for its incidental
+// findings. `guidelines: false` turns this off. Never throws.
+export const applyGuidelines = (body = {}) => {
+  if (!body || body.guidelines === false) return body
+
+  try {
+    const findings = body.findings_raw || body.findings
+    const scanName = body.scan_name || extractScanNameFromFirstLine(body.template_content || findings)
+    const recommendations = recommendFollowUp(findings, patientContext({ ...body, scan_name: scanName }), { scanName })
+    return recommendations.length > 0 ? { ...body, guideline_recommendations: recommendations } : body
+  } catch (error) {
+    console.error('Guideline recommendation error:', error)
+    return body
+  }
+}
@@ -0,0 +1,31 @@
+// ACR Incidental Findings Committee white paper for incidental liver lesions on CT in adults.
+
+export const liver = {
+  id: 'acr_liver',
+  name: 'ACR incidental liver lesion',
+  citation: 'Gore RM, et al. Management of Incidental Liver Lesions on CT: A White Paper of the ACR Incidental Findings Committee. J Am Coll Radiol 2017;14:1429-1437.',
+  organs: ['liver'],
+  lesionTypes: ['cyst', 'nodule', 'lesion', 'mass', 'measurement'],
+
+  recommend: (finding, patient) => {
+    const size = finding.size_mm
+    const highRisk = patient.cancer_history || patient.liver_disease || patient.risk === 'high'
+    const trace = [`liver lesion ${size} mm`, highRisk ? 'high-risk patient' : 'low-risk patient']
+
+    if (finding.benign || finding.simple || (finding.attenuation_hu !== null && finding.attenuation_hu <= 20 && !finding.solid)) {
+      trace.push('benign features')
+      return { recommendation: 'No follow-up (benign features).', trace }
+    }
+    if (size < 10) {
+      trace.push('under 1 cm')
+      return { recommendation: highRisk ? 'Follow-up MRI in 3-6 months.' : 'No follow-up.', trace }
+    }
+    trace.push('1 cm or more without benign features')
+    return {
+      recommendation: highRisk
+        ? 'Liver MRI with contrast; biopsy if it remains indeterminate.'
+        : 'Liver MRI with contrast for characterisation.',
+      trace
+    }
+  }
+}
@@ -0,0 +1,45 @@
+// ACR Incidental Findings Committee white paper for incidental renal masses on CT, with
+// the Bosniak 2019 classification for cystic masses. Attenuation is the homogeneous lesion value in HU.
+
+export const renal = {
+  id: 'acr_renal',
+  name: 'ACR incidental renal mass / Bosniak 2019',
+  citation: 'Herts BR, et al. Management of the Incidental Renal Mass on CT: A White Paper of the ACR Incidental Findings Committee. J Am Coll Radiol 2018;15:264-273. Silverman SG, et al. Bosniak Classification of Cystic Renal Masses, Version 2019. Radiology 2019;292:475-488.',
+  organs: ['kidney'],
+  lesionTypes: ['cyst', 'nodule', 'lesion', 'mass', 'tumour', 'measurement'],
+
+  recommend: (finding) => {
+    const size = finding.size_mm
+    const hu = finding.attenuation_hu
+    const trace = [`renal lesion ${size} mm`]
+
+    if (finding.bosniak) {
+      trace.push(`Bosniak ${finding.bosniak}`)
+      if (['I', 'II'].includes(finding.bosniak)) return { recommendation: 'No follow-up.', trace }
+      if (finding.bosniak === 'IIF') return { recommendation: 'Follow-up CT or MRI at 6 and 12 months, then annually for a total of 5 years.', trace }
+      return { recommendation: 'Urology referral for surgical or ablative treatment or active surveillance.', trace }
+    }
+    if (finding.fat) {
+      trace.push('macroscopic fat (angiomyolipoma)')
+      return { recommendation: size > 40 ? 'Urology referral (angiomyolipoma over 4 cm).' : 'No follow-up (angiomyolipoma).', trace }
+    }
+    if (finding.simple || (hu !== null && hu >= -10 && hu <= 20 && !finding.solid)) {
+      trace.push(hu !== null ? `homogeneous, ${hu} HU: simple cyst` : 'simple cyst')
+      return { recommendation: 'No follow-up (simple cyst).', trace }
+    }
+    if (hu !== null && hu >= 70 && !finding.solid) {
+      trace.push(`homogeneous, ${hu} HU: hyperattenuating cyst`)
+      return { recommendation: 'No follow-up (hyperattenuating cyst).', trace }
+    }
+    if (size < 10 && !finding.solid) {
+      trace.push('too small to characterise')
+      return { recommendation: 'No follow-up (too small to characterise).', trace }
+    }
+    if (finding.solid) {
+      trace.push('solid mass')
+      return { recommendation: 'Renal-mass-protocol CT or MRI and urology referral.', trace }
+    }
+    trace.push('indeterminate')
+    return { recommendation: 'Renal-mass-protocol CT or MRI, or ultrasound to confirm a cyst.', trace }
+  }
+}
@@ -0,0 +1,35 @@
+// ACR guidance for incidental thyroid nodules on CT, MRI and PET. Dedicated thyroid
+// ultrasound is scored with TI-RADS instead (see lib/scoring/tirads.js).
+
+export const thyroid = {
+  id: 'acr_thyroid',
+  name: 'ACR incidental thyroid nodule',
+  citation: 'Hoang JK, et al. Managing Incidental Thyroid Nodules Detected on Imaging: White Paper of the ACR Incidental Thyroid Findings Committee. J Am Coll Radiol 2015;12:143-150.',
+  organs: ['thyroid'],
+  lesionTypes: ['nodule', 'lesion', 'mass', 'cyst', 'measurement'],
+  excludeModalities: ['US'],
+
+  recommend: (finding, patient) => {
+    const size = finding.size_mm
+    const trace = [`thyroid nodule ${size} mm`]
+
+    if (finding.suspicious) {
+      trace.push('suspicious features (invasion, abnormal lymph nodes or FDG avidity)')
+      return { recommendation: 'Thyroid ultrasound.', trace }
+    }
+    if (patient.limited_life_expectancy) {
+      trace.push('limited life expectancy')
+      return { recommendation: 'No further evaluation.', trace }
+    }
+    if (patient.age === null) {
+      trace.push('age not stated')
+      if (size >= 15) return { recommendation: 'Thyroid ultrasound.', trace }
+      if (size < 10) return { recommendation: 'No further evaluation.', trace }
+      return { recommendation: 'Thyroid ultrasound if the patient is under 35; otherwise no further evaluation.', trace }
+    }
+
+    const threshold = patient.age < 35 ? 10 : 15
+    trace.push(`age ${patient.age}: ultrasound threshold ${threshold / 10} cm`)
+    return { recommendation: size >= threshold ? 'Thyroid ultrasound.' : 'No further evaluation.', trace }
+  }
+}
@@ -0,0 +1,41 @@
+// HL7 v2 interface configuration, resolved from the environment.
+//
+//   HL7_SENDING_APPLICATION     MSH-3 (default RADREPORT)
+//   HL7_SENDING_FACILITY        MSH-4
+//   HL7_RECEIVING_APPLICATION   MSH-5
+//   HL7_RECEIVING_FACILITY      MSH-6
+//   HL7_PROCESSING_ID           MSH-11: P (production), T (training) or D (debugging)
+//   MLLP_HOST, MLLP_PORT        outbound MLLP destination for result messages
+//   MLLP_TIMEOUT_MS             time to wait for the ACK
+//   MLLP_LISTEN_PORT            inbound MLLP port for ORM^O01 orders (listener off when unset)
+//   MLLP_LISTEN_HOST            interface to bind the listener to (default 127.0.0.1)
+//   MLLP_ALLOWED_SOURCES        comma-separated IP addresses the listener accepts (any when unset)
+//   MLLP_ALLOWED_FACILITIES     comma-separated MSH-4 sending facilities it accepts (any when unset)
+//   MLLP_MAX_MESSAGE_LENGTH     largest inbound message in characters; longer drops the connection
+
+const parseNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10)
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed
+}
+
+const parseList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean)
+
+export const loadHL7Config = (env = process.env) => ({
+  sendingApplication: env.HL7_SENDING_APPLICATION || 'RADREPORT',
+  sendingFacility: env.HL7_SENDING_FACILITY || '',
+  receivingApplication: env.HL7_RECEIVING_APPLICATION || '',
+  receivingFacility: env.HL7_RECEIVING_FACILITY || '',
+  processingId: ['P', 'T', 'D'].includes(env.HL7_PROCESSING_ID) ? env.HL7_PROCESSING_ID : 'P',
+  mllp: {
+    host: env.MLLP_HOST || null,
+    port: parseNumber(env.MLLP_PORT, null),
+    timeoutMs: parseNumber(env.MLLP_TIMEOUT_MS, 10000)
+  },
+  listener: {
+    host: env.MLLP_LISTEN_HOST || '127.0.0.1',
+    port: parseNumber(env.MLLP_LISTEN_PORT, null),
+    allowedSources: parseList(env.MLLP_ALLOWED_SOURCES),
+    allowedFacilities: parseList(env.MLLP_ALLOWED_FACILITIES),
+    maxMessageLength: parseNumber(env.MLLP_MAX_MESSAGE_LENGTH, 1000000)
+  }
+})
@@ -0,0 +1,85 @@
+// HL7 v2 ER7 encoding helpers: escaping, timestamps, segments and a small parser.
+// Messages use the standard delimiters |^~\& and \r between segments.
+
+export const SEGMENT_SEPARATOR = '\r'
+
+export const escapeHL7 = (value) => String(value ?? '')
+  .replace(/\\/g, '\\E\\')
+  .replace(/\|/g, '\\F\\')
+  .replace(/\^/g, '\\S\\')
+  .replace(/&/g, '\\T\\')
+  .replace(/~/g, '\\R\\')
+  .replace(/\r\n|\r|\n/g, '\\.br\\')
+
+export const unescapeHL7 = (value) => String(value ?? '')
+  .replace(/\\\.br\\/g, '\n')
+  .replace(/\\F\\/g, '|')
+  .replace(/\\S\\/g, '^')
+  .replace(/\\T\\/g, '&')
+  .replace(/\\R\\/g, '~')
+  .replace(/\\E\\/g, '\\')
+
+// HL7 DTM: YYYYMMDD for dates, YYYYMMDDHHMM[SS] for times (UTC). Accepts Dates, ISO
+// strings and the "YYYY-MM-DD HH:MM" strings used by the export document.
+export const hl7Timestamp = (value, { dateOnly = false } = {}) => {
+  if (!value) return ''
+  const text = value instanceof Date ? value.toISOString() : String(value)
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    return text.replace(/[^0-9]/g, '').slice(0, dateOnly ? 8 : 14)
+  }
+  const date = new Date(text)
+  if (Number.isNaN(date.getTime())) return ''
+  return date.toISOString().replace(/[^0-9]/g, '').slice(0, dateOnly ? 8 : 14)
+}
+
+// HL7 DTM back to ISO 8601: "YYYY-MM-DD" for a bare date, otherwise a UTC timestamp.
+// A trailing +/-ZZZZ offset is honoured; without one the time is taken as UTC.
+export const parseHL7Timestamp = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})?(\d{2})?(?:\.\d+)?)?([+-]\d{4})?$/.exec(String(value || '').trim())
+  if (!match) return null
+  const [, year, month, day, hour, minute = '00', second = '00', offset] = match
+  if (!hour) return `${year}-${month}-${day}`
+  const zone = offset ? `${offset.slice(0, 3)}:${offset.slice(3)}` : 'Z'
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`)
+  return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+// Person name as XPN/XCN components: "Doe, John", "John Doe" and "Dr John Doe" all give Doe^John
+export const hl7Name = (name) => {
+  if (!name) return ''
+  const text = String(name).trim().replace(/^(?:Dr|Mr|Mrs|Ms|Prof)\.?\s+/i, '')
+  if (text.includes(',')) {
+    const [family, given] = text.split(',').map(part => part.trim())
+    return `${escapeHL7(family)}^${escapeHL7(given || '')}`
+  }
+  const parts = text.split(/\s+/)
+  const family = parts.pop()
+  return `${escapeHL7(family)}^${escapeHL7(parts.join(' '))}`
+}
+
+// A segment from its fields; trailing empty fields are dropped
+export const segment = (name, fields) => {
+  const values = fields.map(field => field ?? '')
+  while (values.length > 0 && values[values.length - 1] === '') values.pop()
+  return [name, ...values].join('|')
+}
+
+// Parse an ER7 message into segments: [{ name, fields }] where fields[1] is the first
+// field after the segment name (MSH fields are numbered the HL7 way, so MSH-9 is fields[9]).
+export const parseHL7 = (message) => String(message || '')
+  .split(/\r\n|\r|\n/)
+  .filter(line => line.trim())
+  .map(line => {
+    const fields = line.split('|')
+    const name = fields[0]
+    // MSH-1 is the field separator itself
+    return { name, fields: name === 'MSH' ? [name, '|', ...fields.slice(1)] : fields }
+  })
+
+// Field value of the first matching segment, split into components when asked
+export const field = (segments, name, index, component = null) => {
+  const found = segments.find(s => s.name === name)
+  const value = found?.fields[index] ?? ''
+  if (component === null) return value
+  return value.split('^')[component - 1] ?? ''
+}
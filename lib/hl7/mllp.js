@@ -0,0 +1,137 @@
+import net from 'net'
+import crypto from 'crypto'
+import { SEGMENT_SEPARATOR, escapeHL7, hl7Timestamp, parseHL7, field, segment } from './encoding.js'
+
+// Minimal Lower Layer Protocol framing: <VT> message <FS><CR>
+const START_BLOCK = '\x0b'
+const END_BLOCK = '\x1c\r'
+
+export const frameMLLP = (message) => `${START_BLOCK}${message}${END_BLOCK}`
+
+// Read a framed message from an accumulating buffer; returns { message, rest } or null
+export const unframeMLLP = (buffer) => {
+  const start = buffer.indexOf(START_BLOCK)
+  const end = buffer.indexOf(END_BLOCK, start + 1)
+  if (start === -1 || end === -1) return null
+  return { message: buffer.slice(start + 1, end), rest: buffer.slice(end + END_BLOCK.length) }
+}
+
+// MSA of an ACK: AA/CA accepted, AE/CE error, AR/CR rejected
+export const parseAck = (message) => {
+  const segments = parseHL7(message)
+  const code = field(segments, 'MSA', 1)
+  return {
+    code,
+    accepted: code === 'AA' || code === 'CA',
+    control_id: field(segments, 'MSA', 2),
+    text: field(segments, 'MSA', 3) || field(segments, 'ERR', 8) || null
+  }
+}
+
+// Send one message over MLLP and wait for the ACK
+export const sendMLLP = (message, { host, port, timeoutMs = 10000 }) => new Promise((resolve, reject) => {
+  if (!host || !port) {
+    reject(new Error('MLLP destination is not configured (MLLP_HOST and MLLP_PORT)'))
+    return
+  }
+
+  const socket = net.createConnection({ host, port })
+  let buffer = ''
+  let settled = false
+
+  const finish = (error, ack) => {
+    if (settled) return
+    settled = true
+    socket.destroy()
+    if (error) reject(error)
+    else resolve(ack)
+  }
+
+  socket.setEncoding('utf8')
+  socket.setTimeout(timeoutMs, () => finish(new Error(`No ACK from ${host}:${port} within ${timeoutMs}ms`)))
+  socket.on('connect', () => socket.write(frameMLLP(message)))
+  socket.on('data', (chunk) => {
+    buffer += chunk
+    const framed = unframeMLLP(buffer)
+    if (framed) finish(null, { ...parseAck(framed.message), raw: framed.message })
+  })
+  socket.on('error', (error) => finish(error))
+  socket.on('close', () => finish(new Error(`Connection to ${host}:${port} closed before an ACK was received`)))
+})
+
+// Original-mode ACK for a received message (MSH sender/receiver swapped back)
+export const buildAck = (message, code, { text = '', now = new Date() } = {}) => {
+  const segments = parseHL7(message)
+  const trigger = field(segments, 'MSH', 9, 2)
+  return [
+    segment('MSH', [
+      field(segments, 'MSH', 2) || '^~\\&',
+      field(segments, 'MSH', 5),
+      field(segments, 'MSH', 6),
+      field(segments, 'MSH', 3),
+      field(segments, 'MSH', 4),
+      hl7Timestamp(now),
+      '',
+      `ACK${trigger ? `^${trigger}` : ''}^ACK`,
+      crypto.randomUUID().replace(/-/g, '').slice(0, 20),
+      field(segments, 'MSH', 11) || 'P',
+      field(segments, 'MSH', 12) || '2.5'
+    ]),
+    segment('MSA', [code, field(segments, 'MSH', 10), escapeHL7(text)])
+  ].join(SEGMENT_SEPARATOR)
+}
+
+// Peer address without the IPv4-mapped IPv6 prefix
+const sourceAddress = (socket) => String(socket.remoteAddress || '').replace(/^::ffff:/, '')
+
+// Inbound MLLP server. `onMessage(message)` resolves to { code, text } for the ACK
+// (AA, AE or AR); a throw is answered with AE. Connections from outside `allowedSources`
+// are closed, messages from a sending facility (MSH-4) outside `allowedFacilities` get AR
+// (either list empty allows all), and a connection whose unframed data grows past
+// `maxMessageLength` is dropped. Returns the net.Server, not yet listening.
+export const createMLLPListener = ({ onMessage, allowedSources = [], allowedFacilities = [], maxMessageLength = 1000000 }) => net.createServer((socket) => {
+  const source = sourceAddress(socket)
+  if (allowedSources.length > 0 && !allowedSources.includes(source)) {
+    console.warn('MLLP connection refused from', source)
+    socket.destroy()
+    return
+  }
+
+  let buffer = ''
+  let queue = Promise.resolve()
+
+  const handle = async (message) => {
+    const facility = field(parseHL7(message), 'MSH', 4, 1)
+    if (allowedFacilities.length > 0 && !allowedFacilities.includes(facility)) {
+      console.warn('MLLP message refused from sending facility', facility || '(none)')
+      return { code: 'AR', text: 'Sending facility not accepted' }
+    }
+    return onMessage(message)
+  }
+
+  socket.setEncoding('utf8')
+  socket.on('data', (chunk) => {
+    buffer += chunk
+    let framed
+    while ((framed = unframeMLLP(buffer))) {
+      buffer = framed.rest
+      const { message } = framed
+      // Messages on one connection are handled and acknowledged in order
+      queue = queue
+        .then(() => handle(message))
+        .catch((error) => {
+          console.error('MLLP message handling error:', error)
+          return { code: 'AE', text: 'Internal error' }
+        })
+        .then(({ code, text }) => {
+          if (!socket.destroyed) socket.write(frameMLLP(buildAck(message, code, { text })))
+        })
+    }
+    if (buffer.length > maxMessageLength) {
+      console.warn(`MLLP message from ${source} exceeds ${maxMessageLength} characters; closing connection`)
+      buffer = ''
+      socket.destroy()
+    }
+  })
+  socket.on('error', (error) => console.error('MLLP connection error:', error.message))
+})
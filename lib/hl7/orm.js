@@ -0,0 +1,103 @@
+import { field, parseHL7, parseHL7Timestamp, unescapeHL7 } from './encoding.js'
+
+// Inbound HL7 v2 ORM^O01 general orders -> worklist orders. Only the fields the
+// worklist needs are read: PID (patient), ORC (order control, numbers, orderer),
+// OBR (procedure, indication, accession, priority) and TQ1 (v2.5 timing/priority).
+
+// ORC-1 order control codes: new/changed orders are stored, cancels close the order
+const UPSERT_CONTROLS = ['NW', 'XO', 'SC', 'RP']
+const CANCEL_CONTROLS = ['CA', 'DC', 'OC', 'OD']
+
+// TQ1-9 / ORC-7.6 / OBR-27.6 priority codes
+const PRIORITIES = { S: 'stat', A: 'asap', R: 'routine', P: 'preop', C: 'callback', T: 'timing_critical' }
+
+const SEX = { M: 'male', F: 'female', O: 'other', U: 'unknown', A: 'other', N: 'unknown' }
+
+// Components of the first repetition of a field, unescaped
+const components = (value) => String(value || '').split('~')[0].split('^').map(unescapeHL7)
+
+// XPN / XCN name as "Family, Given"; XCN has the id in the first component
+const personName = (value, { withId = false } = {}) => {
+  const parts = components(value)
+  const [family, given, middle] = withId ? parts.slice(1) : parts
+  if (!family) return null
+  const givenNames = [given, middle].filter(Boolean).join(' ')
+  return givenNames ? `${family}, ${givenNames}` : family
+}
+
+// CE / CWE as { code, text }
+const codedValue = (value) => {
+  const [code, text] = components(value)
+  return { code: code || null, text: text || null }
+}
+
+const firstOf = (...values) => values.find(value => value) || null
+
+export const parseOrmO01 = (message) => {
+  const segments = parseHL7(message)
+  const messageType = components(field(segments, 'MSH', 9))
+
+  if (messageType[0] !== 'ORM' || messageType[1] !== 'O01') {
+    return { error: `Unsupported message type ${messageType.slice(0, 2).join('^') || '(none)'}` }
+  }
+  if (!segments.some(s => s.name === 'OBR')) {
+    return { error: 'ORM^O01 without an OBR segment' }
+  }
+
+  const control = field(segments, 'ORC', 1) || 'NW'
+  if (!UPSERT_CONTROLS.includes(control) && !CANCEL_CONTROLS.includes(control)) {
+    return { error: `Unsupported order control ${control}` }
+  }
+
+  const procedure = codedValue(field(segments, 'OBR', 4))
+  const reason = codedValue(field(segments, 'OBR', 31))
+  const placerOrder = components(firstOf(field(segments, 'ORC', 2), field(segments, 'OBR', 2)))[0]
+  const fillerOrder = components(firstOf(field(segments, 'ORC', 3), field(segments, 'OBR', 3)))[0]
+  const accession = firstOf(components(field(segments, 'OBR', 18))[0], fillerOrder, placerOrder)
+
+  if (!accession) {
+    return { error: 'Order has no accession, filler or placer order number' }
+  }
+
+  const priorityCode = firstOf(
+    components(field(segments, 'TQ1', 9))[0],
+    components(field(segments, 'ORC', 7))[5],
+    components(field(segments, 'OBR', 27))[5],
+    components(field(segments, 'OBR', 5))[0]
+  )
+
+  return {
+    control,
+    cancelled: CANCEL_CONTROLS.includes(control),
+    order: {
+      accession,
+      placer_order_number: placerOrder || null,
+      filler_order_number: fillerOrder || null,
+      patient_name: personName(field(segments, 'PID', 5)),
+      patient_mrn: components(field(segments, 'PID', 3))[0] || null,
+      patient_dob: parseHL7Timestamp(components(field(segments, 'PID', 7))[0]),
+      patient_sex: SEX[field(segments, 'PID', 8)] || null,
+      procedure_code: procedure.code,
+      procedure_name: procedure.text || procedure.code,
+      modality: components(field(segments, 'OBR', 24))[0] || null,
+      clinical_indication: firstOf(
+        unescapeHL7(field(segments, 'OBR', 13)),
+        reason.text,
+        codedValue(field(segments, 'ORC', 16)).text
+      ),
+      priority: PRIORITIES[String(priorityCode || '').toUpperCase()] || 'routine',
+      ordering_physician: firstOf(
+        personName(field(segments, 'ORC', 12), { withId: true }),
+        personName(field(segments, 'OBR', 16), { withId: true })
+      ),
+      scheduled_at: firstOf(
+        parseHL7Timestamp(components(field(segments, 'TQ1', 7))[0]),
+        parseHL7Timestamp(components(field(segments, 'ORC', 7))[3]),
+        parseHL7Timestamp(components(field(segments, 'OBR', 27))[3]),
+        parseHL7Timestamp(components(field(segments, 'OBR', 36))[0])
+      ),
+      sending_facility: components(field(segments, 'MSH', 4))[0] || null,
+      message_control_id: field(segments, 'MSH', 10) || null
+    }
+  }
+}
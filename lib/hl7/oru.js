@@ -0,0 +1,97 @@
+import crypto from 'crypto'
+import { loadHL7Config } from './config.js'
+import { SEGMENT_SEPARATOR, escapeHL7, hl7Name, hl7Timestamp, segment } from './encoding.js'
+import { ADDENDUM_CODE, REPORT_SECTION_CODES } from '../report-codes.js'
+
+// HL7 v2.5 ORU^R01 result message for a report document (see buildReportDocument):
+// MSH, PID, ORC, OBR and one OBX per report section, plus one per addendum.
+
+// OBR-25 / OBX-11 result status: R = not yet verified, P = preliminary, F = final,
+// C = corrected (a signed report that has since had addenda)
+export const resultStatus = (document) => {
+  if (document.final) return document.addenda.length > 0 ? 'C' : 'F'
+  return document.status === 'preliminary' ? 'P' : 'R'
+}
+
+const SEX_CODES = { male: 'M', m: 'M', female: 'F', f: 'F', other: 'O', o: 'O' }
+
+// Multi-line text as TX repetitions, one per line
+const textValue = (text) => String(text || '').split(/\r\n|\r|\n/).map(escapeHL7).join('~')
+
+export const buildOruR01 = (document, { config = loadHL7Config(), controlId = null, now = new Date() } = {}) => {
+  const status = resultStatus(document)
+  const messageControlId = controlId || crypto.randomUUID().replace(/-/g, '').slice(0, 20)
+  const { patient, study } = document
+  const placerOrder = escapeHL7(study.placer_order_number || document.id || '')
+  const fillerOrder = escapeHL7(study.accession || '')
+  const procedure = `${escapeHL7(study.procedure_code || '')}^${escapeHL7(study.description || document.title)}`
+  const observedAt = hl7Timestamp(study.date || document.report_date)
+  const referring = hl7Name(study.referring_physician)
+  const interpreter = document.signature?.name ? `&${hl7Name(document.signature.name).replace('^', '&')}` : ''
+  const clinicalHistory = document.sections.find(s => s.key === 'clinical_history')?.text
+
+  const segments = [
+    segment('MSH', [
+      '^~\\&',
+      escapeHL7(config.sendingApplication),
+      escapeHL7(config.sendingFacility),
+      escapeHL7(config.receivingApplication),
+      escapeHL7(config.receivingFacility),
+      hl7Timestamp(now),
+      '',
+      'ORU^R01^ORU_R01',
+      messageControlId,
+      config.processingId,
+      '2.5'
+    ]),
+    segment('PID', [
+      '1',
+      '',
+      patient.mrn ? `${escapeHL7(patient.mrn)}^^^${escapeHL7(config.sendingFacility)}^MR` : '',
+      '',
+      hl7Name(patient.name),
+      '',
+      hl7Timestamp(patient.dob, { dateOnly: true }),
+      SEX_CODES[String(patient.sex || '').toLowerCase()] || (patient.sex ? 'U' : '')
+    ]),
+    segment('ORC', ['RE', placerOrder, fillerOrder]),
+    segment('OBR', [
+      '1',
+      placerOrder,
+      fillerOrder,
+      procedure,
+      '', '',
+      observedAt,
+      '', '', '', '', '',
+      clinicalHistory && clinicalHistory !== 'NA' ? escapeHL7(clinicalHistory) : '',
+      '', '',
+      referring ? `^${referring}` : '',
+      '', '', '', '', '',
+      hl7Timestamp(document.signature?.signed_at || document.report_date),
+      '',
+      'RAD',
+      status,
+      '', '', '', '', '', '',
+      interpreter
+    ])
+  ]
+
+  let setId = 0
+  for (const { key, code, display } of REPORT_SECTION_CODES) {
+    const section = document.sections.find(s => s.key === key)
+    if (!section || !section.text) continue
+    segments.push(segment('OBX', [
+      String(++setId), 'TX', `${code}^${display}^LN`, '', textValue(section.text), '', '', '', '', '', status
+    ]))
+  }
+
+  for (const addendum of document.addenda) {
+    const meta = [addendum.author, addendum.created_at].filter(Boolean).join(', ')
+    segments.push(segment('OBX', [
+      String(++setId), 'TX', `${ADDENDUM_CODE.code}^${ADDENDUM_CODE.display}^LN`, '',
+      textValue(meta ? `${meta}\n${addendum.text}` : addendum.text), '', '', '', '', '', status
+    ]))
+  }
+
+  return { message: segments.join(SEGMENT_SEPARATOR) + SEGMENT_SEPARATOR, controlId: messageControlId, status }
+}
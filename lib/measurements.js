@@ -0,0 +1,221 @@
+import { ORGANS, mentions, organsIn } from './anatomy.js'
+import { lateralityIn, splitSentences } from './report-text.js'
+
+// Lesion measurements from report prose ("3.2 x 2.1 cm nodule in the right lower lobe")
+// as structured records, and interval growth of the same lesion across a patient's
+// reports: change in long axis, percentage change, ellipsoid volume and doubling time.
+
+const LESION_TYPES = [
+  { type: 'nodule', terms: ['nodule', 'nodular'] },
+  { type: 'mass', terms: ['mass'] },
+  { type: 'cyst', terms: ['cyst'] },
+  { type: 'lymph_node', terms: ['lymph node', 'node'] },
+  { type: 'stone', terms: ['calculus', 'calculi', 'stone'] },
+  { type: 'aneurysm', terms: ['aneurysm'] },
+  { type: 'polyp', terms: ['polyp'] },
+  { type: 'collection', terms: ['collection', 'abscess'] },
+  { type: 'haematoma', terms: ['haematoma', 'hematoma'] },
+  { type: 'tumour', terms: ['tumour', 'tumor', 'metasta'] },
+  { type: 'lesion', terms: ['lesion', 'focus', 'opacity', 'deposit'] }
+]
+
+// One to three dimensions, each with an optional unit, ending in mm or cm
+const DIMENSIONS = /(\d+(?:\.\d+)?)\s*(mm|cm)?(?:\s*(?:x|×|by)\s*(\d+(?:\.\d+)?)\s*(mm|cm)?)?(?:\s*(?:x|×|by)\s*(\d+(?:\.\d+)?)\s*(mm|cm)?)?(?![a-z])/gi
+
+// Words just before a measurement that make it a past value ("increased from 12 mm").
+// Another value or "to" in between ends the cue: in "from 12 mm to 15 mm" only 12 mm is past.
+const HISTORICAL_CUE = /\b(previously|prior|from|was|were|formerly|baseline)\b(?:(?!\bto\b)[^.,;\d]){0,20}$/i
+
+// Below this the change is treated as measurement variability
+const STABLE_CHANGE_MM = 2
+const STABLE_CHANGE_PERCENT = 10
+
+const toMillimetres = (value, unit) => Math.round((unit === 'cm' ? value * 10 : value) * 10) / 10
+
+// Nearest lesion term to a measurement, preferring one within the same clause
+const lesionTypeNear = (sentence, start, end) => {
+  const low = sentence.toLowerCase()
+  let best = null
+  for (const { type, terms } of LESION_TYPES) {
+    for (const term of terms) {
+      let index = low.indexOf(term)
+      while (index !== -1) {
+        const distance = index >= end ? index - end : Math.max(0, start - index - term.length)
+        if (!best || distance < best.distance) best = { type, distance }
+        index = low.indexOf(term, index + 1)
+      }
+    }
+  }
+  return best && best.distance <= 60 ? best.type : 'measurement'
+}
+
+// Organ named by a sub-region alone ("right lower lobe" -> lung), longest term first
+const organFromSubregion = (sentence) => {
+  let best = null
+  for (const [organ, { subregions }] of Object.entries(ORGANS)) {
+    for (const term of subregions) {
+      if (term.includes(' ') && mentions(sentence, term) && (!best || term.length > best.term.length)) best = { organ, term }
+    }
+  }
+  return best?.organ || null
+}
+
+const locationIn = (sentence) => {
+  const organ = organsIn(sentence)[0] || organFromSubregion(sentence)
+  // Segments are kept separately with their number
+  const subregion = organ
+    ? ORGANS[organ].subregions.find(term => term !== 'segment' && mentions(sentence, term)) || null
+    : null
+  const segment = (/\bsegment\s+(\d{1,2}[ab]?|[ivx]{1,4}[ab]?)\b/i.exec(sentence) || [])[1] || null
+  const sides = [...lateralityIn(sentence)]
+  const side = sides.length === 1 ? sides[0] : null
+
+  return {
+    organ,
+    subregion,
+    segment: segment ? segment.toLowerCase() : null,
+    side,
+    text: [side, subregion, segment ? `segment ${segment}` : null, organ ? organ.replace(/_/g, ' ') : null].filter(Boolean).join(' ') || null
+  }
+}
+
+// Ellipsoid volume in ml from up to three diameters (missing ones repeat the shortest)
+export const ellipsoidVolume = (dimensions) => {
+  const [a, b = a, c = b] = [...dimensions].sort((x, y) => y - x)
+  return Math.round((Math.PI / 6) * a * b * c / 10) / 100
+}
+
+// Measurement records for a findings text. Each has the source sentence, the
+// dimensions in mm (largest first), lesion type and location; `historical` marks
+// values quoted from an earlier study.
+export const extractMeasurements = (text) => {
+  const records = []
+
+  for (const sentence of splitSentences(text)) {
+    for (const match of sentence.matchAll(DIMENSIONS)) {
+      const [raw, v1, u1, v2, u2, v3, u3] = match
+      const unit = u3 || u2 || u1
+      // A bare number without a unit (e.g. "segment 4") is not a measurement
+      if (!unit) continue
+
+      const values = [[v1, u1], [v2, u2], [v3, u3]]
+        .filter(([value]) => value !== undefined)
+        .map(([value, own]) => toMillimetres(parseFloat(value), own || unit))
+      const start = match.index
+      const end = start + raw.length
+
+      records.push({
+        id: `m${records.length + 1}`,
+        sentence,
+        text: raw.trim(),
+        unit,
+        dimensions_mm: [...values].sort((a, b) => b - a),
+        long_axis_mm: Math.max(...values),
+        short_axis_mm: values.length > 1 ? Math.min(...values) : null,
+        volume_ml: ellipsoidVolume(values),
+        lesion_type: lesionTypeNear(sentence, start, end),
+        location: locationIn(sentence),
+        historical: HISTORICAL_CUE.test(sentence.slice(0, start))
+      })
+    }
+  }
+
+  return records
+}
+
+// Same lesion: same type and organ, and no disagreement on side, sub-region or segment
+export const sameLesion = (a, b) => {
+  if (a.lesion_type !== b.lesion_type) return false
+  if (a.location.organ !== b.location.organ) return false
+  for (const key of ['side', 'subregion', 'segment']) {
+    if (a.location[key] && b.location[key] && a.location[key] !== b.location[key]) return false
+  }
+  return true
+}
+
+const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000))
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places
+
+// Change from an earlier measurement of a lesion to the current one
+export const compareMeasurements = (prior, current, priorDate, currentDate) => {
+  const changeMm = round(current.long_axis_mm - prior.long_axis_mm)
+  const percentChange = prior.long_axis_mm > 0 ? round((changeMm / prior.long_axis_mm) * 100) : null
+  const intervalDays = priorDate && currentDate ? daysBetween(priorDate, currentDate) : null
+  const volumeRatio = prior.volume_ml > 0 ? current.volume_ml / prior.volume_ml : null
+
+  let trend = 'stable'
+  if (changeMm >= STABLE_CHANGE_MM && percentChange >= STABLE_CHANGE_PERCENT) trend = 'increased'
+  if (changeMm <= -STABLE_CHANGE_MM && percentChange <= -STABLE_CHANGE_PERCENT) trend = 'decreased'
+
+  return {
+    prior_long_axis_mm: prior.long_axis_mm,
+    current_long_axis_mm: current.long_axis_mm,
+    change_mm: changeMm,
+    percent_change: percentChange,
+    prior_volume_ml: prior.volume_ml,
+    current_volume_ml: current.volume_ml,
+    volume_percent_change: volumeRatio ? round((volumeRatio - 1) * 100) : null,
+    interval_days: intervalDays,
+    // Volume doubling time, only for growing lesions over a known interval
+    doubling_time_days: trend === 'increased' && intervalDays > 0 && volumeRatio > 1
+      ? Math.round(intervalDays * Math.LN2 / Math.log(volumeRatio))
+      : null,
+    trend
+  }
+}
+
+// Sizes are written in the unit the current measurement was dictated in
+const formatSize = (mm, unit) => unit === 'cm' ? `${round(mm / 10, 2)} cm` : `${mm} mm`
+
+const lesionLabel = (record) => [record.location.text, record.lesion_type.replace(/_/g, ' ')].filter(Boolean).join(' ')
+
+// One sentence for the impression, e.g. "Right lower lobe lung nodule increased from
+// 2.1 cm to 3.2 cm (+52.4%) since 2024-01-05; volume doubling time 98 days."
+export const describeGrowth = (entry) => {
+  const { interval } = entry
+  const size = (mm) => formatSize(mm, entry.current.unit)
+  const label = entry.lesion.charAt(0).toUpperCase() + entry.lesion.slice(1)
+  const sign = interval.percent_change > 0 ? '+' : ''
+  const change = interval.trend === 'stable'
+    ? `stable at ${size(interval.current_long_axis_mm)} (previously ${size(interval.prior_long_axis_mm)})`
+    : `${interval.trend} from ${size(interval.prior_long_axis_mm)} to ${size(interval.current_long_axis_mm)} (${sign}${interval.percent_change}%)`
+  const since = entry.prior.date ? ` since ${entry.prior.date.slice(0, 10)}` : ''
+  const doubling = interval.doubling_time_days ? `; volume doubling time ${interval.doubling_time_days} days` : ''
+  return `${label} ${change}${since}${doubling}.`
+}
+
+// Interval growth of the current measurements against earlier reports.
+// `history` is [{ report_id, date, measurements }] (any order); each current lesion is
+// compared with its most recent earlier measurement and with the earliest (baseline).
+export const computeGrowth = (currentMeasurements, currentDate, history = []) => {
+  const earlier = [...history]
+    .filter(entry => !currentDate || !entry.date || entry.date < currentDate)
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+
+  const entries = []
+  for (const current of currentMeasurements.filter(m => !m.historical)) {
+    const matches = earlier
+      .map(entry => ({ entry, match: entry.measurements.find(m => !m.historical && sameLesion(m, current)) }))
+      .filter(({ match }) => match)
+    if (matches.length === 0) continue
+
+    const baseline = matches[0]
+    const prior = matches[matches.length - 1]
+
+    const growth = {
+      measurement_id: current.id,
+      lesion: lesionLabel(current),
+      current: { date: currentDate, long_axis_mm: current.long_axis_mm, dimensions_mm: current.dimensions_mm, unit: current.unit },
+      prior: { report_id: prior.entry.report_id, date: prior.entry.date, long_axis_mm: prior.match.long_axis_mm, dimensions_mm: prior.match.dimensions_mm },
+      interval: compareMeasurements(prior.match, current, prior.entry.date, currentDate),
+      baseline: matches.length > 1
+        ? { report_id: baseline.entry.report_id, date: baseline.entry.date, ...compareMeasurements(baseline.match, current, baseline.entry.date, currentDate) }
+        : null
+    }
+    growth.summary = describeGrowth(growth)
+    entries.push(growth)
+  }
+
+  return entries
+}
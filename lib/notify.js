@@ -0,0 +1,43 @@
+// Outbound notifications to radiologists, posted as JSON to a webhook that routes them
+// (email, pager, chat). Configured from the environment:
+//
+//   NOTIFY_WEBHOOK_URL      endpoint that receives { event, sent_at, ...payload } (off when unset)
+//   NOTIFY_WEBHOOK_TOKEN    bearer token sent with each notification
+//   NOTIFY_TIMEOUT_MS       per-request timeout
+
+const parseNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10)
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed
+}
+
+export const loadNotifyConfig = (env = process.env) => ({
+  webhookUrl: env.NOTIFY_WEBHOOK_URL || null,
+  token: env.NOTIFY_WEBHOOK_TOKEN || null,
+  timeoutMs: parseNumber(env.NOTIFY_TIMEOUT_MS, 10000)
+})
+
+// Post one notification. Returns { delivered: true } or { delivered: false, error };
+// never throws, so a notification outage does not fail the caller.
+export const sendNotification = async (event, payload, config = loadNotifyConfig()) => {
+  if (!config.webhookUrl) {
+    return { delivered: false, error: 'Notifications are not configured (NOTIFY_WEBHOOK_URL)' }
+  }
+
+  try {
+    const response = await fetch(config.webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.token ? { Authorization: `Bearer ${config.token}` } : {})
+      },
+      body: JSON.stringify({ event, sent_at: new Date().toISOString(), ...payload }),
+      signal: AbortSignal.timeout(config.timeoutMs)
+    })
+    if (!response.ok) {
+      return { delivered: false, error: `Notification webhook returned ${response.status}` }
+    }
+    return { delivered: true }
+  } catch (error) {
+    return { delivered: false, error: `Notification failed: ${error.message}` }
+  }
+}
@@ -0,0 +1,187 @@
+import { database } from './database.js'
+import { scanBodyParts } from './consistency.js'
+import { organsIn } from './anatomy.js'
+import { measurementsIn, positiveTermsIn, splitSentences } from './report-text.js'
+import { extractScanNameFromFirstLine } from './report-generator.js'
+import { computeGrowth, extractMeasurements } from './measurements.js'
+
+// Prior report comparison for generate-report. The prior is the report named by
+// `prior_report_id`, or else the user's most recent report for the same patient
+// (`patient_id`) covering the same body part. Either way it must be a signed (final)
+// report written before the exam (`exam_date`, the order's scheduled time, else now)
+// and not one for the same worklist order (`order_id`). Its positive findings and impression are
+// summarised so the generator can describe interval change, and measured lesions are
+// tracked across all of the patient's reports (see lib/measurements.js).
+
+// Recent reports looked at when searching for a prior of the same body part
+const PRIOR_SEARCH_LIMIT = 20
+
+const reportDate = (report) => (report.signed_at || report.created_at || '').slice(0, 10) || null
+
+const sameBodyPart = (scanName, otherScanName) => {
+  const parts = scanBodyParts(scanName)
+  const otherParts = scanBodyParts(otherScanName)
+  // Scan names without a recognised body part only match the identical scan name
+  if (parts.length === 0 || otherParts.length === 0) {
+    return String(scanName || '').trim().toLowerCase() === String(otherScanName || '').trim().toLowerCase()
+  }
+  return parts.some(part => otherParts.includes(part))
+}
+
+// The exam a generate-report body is for: reports of the same order, or written after
+// the exam date, are the same or a later study and never its prior
+export const examScope = (body = {}) => {
+  const date = body.exam_date ? new Date(body.exam_date) : null
+  return {
+    orderId: body.order_id || null,
+    before: date && !Number.isNaN(date.getTime()) ? date.toISOString() : new Date().toISOString()
+  }
+}
+
+// The user's reports for a patient, newest first, optionally only those created before a
+// date and leaving out one report (excludeId) and the reports of one order (orderId)
+export const fetchPatientReports = async (userId, patientId, { before = null, excludeId = null, orderId = null, limit = 100 } = {}) => {
+  let query = database
+    .from('reports')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('patient_id', patientId)
+
+  if (before) {
+    query = query.lt('created_at', before)
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .range(0, limit - 1)
+
+  if (error) throw error
+  return (data || [])
+    .filter(report => !excludeId || report.id !== excludeId)
+    .filter(report => !orderId || report.order_id !== orderId)
+}
+
+// Measurement history of earlier reports, for computeGrowth
+export const measurementHistory = (reports) => reports.map(report => ({
+  report_id: report.id,
+  date: report.created_at,
+  measurements: extractMeasurements(report.structured_data?.findings || report.findings)
+}))
+
+// A report that can serve as the prior of an exam (see examScope)
+const isPriorOf = (report, { before = null, excludeId = null, orderId = null } = {}) =>
+  report.status === 'final' &&
+  (!excludeId || report.id !== excludeId) &&
+  (!orderId || report.order_id !== orderId) &&
+  (!before || new Date(report.created_at) < new Date(before))
+
+export const findPriorReport = async (userId, { priorReportId = null, patientId = null, scanName = null, excludeId = null, orderId = null, before = null } = {}) => {
+  const scope = { before, excludeId, orderId }
+
+  if (priorReportId) {
+    const { data, error } = await database
+      .from('reports')
+      .select('*')
+      .eq('id', priorReportId)
+      .eq('user_id', userId)
+      .single()
+
+    if (error && error.code !== 'PGRST116') throw error
+    return data && isPriorOf(data, scope) ? data : null
+  }
+
+  if (!patientId || !scanName) return null
+
+  return (await fetchPatientReports(userId, patientId, { ...scope, limit: PRIOR_SEARCH_LIMIT }))
+    .filter(report => isPriorOf(report, scope))
+    .find(report => sameBodyPart(scanName, report.structured_data?.scan_name || report.scan_name)) || null
+}
+
+// Positive findings (and sentences with measurements) of a prior report, with the
+// organs and measurements each mentions, plus a text block for the prompt
+export const summarisePriorReport = (report) => {
+  const data = report.structured_data || {}
+  const scanName = data.scan_name || report.scan_name || 'Radiology Report'
+  const date = reportDate(report)
+
+  const findings = splitSentences(data.findings || report.findings)
+    .filter(sentence => positiveTermsIn(sentence).length > 0 || measurementsIn(sentence).length > 0)
+    .map(sentence => ({
+      sentence,
+      organs: organsIn(sentence),
+      measurements: measurementsIn(sentence).map(m => `${m.value} ${m.unit}`)
+    }))
+
+  const impression = data.impression || report.impression_text || null
+
+  const lines = [`Prior study: ${scanName}${date ? ` dated ${date}` : ''}`]
+  if (findings.length > 0) {
+    lines.push('Prior findings:', ...findings.map(f => `- ${f.sentence}`))
+  } else {
+    lines.push('Prior findings: no abnormality reported')
+  }
+  if (impression) lines.push(`Prior impression: ${impression}`)
+
+  return {
+    id: report.id,
+    scan_name: scanName,
+    date,
+    label: `${scanName}${date ? ` dated ${date}` : ''}`,
+    findings,
+    impression,
+    text: lines.join('\n')
+  }
+}
+
+// Fill a generate-report body with `prior_report` (a summary, see above) and, when
+// the body has no comparison text, a comparison naming the prior. `compare_prior: false`
+// turns the automatic search off. Never throws - generation goes ahead without a prior.
+export const applyPriorReport = async (userId, body = {}) => {
+  if (!body || body.compare_prior === false) return body
+  if (!body.prior_report_id && !body.patient_id) return body
+
+  try {
+    const prior = await findPriorReport(userId, {
+      ...examScope(body),
+      priorReportId: body.prior_report_id,
+      patientId: body.patient_id,
+      scanName: body.scan_name || extractScanNameFromFirstLine(body.template_content || body.findings_raw || body.findings)
+    })
+
+    if (!prior) {
+      if (body.prior_report_id) console.warn('Prior report not found or not an earlier signed report:', body.prior_report_id)
+      return body
+    }
+
+    const summary = summarisePriorReport(prior)
+    return {
+      ...body,
+      prior_report_id: prior.id,
+      prior_report: summary,
+      comparison: body.comparison || summary.label
+    }
+  } catch (error) {
+    console.error('Prior report lookup error:', error)
+    return body
+  }
+}
+
+// Fill a generate-report body with `measurement_growth`: interval change of the
+// dictated measurements against the patient's reports from before the exam (other
+// orders only, see examScope). Never throws.
+export const applyMeasurementGrowth = async (userId, body = {}) => {
+  if (!body?.patient_id) return body
+
+  const current = extractMeasurements(body.findings_raw || body.findings)
+  if (current.length === 0) return body
+
+  try {
+    const scope = examScope(body)
+    const history = measurementHistory(await fetchPatientReports(userId, body.patient_id, scope))
+    const growth = computeGrowth(current, scope.before, history)
+    return growth.length > 0 ? { ...body, measurement_growth: growth } : body
+  } catch (error) {
+    console.error('Measurement history error:', error)
+    return body
+  }
+}
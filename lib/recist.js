@@ -0,0 +1,415 @@
+import { database } from './database.js'
+import { ORGANS } from './anatomy.js'
+import { extractMeasurements, sameLesion } from './measurements.js'
+
+// RECIST 1.1 response assessment for oncology follow-ups. A track declares a
+// patient's target and non-target lesions at baseline; each follow-up assessment
+// measures the targets (from the dictated measurements, or entered by hand), and
+// the sum of diameters is compared with the baseline and the nadir to give the
+// target, non-target and overall response (CR/PR/SD/PD, or NE when not evaluable).
+
+export const RECIST_RESPONSES = {
+  CR: 'Complete response',
+  PR: 'Partial response',
+  SD: 'Stable disease',
+  PD: 'Progressive disease',
+  NON_CR_NON_PD: 'Non-CR/non-PD',
+  NE: 'Not evaluable'
+}
+
+// How the non-target response reads in the impression
+const NON_TARGET_WORDING = {
+  CR: 'complete response',
+  NON_CR_NON_PD: 'non-CR/non-PD',
+  PD: 'unequivocal progression',
+  NE: 'not all evaluated'
+}
+
+// Non-target lesion status at a follow-up
+export const NON_TARGET_STATUSES = ['absent', 'present', 'unequivocal_progression']
+
+const MAX_TARGETS = 5
+const MAX_TARGETS_PER_ORGAN = 2
+// Smallest measurable baseline size: long axis, or short axis for lymph nodes
+const MIN_TARGET_MM = 10
+const MIN_NODAL_TARGET_MM = 15
+// Lymph nodes below this short axis count as normal (complete response)
+const NORMAL_NODE_MM = 10
+const PR_DECREASE_PERCENT = 30
+const PD_INCREASE_PERCENT = 20
+const PD_INCREASE_MM = 5
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places
+
+const percentChange = (from, to) => from > 0 ? round(((to - from) / from) * 100) : null
+
+// RECIST measures lymph nodes on the short axis and everything else on the long axis
+export const recistDiameter = (measurement, nodal) => nodal
+  ? measurement.short_axis_mm ?? measurement.long_axis_mm
+  : measurement.long_axis_mm
+
+// Lymph node targets share one "organ" for the two-per-organ limit
+const lesionOrgan = (lesion) => lesion.nodal ? 'lymph_nodes' : lesion.location.organ || lesion.label.toLowerCase()
+
+// "segment 4 liver mass"; the type is left out when the location already names it ("right lymph nodes")
+const lesionLabel = (lesion) => {
+  const type = lesion.lesion_type.replace(/_/g, ' ')
+  const where = lesion.location.text
+  if (where && where.includes(type.split(' ')[0])) return where
+  return [where, type].filter(Boolean).join(' ')
+}
+
+// A declared lesion from the request: either `measurement_id` of a measurement in the
+// baseline report (see extractMeasurements) or a manual description with `diameter_mm`
+export const declareLesion = (input, baselineMeasurements = [], index = 0) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Each lesion must be an object' }
+  }
+
+  const kind = input.kind === 'non_target' ? 'non_target' : 'target'
+  const measurement = input.measurement_id
+    ? baselineMeasurements.find(m => m.id === input.measurement_id)
+    : null
+  if (input.measurement_id && !measurement) {
+    return { error: `Measurement ${input.measurement_id} not found in the baseline report` }
+  }
+
+  const lesionType = input.lesion_type || measurement?.lesion_type || 'lesion'
+  const nodal = typeof input.nodal === 'boolean' ? input.nodal : lesionType === 'lymph_node'
+  const organ = input.organ || measurement?.location.organ || null
+  if (organ && !ORGANS[organ]) {
+    return { error: `Unknown organ "${organ}"` }
+  }
+
+  const location = {
+    organ,
+    subregion: input.subregion || measurement?.location.subregion || null,
+    segment: input.segment || measurement?.location.segment || null,
+    side: input.side || measurement?.location.side || null
+  }
+  location.text = [location.side, location.subregion, location.segment ? `segment ${location.segment}` : null, organ ? organ.replace(/_/g, ' ') : null]
+    .filter(Boolean).join(' ') || null
+
+  const diameter = input.diameter_mm ?? (measurement ? recistDiameter(measurement, nodal) : null)
+
+  const lesion = {
+    id: `${kind === 'target' ? 'T' : 'N'}${index + 1}`,
+    kind,
+    lesion_type: lesionType,
+    nodal,
+    location,
+    baseline_mm: diameter === null || diameter === undefined ? null : Number(diameter),
+    measurement_id: measurement?.id || null,
+    source: measurement && input.diameter_mm === undefined ? 'dictated' : 'manual'
+  }
+  lesion.label = input.label || lesionLabel(lesion) || lesion.id
+  return { lesion }
+}
+
+// Baseline rules: at most five targets, two per organ, each measurable. Returns an
+// error message, or null when the lesions are a valid baseline.
+export const validateBaseline = (lesions) => {
+  if (!Array.isArray(lesions) || lesions.length === 0) {
+    return 'At least one lesion is required'
+  }
+
+  const targets = lesions.filter(lesion => lesion.kind === 'target')
+  if (targets.length > MAX_TARGETS) {
+    return `At most ${MAX_TARGETS} target lesions are allowed`
+  }
+
+  const perOrgan = {}
+  for (const lesion of targets) {
+    const organ = lesionOrgan(lesion)
+    perOrgan[organ] = (perOrgan[organ] || 0) + 1
+    if (perOrgan[organ] > MAX_TARGETS_PER_ORGAN) {
+      return `At most ${MAX_TARGETS_PER_ORGAN} target lesions per organ are allowed (${organ.replace(/_/g, ' ')})`
+    }
+
+    if (typeof lesion.baseline_mm !== 'number' || Number.isNaN(lesion.baseline_mm)) {
+      return `Target lesion ${lesion.label} needs a baseline diameter`
+    }
+    const minimum = lesion.nodal ? MIN_NODAL_TARGET_MM : MIN_TARGET_MM
+    if (lesion.baseline_mm < minimum) {
+      return `Target lesion ${lesion.label} is not measurable: ${lesion.baseline_mm} mm is below ${minimum} mm${lesion.nodal ? ' short axis' : ''}`
+    }
+  }
+
+  return null
+}
+
+export const baselineSum = (lesions) => round(lesions
+  .filter(lesion => lesion.kind === 'target')
+  .reduce((sum, lesion) => sum + lesion.baseline_mm, 0))
+
+// Error message for follow-up input that cannot be assessed against the track, or null:
+// manual measurements must be { lesion_id, diameter_mm } for declared targets with a
+// diameter of 0 mm or more, non-target statuses NON_TARGET_STATUSES values and
+// assessed_at a date
+export const validateAssessmentInput = (track, input = {}) => {
+  const { measurements = [], non_target: nonTarget, assessed_at: assessedAt } = input
+
+  if (!Array.isArray(measurements)) return 'measurements must be an array of { lesion_id, diameter_mm }'
+  for (const entry of measurements) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return 'measurements must be an array of { lesion_id, diameter_mm }'
+    }
+    if (!track.lesions.some(lesion => lesion.id === entry.lesion_id && lesion.kind === 'target')) {
+      return `Measurement lesion_id ${entry.lesion_id} is not a target lesion of this track`
+    }
+    if (typeof entry.diameter_mm !== 'number' || !Number.isFinite(entry.diameter_mm) || entry.diameter_mm < 0) {
+      return `Measurement of ${entry.lesion_id} needs a diameter_mm of 0 or more`
+    }
+  }
+
+  if (nonTarget !== undefined && nonTarget !== null) {
+    if (typeof nonTarget !== 'object' || Array.isArray(nonTarget)) return 'non_target must map lesion ids to a status'
+    if (Object.values(nonTarget).some(status => !NON_TARGET_STATUSES.includes(status))) {
+      return `Non-target status must be one of: ${NON_TARGET_STATUSES.join(', ')}`
+    }
+  }
+
+  if (assessedAt && Number.isNaN(new Date(assessedAt).getTime())) return 'assessed_at must be a date'
+
+  return null
+}
+
+// Follow-up diameters of the targets, by lesion id. Manual entries ({ lesion_id,
+// diameter_mm }, 0 for a lesion that has gone) take precedence over the dictated
+// measurements, which are matched to targets by lesion type and location.
+export const measureTargets = (lesions, dictated = [], manual = []) => {
+  const diameters = {}
+  const used = new Set()
+
+  for (const entry of Array.isArray(manual) ? manual : []) {
+    const lesion = lesions.find(l => l.id === entry?.lesion_id && l.kind === 'target')
+    if (!lesion || entry.diameter_mm === undefined || entry.diameter_mm === null) continue
+    diameters[lesion.id] = { diameter_mm: Number(entry.diameter_mm), source: 'manual', measurement_id: null }
+  }
+
+  for (const lesion of lesions.filter(l => l.kind === 'target' && !diameters[l.id])) {
+    const match = dictated.find(m => !m.historical && !used.has(m.id) && sameLesion(m, lesion))
+    if (!match) continue
+    used.add(match.id)
+    diameters[lesion.id] = { diameter_mm: recistDiameter(match, lesion.nodal), source: 'dictated', measurement_id: match.id }
+  }
+
+  return diameters
+}
+
+const targetResponse = (targets, diameters, baseline, nadir) => {
+  const measured = targets.filter(lesion => diameters[lesion.id])
+  const sum = round(measured.reduce((total, lesion) => total + diameters[lesion.id].diameter_mm, 0))
+  const increase = round(sum - nadir)
+  // With a nadir of zero (after a complete response) any reappearance of 5 mm counts
+  const progressed = increase >= PD_INCREASE_MM && (nadir === 0 || (increase / nadir) * 100 >= PD_INCREASE_PERCENT)
+
+  // A partial sum that already shows progression is progression; otherwise missing targets make it NE
+  if (progressed) return { sum, response: 'PD' }
+  if (measured.length < targets.length) return { sum, response: 'NE' }
+
+  const complete = targets.every(lesion => lesion.nodal
+    ? diameters[lesion.id].diameter_mm < NORMAL_NODE_MM
+    : diameters[lesion.id].diameter_mm === 0)
+  if (complete) return { sum, response: 'CR' }
+  if (percentChange(baseline, sum) <= -PR_DECREASE_PERCENT) return { sum, response: 'PR' }
+  return { sum, response: 'SD' }
+}
+
+const nonTargetResponse = (nonTargets, statuses) => {
+  if (nonTargets.length === 0) return null
+  const values = nonTargets.map(lesion => statuses[lesion.id])
+  if (values.includes('unequivocal_progression')) return 'PD'
+  if (values.some(value => !NON_TARGET_STATUSES.includes(value))) return 'NE'
+  return values.every(value => value === 'absent') ? 'CR' : 'NON_CR_NON_PD'
+}
+
+// Overall response from the target and non-target responses and new lesions (RECIST 1.1 table 1)
+const overallResponse = (target, nonTarget, newLesions) => {
+  if (newLesions || target === 'PD' || nonTarget === 'PD') return 'PD'
+  if (!target) return nonTarget || 'NE'
+  if (target === 'CR') return !nonTarget || nonTarget === 'CR' ? 'CR' : 'PR'
+  if (target === 'NE') return 'NE'
+  return target
+}
+
+const signed = (value) => `${value > 0 ? '+' : ''}${value}%`
+
+// One paragraph for the impression, e.g. "RECIST 1.1: Partial response (PR). Sum of
+// target lesion diameters 45 mm, -35.7% from baseline (70 mm) and -35.7% from nadir (70 mm)."
+export const describeResponse = (result) => {
+  const code = result.overall_response
+  const parts = [`RECIST 1.1: ${RECIST_RESPONSES[code]}${code.length === 2 ? ` (${code})` : ''}.`]
+
+  if (result.target_response) {
+    const changes = [
+      result.change_from_baseline_percent !== null ? `${signed(result.change_from_baseline_percent)} from baseline (${result.baseline_sum_mm} mm${result.baseline_date ? `, ${result.baseline_date.slice(0, 10)}` : ''})` : null,
+      result.change_from_nadir_percent !== null && result.nadir_sum_mm !== result.baseline_sum_mm ? `${signed(result.change_from_nadir_percent)} from nadir (${result.nadir_sum_mm} mm)` : null
+    ].filter(Boolean)
+    parts.push(`Sum of target lesion diameters ${result.sum_mm} mm${changes.length > 0 ? `, ${changes.join(' and ')}` : ''}.`)
+    if (result.missing_targets.length > 0) {
+      parts.push(`Not measured: ${result.missing_targets.join(', ')}.`)
+    }
+  }
+  if (result.non_target_response) {
+    parts.push(`Non-target lesions: ${NON_TARGET_WORDING[result.non_target_response]}.`)
+  }
+  parts.push(result.new_lesions ? 'New lesion(s) present.' : 'No new lesions.')
+
+  return parts.join(' ')
+}
+
+// Response at a follow-up. `diameters` come from measureTargets, `nonTarget` maps
+// non-target lesion ids to a NON_TARGET_STATUSES value and `previous` are the track's
+// earlier assessments (their evaluable sums set the nadir).
+export const evaluateResponse = (track, { diameters = {}, nonTarget = {}, newLesions = false, previous = [] } = {}) => {
+  const targets = track.lesions.filter(lesion => lesion.kind === 'target')
+  const nonTargets = track.lesions.filter(lesion => lesion.kind === 'non_target')
+  const baseline = track.baseline_sum_mm ?? baselineSum(track.lesions)
+
+  const nadir = Math.min(baseline, ...previous
+    .filter(assessment => assessment.result?.target_response && assessment.result.target_response !== 'NE')
+    .map(assessment => assessment.result.sum_mm))
+
+  const target = targets.length > 0 ? targetResponse(targets, diameters, baseline, nadir) : null
+  const nonTargetResult = nonTargetResponse(nonTargets, nonTarget || {})
+
+  const result = {
+    target_response: target?.response || null,
+    non_target_response: nonTargetResult,
+    new_lesions: newLesions === true,
+    overall_response: overallResponse(target?.response, nonTargetResult, newLesions === true),
+    sum_mm: target ? target.sum : null,
+    baseline_sum_mm: baseline,
+    baseline_date: track.baseline_date || null,
+    nadir_sum_mm: target ? nadir : null,
+    change_from_baseline_percent: target ? percentChange(baseline, target.sum) : null,
+    change_from_nadir_mm: target ? round(target.sum - nadir) : null,
+    change_from_nadir_percent: target ? percentChange(nadir, target.sum) : null,
+    lesions: targets.map(lesion => ({
+      lesion_id: lesion.id,
+      label: lesion.label,
+      baseline_mm: lesion.baseline_mm,
+      diameter_mm: diameters[lesion.id]?.diameter_mm ?? null,
+      source: diameters[lesion.id]?.source || null
+    })),
+    missing_targets: targets.filter(lesion => !diameters[lesion.id]).map(lesion => lesion.label)
+  }
+  result.summary = describeResponse(result)
+  return result
+}
+
+export const loadRecistTrack = async (userId, trackId) => {
+  const { data, error } = await database
+    .from('recist_tracks')
+    .select('*')
+    .eq('id', trackId)
+    .eq('user_id', userId)
+    .single()
+
+  if (error && error.code !== 'PGRST116') throw error
+  return data || null
+}
+
+// A track's assessments, oldest first, optionally only those made before a date
+export const fetchRecistAssessments = async (userId, trackId, { before = null } = {}) => {
+  let query = database
+    .from('recist_assessments')
+    .select('*')
+    .eq('track_id', trackId)
+    .eq('user_id', userId)
+
+  if (before) {
+    query = query.lt('assessed_at', before)
+  }
+
+  const { data, error } = await query.order('assessed_at', { ascending: true })
+  if (error) throw error
+  return data || []
+}
+
+// Evaluate a follow-up of a track. `input` is { findings, measurements (manual),
+// non_target ({ lesion_id: status }), new_lesions, assessed_at }.
+export const assessTrack = async (track, input = {}) => {
+  const assessedAt = input.assessed_at || new Date().toISOString()
+  const diameters = measureTargets(track.lesions, extractMeasurements(input.findings), input.measurements)
+  const previous = await fetchRecistAssessments(track.user_id, track.id, { before: assessedAt })
+
+  return {
+    assessed_at: assessedAt,
+    diameters,
+    non_target: input.non_target || {},
+    new_lesions: input.new_lesions === true,
+    result: evaluateResponse(track, {
+      diameters,
+      nonTarget: input.non_target,
+      newLesions: input.new_lesions,
+      previous
+    })
+  }
+}
+
+export const saveRecistAssessment = async (userId, track, assessment, reportId = null) => {
+  const { data, error } = await database
+    .from('recist_assessments')
+    .insert({
+      track_id: track.id,
+      user_id: userId,
+      report_id: reportId,
+      assessed_at: assessment.assessed_at,
+      measurements: assessment.diameters,
+      non_target: assessment.non_target,
+      new_lesions: assessment.new_lesions,
+      overall_response: assessment.result.overall_response,
+      result: assessment.result
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Fill a generate-report body with `recist_assessment` for its `recist_track_id`
+// (`recist` carries manual measurements, non-target statuses and new lesions).
+// Never throws - generation goes ahead without a response assessment.
+export const applyRecist = async (userId, body = {}) => {
+  if (!body?.recist_track_id) return body
+
+  try {
+    const track = await loadRecistTrack(userId, body.recist_track_id)
+    if (!track) {
+      console.warn('RECIST track not found:', body.recist_track_id)
+      return body
+    }
+
+    const input = { ...(body.recist || {}), findings: body.findings_raw || body.findings }
+    const inputError = validateAssessmentInput(track, input)
+    if (inputError) {
+      console.warn('Invalid RECIST input, skipping assessment:', inputError)
+      return body
+    }
+
+    const assessment = await assessTrack(track, input)
+    return { ...body, recist_assessment: { track_id: track.id, ...assessment } }
+  } catch (error) {
+    console.error('RECIST assessment error:', error)
+    return body
+  }
+}
+
+// Store the assessment behind a generated report, on the user's own track only.
+// Never throws - the report is already saved.
+export const recordRecistAssessment = async (userId, assessment, reportId) => {
+  try {
+    const track = await loadRecistTrack(userId, assessment.track_id)
+    if (!track) {
+      console.warn('RECIST track not found:', assessment.track_id)
+      return null
+    }
+    return await saveRecistAssessment(userId, track, assessment, reportId)
+  } catch (error) {
+    console.error('Error saving RECIST assessment:', error)
+    return null
+  }
+}
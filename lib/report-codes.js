@@ -0,0 +1,34 @@
+// LOINC codes for the narrative sections of a radiology report, shared by the HL7 and
+// FHIR mappings so both interfaces label sections the same way.
+export const REPORT_SECTION_CODES = [
+  { key: 'technique', code: '55111-9', display: 'Current imaging procedure descriptions' },
+  { key: 'comparison', code: '18834-2', display: 'Radiology Comparison study' },
+  { key: 'findings', code: '18782-3', display: 'Radiology Study observation' },
+  { key: 'impression', code: '19005-8', display: 'Radiology Impression' },
+  { key: 'clinical_advice', code: '18783-1', display: 'Radiology Study recommendation' }
+]
+
+export const ADDENDUM_CODE = { code: '55107-7', display: 'Addendum' }
+
+// Diagnostic imaging study report, the code of the report as a whole
+export const IMAGING_REPORT_CODE = { code: '18748-4', display: 'Diagnostic imaging study' }
+
+export const LOINC_SYSTEM = 'http://loinc.org'
+
+// DICOM modality code (CID 29) guessed from a scan name such as "CT Abdomen" or "USG Pelvis"
+const MODALITY_PATTERNS = [
+  { pattern: /\b(pet[\s/-]?ct|pet)\b/i, code: 'PT', display: 'Positron emission tomography' },
+  { pattern: /\b(ct|cect|ncct|hrct|ctpa|cta|computed tomography)\b/i, code: 'CT', display: 'Computed Tomography' },
+  { pattern: /\b(mri|mr|mra|mrcp|magnetic resonance)\b/i, code: 'MR', display: 'Magnetic Resonance' },
+  { pattern: /\b(usg|us|ultrasound|sonograph|doppler|echo)/i, code: 'US', display: 'Ultrasound' },
+  { pattern: /\b(mammo|mammogra)/i, code: 'MG', display: 'Mammography' },
+  { pattern: /\b(nm|nuclear|scintigra|spect|bone scan)\b/i, code: 'NM', display: 'Nuclear Medicine' },
+  { pattern: /\b(x-?ray|xr|cxr|radiograph|kub)\b/i, code: 'DX', display: 'Digital Radiography' }
+]
+
+export const DICOM_MODALITY_SYSTEM = 'http://dicom.nema.org/resources/ontology/DCM'
+
+export const modalityFromScanName = (scanName) => {
+  const match = MODALITY_PATTERNS.find(({ pattern }) => pattern.test(scanName || ''))
+  return match ? { code: match.code, display: match.display } : null
+}
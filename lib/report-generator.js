@@ -0,0 +1,485 @@
+import { buildReportHtml } from './report-html.js'
+import { checkFaithfulness } from './faithfulness.js'
+import { checkConsistency } from './consistency.js'
+import { createContradictionEngine } from './contradictions.js'
+import { extractMeasurements } from './measurements.js'
+import { checkClinicalAdvice } from './guidelines/index.js'
+import { detectCriticalFindings } from './critical-results.js'
+import { annotateReport } from './terminology/index.js'
+
+// System message for structured report generation
+export const REPORT_SYSTEM_PROMPT = 'You are an expert radiologist generating structured reports. Always respond with valid JSON.'
+
+// Extract scan name exactly as written in first line
+export function extractScanNameFromFirstLine(text) {
+  try {
+    if (!text) return null
+    const firstLine = (text.split('\n')[0] || '').trim()
+    if (!firstLine) return null
+
+    // Return the first line exactly as written (no processing)
+    return firstLine
+
+  } catch (_) {
+    return null
+  }
+}
+
+// Free-text fields of a prepared request that can carry patient identifiers
+export const REPORT_PHI_FIELDS = ['actualFindings', 'cleanedFindings', 'clinical_history', 'comparison', 'template_content', 'actualScanName', 'technique_details', 'comparison_candidates', 'prior_report_summary']
+
+// Generate-report fields the server derives from the stored reports, RECIST tracks,
+// calculators and guidelines. Values posted by the client are dropped before these run.
+export const DERIVED_REPORT_FIELDS = ['prior_report', 'measurement_growth', 'recist_assessment', 'scoring_results', 'guideline_recommendations']
+
+export const withoutDerivedFields = (body) => Object.fromEntries(
+  Object.entries(body || {}).filter(([key]) => !DERIVED_REPORT_FIELDS.includes(key))
+)
+
+// Normalise a /api/generate-report request body: resolve the scan name, strip it from
+// the findings and resolve the include flags. Shared by the JSON, SSE and WebSocket paths.
+export function prepareReportRequest(body) {
+  const {
+    prompt,
+    scan_name,
+    template_id = "",
+    findings_raw,
+    findings,
+    template_content = null,
+    comparison = null,
+    clinical_history = null,
+    patient_sex = null,
+    include_advice = false,
+    include_questions = false,
+    include_differential = false,
+    generation_mode = 'espresso',
+    order_id = null,
+    procedure_code = null,
+    technique_details = null,
+    comparison_candidates = null,
+    patient_id = null,
+    prior_report_id = null,
+    prior_report = null,
+    measurement_growth = null,
+    recist_assessment = null,
+    scoring_results = null,
+    guideline_recommendations = null
+  } = body || {}
+
+  // Use findings_raw if provided, otherwise fall back to findings
+  const actualFindings = findings_raw || findings
+
+  // Debug: Log template content to verify it's being received
+  console.log('DEBUG - Template content received:', template_content ? 'YES' : 'NO')
+  if (template_content) {
+    console.log('Template content preview:', template_content.substring(0, 100) + '...')
+  }
+
+  // Enhanced scan name extraction with findings cleanup
+  let actualScanName = scan_name
+  let cleanedFindings = actualFindings
+
+  if (!actualScanName) {
+    // Priority 1: Try template first (highest priority)
+    if (template_content) {
+      console.log('DEBUG - Template content first line:', template_content.split('\n')[0])
+      actualScanName = extractScanNameFromFirstLine(template_content)
+      console.log('DEBUG - Template scan name extracted:', actualScanName)
+    } else {
+      console.log('DEBUG - No template content received')
+    }
+
+    // Priority 2: If no template or no scan name from template, try findings
+    if (!actualScanName && actualFindings) {
+      actualScanName = extractScanNameFromFirstLine(actualFindings)
+      console.log('DEBUG - Findings scan name extracted:', actualScanName)
+
+      // If we extracted scan name from findings, remove that line from findings
+      if (actualScanName) {
+        const firstLine = (actualFindings.split('\n')[0] || '').trim()
+        // Check if first line contains explicit modality (CT, MRI, etc.)
+        const hasExplicitModality = /^\s*(ct|mri|usg|x-ray|cxr|pet)\s+/i.test(firstLine)
+
+        if (hasExplicitModality) {
+          // Remove the first line (scan name) from findings
+          const lines = actualFindings.split('\n')
+          lines.shift() // Remove first line
+          cleanedFindings = lines.join('\n').trim()
+          console.log('DEBUG - Removed scan name line from findings:', firstLine)
+        }
+      }
+    }
+
+    // Final fallback
+    if (!actualScanName) {
+      actualScanName = "Radiology Report"
+    }
+  }
+
+  console.log('DEBUG - Final scan name being sent to AI:', actualScanName)
+
+  // Prior studies (from a study lookup or the client) as one line each for the prompt
+  const comparisonCandidates = (Array.isArray(comparison_candidates) ? comparison_candidates : [])
+    .map(candidate => typeof candidate === 'string' ? candidate : candidate?.text)
+    .filter(Boolean)
+    .join('\n') || null
+
+  // Resolve include flags
+  const includeAdviceFlag = include_advice === true
+  const includeQuestionsFlag = include_questions === true
+  const includeDifferentialFlag = include_differential === true
+
+  console.log('🔍 Backend received flags:', {
+    include_advice: include_advice,
+    include_questions: include_questions,
+    include_differential: include_differential,
+    resolved: { includeAdviceFlag, includeQuestionsFlag, includeDifferentialFlag }
+  })
+
+  return {
+    prompt,
+    template_id,
+    template_content,
+    comparison,
+    clinical_history,
+    patient_sex,
+    generation_mode,
+    order_id,
+    procedure_code,
+    technique_details,
+    comparison_candidates: comparisonCandidates,
+    patient_id,
+    prior_report_id: prior_report ? prior_report_id : null,
+    prior_report_summary: prior_report?.text || null,
+    measurement_growth: Array.isArray(measurement_growth) ? measurement_growth : [],
+    growth_summary: Array.isArray(measurement_growth) && measurement_growth.length > 0
+      ? measurement_growth.map(entry => entry.summary).join('\n')
+      : null,
+    recist_assessment: recist_assessment?.result ? recist_assessment : null,
+    recist_summary: recist_assessment?.result?.summary || null,
+    scoring_results: Array.isArray(scoring_results) ? scoring_results : [],
+    guideline_recommendations: Array.isArray(guideline_recommendations) ? guideline_recommendations : [],
+    actualFindings,
+    cleanedFindings,
+    actualScanName,
+    includeAdviceFlag,
+    includeQuestionsFlag,
+    includeDifferentialFlag
+  }
+}
+
+// Build the structured report prompt for a prepared request
+export function buildReportPrompt({
+  clinical_history,
+  comparison,
+  technique_details,
+  comparison_candidates,
+  prior_report_summary,
+  growth_summary,
+  recist_summary,
+  scoring_results = [],
+  guideline_recommendations = [],
+  template_content,
+  generation_mode,
+  cleanedFindings,
+  actualScanName,
+  includeAdviceFlag,
+  includeQuestionsFlag,
+  includeDifferentialFlag
+}) {
+  // Generate different prompts based on generation mode
+  const isSlowBrewed = generation_mode === 'slow_brewed'
+
+  // Simple approach: Always ask AI for everything, but tell it what to exclude
+  return `You are an expert radiologist. Generate a detailed radiology report based on the following clinical history and findings.
+
+${!includeAdviceFlag ? '🚫 DO NOT include clinical_advice field - user did not request clinical advice.' : ''}
+${!includeQuestionsFlag ? '🚫 DO NOT include clinician_questions field - user did not request clinician questions.' : ''}
+${!includeDifferentialFlag ? '🚫 DO NOT include differential_diagnosis field - user did not request differential diagnosis.' : ''}
+
+REPORTING STYLE:
+- Write like a senior consultant radiologist with 20+ years of experience
+- Follow the provided template style exactly when present
+- Provide comprehensive, detailed descriptions of all findings
+- Use precise radiological terminology and measurements
+- Include detailed anatomical descriptions and spatial relationships
+- Provide thorough differential considerations
+- Include detailed technical observations and image quality assessment
+
+CLINICAL HISTORY:
+${clinical_history || 'NA'}
+
+${technique_details ? `ACQUISITION DETAILS (FROM THE IMAGING STUDY - BASE THE TECHNIQUE SECTION ON THESE):
+${technique_details}
+
+` : ''}${comparison ? `COMPARISON STUDY:
+${comparison}
+
+` : ''}${prior_report_summary ? `PRIOR REPORT (SUMMARY OF THE COMPARISON STUDY):
+${prior_report_summary}
+
+INTERVAL CHANGE (MANDATORY): In the "comparison" section, name the prior study and its date, then go through
+each prior finding and each current finding and state whether it is NEW, RESOLVED, INCREASED, DECREASED or
+STABLE, giving the prior and current measurements side by side where both exist (e.g. "Segment 4 liver lesion
+increased from 12 mm to 18 mm"). Only use measurements that appear in the prior report or the current findings.
+
+` : ''}${growth_summary ? `MEASURED INTERVAL CHANGE (COMPUTED FROM THE PATIENT'S EARLIER REPORTS - cite these figures in the impression exactly as given):
+${growth_summary.split('\n').map(line => `- ${line}`).join('\n')}
+
+` : ''}${recist_summary ? `RECIST 1.1 RESPONSE (COMPUTED FROM THE DECLARED TARGET LESIONS - this paragraph is added to the end of the impression for you; do not restate it or give a different response category):
+${recist_summary}
+
+` : ''}${scoring_results.length > 0 ? `REPORTING SYSTEM CATEGORIES (COMPUTED FROM THE FINDINGS - the category and recommendation are added to the impression and clinical advice for you; do not assign a different category):
+${scoring_results.map(result => `- ${result.impression} ${result.recommendation}`).join('\n')}
+
+` : ''}${guideline_recommendations.length > 0 ? `GUIDELINE FOLLOW-UP (DETERMINISTIC, FROM THE PUBLISHED GUIDELINES - these recommendations are added to the ${includeAdviceFlag ? 'clinical advice' : 'impression'} for you; do not recommend a different interval or modality for these findings):
+${guideline_recommendations.map(result => `- ${result.text}`).join('\n')}
+
+` : ''}${!comparison && comparison_candidates ? `PRIOR STUDIES ON FILE (COMPARISON CANDIDATES - name in the comparison section only those the findings actually compare against, otherwise state that no comparison was made):
+${comparison_candidates.split('\n').map(line => `- ${line}`).join('\n')}
+
+` : ''}FINDINGS:
+${cleanedFindings}
+
+THIS IS A ${actualScanName.toUpperCase()} SCAN - GENERATE REPORT FOR THIS SPECIFIC SCAN TYPE
+
+${template_content ? `TEMPLATE TO FOLLOW (CRITICAL - THIS IS YOUR PRIMARY INSTRUCTION):
+${template_content}
+
+RADIOLOGIST BEHAVIOR WITH TEMPLATES:
+1. USE TEMPLATE SCAN NAME: The scan type above is extracted from template first line - MUST use this exact scan type
+2. CLINICAL INTEGRATION: Combine template normal findings with user's positive findings
+3. NARRATIVE STYLE: Write as one flowing radiologist narrative, not separate sections
+4. TEMPLATE COMPLIANCE: Use template's exact phrasing for normal findings
+5. ADAPTATION RULE: Modify template normals to work with positives
+   Example: Template "No fracture" + User "C7 fracture" = "Fracture at C7 vertebra. No fracture at other levels."
+
+MANDATORY INTEGRATION PROCESS:
+- Start with user's positive findings (abnormalities first)
+- Add ALL template normal findings in same paragraph
+- Modify template language to avoid contradictions
+- Write as experienced radiologist would dictate
+
+
+EXACT INTEGRATION EXAMPLE:
+Template: "Alignment is anatomic. No evidence of acute fracture or dislocation. Vertebral body heights are maintained. Degenerative disc disease and facet arthropathy noted at multiple levels."
+User Input: "There is a fracture identified at the C7 vertebra"
+REQUIRED OUTPUT: "There is a fracture identified at the C7 vertebra. Alignment is otherwise anatomic. No evidence of acute fracture or dislocation at other levels. Vertebral body heights are maintained. Degenerative disc disease and facet arthropathy noted at multiple levels."
+
+SCAN NAME EXTRACTION: "${template_content ? template_content.split('\n')[0] : actualScanName}"
+
+` : `STANDARD RADIOLOGIST BEHAVIOR:
+Generate a structured radiology report with these sections:`}
+
+EXPERT RADIOLOGIST BEHAVIOR (MANDATORY):
+1. CLINICAL REASONING: Consider clinical context, patient history, and imaging protocol
+2. DIAGNOSTIC ACCURACY: Use precise anatomical terminology and measurements
+3. SYSTEMATIC APPROACH: Evaluate all relevant structures systematically
+4. SAFETY FOCUS: Identify and clearly state critical or urgent findings
+5. CONSISTENCY RULE: Never contradict yourself within same organ system
+
+7. DIFFERENTIAL THINKING: Consider multiple diagnostic possibilities
+8. CLINICAL CORRELATION: Recommend appropriate follow-up or additional studies
+
+CONTRADICTION PREVENTION (CRITICAL):
+- If you mention an abnormality in an organ, do NOT say that organ is "normal"
+- Example: If "cardiomegaly noted" then do NOT say "heart size normal"
+- Example: If "liver lesions present" then do NOT say "liver unremarkable"
+- Be internally consistent within each organ system
+
+REPORTING STANDARDS:
+- Abnormal findings FIRST, then normal findings
+- Use standard radiological terminology
+- Include measurements when relevant
+- Describe anatomical relationships
+
+${template_content ? `
+FORMAT AS JSON WITH STANDARD RADIOLOGY SECTIONS:
+{
+  "technique": "${technique_details ? 'Technique from the acquisition details above' : 'Standard imaging protocol description'}",
+  "comparison": "${prior_report_summary ? 'Interval change versus the prior study: new, resolved, increased, decreased or stable findings with prior and current measurements' : comparison ? 'Systematic comparison with prior study' : 'No previous exam available for comparison.'}",
+  "findings": "INTEGRATE TEMPLATE CONTENT HERE - combine user findings with template normals in one narrative paragraph",
+  "impression": "Clinical impression based on findings",
+  "clinical_advice": "Recommendations for follow-up or treatment",
+  "clinician_questions": ["5 relevant questions a referring physician might ask"],
+  "differential_diagnosis": [
+    {"diagnosis": "Most likely diagnosis", "reasoning": "Supporting evidence"},
+    {"diagnosis": "Alternative diagnosis", "reasoning": "Why this is possible"},
+    {"diagnosis": "Third consideration", "reasoning": "Less likely but important to consider"}
+  ]
+}` : `
+FORMAT AS JSON WITH THESE SECTIONS:
+{
+  "technique": "${technique_details ? 'Technique from the acquisition details above' : isSlowBrewed ? 'Detailed technique with technical parameters' : 'Brief technique description'}",
+  "comparison": "${prior_report_summary ? 'Interval change versus the prior study: new, resolved, increased, decreased or stable findings with prior and current measurements' : comparison ? 'Systematic comparison with prior study' : 'No previous exam available for comparison.'}",
+  "findings": "${isSlowBrewed ? 'Comprehensive systematic findings with detailed descriptions' : 'Detailed findings with abnormalities first'}",
+  "impression": "${isSlowBrewed ? 'Comprehensive clinical impression with reasoning' : 'Clinical impression'}",
+  "clinical_advice": "${isSlowBrewed ? 'Detailed recommendations and follow-up plan' : 'Clinical recommendations'}",
+  "clinician_questions": ["Question 1", "Question 2", "Question 3", "Question 4", "Question 5"],
+  "differential_diagnosis": [
+    {"diagnosis": "Diagnosis 1", "reasoning": "${isSlowBrewed ? 'Detailed reasoning with evidence' : 'Why this is possible'}"},
+    {"diagnosis": "Diagnosis 2", "reasoning": "${isSlowBrewed ? 'Detailed reasoning with evidence' : 'Why this is possible'}"},
+    {"diagnosis": "Diagnosis 3", "reasoning": "${isSlowBrewed ? 'Detailed reasoning with evidence' : 'Why this is possible'}"}${isSlowBrewed ? ',\n    {"diagnosis": "Diagnosis 4", "reasoning": "Additional consideration"},\n    {"diagnosis": "Diagnosis 5", "reasoning": "Final consideration"}' : ''}
+  ]
+}`}
+
+CRITICAL REMINDERS:
+- NEVER create a section or heading called "Pertinent Negatives" or any variation
+- DO NOT use these forbidden headings: "Pertinent Negatives:", "Notable Negatives:", "Relevant Negatives:"
+- Write findings as ONE continuous narrative without subsections
+- Ensure internal consistency - no contradictory statements
+- Follow template style exactly when template is provided
+- Extract scan name from template first line when available
+
+FORBIDDEN OUTPUT PATTERNS:
+- "Pertinent Negatives: [list]"
+- Any heading followed by a list of negative findings
+- Separate sections for negative findings within the findings field
+`
+}
+
+// Append computed sentences to a section, skipping those the model already wrote
+const appendComputed = (text, additions) => {
+  const missing = additions.filter(addition => addition && !String(text || '').includes(addition))
+  return missing.length > 0 ? [text, ...missing].filter(Boolean).join('\n\n') : text
+}
+
+// Text with the given sentences taken out
+const removeSentences = (text, sentences) => sentences
+  .reduce((result, sentence) => result.replace(sentence, ''), String(text || ''))
+  .replace(/[ \t]{2,}/g, ' ')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim()
+
+// Turn the model's JSON into the /api/generate-report payload: drop sections the user did
+// not ask for, remove contradictory normals, render the HTML, verify the result
+// against the dictation and check it for laterality, sex and anatomy errors.
+// `contradictionRules` are the user's and template's rule layers (see loadContradictionRules).
+export function finalizeReport(reportData, request, { contradictionRules = [] } = {}) {
+  const {
+    clinical_history,
+    patient_sex,
+    template_content,
+    growth_summary,
+    measurement_growth = [],
+    recist_summary,
+    scoring_results = [],
+    guideline_recommendations = [],
+    cleanedFindings,
+    actualScanName,
+    includeAdviceFlag,
+    includeQuestionsFlag,
+    includeDifferentialFlag
+  } = request
+
+  // Log what the AI returned
+  console.log('🔍 AI returned fields:', Object.keys(reportData))
+  console.log('🎯 User requested - Advice:', includeAdviceFlag, 'Questions:', includeQuestionsFlag, 'Differential:', includeDifferentialFlag)
+
+  // Clean up - AI should have followed instructions, but double-check
+  if (!includeAdviceFlag && reportData.clinical_advice) {
+    delete reportData.clinical_advice
+    console.log('🔍 Removed clinical_advice (AI ignored instruction)')
+  }
+  if (!includeQuestionsFlag && reportData.clinician_questions) {
+    delete reportData.clinician_questions
+    console.log('🔍 Removed clinician_questions (AI ignored instruction)')
+  }
+  if (!includeDifferentialFlag && reportData.differential_diagnosis) {
+    delete reportData.differential_diagnosis
+    console.log('🔍 Removed differential_diagnosis (AI ignored instruction)')
+  }
+  console.log('🔍 Final fields after cleanup:', Object.keys(reportData))
+
+  // Clean findings for contradictions, keeping a record of what was removed
+  const contradictions = createContradictionEngine(contradictionRules).clean(reportData.findings)
+  if (contradictions.removed.length > 0 || contradictions.flagged.length > 0) {
+    console.log('🔍 Contradictory normals:', contradictions.removed.length, 'removed,', contradictions.flagged.length, 'flagged')
+  }
+
+  // Advice the model wrote that contradicts a guideline recommendation is taken out (the
+  // guideline wording is appended below) and kept with the report for review
+  const adviceCheck = checkClinicalAdvice(reportData.clinical_advice, guideline_recommendations)
+  if (!adviceCheck.consistent) {
+    console.log('🔍 Clinical advice check:', adviceCheck.issues.length, 'issue(s) against the guidelines, conflicting advice removed')
+    reportData.clinical_advice = removeSentences(reportData.clinical_advice, adviceCheck.issues.map(issue => issue.advice))
+  }
+
+  // Computed categories and the RECIST response close the impression; the category and
+  // guideline recommendations go to the clinical advice, or the impression when advice was not asked for
+  const recommendations = [
+    ...scoring_results.map(result => result.recommendation),
+    ...guideline_recommendations.map(result => result.text)
+  ]
+  const impression = appendComputed(reportData.impression, [
+    ...scoring_results.map(result => result.impression),
+    ...(includeAdviceFlag ? [] : recommendations),
+    recist_summary
+  ])
+
+  // Create compatible response
+  const compatibleReport = {
+    scan_name: actualScanName,
+    findings: contradictions.text || reportData.findings,
+    impression,
+    technique: reportData.technique,
+    comparison: reportData.comparison,
+    ...(includeAdviceFlag ? { clinical_advice: appendComputed(reportData.clinical_advice || '', recommendations) } : {}),
+    ...(includeQuestionsFlag ? { clinician_questions: Array.isArray(reportData.clinician_questions) ? reportData.clinician_questions : [] } : {}),
+    ...(includeDifferentialFlag ? { differential_diagnosis: Array.isArray(reportData.differential_diagnosis) ? reportData.differential_diagnosis : [] } : {})
+  }
+
+  // Create HTML report with all required sections
+  const reportHtml = buildReportHtml(compatibleReport, { clinicalHistory: clinical_history })
+
+  // Flag statements, numbers and laterality not supported by what was dictated
+  // (computed growth, RECIST, scoring and guideline figures count as given)
+  const verification = checkFaithfulness({
+    findings: compatibleReport.findings,
+    impression: compatibleReport.impression,
+    dictated: cleanedFindings,
+    template: [
+      template_content,
+      growth_summary,
+      recist_summary,
+      ...scoring_results.map(result => result.impression),
+      ...guideline_recommendations.map(result => result.text)
+    ].filter(Boolean).join('\n') || null
+  })
+  console.log('🔍 Faithfulness check:', verification.faithful ? 'no issues' : `${verification.issue_count} issue(s) for review`)
+
+  const consistency = checkConsistency({
+    findings: compatibleReport.findings,
+    impression: compatibleReport.impression,
+    scanName: actualScanName,
+    patientSex: patient_sex,
+    clinicalHistory: clinical_history
+  })
+  console.log('🔍 Consistency check:', consistency.consistent ? 'no issues' : `${consistency.issues.length} issue(s) for review`)
+
+  // Critical findings that need direct communication (opened as critical results when saved)
+  const criticalFindings = detectCriticalFindings({ findings: compatibleReport.findings, impression })
+  if (criticalFindings.length > 0) {
+    console.log('🔍 Critical findings:', criticalFindings.map(finding => `${finding.name} (${finding.severity})`).join(', '))
+  }
+
+  return {
+    reportHtml,
+    impressionText: impression,
+    structuredData: compatibleReport,
+    text: `${reportData.technique}\n\n${cleanedFindings || reportData.findings}\n\n${impression}`,
+    report: compatibleReport,
+    verification,
+    consistency,
+    criticalFindings,
+    // RadLex / SNOMED CT concepts of the final findings and impression
+    concepts: annotateReport({ findings: compatibleReport.findings, impression }),
+    contradictions: { removed: contradictions.removed, flagged: contradictions.flagged },
+    // Lesion measurements in the final findings, and their growth against earlier reports
+    measurements: extractMeasurements(compatibleReport.findings),
+    measurementGrowth: measurement_growth,
+    recistAssessment: request.recist_assessment?.result || null,
+    scoring: scoring_results,
+    guidelines: { recommendations: guideline_recommendations, advice_issues: adviceCheck.issues }
+  }
+}
@@ -0,0 +1,58 @@
+// Render a report's structuredData as the HTML returned by /api/generate-report.
+// Optional sections (advice, questions, differential) are rendered only when present.
+export const buildReportHtml = (structuredData, { clinicalHistory = null } = {}) => {
+  const report = structuredData || {}
+  const includeAdvice = report.clinical_advice !== undefined
+  const includeQuestions = report.clinician_questions !== undefined
+  const includeDifferential = report.differential_diagnosis !== undefined
+
+  return `
+                <div class="report">
+                    <h1>${report.scan_name || 'Radiology Report'}</h1>
+                    <div class="history">
+                        <h2>Clinical History</h2>
+                        ${clinicalHistory ? clinicalHistory : 'NA'}
+                    </div>
+                    <div class="technique">
+                        <h2>Technique</h2>
+                        ${report.technique || 'Standard imaging protocol was performed.'}
+                    </div>
+                    <div class="comparison">
+                        <h2>Comparison</h2>
+                        ${report.comparison || 'No previous exam available for comparison.'}
+                    </div>
+                    <div class="findings">
+                        <h2>Findings</h2>
+                        ${report.findings}
+                    </div>
+                    <div class="impression">
+                        <h2>Impression</h2>
+                        ${report.impression || 'No specific impression provided.'}
+                    </div>
+                    ${includeAdvice ? `
+                    <div class="clinical-advice">
+                        <h2>Clinical Advice and Safety Considerations</h2>
+                        ${report.clinical_advice || 'No clinical advice provided.'}
+                    </div>` : ''}
+                    ${includeQuestions ? `
+                    <div class="clinician-questions">
+                        <h2>Clinician Simulation Questions</h2>
+                        ${Array.isArray(report.clinician_questions) && report.clinician_questions.length > 0 ? `
+                        <ol>
+                            ${report.clinician_questions.map(q => `<li>${q}</li>`).join('')}
+                        </ol>` : '<p>No clinician questions provided.</p>'}
+                    </div>` : ''}
+                    ${includeDifferential ? `
+                    <div class="differential-diagnosis">
+                        <h2>Differential Diagnosis</h2>
+                        ${Array.isArray(report.differential_diagnosis) && report.differential_diagnosis.length > 0 ? `
+                        ${report.differential_diagnosis.map((dd, idx) => `
+                            <div class="differential-item">
+                                <strong>${idx + 1}. ${dd.diagnosis}</strong>
+                                <p>${dd.reasoning}</p>
+                            </div>
+                        `).join('')}` : '<p>No differential diagnoses provided.</p>'}
+                    </div>` : ''}
+                </div>
+            `
+}
@@ -0,0 +1,129 @@
+// Incremental parser for the streamed JSON report returned by the model.
+// The model writes one top-level object ({"technique": "...", "findings": "...", ...});
+// string sections are surfaced as they are typed and list sections once they are complete.
+//
+// push(chunk) returns the events produced by that chunk:
+//   { type: 'section_delta', section, delta, text } - more text for a string section
+//   { type: 'section', section, value }             - a section is complete
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' }
+
+export const createSectionParser = () => {
+  // object -> key -> colon -> value -> (string | nested | scalar) -> next -> key ...
+  let state = 'object'
+  let key = ''
+  let text = ''
+  let delta = ''
+  let escape = null
+  let raw = ''
+  let depth = 0
+  let rawInString = false
+  let rawEscape = false
+  let events = []
+
+  const flushDelta = () => {
+    if (delta) {
+      events.push({ type: 'section_delta', section: key, delta, text })
+      delta = ''
+    }
+  }
+
+  const completeRaw = () => {
+    try {
+      events.push({ type: 'section', section: key, value: JSON.parse(raw) })
+    } catch (_) {
+      // Malformed value - the final JSON.parse of the whole response will report it
+    }
+    raw = ''
+    state = 'next'
+  }
+
+  const step = (ch) => {
+    switch (state) {
+      case 'object':
+        if (ch === '{') state = 'key'
+        return
+      case 'key':
+        if (ch === '"') { key = ''; state = 'inKey' }
+        else if (ch === '}') state = 'done'
+        return
+      case 'inKey':
+        if (escape !== null) { key += ESCAPES[ch] ?? ch; escape = null }
+        else if (ch === '\\') escape = ''
+        else if (ch === '"') state = 'colon'
+        else key += ch
+        return
+      case 'colon':
+        if (ch === ':') state = 'value'
+        return
+      case 'value':
+        if (/\s/.test(ch)) return
+        if (ch === '"') { text = ''; state = 'string' }
+        else if (ch === '[' || ch === '{') { raw = ch; depth = 1; rawInString = false; state = 'nested' }
+        else { raw = ch; state = 'scalar' }
+        return
+      case 'string':
+        if (escape !== null) {
+          // \uXXXX needs four more characters before it can be decoded
+          if (escape === '' && ch !== 'u') {
+            const decoded = ESCAPES[ch] ?? ch
+            text += decoded; delta += decoded; escape = null
+          } else {
+            escape += ch
+            if (escape.length === 5) {
+              const decoded = String.fromCharCode(parseInt(escape.slice(1), 16))
+              text += decoded; delta += decoded; escape = null
+            }
+          }
+        } else if (ch === '\\') {
+          escape = ''
+        } else if (ch === '"') {
+          flushDelta()
+          events.push({ type: 'section', section: key, value: text })
+          state = 'next'
+        } else {
+          text += ch; delta += ch
+        }
+        return
+      case 'nested':
+        raw += ch
+        if (rawInString) {
+          if (rawEscape) rawEscape = false
+          else if (ch === '\\') rawEscape = true
+          else if (ch === '"') rawInString = false
+        } else if (ch === '"') {
+          rawInString = true
+        } else if (ch === '[' || ch === '{') {
+          depth++
+        } else if (ch === ']' || ch === '}') {
+          depth--
+          if (depth === 0) completeRaw()
+        }
+        return
+      case 'scalar':
+        if (ch === ',' || ch === '}') {
+          completeRaw()
+          state = ch === ',' ? 'key' : 'done'
+        } else {
+          raw += ch
+        }
+        return
+      case 'next':
+        if (ch === ',') state = 'key'
+        else if (ch === '}') state = 'done'
+        return
+      default:
+        return
+    }
+  }
+
+  return {
+    push(chunk) {
+      for (const ch of chunk) step(ch)
+      if (state === 'string') flushDelta()
+      const produced = events
+      events = []
+      return produced
+    }
+  }
+}
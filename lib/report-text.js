@@ -0,0 +1,66 @@
+// Sentence-level helpers for reading report prose: positive findings, negation,
+// measurements and laterality. Shared by the verification and consistency checks.
+
+// Terms that make a sentence a positive (abnormal) finding
+export const ABNORMAL_TERMS = [
+  'lesion', 'mass', 'nodule', 'cyst', 'metasta', 'enlarg', 'thicken', 'dilat', 'obstruct', 'stone', 'calcul',
+  'oedema', 'edema', 'infarct', 'haemorr', 'hemorr', 'bleed', 'aneurysm', 'effusion', 'opacit', 'consolidation',
+  'fracture', 'lytic', 'sclerotic', 'tear', 'stricture', 'collection', 'abscess', 'pneumothorax', 'thromb',
+  'embol', 'dissection', 'stenosis', 'occlusion', 'herniat', 'tumour', 'tumor', 'malignan', 'hydronephrosis',
+  'atelectasis', 'cardiomegaly', 'lymphadenopathy', 'ascites', 'free air', 'pneumoperitoneum', 'calcification',
+  'hypodens', 'hyperdens', 'hypoechoic', 'hyperechoic', 'enhancing', 'erosion', 'displace', 'subluxation'
+]
+
+const NEGATION_CUES = /\b(no|no longer|not|without|negative for|free of|absent|absence of|resolved|rule out|ruled out)\b/
+
+// Cues after the term: "pneumothorax is not seen", "PE is excluded", "the collection has
+// resolved", "effusion no longer seen" - but not "pneumonia is not excluded" or
+// "nodule not seen previously"
+const POST_NEGATION_CUES = /\b(not (?:seen|identified|demonstrated|visible|present|evident|detected|appreciated)|excluded|resolved|no longer (?:seen|visible|present|identified|evident|demonstrated))\b/
+const NOT_NEGATION = /\b(?:not|cannot be|can't be|could not be|not been) excluded\b|\bnot \w+ (?:previously|before|on (?:the )?(?:prior|previous))\b/
+
+const LATERALITY = /\b(left|right|bilateral|both)\b/g
+
+const MEASUREMENT = /(\d+(?:\.\d+)?(?:\s*(?:x|×|by)\s*\d+(?:\.\d+)?)*)\s*(mm|cm|ml|cc|hu|%)(?![a-z])/gi
+
+export const splitSentences = (text) => (text || '')
+  .replace(/\s+/g, ' ')
+  .split(/(?<=[.?!;])\s+|\n+/)
+  .map(s => s.trim())
+  .filter(Boolean)
+
+export const abnormalTermsIn = (sentence) => {
+  const low = sentence.toLowerCase()
+  return ABNORMAL_TERMS.filter(term => low.includes(term))
+}
+
+// A term is negated when a negation cue appears earlier in the same clause, or a
+// negation or resolution cue follows it in that clause
+export const isNegated = (sentence, term) => {
+  const low = sentence.toLowerCase()
+  const index = low.indexOf(term)
+  if (index === -1) return false
+  const clause = low.slice(0, index).split(/[,;:]|\bbut\b|\bhowever\b/).pop()
+  const after = low.slice(index + term.length).split(/[,;:]|\bbut\b|\bhowever\b/)[0]
+  return NEGATION_CUES.test(clause) || (POST_NEGATION_CUES.test(after) && !NOT_NEGATION.test(after))
+}
+
+export const positiveTermsIn = (sentence) => abnormalTermsIn(sentence).filter(term => !isNegated(sentence, term))
+
+// Measurements with lengths normalised to millimetres and volumes to ml, for comparison
+export const measurementsIn = (text) => {
+  const results = []
+  for (const match of (text || '').matchAll(MEASUREMENT)) {
+    const unit = match[2].toLowerCase()
+    const values = match[1].split(/\s*(?:x|×|by)\s*/i).map(Number)
+    for (const value of values) {
+      const normalised = unit === 'cm' ? Math.round(value * 100) / 10 : value
+      results.push({ text: match[0], value: normalised, unit: unit === 'cm' ? 'mm' : unit === 'cc' ? 'ml' : unit })
+    }
+  }
+  return results
+}
+
+export const sameMeasurement = (a, b) => a.unit === b.unit && Math.abs(a.value - b.value) < 0.05
+
+export const lateralityIn = (sentence) => new Set((sentence.toLowerCase().match(LATERALITY) || []).map(side => side === 'both' ? 'bilateral' : side))
@@ -0,0 +1,80 @@
+import { database } from './database.js'
+import { recordRevision } from './revisions.js'
+import { reportConceptFields } from './terminology/index.js'
+import { reportBillingFields } from './billing/index.js'
+
+// Report lifecycle: draft -> preliminary -> final. A final report is signed and locked;
+// after sign-off its content can only be extended with addenda.
+export const REPORT_STATUSES = ['draft', 'preliminary', 'final']
+
+// Status changes allowed through a plain status update (signing is its own endpoint)
+const STATUS_TRANSITIONS = {
+  draft: ['preliminary'],
+  preliminary: ['draft'],
+  final: []
+}
+
+export const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to)
+
+export const isLocked = (report) => report?.status === 'final'
+
+// Name recorded against sign-offs, addenda and revisions
+export const userDisplayName = (user) => user?.user_metadata?.full_name || user?.email || null
+
+// Persist a generated report together with the inputs it was generated from.
+// New reports always start as drafts, whatever the caller asks for.
+// Never throws - a storage failure must not lose the report the user is waiting for.
+export const saveGeneratedReport = async (userId, report) => {
+  try {
+    const { data, error } = await database
+      .from('reports')
+      .insert({
+        user_id: userId,
+        scan_name: report.scan_name || 'Radiology Report',
+        findings: report.findings || '',
+        clinical_history: report.clinical_history || null,
+        comparison: report.comparison || null,
+        template_id: report.template_id || null,
+        generation_mode: report.generation_mode || 'espresso',
+        model: report.model || null,
+        report_html: report.report_html || '',
+        impression_text: report.impression_text || '',
+        structured_data: report.structured_data || {},
+        verification: report.verification || null,
+        consistency: report.consistency || null,
+        contradictions: report.contradictions || null,
+        order_id: report.order_id || null,
+        procedure_code: report.procedure_code || null,
+        patient_id: report.patient_id || null,
+        prior_report_id: report.prior_report_id || null,
+        measurements: report.measurements || null,
+        measurement_growth: report.measurement_growth || null,
+        // Model advice removed for contradicting a guideline recommendation
+        advice_issues: report.advice_issues?.length > 0 ? report.advice_issues : null,
+        // RadLex / SNOMED CT codes of the findings and impression
+        ...reportConceptFields(report.structured_data, { findings: report.findings, impression: report.impression_text }),
+        // Suggested CPT / ICD-10-CM codes for the billing team
+        ...reportBillingFields(report),
+        status: 'draft'
+      })
+      .select()
+      .single()
+
+    if (error) {
+      console.error('Error saving generated report:', error)
+      return null
+    }
+
+    // Revision 0 is the generated draft that later edits are diffed against
+    try {
+      await recordRevision(data.id, {}, data.structured_data, { author: { id: userId }, source: 'generated' })
+    } catch (revisionError) {
+      console.error('Error recording initial revision:', revisionError)
+    }
+
+    return data
+  } catch (error) {
+    console.error('Report save error:', error)
+    return null
+  }
+}
@@ -0,0 +1,188 @@
+import jsonpatch from 'fast-json-patch'
+import { database } from './database.js'
+
+// Sections of structuredData that are compared revision by revision
+export const REPORT_SECTIONS = [
+  'technique',
+  'comparison',
+  'findings',
+  'impression',
+  'clinical_advice',
+  'clinician_questions',
+  'differential_diagnosis'
+]
+
+// Past this many word pairs a section is diffed as a single replacement
+const MAX_DIFF_CELLS = 4000000
+
+// Flatten a section to text so list sections diff the same way prose does
+const sectionText = (value) => {
+  if (value === undefined || value === null) return ''
+  if (Array.isArray(value)) {
+    return value
+      .map(item => typeof item === 'string' ? item : [item?.diagnosis, item?.reasoning].filter(Boolean).join(': '))
+      .join('\n')
+  }
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+const tokenize = (text) => text.split(/\s+/).filter(Boolean)
+
+// Word-level diff using the longest common subsequence of the two texts
+export const diffWords = (before, after) => {
+  const a = tokenize(before || '')
+  const b = tokenize(after || '')
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...(a.length ? [{ type: 'delete', text: a.join(' ') }] : []),
+      ...(b.length ? [{ type: 'insert', text: b.join(' ') }] : [])
+    ]
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const changes = []
+  const push = (type, word) => {
+    const last = changes[changes.length - 1]
+    if (last && last.type === type) last.text += ' ' + word
+    else changes.push({ type, text: word })
+  }
+
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { push('equal', a[i]); i++; j++ }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) { push('delete', a[i]); i++ }
+    else { push('insert', b[j]); j++ }
+  }
+  while (i < a.length) push('delete', a[i++])
+  while (j < b.length) push('insert', b[j++])
+
+  return changes
+}
+
+// Compare two versions of structuredData section by section
+export const diffSections = (before, after) => {
+  return REPORT_SECTIONS
+    .filter(section => before?.[section] !== undefined || after?.[section] !== undefined)
+    .map(section => {
+      const beforeText = sectionText(before?.[section])
+      const afterText = sectionText(after?.[section])
+      const changes = diffWords(beforeText, afterText)
+      const changedWords = changes
+        .filter(change => change.type !== 'equal')
+        .reduce((sum, change) => sum + tokenize(change.text).length, 0)
+      // Deleted plus inserted words over the words on both sides, so a full rewrite scores 1
+      const comparedWords = tokenize(beforeText).length + tokenize(afterText).length
+
+      let status = 'changed'
+      if (before?.[section] === undefined) status = 'added'
+      else if (after?.[section] === undefined) status = 'removed'
+      else if (beforeText === afterText) status = 'unchanged'
+
+      return {
+        section,
+        status,
+        changes,
+        changed_words: changedWords,
+        compared_words: comparedWords,
+        change_ratio: comparedWords ? Math.round((changedWords / comparedWords) * 1000) / 1000 : 0
+      }
+    })
+}
+
+// Summarise how far a report has moved from its original (AI generated) draft
+export const summariseChanges = (original, current) => {
+  const sections = diffSections(original, current)
+  const changedWords = sections.reduce((sum, s) => sum + s.changed_words, 0)
+  const comparedWords = sections.reduce((sum, s) => sum + s.compared_words, 0)
+
+  return {
+    sections: sections.map(({ section, status, changed_words, compared_words, change_ratio }) => ({
+      section, status, changed_words, compared_words, change_ratio
+    })),
+    changed_sections: sections.filter(s => s.status !== 'unchanged').map(s => s.section),
+    change_percentage: comparedWords ? Math.round((changedWords / comparedWords) * 1000) / 10 : 0
+  }
+}
+
+// Apply a JSON Patch to a copy of structuredData. Throws JsonPatchError on invalid patches.
+export const applyEdit = (structuredData, patch) => {
+  if (!Array.isArray(patch) || patch.length === 0) {
+    throw new jsonpatch.JsonPatchError('Patch must be a non-empty array of operations', 'SEQUENCE_NOT_AN_ARRAY')
+  }
+  const document = jsonpatch.deepClone(structuredData || {})
+  const validationError = jsonpatch.validate(patch, document)
+  if (validationError) throw validationError
+  return jsonpatch.applyPatch(document, patch).newDocument
+}
+
+// Rebuild structuredData as of a revision number by replaying patches from revision 0
+export const buildRevisionContent = (revisions, revisionNumber) => {
+  return revisions
+    .filter(revision => revision.revision_number <= revisionNumber)
+    .sort((a, b) => a.revision_number - b.revision_number)
+    .reduce((document, revision) => jsonpatch.applyPatch(document, revision.patch, false, false).newDocument, {})
+}
+
+export const fetchRevisions = async (reportId) => {
+  const { data, error } = await database
+    .from('report_revisions')
+    .select('*')
+    .eq('report_id', reportId)
+    .order('revision_number', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+// Revision numbers are unique per report (unique index on report_id, revision_number);
+// two concurrent edits that read the same latest number collide on insert and the
+// loser retries with the next number
+const UNIQUE_VIOLATION = '23505'
+const MAX_REVISION_ATTEMPTS = 5
+
+const nextRevisionNumber = async (reportId) => {
+  const { data: latest, error } = await database
+    .from('report_revisions')
+    .select('revision_number')
+    .eq('report_id', reportId)
+    .order('revision_number', { ascending: false })
+    .limit(1)
+
+  if (error) throw error
+  return latest && latest.length > 0 ? latest[0].revision_number + 1 : 0
+}
+
+// Store the change between two versions of structuredData as the report's next revision
+export const recordRevision = async (reportId, previous, next, { author = null, source = 'edit', note = null } = {}) => {
+  const patch = jsonpatch.compare(previous || {}, next || {})
+  if (patch.length === 0 && source !== 'generated') return null
+
+  for (let attempt = 1; ; attempt++) {
+    const { data, error } = await database
+      .from('report_revisions')
+      .insert({
+        report_id: reportId,
+        revision_number: await nextRevisionNumber(reportId),
+        patch,
+        source,
+        note,
+        author_id: author?.id || null,
+        author_name: author?.name || null
+      })
+      .select()
+      .single()
+
+    if (!error) return data
+    if (error.code !== UNIQUE_VIOLATION || attempt >= MAX_REVISION_ATTEMPTS) throw error
+  }
+}
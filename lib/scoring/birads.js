@@ -0,0 +1,166 @@
+import { choiceFor, choicesFor, flagFor } from './features.js'
+
+// ACR BI-RADS (5th edition) assessment for breast imaging. Categories 0, 1, 2 and 6
+// follow from the inputs directly; for a described finding the suspicious lexicon
+// features are weighted into a suggested 3, 4A, 4B, 4C or 5, which the radiologist
+// confirms - BI-RADS itself leaves that final call to the reader.
+
+const SUSPICIOUS = {
+  shape: { irregular: 1 },
+  margin: { microlobulated: 1, indistinct: 1, angular: 1, spiculated: 2 },
+  orientation: { not_parallel: 1 },
+  posterior_features: { shadowing: 1, combined: 1 },
+  calcification_morphology: { amorphous: 1, coarse_heterogeneous: 1, fine_pleomorphic: 2, fine_linear: 3 },
+  calcification_distribution: { linear: 1, segmental: 1 }
+}
+
+const ASSOCIATED_FEATURES = ['skin_retraction', 'nipple_retraction', 'skin_thickening', 'axillary_adenopathy']
+
+const CATEGORIES = {
+  0: { label: 'Incomplete - need additional imaging evaluation', recommendation: 'Recall for additional imaging and/or comparison with prior examination(s).' },
+  1: { label: 'Negative', recommendation: 'Routine mammography screening.' },
+  2: { label: 'Benign', recommendation: 'Routine mammography screening.' },
+  3: { label: 'Probably benign (likelihood of malignancy 2% or less)', recommendation: 'Short-interval (6-month) follow-up or continued surveillance.' },
+  '4A': { label: 'Low suspicion for malignancy (over 2% to 10%)', recommendation: 'Tissue diagnosis.' },
+  '4B': { label: 'Moderate suspicion for malignancy (over 10% to 50%)', recommendation: 'Tissue diagnosis.' },
+  '4C': { label: 'High suspicion for malignancy (over 50% to under 95%)', recommendation: 'Tissue diagnosis.' },
+  5: { label: 'Highly suggestive of malignancy (95% or more)', recommendation: 'Tissue diagnosis.' },
+  6: { label: 'Known biopsy-proven malignancy', recommendation: 'Surgical excision when clinically appropriate.' }
+}
+
+// Suspicion score -> suggested category
+const suggestedCategory = (score) => {
+  if (score === 0) return '3'
+  if (score === 1) return '4A'
+  if (score === 2) return '4B'
+  if (score <= 4) return '4C'
+  return '5'
+}
+
+const result = (category, trace) => ({
+  category: `BI-RADS ${category}`,
+  label: CATEGORIES[category].label,
+  points: null,
+  trace,
+  recommendation: CATEGORIES[category].recommendation
+})
+
+export const birads = {
+  id: 'birads',
+  name: 'ACR BI-RADS',
+  version: '5th edition',
+  modalities: ['MG', 'US', 'MR'],
+  scanPattern: /\b(breast|mammo)/i,
+  fields: {
+    known_malignancy: { type: 'boolean', description: 'Biopsy-proven malignancy' },
+    incomplete: { type: 'boolean', description: 'Additional imaging or prior comparison needed' },
+    finding: { type: 'enum', values: ['none', 'mass', 'calcifications', 'asymmetry', 'architectural_distortion'] },
+    benign_finding: { type: 'boolean', description: 'Simple cyst, intramammary node, fat-containing lesion or typically benign calcifications' },
+    shape: { type: 'enum', values: ['oval', 'round', 'irregular'] },
+    margin: { type: 'enum', values: ['circumscribed', 'obscured', 'microlobulated', 'indistinct', 'angular', 'spiculated'] },
+    orientation: { type: 'enum', values: ['parallel', 'not_parallel'] },
+    posterior_features: { type: 'enum', values: ['none', 'enhancement', 'shadowing', 'combined'] },
+    calcification_morphology: { type: 'enum', values: ['typically_benign', 'amorphous', 'coarse_heterogeneous', 'fine_pleomorphic', 'fine_linear'] },
+    calcification_distribution: { type: 'enum', values: ['diffuse', 'regional', 'grouped', 'linear', 'segmental'] },
+    associated_features: { type: 'list', values: ASSOCIATED_FEATURES },
+    new_or_enlarging: { type: 'boolean' }
+  },
+
+  missing: (features) => features.known_malignancy || features.incomplete || features.finding !== undefined ? [] : ['finding'],
+
+  extract: (findings) => {
+    const associated = choicesFor(findings, [
+      { value: 'skin_retraction', terms: ['skin retraction'] },
+      { value: 'nipple_retraction', terms: ['nipple retraction'] },
+      { value: 'skin_thickening', terms: ['skin thickening'] },
+      { value: 'axillary_adenopathy', terms: ['axillary adenopathy', 'axillary lymphadenopathy', 'abnormal axillary'] }
+    ])
+    const finding = choiceFor(findings, [
+      { value: 'architectural_distortion', terms: ['architectural distortion'] },
+      { value: 'mass', terms: ['mass', 'lesion'] },
+      { value: 'calcifications', terms: ['calcification'] },
+      { value: 'asymmetry', terms: ['asymmetry'] }
+    ])
+    const nothing = flagFor(findings, ['mass', 'calcification', 'architectural distortion', 'suspicious'])
+
+    return {
+      known_malignancy: flagFor(findings, ['biopsy-proven', 'biopsy proven', 'known malignancy', 'known carcinoma']) || undefined,
+      incomplete: flagFor(findings, ['additional imaging', 'recall for', 'further views']) || undefined,
+      finding: finding || (nothing === false ? 'none' : undefined),
+      benign_finding: flagFor(findings, ['simple cyst', 'intramammary lymph node', 'intramammary node', 'fat-containing', 'oil cyst', 'lipoma', 'hamartoma', 'secretory calcification', 'vascular calcification']) || undefined,
+      shape: choiceFor(findings, [
+        { value: 'irregular', terms: ['irregular'] },
+        { value: 'oval', terms: ['oval'] },
+        { value: 'round', terms: ['round'] }
+      ]),
+      margin: choiceFor(findings, [
+        { value: 'spiculated', terms: ['spiculat'] },
+        { value: 'angular', terms: ['angular'] },
+        { value: 'microlobulated', terms: ['microlobulated'] },
+        { value: 'indistinct', terms: ['indistinct', 'ill-defined', 'ill defined'] },
+        { value: 'obscured', terms: ['obscured margin'] },
+        { value: 'circumscribed', terms: ['circumscribed', 'well-defined', 'well defined'] }
+      ]),
+      orientation: choiceFor(findings, [
+        { value: 'not_parallel', terms: ['not parallel', 'non-parallel', 'nonparallel', 'taller than wide', 'taller-than-wide'] },
+        { value: 'parallel', terms: ['parallel', 'wider than tall'] }
+      ]),
+      posterior_features: choiceFor(findings, [
+        { value: 'combined', terms: ['combined posterior'] },
+        { value: 'shadowing', terms: ['posterior shadowing', 'posterior acoustic shadowing', 'acoustic shadowing'] },
+        { value: 'enhancement', terms: ['posterior enhancement', 'posterior acoustic enhancement'] }
+      ]),
+      calcification_morphology: choiceFor(findings, [
+        { value: 'fine_linear', terms: ['fine linear', 'fine-linear', 'linear branching'] },
+        { value: 'fine_pleomorphic', terms: ['fine pleomorphic', 'pleomorphic'] },
+        { value: 'coarse_heterogeneous', terms: ['coarse heterogeneous'] },
+        { value: 'amorphous', terms: ['amorphous'] },
+        { value: 'typically_benign', terms: ['benign-appearing calcification', 'popcorn', 'vascular calcification', 'dystrophic', 'milk of calcium'] }
+      ]),
+      calcification_distribution: choiceFor(findings, [
+        { value: 'segmental', terms: ['segmental'] },
+        { value: 'linear', terms: ['linear distribution'] },
+        { value: 'grouped', terms: ['grouped', 'clustered'] },
+        { value: 'regional', terms: ['regional'] },
+        { value: 'diffuse', terms: ['diffuse', 'scattered'] }
+      ]),
+      associated_features: associated.length > 0 ? associated : undefined,
+      new_or_enlarging: flagFor(findings, ['new', 'enlarging', 'increased in size', 'has increased']) || undefined
+    }
+  },
+
+  calculate: (features) => {
+    if (features.known_malignancy) return result(6, ['known biopsy-proven malignancy: BI-RADS 6'])
+    if (features.incomplete) return result(0, ['additional imaging evaluation needed: BI-RADS 0'])
+    if (features.finding === 'none') return result(1, ['no finding: BI-RADS 1'])
+    if (features.benign_finding || features.calcification_morphology === 'typically_benign') {
+      return result(2, ['benign finding: BI-RADS 2'])
+    }
+
+    const trace = [`finding: ${features.finding.replace(/_/g, ' ')}`]
+    let score = 0
+    for (const [feature, weights] of Object.entries(SUSPICIOUS)) {
+      const weight = weights[features[feature]]
+      if (weight) {
+        score += weight
+        trace.push(`${feature.replace(/_/g, ' ')} ${features[feature].replace(/_/g, ' ')}: +${weight}`)
+      }
+    }
+    if (features.finding === 'architectural_distortion') {
+      score += 1
+      trace.push('architectural distortion: +1')
+    }
+    for (const feature of features.associated_features || []) {
+      score += 1
+      trace.push(`${feature.replace(/_/g, ' ')}: +1`)
+    }
+    if (features.new_or_enlarging) {
+      score += 1
+      trace.push('new or enlarging: +1')
+    }
+
+    const category = suggestedCategory(score)
+    trace.push(`suspicion score ${score}: suggested BI-RADS ${category}`)
+    return result(category, trace)
+  }
+}
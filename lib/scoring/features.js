@@ -0,0 +1,52 @@
+import { isNegated, splitSentences } from '../report-text.js'
+import { mentions } from '../anatomy.js'
+import { extractMeasurements } from '../measurements.js'
+
+// Helpers the calculators use to read their features from report prose. Extraction is
+// deliberately literal: a feature is only set when a term for it is mentioned (or
+// negated), so anything not dictated stays missing rather than guessed.
+
+// "No mass, calcification or distortion." negates the whole list, not only its first item
+const negatedList = (sentence, term) => {
+  const before = sentence.toLowerCase().slice(0, sentence.toLowerCase().indexOf(term))
+  return /^(no|without)\b/.test(before) && !/\b(but|however|except)\b/.test(before)
+}
+
+// true when a term is mentioned, false when only negated ("no washout"), undefined when absent
+export const flagFor = (text, terms) => {
+  let negated = false
+  for (const sentence of splitSentences(text)) {
+    for (const term of terms.filter(t => mentions(sentence, t))) {
+      if (!isNegated(sentence, term) && !negatedList(sentence, term)) return true
+      negated = true
+    }
+  }
+  return negated ? false : undefined
+}
+
+// Value of the first option (in the order given) with a term mentioned and not negated
+export const choiceFor = (text, options) => {
+  for (const { value, terms } of options) {
+    if (flagFor(text, terms) === true) return value
+  }
+  return undefined
+}
+
+// Every option value with a term mentioned and not negated
+export const choicesFor = (text, options) => options
+  .filter(({ terms }) => flagFor(text, terms) === true)
+  .map(({ value }) => value)
+
+// A dictated score such as "T2W score 4" or "DWI: 3"
+export const scoreFor = (text, pattern) => {
+  const match = pattern.exec(text || '')
+  return match ? parseInt(match[1], 10) : undefined
+}
+
+// Largest current measurement in sentences mentioning one of the terms
+export const largestMeasurement = (text, terms) => {
+  const measurements = extractMeasurements(text)
+    .filter(m => !m.historical && terms.some(term => m.sentence.toLowerCase().includes(term)))
+  if (measurements.length === 0) return undefined
+  return measurements.reduce((largest, m) => m.long_axis_mm > largest.long_axis_mm ? m : largest)
+}
@@ -0,0 +1,122 @@
+import { modalityFromScanName } from '../report-codes.js'
+import { extractScanNameFromFirstLine } from '../report-generator.js'
+import { birads } from './birads.js'
+import { lirads } from './lirads.js'
+import { lungrads } from './lungrads.js'
+import { pirads } from './pirads.js'
+import { tirads } from './tirads.js'
+
+// ACR reporting-system calculators. Each takes structured features (anything not
+// given is read from the findings where the calculator can), returns the category
+// with the rule trace and the standard recommendation wording, and names the
+// features it still needs when the inputs are not enough to score.
+
+export const CALCULATORS = { birads, lirads, lungrads, pirads, tirads }
+
+// Calculator descriptions for GET /api/scoring
+export const listCalculators = () => Object.values(CALCULATORS).map(({ id, name, version, modalities, fields }) => ({
+  id, name, version, modalities, fields
+}))
+
+// Calculators for a scan name: the anatomy has to match and so does the modality when one is named
+export const calculatorsForScan = (scanName) => {
+  const modality = modalityFromScanName(scanName)?.code
+  return Object.values(CALCULATORS).filter(calculator => calculator.scanPattern.test(scanName || '') &&
+    (!modality || calculator.modalities.includes(modality)))
+}
+
+// Error message for features of the wrong type or outside their allowed values, or null
+export const validateFeatures = (calculator, features) => {
+  if (features === undefined || features === null) return null
+  if (typeof features !== 'object' || Array.isArray(features)) return 'features must be an object'
+
+  for (const [key, value] of Object.entries(features)) {
+    const field = calculator.fields[key]
+    if (!field) return `Unknown ${calculator.name} feature "${key}"`
+    if (value === null || value === undefined) continue
+
+    if (field.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      return `${key} must be a non-negative number`
+    }
+    if (field.type === 'boolean' && typeof value !== 'boolean') {
+      return `${key} must be true or false`
+    }
+    if (field.type === 'enum' && !field.values.includes(value)) {
+      return `${key} must be one of: ${field.values.join(', ')}`
+    }
+    if (field.type === 'list' && (!Array.isArray(value) || value.some(item => !field.values.includes(item)))) {
+      return `${key} must be a list of: ${field.values.join(', ')}`
+    }
+  }
+  return null
+}
+
+// Error message for a generate-report `scoring` list that names an unknown calculator
+// or gives invalid features, or null
+export const validateScoringRequest = (scoring) => {
+  if (scoring === undefined || scoring === null || scoring === false) return null
+  if (!Array.isArray(scoring)) return 'scoring must be false or a list of { calculator, features }'
+
+  for (const entry of scoring) {
+    const calculator = CALCULATORS[entry?.calculator]
+    if (!calculator) return `Unknown calculator "${entry?.calculator}". Use one of: ${Object.keys(CALCULATORS).join(', ')}`
+    const error = validateFeatures(calculator, entry.features)
+    if (error) return `${calculator.name}: ${error}`
+  }
+  return null
+}
+
+// Run a calculator. Given features win over those read from `findings`. Returns the
+// result, { missing } when required features are unknown, or { error }.
+export const runCalculator = (calculator, { features = {}, findings = null, clinicalHistory = null } = {}) => {
+  const extracted = findings ? calculator.extract(findings, { clinicalHistory }) : {}
+  const merged = { ...extracted }
+  for (const [key, value] of Object.entries(features || {})) {
+    if (value !== null && value !== undefined) merged[key] = value
+  }
+  for (const key of Object.keys(merged)) {
+    if (merged[key] === undefined) delete merged[key]
+  }
+
+  const missing = calculator.missing(merged)
+  if (missing.length > 0) return { calculator: calculator.id, missing, features: merged }
+
+  const outcome = calculator.calculate(merged)
+  if (outcome.error) return { calculator: calculator.id, error: outcome.error, features: merged }
+
+  return {
+    calculator: calculator.id,
+    name: calculator.name,
+    version: calculator.version,
+    ...outcome,
+    impression: `${calculator.name}: ${outcome.category} (${outcome.label})${outcome.points !== null ? `, ${outcome.points} points` : ''}.`,
+    features: merged,
+    extracted_features: Object.keys(extracted).filter(key => extracted[key] !== undefined && !(key in (features || {})))
+  }
+}
+
+// Fill a generate-report body with `scoring_results`. `scoring` lists the calculators
+// to run ([{ calculator, features }]); without it every calculator for the scan type
+// runs on the findings and only the ones that could score are kept. `scoring: false`
+// turns this off. Never throws - generation goes ahead without categories.
+export const applyScoring = (body = {}) => {
+  if (!body || body.scoring === false) return body
+
+  try {
+    const findings = body.findings_raw || body.findings
+    const clinicalHistory = body.clinical_history
+    const requested = Array.isArray(body.scoring)
+      ? body.scoring.filter(entry => CALCULATORS[entry?.calculator] && !validateFeatures(CALCULATORS[entry.calculator], entry.features))
+      : calculatorsForScan(body.scan_name || extractScanNameFromFirstLine(body.template_content || findings))
+        .map(calculator => ({ calculator: calculator.id }))
+
+    const results = requested
+      .map(entry => runCalculator(CALCULATORS[entry.calculator], { features: entry.features, findings, clinicalHistory }))
+      .filter(result => result.category)
+
+    return results.length > 0 ? { ...body, scoring_results: results } : body
+  } catch (error) {
+    console.error('Scoring error:', error)
+    return body
+  }
+}
@@ -0,0 +1,111 @@
+import { choiceFor, flagFor, largestMeasurement } from './features.js'
+
+// LI-RADS v2018 CT/MRI diagnostic categories for liver observations in patients at
+// risk of HCC. Tumour in vein, definitely/probably benign and LR-M features are
+// checked first; otherwise arterial phase hyperenhancement, size and the additional
+// major features (washout, enhancing capsule, threshold growth) give LR-3 to LR-5.
+
+const CATEGORIES = {
+  'LR-1': { label: 'Definitely benign', recommendation: 'Return to surveillance in 6 months.' },
+  'LR-2': { label: 'Probably benign', recommendation: 'Return to surveillance in 6 months; consider repeat diagnostic imaging in 6 months or less.' },
+  'LR-3': { label: 'Intermediate probability of malignancy', recommendation: 'Repeat or alternative diagnostic imaging in 3-6 months.' },
+  'LR-4': { label: 'Probably HCC', recommendation: 'Multidisciplinary discussion for tailored workup, which may include biopsy; repeat or alternative diagnostic imaging in 3 months or less.' },
+  'LR-5': { label: 'Definitely HCC', recommendation: 'Multidisciplinary discussion for consensus management; biopsy is not required for diagnosis.' },
+  'LR-M': { label: 'Probably or definitely malignant, not HCC specific', recommendation: 'Multidisciplinary discussion for tailored workup, which often includes biopsy.' },
+  'LR-TIV': { label: 'Tumour in vein', recommendation: 'Multidisciplinary discussion for tailored workup, which may include biopsy.' }
+}
+
+// Diagnostic table: [APHE][size band] -> category by number of additional major features (0, 1, 2+)
+const TABLE = {
+  none: { small: ['LR-3', 'LR-3', 'LR-4'], medium: ['LR-3', 'LR-3', 'LR-4'], large: ['LR-3', 'LR-4', 'LR-4'] },
+  nonrim: { small: ['LR-3', 'LR-4', 'LR-4'], medium: ['LR-3', 'LR-4', 'LR-5'], large: ['LR-4', 'LR-5', 'LR-5'] }
+}
+
+const sizeBand = (size, aphe) => {
+  if (size >= 20) return 'large'
+  // Without APHE the table only splits at 20 mm
+  if (aphe === 'none' || size >= 10) return 'medium'
+  return 'small'
+}
+
+const result = (category, trace) => ({
+  category,
+  label: CATEGORIES[category].label,
+  points: null,
+  trace,
+  recommendation: CATEGORIES[category].recommendation
+})
+
+export const lirads = {
+  id: 'lirads',
+  name: 'LI-RADS',
+  version: 'v2018 CT/MRI',
+  modalities: ['CT', 'MR'],
+  scanPattern: /\b(liver|hepat|abdomen|abdominal|lirads|li-rads)/i,
+  fields: {
+    at_risk: { type: 'boolean', description: 'Cirrhosis, chronic hepatitis B or current/prior HCC' },
+    size_mm: { type: 'number', description: 'Observation diameter' },
+    aphe: { type: 'enum', values: ['none', 'nonrim', 'rim'], description: 'Arterial phase hyperenhancement' },
+    washout: { type: 'boolean', description: 'Nonperipheral washout' },
+    capsule: { type: 'boolean', description: 'Enhancing capsule' },
+    threshold_growth: { type: 'boolean' },
+    tumour_in_vein: { type: 'boolean' },
+    definitely_benign: { type: 'boolean' },
+    probably_benign: { type: 'boolean' },
+    lr_m_features: { type: 'boolean', description: 'Targetoid appearance or other LR-M features' }
+  },
+
+  missing: (features) => {
+    if (features.at_risk === undefined) return ['at_risk']
+    if (features.tumour_in_vein || features.definitely_benign || features.probably_benign || features.lr_m_features) return []
+    return ['size_mm', 'aphe'].filter(key => features[key] === undefined)
+  },
+
+  // `clinicalHistory` is read for the risk factors that make LI-RADS applicable
+  extract: (findings, { clinicalHistory = '' } = {}) => {
+    const context = [clinicalHistory, findings].filter(Boolean).join('\n')
+    const observation = largestMeasurement(findings, ['observation', 'lesion', 'nodule', 'mass', 'liver', 'segment'])
+    const arterial = flagFor(findings, ['arterial phase hyperenhancement', 'arterial hyperenhancement', 'arterial enhancement', 'aphe'])
+    const rim = flagFor(findings, ['rim aphe', 'rim arterial', 'rim-like arterial', 'rim enhancement'])
+
+    return {
+      at_risk: flagFor(context, ['cirrho', 'hepatitis b', 'chronic hepatitis', 'hbv', 'hcc', 'hepatocellular carcinoma']) || undefined,
+      size_mm: observation?.long_axis_mm,
+      aphe: rim ? 'rim' : arterial === true ? 'nonrim' : arterial === false ? 'none' : undefined,
+      washout: flagFor(findings, ['washout', 'wash-out', 'wash out']),
+      capsule: flagFor(findings, ['enhancing capsule', 'capsule']),
+      threshold_growth: flagFor(findings, ['threshold growth']),
+      tumour_in_vein: choiceFor(findings, [{ value: true, terms: ['tumour in vein', 'tumor in vein', 'tumour thrombus', 'tumor thrombus', 'enhancing soft tissue in vein'] }]),
+      definitely_benign: choiceFor(findings, [{ value: true, terms: ['simple cyst', 'haemangioma', 'hemangioma', 'focal fat'] }]),
+      lr_m_features: choiceFor(findings, [{ value: true, terms: ['targetoid'] }])
+    }
+  },
+
+  calculate: (features) => {
+    if (features.at_risk === false) {
+      return { error: 'LI-RADS applies only to patients at risk of HCC (cirrhosis, chronic hepatitis B or current or prior HCC)' }
+    }
+    if (features.tumour_in_vein) return result('LR-TIV', ['tumour in vein: LR-TIV'])
+    if (features.definitely_benign) return result('LR-1', ['definitely benign: LR-1'])
+    if (features.probably_benign) return result('LR-2', ['probably benign: LR-2'])
+    if (features.aphe === 'rim' || features.lr_m_features) {
+      return result('LR-M', [features.aphe === 'rim' ? 'rim APHE: LR-M' : 'targetoid (LR-M) features: LR-M'])
+    }
+
+    const major = ['washout', 'capsule', 'threshold_growth'].filter(key => features[key] === true)
+    const band = sizeBand(features.size_mm, features.aphe)
+    const trace = [
+      `APHE: ${features.aphe === 'nonrim' ? 'nonrim' : 'none'}`,
+      `size ${features.size_mm} mm`,
+      `additional major features: ${major.length > 0 ? major.map(key => key.replace(/_/g, ' ')).join(', ') : 'none'}`
+    ]
+
+    let category = TABLE[features.aphe][band][Math.min(major.length, 2)]
+    // 10-19 mm with nonrim APHE and one feature: washout or threshold growth make it LR-5, capsule alone LR-4
+    if (features.aphe === 'nonrim' && band === 'medium' && major.length === 1 && major[0] !== 'capsule') {
+      category = 'LR-5'
+    }
+    trace.push(`diagnostic table: ${category}`)
+    return result(category, trace)
+  }
+}
@@ -0,0 +1,143 @@
+import { choiceFor, flagFor, largestMeasurement } from './features.js'
+
+// Lung-RADS v2022 for lung cancer screening CT: the most suspicious nodule's type,
+// mean diameter (and solid component for part-solid nodules) on a baseline or
+// follow-up scan give categories 0-4X, with the S modifier for other significant findings.
+
+const CATEGORIES = {
+  0: { label: 'Incomplete', recommendation: 'Additional lung cancer screening CT images and/or comparison to prior chest CT examinations are needed.' },
+  1: { label: 'Negative', recommendation: 'Continue annual screening with LDCT in 12 months.' },
+  2: { label: 'Benign', recommendation: 'Continue annual screening with LDCT in 12 months.' },
+  3: { label: 'Probably benign', recommendation: 'LDCT in 6 months.' },
+  '4A': { label: 'Suspicious', recommendation: 'LDCT in 3 months; PET/CT may be considered if there is a solid nodule or solid component of 8 mm or more.' },
+  '4B': { label: 'Very suspicious', recommendation: 'Diagnostic chest CT with or without contrast; PET/CT may be considered if there is a solid nodule or solid component of 8 mm or more; tissue sampling and/or referral for further clinical evaluation.' },
+  '4X': { label: 'Very suspicious (additional features)', recommendation: 'Diagnostic chest CT with or without contrast; PET/CT may be considered if there is a solid nodule or solid component of 8 mm or more; tissue sampling and/or referral for further clinical evaluation.' }
+}
+
+// First band whose upper limit (exclusive) the size is below
+const band = (size, bands) => bands.find(([limit]) => size < limit)[1]
+
+const solidCategory = ({ size_mm: size, new: isNew, growing, exam }) => {
+  if (growing) return band(size, [[8, '4A'], [Infinity, '4B']])
+  if (isNew) return band(size, [[4, '2'], [6, '3'], [8, '4A'], [Infinity, '4B']])
+  if (exam === 'baseline') return band(size, [[6, '2'], [8, '3'], [15, '4A'], [Infinity, '4B']])
+  return '2'
+}
+
+const partSolidCategory = ({ size_mm: size, solid_component_mm: solid, new: isNew, growing, exam }) => {
+  if (isNew) return size < 6 ? '3' : band(solid, [[4, '4A'], [Infinity, '4B']])
+  if (growing) return band(solid, [[4, '4A'], [Infinity, '4B']])
+  if (exam === 'baseline') {
+    if (size < 6) return '2'
+    return band(solid, [[6, '3'], [8, '4A'], [Infinity, '4B']])
+  }
+  return '2'
+}
+
+const groundGlassCategory = ({ size_mm: size, new: isNew, exam }) => size >= 30 && (exam === 'baseline' || isNew) ? '3' : '2'
+
+export const lungrads = {
+  id: 'lungrads',
+  name: 'Lung-RADS',
+  version: 'v2022',
+  modalities: ['CT'],
+  scanPattern: /\b(screening|ldct|low[- ]dose|lung cancer)/i,
+  fields: {
+    exam: { type: 'enum', values: ['baseline', 'follow_up'] },
+    nodule_type: { type: 'enum', values: ['none', 'benign', 'solid', 'part_solid', 'ground_glass', 'airway'] },
+    size_mm: { type: 'number', description: 'Mean diameter of the nodule' },
+    solid_component_mm: { type: 'number', description: 'Mean diameter of the solid component (part-solid nodules)' },
+    new: { type: 'boolean' },
+    growing: { type: 'boolean', description: 'Increase of more than 1.5 mm within 12 months' },
+    suspicious_features: { type: 'boolean', description: 'Additional features that increase suspicion (4X)' },
+    incomplete: { type: 'boolean' },
+    significant_other_findings: { type: 'boolean', description: 'S modifier' }
+  },
+
+  missing: (features) => {
+    if (features.incomplete) return []
+    const missing = ['exam', 'nodule_type'].filter(key => features[key] === undefined)
+    if (['solid', 'part_solid', 'ground_glass'].includes(features.nodule_type) && features.size_mm === undefined) missing.push('size_mm')
+    if (features.nodule_type === 'part_solid' && features.solid_component_mm === undefined) missing.push('solid_component_mm')
+    return missing
+  },
+
+  extract: (findings) => {
+    const nodule = largestMeasurement(findings, ['nodule', 'opacity'])
+    const solid = /solid component (?:of |measuring )?(\d+(?:\.\d+)?)\s*(mm|cm)/i.exec(findings || '')
+    const noNodules = flagFor(findings, ['nodule']) === false
+
+    return {
+      exam: choiceFor(findings, [
+        { value: 'follow_up', terms: ['compared with', 'compared to', 'since the prior', 'previous scan', 'prior scan', 'interval'] },
+        { value: 'baseline', terms: ['baseline', 'no prior', 'no previous'] }
+      ]),
+      nodule_type: choiceFor(findings, [
+        { value: 'airway', terms: ['endobronchial', 'airway nodule'] },
+        { value: 'part_solid', terms: ['part-solid', 'part solid', 'subsolid', 'semi-solid'] },
+        { value: 'ground_glass', terms: ['ground-glass nodule', 'ground glass nodule', 'ground-glass', 'ground glass'] },
+        { value: 'benign', terms: ['calcified nodule', 'benign calcification', 'fat-containing nodule', 'perifissural'] },
+        { value: 'solid', terms: ['solid nodule', 'nodule'] }
+      ]) || (noNodules ? 'none' : undefined),
+      // Lung-RADS sizes are the mean of the long and short axis
+      size_mm: nodule
+        ? Math.round(((nodule.long_axis_mm + (nodule.short_axis_mm ?? nodule.long_axis_mm)) / 2) * 10) / 10
+        : undefined,
+      solid_component_mm: solid ? parseFloat(solid[1]) * (solid[2].toLowerCase() === 'cm' ? 10 : 1) : undefined,
+      new: flagFor(findings, ['new nodule', 'newly', 'new ']) || undefined,
+      growing: flagFor(findings, ['increased in size', 'has grown', 'growing', 'enlarging', 'interval growth']) || undefined,
+      suspicious_features: flagFor(findings, ['spiculat', 'lymphadenopathy']) || undefined,
+      significant_other_findings: undefined
+    }
+  },
+
+  calculate: (features) => {
+    const suffix = features.significant_other_findings ? 'S' : ''
+    const finish = (category, trace) => {
+      let final = category
+      if (features.suspicious_features && ['3', '4A', '4B'].includes(category)) {
+        final = '4X'
+        trace.push('additional suspicious features: 4X')
+      }
+      if (suffix) trace.push('significant other findings: S modifier')
+      return {
+        category: `Lung-RADS ${final}${suffix}`,
+        label: CATEGORIES[final].label,
+        points: null,
+        trace,
+        recommendation: CATEGORIES[final].recommendation
+      }
+    }
+
+    if (features.incomplete) return finish('0', ['incomplete examination: 0'])
+
+    const trace = [`${features.exam.replace(/_/g, ' ')} screening`, `nodule: ${features.nodule_type.replace(/_/g, ' ')}`]
+    if (features.size_mm !== undefined) trace.push(`mean diameter ${features.size_mm} mm`)
+    if (features.solid_component_mm !== undefined) trace.push(`solid component ${features.solid_component_mm} mm`)
+    if (features.new) trace.push('new nodule')
+    if (features.growing) trace.push('growing nodule')
+
+    let category
+    switch (features.nodule_type) {
+      case 'none':
+      case 'benign':
+        category = '1'
+        break
+      case 'solid':
+        category = solidCategory(features)
+        break
+      case 'part_solid':
+        category = partSolidCategory(features)
+        break
+      case 'ground_glass':
+        category = groundGlassCategory(features)
+        break
+      case 'airway':
+        // Segmental or more proximal; still present at follow-up it becomes 4B
+        category = features.exam === 'baseline' || features.new ? '4A' : '4B'
+        break
+    }
+    trace.push(`category ${category}`)
+    return finish(category, trace)
+  }
+}
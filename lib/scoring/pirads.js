@@ -0,0 +1,83 @@
+import { choiceFor, flagFor, scoreFor } from './features.js'
+
+// PI-RADS v2.1 for prostate MRI. The dominant sequence decides: DWI in the peripheral
+// zone (a positive DCE upgrades DWI 3 to 4), T2W in the transition zone (DWI upgrades
+// T2W 2 to 3 when 4 or more, and T2W 3 to 4 when 5).
+
+const CATEGORIES = {
+  1: { label: 'Very low - clinically significant cancer highly unlikely', recommendation: 'Biopsy not routinely recommended; correlate with clinical and laboratory factors such as PSA density.' },
+  2: { label: 'Low - clinically significant cancer unlikely', recommendation: 'Biopsy not routinely recommended; correlate with clinical and laboratory factors such as PSA density.' },
+  3: { label: 'Intermediate - clinically significant cancer equivocal', recommendation: 'Biopsy may be considered depending on clinical factors such as PSA density.' },
+  4: { label: 'High - clinically significant cancer likely', recommendation: 'Targeted biopsy recommended.' },
+  5: { label: 'Very high - clinically significant cancer highly likely', recommendation: 'Targeted biopsy recommended.' }
+}
+
+const SCORE = { type: 'enum', values: [1, 2, 3, 4, 5] }
+
+const peripheralZone = ({ dwi, dce }, trace) => {
+  trace.push(`peripheral zone: DWI ${dwi} is dominant`)
+  if (dwi === 3 && dce === 'positive') {
+    trace.push('DCE positive upgrades DWI 3: 4')
+    return 4
+  }
+  return dwi
+}
+
+const transitionZone = ({ t2w, dwi }, trace) => {
+  trace.push(`transition zone: T2W ${t2w} is dominant`)
+  if (t2w === 2 && dwi >= 4) {
+    trace.push(`DWI ${dwi} upgrades T2W 2: 3`)
+    return 3
+  }
+  if (t2w === 3 && dwi === 5) {
+    trace.push('DWI 5 upgrades T2W 3: 4')
+    return 4
+  }
+  return t2w
+}
+
+export const pirads = {
+  id: 'pirads',
+  name: 'PI-RADS',
+  version: 'v2.1',
+  modalities: ['MR'],
+  scanPattern: /prostat/i,
+  fields: {
+    zone: { type: 'enum', values: ['peripheral', 'transition'] },
+    t2w: { ...SCORE, description: 'T2-weighted score' },
+    dwi: { ...SCORE, description: 'Diffusion-weighted score' },
+    dce: { type: 'enum', values: ['positive', 'negative'], description: 'Dynamic contrast enhancement' }
+  },
+
+  missing: (features) => {
+    if (features.zone === undefined) return ['zone']
+    if (features.zone === 'peripheral') return features.dwi === undefined ? ['dwi'] : []
+    return ['t2w', 'dwi'].filter(key => features[key] === undefined)
+  },
+
+  extract: (findings) => ({
+    zone: choiceFor(findings, [
+      { value: 'peripheral', terms: ['peripheral zone'] },
+      { value: 'transition', terms: ['transition zone', 'central gland'] }
+    ]),
+    t2w: scoreFor(findings, /\bT2W?I?\b[^.\d]{0,15}([1-5])\b/i),
+    dwi: scoreFor(findings, /\b(?:DWI|diffusion)\b[^.\d]{0,15}([1-5])\b/i),
+    dce: choiceFor(findings, [
+      { value: 'positive', terms: ['dce positive', 'dce: positive', 'positive dce', 'early focal enhancement', 'early enhancement'] },
+      { value: 'negative', terms: ['dce negative', 'dce: negative', 'negative dce'] }
+    ]) || (flagFor(findings, ['early focal enhancement', 'early enhancement']) === false ? 'negative' : undefined)
+  }),
+
+  calculate: (features) => {
+    const trace = []
+    const score = features.zone === 'peripheral' ? peripheralZone(features, trace) : transitionZone(features, trace)
+    trace.push(`PI-RADS ${score}`)
+    return {
+      category: `PI-RADS ${score}`,
+      label: CATEGORIES[score].label,
+      points: null,
+      trace,
+      recommendation: CATEGORIES[score].recommendation
+    }
+  }
+}
@@ -0,0 +1,127 @@
+import { choiceFor, choicesFor, largestMeasurement } from './features.js'
+
+// ACR TI-RADS (2017) for thyroid nodules on ultrasound: points for composition,
+// echogenicity, shape, margin and echogenic foci give TR1-TR5, and the nodule size
+// against the level's thresholds gives FNA or follow-up.
+
+const POINTS = {
+  composition: { cystic: 0, spongiform: 0, mixed: 1, solid: 2 },
+  echogenicity: { anechoic: 0, hyperechoic: 1, isoechoic: 1, hypoechoic: 2, very_hypoechoic: 3 },
+  shape: { wider_than_tall: 0, taller_than_wide: 3 },
+  margin: { smooth: 0, ill_defined: 0, lobulated: 2, irregular: 2, extrathyroidal_extension: 3 },
+  echogenic_foci: { none: 0, comet_tail: 0, macrocalcifications: 1, peripheral: 2, punctate: 3 }
+}
+
+const LEVELS = [
+  { category: 'TR1', label: 'Benign', max: 1 },
+  { category: 'TR2', label: 'Not suspicious', max: 2 },
+  { category: 'TR3', label: 'Mildly suspicious', max: 3, fna_mm: 25, follow_mm: 15, follow_up: 'at 1, 3 and 5 years' },
+  { category: 'TR4', label: 'Moderately suspicious', max: 6, fna_mm: 15, follow_mm: 10, follow_up: 'at 1, 2, 3 and 5 years' },
+  { category: 'TR5', label: 'Highly suspicious', max: Infinity, fna_mm: 10, follow_mm: 5, follow_up: 'annually for up to 5 years' }
+]
+
+const cm = (mm) => `${mm / 10} cm`
+
+const recommendationFor = (level, size) => {
+  if (!level.fna_mm) return 'No FNA.'
+  if (size === undefined) {
+    return `FNA if ${cm(level.fna_mm)} or larger; ultrasound follow-up ${level.follow_up} if ${cm(level.follow_mm)} or larger.`
+  }
+  if (size >= level.fna_mm) return 'FNA recommended.'
+  if (size >= level.follow_mm) return `Ultrasound follow-up ${level.follow_up}.`
+  return 'No FNA or follow-up required for this nodule.'
+}
+
+export const tirads = {
+  id: 'tirads',
+  name: 'ACR TI-RADS',
+  version: '2017',
+  modalities: ['US'],
+  scanPattern: /thyroid/i,
+  fields: {
+    composition: { type: 'enum', values: Object.keys(POINTS.composition) },
+    echogenicity: { type: 'enum', values: Object.keys(POINTS.echogenicity) },
+    shape: { type: 'enum', values: Object.keys(POINTS.shape) },
+    margin: { type: 'enum', values: Object.keys(POINTS.margin) },
+    echogenic_foci: { type: 'list', values: Object.keys(POINTS.echogenic_foci) },
+    size_mm: { type: 'number', description: 'Maximum nodule diameter' }
+  },
+
+  // Echogenicity and margin are not scored separately for cystic and spongiform nodules.
+  // A margin the report does not describe is missing, not smooth.
+  missing: (features) => [
+    features.composition === undefined ? 'composition' : null,
+    features.echogenicity === undefined && !['cystic', 'spongiform'].includes(features.composition) ? 'echogenicity' : null,
+    features.margin === undefined && !['cystic', 'spongiform'].includes(features.composition) ? 'margin' : null
+  ].filter(Boolean),
+
+  extract: (findings) => {
+    const nodule = largestMeasurement(findings, ['nodule', 'thyroid', 'lobe'])
+    return {
+      composition: choiceFor(findings, [
+        { value: 'spongiform', terms: ['spongiform'] },
+        { value: 'mixed', terms: ['mixed cystic and solid', 'mixed solid and cystic', 'partially cystic', 'predominantly solid', 'predominantly cystic', 'complex cystic'] },
+        { value: 'solid', terms: ['solid'] },
+        { value: 'cystic', terms: ['purely cystic', 'simple cyst', 'cystic nodule', 'colloid cyst'] }
+      ]),
+      echogenicity: choiceFor(findings, [
+        { value: 'very_hypoechoic', terms: ['markedly hypoechoic', 'very hypoechoic'] },
+        { value: 'hypoechoic', terms: ['hypoechoic'] },
+        { value: 'isoechoic', terms: ['isoechoic'] },
+        { value: 'hyperechoic', terms: ['hyperechoic'] },
+        { value: 'anechoic', terms: ['anechoic'] }
+      ]),
+      shape: choiceFor(findings, [
+        { value: 'taller_than_wide', terms: ['taller than wide', 'taller-than-wide'] },
+        { value: 'wider_than_tall', terms: ['wider than tall', 'wider-than-tall'] }
+      ]),
+      margin: choiceFor(findings, [
+        { value: 'extrathyroidal_extension', terms: ['extrathyroidal extension', 'extra-thyroidal extension'] },
+        { value: 'irregular', terms: ['irregular margin', 'irregular outline', 'infiltrative margin', 'spiculated'] },
+        { value: 'lobulated', terms: ['lobulated'] },
+        { value: 'ill_defined', terms: ['ill-defined', 'ill defined'] },
+        { value: 'smooth', terms: ['smooth margin', 'well-defined', 'well defined', 'circumscribed'] }
+      ]),
+      echogenic_foci: (() => {
+        const foci = choicesFor(findings, [
+          { value: 'punctate', terms: ['punctate echogenic foci', 'microcalcification'] },
+          { value: 'peripheral', terms: ['rim calcification', 'peripheral calcification', 'eggshell'] },
+          { value: 'macrocalcifications', terms: ['macrocalcification', 'coarse calcification'] },
+          { value: 'comet_tail', terms: ['comet tail', 'comet-tail'] }
+        ])
+        return foci.length > 0 ? foci : undefined
+      })(),
+      size_mm: nodule?.long_axis_mm
+    }
+  },
+
+  calculate: (features) => {
+    const trace = []
+    let points = 0
+    const add = (feature, value, note = '') => {
+      const score = POINTS[feature][value]
+      points += score
+      trace.push(`${feature.replace(/_/g, ' ')} ${value.replace(/_/g, ' ')}${note}: ${score} point${score === 1 ? '' : 's'}`)
+    }
+
+    add('composition', features.composition)
+    if (features.echogenicity !== undefined) add('echogenicity', features.echogenicity)
+    else trace.push(`echogenicity not scored for a ${features.composition} nodule: 0 points`)
+    add('shape', features.shape || 'wider_than_tall', features.shape ? '' : ' (not described)')
+    if (features.margin !== undefined) add('margin', features.margin)
+    else trace.push(`margin not scored for a ${features.composition} nodule: 0 points`)
+    const foci = features.echogenic_foci?.length > 0 ? features.echogenic_foci : ['none']
+    for (const focus of foci) add('echogenic_foci', focus)
+
+    const level = LEVELS.find(l => points <= l.max)
+    trace.push(`${points} points: ${level.category}`)
+
+    return {
+      category: level.category,
+      label: level.label,
+      points,
+      trace,
+      recommendation: recommendationFor(level, features.size_mm)
+    }
+  }
+}
@@ -0,0 +1,178 @@
+import fs from 'fs'
+import { isNegated, splitSentences } from '../report-text.js'
+import { BUILT_IN_CONCEPTS } from './subset.js'
+
+// Concept coding of report text against a RadLex / SNOMED CT subset. Each mention of a
+// concept term in the findings and impression becomes an annotation with the codes,
+// the category (anatomy, pathology, modifier) and whether it is negated ("No
+// pneumothorax"). Reports and templates store the codes of the concepts they affirm
+// as `concept_codes` ("SCT:36118008", "RADLEX:RID5352") so lists can filter by concept.
+//
+//   TERMINOLOGY_FILE   JSON array of { radlex, snomed, display, category, terms } added
+//                      to the built-in subset (same code replaces the built-in entry)
+
+export const CONCEPT_CATEGORIES = ['anatomy', 'pathology', 'modifier']
+
+export const conceptKeys = (concept) => [
+  concept.snomed ? `SCT:${concept.snomed}` : null,
+  concept.radlex ? `RADLEX:${concept.radlex}` : null
+].filter(Boolean)
+
+// Error message for a subset entry, or null
+export const validateConcept = (entry) => {
+  if (!entry || typeof entry !== 'object') return 'entry must be an object'
+  if (!entry.snomed && !entry.radlex) return 'snomed or radlex is required'
+  if (entry.snomed && !/^\d{6,18}$/.test(String(entry.snomed))) return `invalid SNOMED CT id "${entry.snomed}"`
+  if (entry.radlex && !/^RID\d+$/.test(String(entry.radlex))) return `invalid RadLex id "${entry.radlex}"`
+  if (typeof entry.display !== 'string' || !entry.display.trim()) return 'display is required'
+  if (!CONCEPT_CATEGORIES.includes(entry.category)) return `category must be one of: ${CONCEPT_CATEGORIES.join(', ')}`
+  if (!Array.isArray(entry.terms) || entry.terms.length === 0 || entry.terms.some(term => typeof term !== 'string' || !term.trim())) {
+    return 'terms must be a non-empty list of strings'
+  }
+  return null
+}
+
+const readSubsetFile = (path) => {
+  try {
+    const entries = JSON.parse(fs.readFileSync(path, 'utf8'))
+    if (!Array.isArray(entries)) throw new Error('expected a JSON array')
+    return entries.filter((entry, index) => {
+      const error = validateConcept(entry)
+      if (error) console.warn(`Terminology entry ${index} skipped: ${error}`)
+      return !error
+    }).map(entry => ({
+      radlex: entry.radlex || null,
+      snomed: entry.snomed ? String(entry.snomed) : null,
+      display: entry.display.trim(),
+      category: entry.category,
+      terms: entry.terms.map(term => term.trim().toLowerCase())
+    }))
+  } catch (error) {
+    console.error('Error reading terminology file:', error.message)
+    return []
+  }
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Built-in subset plus TERMINOLOGY_FILE, with the term patterns, longest term first so
+// "pleural effusion" wins over "pleural"
+export const buildTerminology = (concepts) => {
+  const patterns = concepts
+    .flatMap(concept => concept.terms.map(term => ({ term, concept, pattern: new RegExp(`\\b${escapeRegExp(term)}\\b`, 'gi') })))
+    .sort((a, b) => b.term.length - a.term.length)
+  return { concepts, patterns }
+}
+
+let cached = null
+
+export const loadTerminology = (env = process.env) => {
+  if (cached && cached.file === (env.TERMINOLOGY_FILE || null)) return cached.terminology
+
+  const loaded = env.TERMINOLOGY_FILE ? readSubsetFile(env.TERMINOLOGY_FILE) : []
+  const loadedKeys = new Set(loaded.flatMap(conceptKeys))
+  const concepts = [...BUILT_IN_CONCEPTS.filter(concept => !conceptKeys(concept).some(key => loadedKeys.has(key))), ...loaded]
+
+  cached = { file: env.TERMINOLOGY_FILE || null, terminology: buildTerminology(concepts) }
+  return cached.terminology
+}
+
+// Concept mentions in a text: [{ display, category, snomed, radlex, text, sentence, negated }].
+// Overlapping matches keep the longer term. Only findings (pathology) are negated: the
+// anatomy of "No liver lesion" was still examined.
+export const annotateText = (text, terminology = loadTerminology()) => {
+  const annotations = []
+
+  splitSentences(text).forEach((sentence, sentenceIndex) => {
+    const taken = []
+    for (const { term, concept, pattern } of terminology.patterns) {
+      for (const match of sentence.matchAll(pattern)) {
+        const start = match.index
+        const end = start + match[0].length
+        if (taken.some(span => start < span.end && end > span.start)) continue
+        taken.push({ start, end })
+        annotations.push({
+          display: concept.display,
+          category: concept.category,
+          snomed: concept.snomed,
+          radlex: concept.radlex,
+          text: match[0],
+          sentence: sentenceIndex,
+          start,
+          negated: concept.category === 'pathology' && isNegated(sentence, term)
+        })
+      }
+    }
+  })
+
+  return annotations.sort((a, b) => a.sentence - b.sentence || a.start - b.start)
+}
+
+// Annotations of a report's findings and impression, and the concepts they mention:
+// `affirmed` when any mention is not negated
+export const annotateReport = ({ findings = '', impression = '' } = {}, terminology = loadTerminology()) => {
+  const sections = { findings: annotateText(findings, terminology), impression: annotateText(impression, terminology) }
+  const concepts = new Map()
+
+  for (const [section, annotations] of Object.entries(sections)) {
+    for (const annotation of annotations) {
+      const key = conceptKeys(annotation)[0]
+      const entry = concepts.get(key) || {
+        codes: conceptKeys(annotation),
+        display: annotation.display,
+        category: annotation.category,
+        affirmed: false,
+        sections: []
+      }
+      if (!annotation.negated) entry.affirmed = true
+      if (!entry.sections.includes(section)) entry.sections.push(section)
+      concepts.set(key, entry)
+    }
+  }
+
+  return { ...sections, concepts: [...concepts.values()] }
+}
+
+// Codes of the affirmed concepts, for filtering
+export const affirmedCodes = (annotation) => [...new Set(annotation.concepts
+  .filter(concept => concept.affirmed)
+  .flatMap(concept => concept.codes))]
+
+// `concepts` and `concept_codes` columns for a report's structured data (falling back to
+// the flat findings/impression text)
+export const reportConceptFields = (structuredData, fallback = {}) => {
+  const annotation = annotateReport({
+    findings: structuredData?.findings || fallback.findings || '',
+    impression: structuredData?.impression || fallback.impression || ''
+  })
+  return { concepts: annotation, concept_codes: affirmedCodes(annotation) }
+}
+
+// `concepts` and `concept_codes` columns for a template's content
+export const templateConceptFields = (content) => {
+  const annotation = annotateReport({ findings: content || '' })
+  return { concepts: annotation, concept_codes: affirmedCodes(annotation) }
+}
+
+// Concept code for a `concept` filter: "SCT:36118008", "36118008", "RADLEX:RID5352",
+// "RID5352" or a term of the subset ("pneumothorax"). Null when it is none of these.
+export const resolveConceptFilter = (value, terminology = loadTerminology()) => {
+  const query = String(value || '').trim()
+  if (/^SCT:\d{6,18}$/i.test(query)) return query.toUpperCase()
+  if (/^\d{6,18}$/.test(query)) return `SCT:${query}`
+  const rid = /^(?:RADLEX:)?(RID\d+)$/i.exec(query)
+  if (rid) return `RADLEX:${rid[1].toUpperCase()}`
+
+  const low = query.toLowerCase()
+  const concept = terminology.concepts.find(entry => entry.display.toLowerCase() === low || entry.terms.includes(low))
+  return concept ? conceptKeys(concept)[0] : null
+}
+
+// Subset concepts matching a search on display name or term, optionally one category
+export const searchConcepts = ({ search = '', category = null } = {}, terminology = loadTerminology()) => {
+  const low = String(search).trim().toLowerCase()
+  return terminology.concepts
+    .filter(concept => !category || concept.category === category)
+    .filter(concept => !low || concept.display.toLowerCase().includes(low) || concept.terms.some(term => term.includes(low)))
+    .map(concept => ({ ...concept, codes: conceptKeys(concept) }))
+}
@@ -0,0 +1,74 @@
+// Built-in RadLex / SNOMED CT subset for coding report text: common anatomy, pathology
+// and modifiers. `radlex` is the RadLex ID (RID), `snomed` the SNOMED CT concept id;
+// either may be null where the subset has no mapping. Sites with a licensed, curated
+// subset load it with TERMINOLOGY_FILE (see lib/terminology/index.js), which adds to
+// and overrides these entries.
+
+export const BUILT_IN_CONCEPTS = [
+  // Anatomy
+  { radlex: 'RID1301', snomed: '39607008', display: 'Lung', category: 'anatomy', terms: ['lung', 'lungs', 'pulmonary'] },
+  { radlex: 'RID58', snomed: '10200004', display: 'Liver', category: 'anatomy', terms: ['liver', 'hepatic'] },
+  { radlex: 'RID205', snomed: '64033007', display: 'Kidney', category: 'anatomy', terms: ['kidney', 'kidneys', 'renal'] },
+  { radlex: 'RID88', snomed: '23451007', display: 'Adrenal gland', category: 'anatomy', terms: ['adrenal gland', 'adrenal'] },
+  { radlex: 'RID7578', snomed: '69748006', display: 'Thyroid gland', category: 'anatomy', terms: ['thyroid gland', 'thyroid'] },
+  { radlex: 'RID6434', snomed: '12738006', display: 'Brain', category: 'anatomy', terms: ['brain', 'cerebral'] },
+  { radlex: 'RID1385', snomed: '80891009', display: 'Heart', category: 'anatomy', terms: ['heart', 'cardiac'] },
+  { radlex: 'RID86', snomed: '78961009', display: 'Spleen', category: 'anatomy', terms: ['spleen', 'splenic'] },
+  { radlex: 'RID170', snomed: '15776009', display: 'Pancreas', category: 'anatomy', terms: ['pancreas', 'pancreatic'] },
+  { radlex: 'RID187', snomed: '28231008', display: 'Gallbladder', category: 'anatomy', terms: ['gallbladder', 'gall bladder'] },
+  { radlex: 'RID237', snomed: '89837001', display: 'Urinary bladder', category: 'anatomy', terms: ['urinary bladder', 'bladder'] },
+  { radlex: 'RID343', snomed: '41216001', display: 'Prostate', category: 'anatomy', terms: ['prostate', 'prostatic'] },
+  { radlex: 'RID302', snomed: '35039007', display: 'Uterus', category: 'anatomy', terms: ['uterus', 'uterine'] },
+  { radlex: 'RID290', snomed: '15497006', display: 'Ovary', category: 'anatomy', terms: ['ovary', 'ovaries', 'ovarian'] },
+  { radlex: 'RID480', snomed: '15825003', display: 'Aorta', category: 'anatomy', terms: ['aorta', 'aortic'] },
+  { radlex: null, snomed: '3120008', display: 'Pleura', category: 'anatomy', terms: ['pleura', 'pleural'] },
+  { radlex: null, snomed: '72410000', display: 'Mediastinum', category: 'anatomy', terms: ['mediastinum', 'mediastinal'] },
+  { radlex: 'RID13296', snomed: '59441001', display: 'Lymph node', category: 'anatomy', terms: ['lymph node', 'lymph nodes'] },
+  { radlex: null, snomed: '421060004', display: 'Vertebral column', category: 'anatomy', terms: ['spine', 'vertebral column', 'vertebra', 'vertebrae'] },
+  { radlex: null, snomed: '71854001', display: 'Colon', category: 'anatomy', terms: ['colon', 'colonic'] },
+  { radlex: null, snomed: '69695003', display: 'Stomach', category: 'anatomy', terms: ['stomach', 'gastric'] },
+  { radlex: null, snomed: '66754008', display: 'Appendix', category: 'anatomy', terms: ['appendix'] },
+
+  // Pathology
+  { radlex: 'RID3875', snomed: '27925004', display: 'Nodule', category: 'pathology', terms: ['nodule', 'nodules'] },
+  { radlex: 'RID3874', snomed: '4147007', display: 'Mass', category: 'pathology', terms: ['mass', 'masses'] },
+  { radlex: 'RID3890', snomed: '441457006', display: 'Cyst', category: 'pathology', terms: ['cyst', 'cysts', 'cystic lesion'] },
+  { radlex: null, snomed: '108369006', display: 'Neoplasm', category: 'pathology', terms: ['neoplasm', 'tumour', 'tumor', 'malignancy'] },
+  { radlex: null, snomed: '14799000', display: 'Metastatic neoplasm', category: 'pathology', terms: ['metastasis', 'metastases', 'metastatic'] },
+  { radlex: 'RID5352', snomed: '36118008', display: 'Pneumothorax', category: 'pathology', terms: ['pneumothorax'] },
+  { radlex: 'RID34539', snomed: '60046008', display: 'Pleural effusion', category: 'pathology', terms: ['pleural effusion', 'pleural effusions'] },
+  { radlex: null, snomed: '59282003', display: 'Pulmonary embolism', category: 'pathology', terms: ['pulmonary embolism', 'pulmonary emboli', 'pulmonary embolus'] },
+  { radlex: null, snomed: '308546005', display: 'Dissection of aorta', category: 'pathology', terms: ['aortic dissection', 'dissection of the aorta'] },
+  { radlex: null, snomed: '1386000', display: 'Intracranial hemorrhage', category: 'pathology', terms: ['intracranial haemorrhage', 'intracranial hemorrhage'] },
+  { radlex: null, snomed: '50960005', display: 'Hemorrhage', category: 'pathology', terms: ['haemorrhage', 'hemorrhage', 'bleed'] },
+  { radlex: null, snomed: '46621007', display: 'Atelectasis', category: 'pathology', terms: ['atelectasis'] },
+  { radlex: null, snomed: '95436008', display: 'Lung consolidation', category: 'pathology', terms: ['consolidation'] },
+  { radlex: null, snomed: '87433001', display: 'Pulmonary emphysema', category: 'pathology', terms: ['emphysema'] },
+  { radlex: null, snomed: '8186001', display: 'Cardiomegaly', category: 'pathology', terms: ['cardiomegaly'] },
+  { radlex: null, snomed: '30746006', display: 'Lymphadenopathy', category: 'pathology', terms: ['lymphadenopathy'] },
+  { radlex: null, snomed: '389026000', display: 'Ascites', category: 'pathology', terms: ['ascites'] },
+  { radlex: null, snomed: '43064006', display: 'Hydronephrosis', category: 'pathology', terms: ['hydronephrosis'] },
+  { radlex: null, snomed: '56381008', display: 'Calculus', category: 'pathology', terms: ['calculus', 'calculi', 'stone', 'stones'] },
+  { radlex: null, snomed: '235919008', display: 'Cholelithiasis', category: 'pathology', terms: ['cholelithiasis', 'gallstone', 'gallstones'] },
+  { radlex: null, snomed: '197321007', display: 'Steatosis of liver', category: 'pathology', terms: ['hepatic steatosis', 'fatty liver', 'steatosis'] },
+  { radlex: null, snomed: '19943007', display: 'Cirrhosis of liver', category: 'pathology', terms: ['cirrhosis', 'cirrhotic'] },
+  { radlex: null, snomed: '125605004', display: 'Fracture of bone', category: 'pathology', terms: ['fracture', 'fractures'] },
+  { radlex: null, snomed: '85659009', display: 'Aneurysm', category: 'pathology', terms: ['aneurysm', 'aneurysmal'] },
+  { radlex: null, snomed: '44132006', display: 'Abscess', category: 'pathology', terms: ['abscess'] },
+  { radlex: null, snomed: '55641003', display: 'Infarct', category: 'pathology', terms: ['infarct', 'infarction'] },
+  { radlex: null, snomed: '74400008', display: 'Appendicitis', category: 'pathology', terms: ['appendicitis'] },
+  { radlex: null, snomed: '81060008', display: 'Intestinal obstruction', category: 'pathology', terms: ['bowel obstruction', 'intestinal obstruction'] },
+  { radlex: null, snomed: '267038008', display: 'Edema', category: 'pathology', terms: ['oedema', 'edema'] },
+
+  // Modifiers
+  { radlex: 'RID5825', snomed: '7771000', display: 'Left', category: 'modifier', terms: ['left'] },
+  { radlex: 'RID5824', snomed: '24028007', display: 'Right', category: 'modifier', terms: ['right'] },
+  { radlex: 'RID5765', snomed: '51440002', display: 'Bilateral', category: 'modifier', terms: ['bilateral', 'both'] },
+  { radlex: null, snomed: '373933003', display: 'Acute', category: 'modifier', terms: ['acute'] },
+  { radlex: null, snomed: '90734009', display: 'Chronic', category: 'modifier', terms: ['chronic'] },
+  { radlex: null, snomed: '255507004', display: 'Small', category: 'modifier', terms: ['small'] },
+  { radlex: null, snomed: '255509001', display: 'Large', category: 'modifier', terms: ['large'] },
+  { radlex: null, snomed: '255604002', display: 'Mild', category: 'modifier', terms: ['mild', 'mildly'] },
+  { radlex: null, snomed: '6736007', display: 'Moderate', category: 'modifier', terms: ['moderate', 'moderately'] },
+  { radlex: null, snomed: '24484000', display: 'Severe', category: 'modifier', terms: ['severe', 'severely'] }
+]
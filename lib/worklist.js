@@ -0,0 +1,141 @@
+import { database } from './database.js'
+import { parseOrmO01 } from './hl7/orm.js'
+import { closeMatchingFollowUps } from './follow-ups.js'
+
+// Radiologist worklist fed by HL7 ORM^O01 orders (see lib/hl7/orm.js). Orders are
+// shared by all radiologists: scheduled -> claimed -> in_progress (opened for
+// reporting) -> reported; a cancel from the RIS closes the order at any point.
+export const ORDER_STATUSES = ['scheduled', 'claimed', 'in_progress', 'reported', 'cancelled']
+
+// Statuses shown when the worklist is listed without a status filter
+export const OPEN_ORDER_STATUSES = ['scheduled', 'claimed', 'in_progress']
+
+export const ORDER_PRIORITIES = ['stat', 'asap', 'timing_critical', 'callback', 'preop', 'routine']
+
+// Store a parsed order: new orders are inserted, repeats and changes (same accession)
+// update the order details without touching its claim or status. Returns the row, or
+// null for a cancel of an order we never received.
+export const storeOrder = async ({ order, cancelled }, rawMessage) => {
+  const { data: existing, error: findError } = await database
+    .from('worklist_orders')
+    .select('id, status')
+    .eq('accession', order.accession)
+    .maybeSingle()
+
+  if (findError) throw findError
+
+  if (cancelled) {
+    if (!existing) return null
+    const { data, error } = await database
+      .from('worklist_orders')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single()
+    if (error) throw error
+    return data
+  }
+
+  const fields = { ...order, raw_message: rawMessage, updated_at: new Date().toISOString() }
+
+  const { data, error } = existing
+    ? await database.from('worklist_orders').update(fields).eq('id', existing.id).select().single()
+    : await database.from('worklist_orders').insert({ ...fields, status: 'scheduled' }).select().single()
+
+  if (error) throw error
+  return data
+}
+
+// onMessage handler for the MLLP listener: AA when stored, AR for messages we cannot
+// use, AE when storage fails (the sender should retry)
+export const handleOrderMessage = async (message) => {
+  const parsed = parseOrmO01(message)
+
+  if (parsed.error) {
+    console.warn('Rejected HL7 order:', parsed.error)
+    return { code: 'AR', text: parsed.error }
+  }
+
+  try {
+    const stored = await storeOrder(parsed, message)
+    if (!stored) {
+      return { code: 'AE', text: `Unknown order ${parsed.order.accession}` }
+    }
+    console.log(`Worklist order ${parsed.control} ${parsed.order.accession} -> ${stored.status}`)
+    // A new order for the patient's recommended follow-up imaging, placed after the
+    // recommendation, closes that follow-up when the modality is known on both sides
+    if (parsed.control === 'NW') {
+      await closeMatchingFollowUps({
+        patientId: stored.patient_mrn,
+        scanName: stored.procedure_name,
+        modality: stored.modality,
+        orderId: stored.id,
+        studyAt: stored.created_at,
+        requireModality: true
+      })
+    }
+    return { code: 'AA' }
+  } catch (error) {
+    console.error('Error storing worklist order:', error)
+    return { code: 'AE', text: 'Order could not be stored' }
+  }
+}
+
+// generate-report fields an order pre-fills (study_lookup finds the study in the PACS)
+export const orderReportDefaults = (order) => ({
+  order_id: order.id,
+  scan_name: order.procedure_name || null,
+  procedure_code: order.procedure_code || null,
+  clinical_history: order.clinical_indication || null,
+  patient_sex: ['male', 'female'].includes(order.patient_sex) ? order.patient_sex : null,
+  patient_id: order.patient_mrn || null,
+  exam_date: order.scheduled_at || null,
+  study_lookup: { accession: order.accession, patient_id: order.patient_mrn }
+})
+
+// Fill a generate-report body from its `order_id`: the order's scan name, clinical
+// history and patient sex apply where the body leaves them empty. Bodies without an
+// order, or with an order the user has not claimed, come back unchanged (order_id dropped).
+export const applyWorklistOrder = async (userId, body = {}) => {
+  if (!body?.order_id) return body
+
+  try {
+    const { data: order, error } = await database
+      .from('worklist_orders')
+      .select('*')
+      .eq('id', body.order_id)
+      .eq('claimed_by', userId)
+      .maybeSingle()
+
+    if (error || !order) {
+      if (error) console.error('Error loading worklist order:', error)
+      const { order_id, ...rest } = body
+      return rest
+    }
+
+    const defaults = orderReportDefaults(order)
+    const filled = { ...body }
+    for (const [key, value] of Object.entries(defaults)) {
+      if (filled[key] === undefined || filled[key] === null || filled[key] === '') filled[key] = value
+    }
+    return filled
+  } catch (error) {
+    console.error('Worklist order lookup error:', error)
+    return body
+  }
+}
+
+// Link a generated report to its order. Never throws - the report is already saved.
+export const markOrderReported = async (orderId, reportId) => {
+  try {
+    const { error } = await database
+      .from('worklist_orders')
+      .update({ status: 'reported', report_id: reportId, updated_at: new Date().toISOString() })
+      .eq('id', orderId)
+      .neq('status', 'cancelled')
+
+    if (error) console.error('Error linking report to order:', error)
+  } catch (error) {
+    console.error('Order update error:', error)
+  }
+}
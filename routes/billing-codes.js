@@ -0,0 +1,67 @@
+import express from 'express';
+import { database } from '../lib/database.js';
+import { authenticateDatabase } from '../middleware/database-auth.js';
+import { CODE_SYSTEMS, reportBillingFields, searchCodes, suggestBillingCodes, validateCode } from '../lib/billing/index.js';
+
+// CPT / ICD-10-CM suggestions and the local code table they are validated against
+// (see lib/billing/index.js). Stored reports carry their suggestions as `billing_codes`.
+const router = express.Router();
+
+// GET /api/billing-codes - Search the local code table (system, search, limit)
+router.get('/', authenticateDatabase, (req, res) => {
+  const { system, search = '', limit = 50 } = req.query;
+
+  if (system && !CODE_SYSTEMS.includes(system)) {
+    return res.status(400).json({ error: `system must be one of: ${CODE_SYSTEMS.join(', ')}` });
+  }
+
+  res.json({ codes: searchCodes({ system, search, limit: Math.min(parseInt(limit) || 50, 500) }) });
+});
+
+// POST /api/billing-codes/suggest - Suggest codes for a stored report (report_id) or for
+// scan_name, procedure_code, technique and impression text
+router.post('/suggest', authenticateDatabase, async (req, res) => {
+  try {
+    const { report_id, scan_name = '', procedure_code = null, technique = '', impression = '' } = req.body || {};
+
+    if (report_id) {
+      const { data: report, error } = await database
+        .from('reports')
+        .select('id, scan_name, procedure_code, impression_text, structured_data')
+        .eq('id', report_id)
+        .eq('user_id', req.user.id)
+        .single();
+
+      if (error || !report) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+
+      return res.json({ report_id: report.id, ...reportBillingFields(report).billing_codes });
+    }
+
+    if (!scan_name && !procedure_code && !impression) {
+      return res.status(400).json({ error: 'report_id, or scan_name, procedure_code or impression is required' });
+    }
+
+    res.json(suggestBillingCodes({ scanName: scan_name, procedureCode: procedure_code, technique, impression }));
+
+  } catch (error) {
+    console.error('Billing code suggestion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/billing-codes/validate - Check codes against the local table
+// (codes: [{ system: 'cpt' | 'icd10cm', code }])
+router.post('/validate', authenticateDatabase, (req, res) => {
+  const { codes } = req.body || {};
+
+  if (!Array.isArray(codes) || codes.length === 0) {
+    return res.status(400).json({ error: 'codes must be a non-empty list of { system, code }' });
+  }
+
+  const results = codes.map(entry => validateCode(entry?.system, entry?.code));
+  res.json({ valid: results.every(result => result.valid), codes: results });
+});
+
+export default router;
@@ -0,0 +1,163 @@
+import express from 'express';
+import { database } from '../lib/database.js';
+import { authenticateDatabase } from '../middleware/database-auth.js';
+import {
+  DEFAULT_CONTRADICTION_RULES,
+  createContradictionEngine,
+  loadContradictionRules,
+  validateContradictionRules
+} from '../lib/contradictions.js';
+
+const router = express.Router();
+
+// GET /api/contradiction-rules - List the user's rule sets along with the defaults they extend
+router.get('/', authenticateDatabase, async (req, res) => {
+  try {
+    const { data: ruleSets, error } = await database
+      .from('contradiction_rules')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching contradiction rules:', error);
+      return res.status(500).json({ error: 'Failed to fetch contradiction rules' });
+    }
+
+    res.json({ defaults: DEFAULT_CONTRADICTION_RULES, rule_sets: ruleSets || [] });
+
+  } catch (error) {
+    console.error('Contradiction rules fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/contradiction-rules - Create or replace the user-wide rule set, or a template's when template_id is given
+router.put('/', authenticateDatabase, async (req, res) => {
+  try {
+    const { template_id = null, rules } = req.body || {};
+
+    const validationError = validateContradictionRules(rules);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (template_id) {
+      const { data: template, error: templateError } = await database
+        .from('templates')
+        .select('id')
+        .eq('id', template_id)
+        .eq('user_id', req.user.id)
+        .single();
+
+      if (templateError || !template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+    }
+
+    let existingQuery = database
+      .from('contradiction_rules')
+      .select('id')
+      .eq('user_id', req.user.id);
+    existingQuery = template_id ? existingQuery.eq('template_id', template_id) : existingQuery.is('template_id', null);
+
+    const { data: existing, error: fetchError } = await existingQuery.maybeSingle();
+
+    if (fetchError) {
+      console.error('Error fetching contradiction rules:', fetchError);
+      return res.status(500).json({ error: 'Failed to save contradiction rules' });
+    }
+
+    const { data: ruleSet, error } = existing
+      ? await database
+        .from('contradiction_rules')
+        .update({ rules, updated_at: new Date().toISOString() })
+        .eq('id', existing.id)
+        .select()
+        .single()
+      : await database
+        .from('contradiction_rules')
+        .insert({ user_id: req.user.id, template_id, rules })
+        .select()
+        .single();
+
+    if (error) {
+      console.error('Error saving contradiction rules:', error);
+      return res.status(500).json({ error: 'Failed to save contradiction rules' });
+    }
+
+    res.status(existing ? 200 : 201).json({
+      message: 'Contradiction rules saved successfully',
+      rule_set: ruleSet
+    });
+
+  } catch (error) {
+    console.error('Contradiction rules save error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/contradiction-rules/:id - Delete a rule set, reverting to the defaults
+router.delete('/:id', authenticateDatabase, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existing, error: fetchError } = await database
+      .from('contradiction_rules')
+      .select('id')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !existing) {
+      return res.status(404).json({ error: 'Contradiction rules not found' });
+    }
+
+    const { error } = await database
+      .from('contradiction_rules')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', req.user.id);
+
+    if (error) {
+      console.error('Error deleting contradiction rules:', error);
+      return res.status(500).json({ error: 'Failed to delete contradiction rules' });
+    }
+
+    res.json({ message: 'Contradiction rules deleted successfully' });
+
+  } catch (error) {
+    console.error('Contradiction rules deletion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/contradiction-rules/preview - Run the engine over findings with the user's (and template's) rules
+router.post('/preview', authenticateDatabase, async (req, res) => {
+  try {
+    const { findings, template_id = null, rules = null } = req.body || {};
+
+    if (!findings) {
+      return res.status(400).json({ error: 'findings is required' });
+    }
+
+    // Unsaved rules can be tried out on top of the stored ones
+    if (rules) {
+      const validationError = validateContradictionRules(rules);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+
+    const layers = await loadContradictionRules(req.user.id, template_id);
+    const result = createContradictionEngine([...layers, rules]).clean(findings);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Contradiction preview error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,255 @@
+import express from 'express';
+import { database } from '../lib/database.js';
+import { authenticateDatabase } from '../middleware/database-auth.js';
+import { userDisplayName } from '../lib/reports.js';
+import {
+  CRITICAL_RESULT_STATUSES,
+  SEVERITIES,
+  escalateCriticalResults,
+  fetchCommunications,
+  validateCommunication
+} from '../lib/critical-results.js';
+
+// Critical results found in the user's reports and the log of who was told, how and
+// when (see lib/critical-results.js)
+const router = express.Router();
+
+// Helper to determine admin (env allowlist fallback)
+function isEmailAllowlisted(email) {
+  try {
+    const list = (process.env.ADMIN_EMAILS || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    return email && list.includes(email.toLowerCase());
+  } catch (_) { return false; }
+}
+
+async function isAdmin(user) {
+  if (isEmailAllowlisted(user.email)) return true;
+  const { data: adminUser, error } = await database
+    .from('admin_users')
+    .select('*')
+    .eq('user_id', user.id)
+    .single();
+  return !error && Boolean(adminUser);
+}
+
+async function fetchOwnCriticalResult(id, userId) {
+  const { data: result, error } = await database
+    .from('critical_results')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+  return result || null;
+}
+
+// GET /api/critical-results - List the user's critical results (status, severity, report_id, page, limit)
+router.get('/', authenticateDatabase, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, severity, report_id } = req.query;
+
+    if (status && !CRITICAL_RESULT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${CRITICAL_RESULT_STATUSES.join(', ')}` });
+    }
+    if (severity && !SEVERITIES.includes(severity)) {
+      return res.status(400).json({ error: `severity must be one of: ${SEVERITIES.join(', ')}` });
+    }
+
+    let query = database
+      .from('critical_results')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.id);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (severity) {
+      query = query.eq('severity', severity);
+    }
+    if (report_id) {
+      query = query.eq('report_id', report_id);
+    }
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const { data: results, error, count } = await query
+      .order('detected_at', { ascending: false })
+      .range(offset, offset + parseInt(limit) - 1);
+
+    if (error) {
+      console.error('Error fetching critical results:', error);
+      return res.status(500).json({ error: 'Failed to fetch critical results' });
+    }
+
+    res.json({
+      critical_results: results || [],
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Critical results fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/critical-results/escalate - Run the escalation job now (admin only)
+router.post('/escalate', authenticateDatabase, async (req, res) => {
+  try {
+    if (!(await isAdmin(req.user))) {
+      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
+    }
+
+    const result = await escalateCriticalResults();
+    res.json({ message: 'Unacknowledged critical results escalated', ...result });
+
+  } catch (error) {
+    console.error('Critical result escalation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/critical-results/:id - Get a critical result with its communication log
+router.get('/:id', authenticateDatabase, async (req, res) => {
+  try {
+    const result = await fetchOwnCriticalResult(req.params.id, req.user.id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Critical result not found' });
+    }
+
+    res.json({
+      critical_result: result,
+      communications: await fetchCommunications(result.id)
+    });
+
+  } catch (error) {
+    console.error('Critical result fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/critical-results/:id/communications - Log who was notified, by what channel
+// and when (notified_name, notified_role, channel, outcome, communicated_at, read_back, note).
+// An `acknowledged` outcome closes the loop.
+router.post('/:id/communications', authenticateDatabase, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const validationError = validateCommunication(body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await fetchOwnCriticalResult(req.params.id, req.user.id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Critical result not found' });
+    }
+
+    if (result.status !== 'pending') {
+      return res.status(409).json({ error: `Critical result is already ${result.status}` });
+    }
+
+    const communicatedAt = body.communicated_at ? new Date(body.communicated_at).toISOString() : new Date().toISOString();
+    const { data: communication, error } = await database
+      .from('critical_result_communications')
+      .insert({
+        critical_result_id: result.id,
+        recorded_by: req.user.id,
+        recorded_by_name: userDisplayName(req.user),
+        notified_name: body.notified_name.trim(),
+        notified_role: body.notified_role || null,
+        channel: body.channel,
+        outcome: body.outcome,
+        read_back: body.read_back === true,
+        communicated_at: communicatedAt,
+        note: body.note || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error logging communication:', error);
+      return res.status(500).json({ error: 'Failed to log communication' });
+    }
+
+    let updated = result;
+    if (body.outcome === 'acknowledged') {
+      const { data, error: updateError } = await database
+        .from('critical_results')
+        .update({
+          status: 'acknowledged',
+          acknowledged_at: communicatedAt,
+          acknowledged_by: body.notified_name.trim(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', result.id)
+        .select()
+        .single();
+
+      if (updateError) {
+        console.error('Error acknowledging critical result:', updateError);
+        return res.status(500).json({ error: 'Failed to acknowledge critical result' });
+      }
+      updated = data;
+    }
+
+    res.status(201).json({ critical_result: updated, communication });
+
+  } catch (error) {
+    console.error('Critical result communication error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/critical-results/:id/dismiss - Dismiss a false detection (reason)
+router.post('/:id/dismiss', authenticateDatabase, async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+
+    const result = await fetchOwnCriticalResult(req.params.id, req.user.id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Critical result not found' });
+    }
+
+    if (result.status !== 'pending') {
+      return res.status(409).json({ error: `Critical result is already ${result.status}` });
+    }
+
+    const { data: updated, error } = await database
+      .from('critical_results')
+      .update({
+        status: 'dismissed',
+        dismissed_at: new Date().toISOString(),
+        dismissed_reason: reason.trim(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', result.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error dismissing critical result:', error);
+      return res.status(500).json({ error: 'Failed to dismiss critical result' });
+    }
+
+    res.json({ critical_result: updated });
+
+  } catch (error) {
+    console.error('Critical result dismiss error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,246 @@
+import express from 'express';
+import { database } from '../lib/database.js';
+import { authenticateDatabase } from '../middleware/database-auth.js';
+import { saveGeneratedReport } from '../lib/reports.js';
+import {
+  fromDiagnosticReport,
+  operationOutcome,
+  reportStatusesFor,
+  toDiagnosticReport,
+  toImagingStudy,
+  toSearchBundle
+} from '../lib/fhir/mapping.js';
+import { modalityFromScanName } from '../lib/report-codes.js';
+
+// Read/search FHIR R4 surface over the stored reports, for integration partners.
+// Every report is a DiagnosticReport and an ImagingStudy with the report's id.
+const router = express.Router();
+
+const FHIR_JSON = 'application/fhir+json';
+
+const sendResource = (res, status, resource) => res.status(status).type(FHIR_JSON).json(resource);
+
+const baseUrlFor = (req) => process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+// FHIR date search value with an optional prefix, e.g. "ge2024-01-01"
+const applyDateFilter = (query, column, value) => {
+  for (const entry of [].concat(value)) {
+    const match = /^(eq|ge|gt|le|lt)?(\d{4}-\d{2}-\d{2}.*)$/.exec(entry);
+    if (!match) continue;
+    const [, prefix = 'eq', date] = match;
+    if (prefix === 'eq') {
+      query = query.gte(column, date).lt(column, new Date(new Date(date).getTime() + 24 * 60 * 60 * 1000).toISOString());
+    } else {
+      query = query[{ ge: 'gte', gt: 'gt', le: 'lte', lt: 'lt' }[prefix]](column, date);
+    }
+  }
+  return query;
+};
+
+// Reports matching the common search parameters, with Bundle paging (_count, _offset)
+async function searchReports(req, { dateColumn, dateParam }) {
+  const { _id, status, code, _count = 20, _offset = 0 } = req.query;
+  const count = Math.min(Math.max(parseInt(_count) || 20, 1), 100);
+  const offset = Math.max(parseInt(_offset) || 0, 0);
+
+  let query = database
+    .from('reports')
+    .select('*', { count: 'exact' })
+    .eq('user_id', req.user.id);
+
+  if (_id) {
+    query = query.in('id', String(_id).split(','));
+  }
+  if (status) {
+    query = query.in('status', String(status).split(',').flatMap(reportStatusesFor));
+  }
+  if (code) {
+    query = query.ilike('scan_name', `%${code}%`);
+  }
+  if (req.query[dateParam]) {
+    query = applyDateFilter(query, dateColumn, req.query[dateParam]);
+  }
+
+  query = query.order('created_at', { ascending: false }).range(offset, offset + count - 1);
+
+  const { data, error, count: total } = await query;
+  return { reports: data || [], error, total: total || 0, count, offset };
+}
+
+function bundleLinks(req, { total, count, offset }) {
+  const base = `${baseUrlFor(req)}${req.baseUrl}${req.path}`;
+  const params = (extra) => new URLSearchParams({ ...req.query, ...extra }).toString();
+  return {
+    selfUrl: `${base}?${params({ _count: count, _offset: offset })}`,
+    nextUrl: offset + count < total ? `${base}?${params({ _count: count, _offset: offset + count })}` : null
+  };
+}
+
+async function fetchAddenda(reportIds) {
+  if (reportIds.length === 0) return {};
+
+  const { data, error } = await database
+    .from('report_addenda')
+    .select('*')
+    .in('report_id', reportIds)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching addenda for FHIR:', error);
+    return {};
+  }
+
+  const byReport = {};
+  for (const addendum of data || []) {
+    (byReport[addendum.report_id] = byReport[addendum.report_id] || []).push(addendum);
+  }
+  return byReport;
+}
+
+// GET /fhir/metadata - CapabilityStatement for the supported interactions
+router.get('/metadata', (req, res) => {
+  sendResource(res, 200, {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    fhirVersion: '4.0.1',
+    format: ['json'],
+    rest: [{
+      mode: 'server',
+      resource: [
+        {
+          type: 'DiagnosticReport',
+          interaction: [{ code: 'read' }, { code: 'search-type' }, { code: 'create' }],
+          searchParam: ['_id', 'status', 'code', 'date'].map(name => ({ name, type: name === 'date' ? 'date' : 'token' }))
+        },
+        {
+          type: 'ImagingStudy',
+          interaction: [{ code: 'read' }, { code: 'search-type' }],
+          searchParam: ['_id', 'modality', 'started'].map(name => ({ name, type: name === 'started' ? 'date' : 'token' }))
+        }
+      ]
+    }]
+  });
+});
+
+// GET /fhir/DiagnosticReport - Search reports (_id, status, code, date, _count, _offset)
+router.get('/DiagnosticReport', authenticateDatabase, async (req, res) => {
+  try {
+    const result = await searchReports(req, { dateColumn: 'created_at', dateParam: 'date' });
+
+    if (result.error) {
+      console.error('Error searching DiagnosticReports:', result.error);
+      return sendResource(res, 500, operationOutcome('exception', 'Failed to search reports'));
+    }
+
+    const addenda = await fetchAddenda(result.reports.map(r => r.id));
+    const baseUrl = baseUrlFor(req);
+    const resources = result.reports.map(report => toDiagnosticReport(report, { baseUrl, addenda: addenda[report.id] || [] }));
+
+    sendResource(res, 200, toSearchBundle(resources, { total: result.total, baseUrl, ...bundleLinks(req, result) }));
+
+  } catch (error) {
+    console.error('FHIR DiagnosticReport search error:', error);
+    sendResource(res, 500, operationOutcome('exception', 'Internal server error'));
+  }
+});
+
+// GET /fhir/DiagnosticReport/:id - Read one report
+router.get('/DiagnosticReport/:id', authenticateDatabase, async (req, res) => {
+  try {
+    const { data: report, error } = await database
+      .from('reports')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (error || !report) {
+      return sendResource(res, 404, operationOutcome('not-found', `DiagnosticReport/${req.params.id} not found`));
+    }
+
+    const addenda = await fetchAddenda([report.id]);
+    sendResource(res, 200, toDiagnosticReport(report, { baseUrl: baseUrlFor(req), addenda: addenda[report.id] || [] }));
+
+  } catch (error) {
+    console.error('FHIR DiagnosticReport read error:', error);
+    sendResource(res, 500, operationOutcome('exception', 'Internal server error'));
+  }
+});
+
+// POST /fhir/DiagnosticReport - Import a DiagnosticReport as a new draft report
+router.post('/DiagnosticReport', authenticateDatabase, async (req, res) => {
+  try {
+    const { report, error } = fromDiagnosticReport(req.body);
+
+    if (error) {
+      return sendResource(res, 400, operationOutcome('invalid', error));
+    }
+
+    const saved = await saveGeneratedReport(req.user.id, { ...report, generation_mode: 'imported' });
+
+    if (!saved) {
+      return sendResource(res, 500, operationOutcome('exception', 'Failed to store report'));
+    }
+
+    res.location(`${baseUrlFor(req)}/fhir/DiagnosticReport/${saved.id}`);
+    sendResource(res, 201, toDiagnosticReport(saved, { baseUrl: baseUrlFor(req) }));
+
+  } catch (error) {
+    console.error('FHIR DiagnosticReport create error:', error);
+    sendResource(res, 500, operationOutcome('exception', 'Internal server error'));
+  }
+});
+
+// GET /fhir/ImagingStudy - Search the studies behind the reports (_id, modality, started, _count, _offset)
+router.get('/ImagingStudy', authenticateDatabase, async (req, res) => {
+  try {
+    const result = await searchReports(req, { dateColumn: 'created_at', dateParam: 'started' });
+
+    if (result.error) {
+      console.error('Error searching ImagingStudies:', result.error);
+      return sendResource(res, 500, operationOutcome('exception', 'Failed to search studies'));
+    }
+
+    // Modality is derived from the scan name, so it is filtered within the fetched page
+    let studies = result.reports.map(toImagingStudy);
+    let total = result.total;
+    if (req.query.modality) {
+      const wanted = String(req.query.modality).split(',').map(m => m.split('|').pop().toUpperCase());
+      studies = studies.filter(study => wanted.includes(modalityFromScanName(study.description)?.code));
+      total = studies.length;
+    }
+
+    const baseUrl = baseUrlFor(req);
+    sendResource(res, 200, toSearchBundle(studies, { total, baseUrl, ...bundleLinks(req, result) }));
+
+  } catch (error) {
+    console.error('FHIR ImagingStudy search error:', error);
+    sendResource(res, 500, operationOutcome('exception', 'Internal server error'));
+  }
+});
+
+// GET /fhir/ImagingStudy/:id - Read the study behind one report
+router.get('/ImagingStudy/:id', authenticateDatabase, async (req, res) => {
+  try {
+    const { data: report, error } = await database
+      .from('reports')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (error || !report) {
+      return sendResource(res, 404, operationOutcome('not-found', `ImagingStudy/${req.params.id} not found`));
+    }
+
+    sendResource(res, 200, toImagingStudy(report));
+
+  } catch (error) {
+    console.error('FHIR ImagingStudy read error:', error);
+    sendResource(res, 500, operationOutcome('exception', 'Internal server error'));
+  }
+});
+
+export default router;
@@ -0,0 +1,237 @@
+import express from 'express';
+import { database } from '../lib/database.js';
+import { authenticateDatabase } from '../middleware/database-auth.js';
+import { FOLLOW_UP_STATUSES, isOverdue, notifyOverdueFollowUps, overdueCutoff } from '../lib/follow-ups.js';
+
+// Follow-up imaging recommended in signed reports (see lib/follow-ups.js). Radiologists
+// see the follow-ups they recommended; admins can list everyone's overdue ones.
+const router = express.Router();
+
+// Helper to determine admin (env allowlist fallback)
+function isEmailAllowlisted(email) {
+  try {
+    const list = (process.env.ADMIN_EMAILS || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    return email && list.includes(email.toLowerCase());
+  } catch (_) { return false; }
+}
+
+async function isAdmin(user) {
+  if (isEmailAllowlisted(user.email)) return true;
+  const { data: adminUser, error } = await database
+    .from('admin_users')
+    .select('*')
+    .eq('user_id', user.id)
+    .single();
+  return !error && Boolean(adminUser);
+}
+
+async function fetchOwnFollowUp(id, userId) {
+  const { data: followUp, error } = await database
+    .from('follow_ups')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+  return followUp || null;
+}
+
+const withOverdue = (followUp) => ({ ...followUp, overdue: isOverdue(followUp) });
+
+// GET /api/follow-ups - List the user's follow-ups (status, patient_id, page, limit)
+router.get('/', authenticateDatabase, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, patient_id } = req.query;
+
+    if (status && !FOLLOW_UP_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${FOLLOW_UP_STATUSES.join(', ')}` });
+    }
+
+    let query = database
+      .from('follow_ups')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.id);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (patient_id) {
+      query = query.eq('patient_id', patient_id);
+    }
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const { data: followUps, error, count } = await query
+      .order('due_by', { ascending: true })
+      .range(offset, offset + parseInt(limit) - 1);
+
+    if (error) {
+      console.error('Error fetching follow-ups:', error);
+      return res.status(500).json({ error: 'Failed to fetch follow-ups' });
+    }
+
+    res.json({
+      follow_ups: (followUps || []).map(withOverdue),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Follow-ups fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/follow-ups/overdue - Open follow-ups past their window, most overdue first
+// (all=true lists every radiologist's, admin only)
+router.get('/overdue', authenticateDatabase, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, all } = req.query;
+
+    if (all === 'true' && !(await isAdmin(req.user))) {
+      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
+    }
+
+    let query = database
+      .from('follow_ups')
+      .select('*', { count: 'exact' })
+      .eq('status', 'open')
+      .lt('due_by', overdueCutoff());
+
+    if (all !== 'true') {
+      query = query.eq('user_id', req.user.id);
+    }
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const { data: followUps, error, count } = await query
+      .order('due_by', { ascending: true })
+      .range(offset, offset + parseInt(limit) - 1);
+
+    if (error) {
+      console.error('Error fetching overdue follow-ups:', error);
+      return res.status(500).json({ error: 'Failed to fetch overdue follow-ups' });
+    }
+
+    res.json({
+      follow_ups: (followUps || []).map(withOverdue),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Overdue follow-ups fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/follow-ups/notify - Run the overdue notification job now (admin only)
+router.post('/notify', authenticateDatabase, async (req, res) => {
+  try {
+    if (!(await isAdmin(req.user))) {
+      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
+    }
+
+    const result = await notifyOverdueFollowUps();
+    res.json({ message: 'Overdue follow-up notifications sent', ...result });
+
+  } catch (error) {
+    console.error('Follow-up notification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/follow-ups/:id - Get one follow-up
+router.get('/:id', authenticateDatabase, async (req, res) => {
+  try {
+    const followUp = await fetchOwnFollowUp(req.params.id, req.user.id);
+
+    if (!followUp) {
+      return res.status(404).json({ error: 'Follow-up not found' });
+    }
+
+    res.json({ follow_up: withOverdue(followUp) });
+
+  } catch (error) {
+    console.error('Follow-up fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Apply a status change to one of the user's open follow-ups and send the result
+async function closeFollowUp(req, res, fields) {
+  const followUp = await fetchOwnFollowUp(req.params.id, req.user.id);
+
+  if (!followUp) {
+    return res.status(404).json({ error: 'Follow-up not found' });
+  }
+
+  if (followUp.status !== 'open') {
+    return res.status(409).json({ error: `Follow-up is already ${followUp.status}` });
+  }
+
+  const { data: updated, error } = await database
+    .from('follow_ups')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', followUp.id)
+    .eq('user_id', req.user.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error updating follow-up:', error);
+    return res.status(500).json({ error: 'Failed to update follow-up' });
+  }
+
+  res.json({ follow_up: withOverdue(updated) });
+}
+
+// POST /api/follow-ups/:id/complete - Close a follow-up by hand (report_id, note)
+router.post('/:id/complete', authenticateDatabase, async (req, res) => {
+  try {
+    const { report_id = null, note = null } = req.body || {};
+
+    await closeFollowUp(req, res, {
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      completed_report_id: report_id,
+      note
+    });
+
+  } catch (error) {
+    console.error('Follow-up complete error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/follow-ups/:id/cancel - Cancel a follow-up that is no longer needed (reason)
+router.post('/:id/cancel', authenticateDatabase, async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+
+    await closeFollowUp(req, res, {
+      status: 'cancelled',
+      cancelled_at: new Date().toISOString(),
+      note: reason.trim()
+    });
+
+  } catch (error) {
+    console.error('Follow-up cancel error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,69 @@
+import express from 'express';
+import { authenticateDatabase } from '../middleware/database-auth.js';
+import {
+  GUIDELINES,
+  checkClinicalAdvice,
+  listGuidelines,
+  patientContext,
+  recommendFollowUp,
+  recommendForFinding,
+  structuredFinding
+} from '../lib/guidelines/index.js';
+
+// Follow-up recommendations for incidental findings (Fleischner, ACR white papers, O-RADS)
+const router = express.Router();
+
+// GET /api/guidelines - List the guidelines with their citations
+router.get('/', authenticateDatabase, (req, res) => {
+  res.json({ guidelines: listGuidelines() });
+});
+
+// POST /api/guidelines/recommend - Recommendations for the lesions measured in `findings`,
+// or for one structured `finding` under a named `guideline`. Patient factors come from
+// patient_age, patient_sex, patient_risk, cancer_history, clinical_history and scan_name;
+// `clinical_advice` is checked against the recommendations when given.
+router.post('/recommend', authenticateDatabase, (req, res) => {
+  try {
+    const body = req.body || {};
+    const { findings = null, finding = null, guideline = null, scan_name = null, clinical_advice = null } = body;
+
+    if (findings === null && finding === null) {
+      return res.status(400).json({ error: 'findings or finding is required' });
+    }
+    if (findings !== null && typeof findings !== 'string') {
+      return res.status(400).json({ error: 'findings must be a string' });
+    }
+    if (clinical_advice !== null && typeof clinical_advice !== 'string') {
+      return res.status(400).json({ error: 'clinical_advice must be a string' });
+    }
+
+    const patient = patientContext(body);
+    let recommendations;
+
+    if (finding !== null) {
+      const selected = Object.values(GUIDELINES).find(entry => entry.id === guideline);
+      if (!selected) {
+        return res.status(404).json({ error: `Unknown guideline. Available: ${Object.values(GUIDELINES).map(entry => entry.id).join(', ')}` });
+      }
+      const structured = structuredFinding(selected, finding);
+      if (structured.error) {
+        return res.status(400).json({ error: structured.error });
+      }
+      recommendations = [recommendForFinding(selected, structured.finding, patient)];
+    } else {
+      recommendations = recommendFollowUp(findings, patient, { scanName: scan_name });
+    }
+
+    res.json({
+      patient,
+      recommendations,
+      ...(clinical_advice !== null ? { advice_check: checkClinicalAdvice(clinical_advice, recommendations.filter(result => result.recommendation)) } : {})
+    });
+
+  } catch (error) {
+    console.error('Guideline recommendation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,311 @@
+import express from 'express';
+import { database } from '../lib/database.js';
+import { authenticateDatabase } from '../middleware/database-auth.js';
+import { extractMeasurements } from '../lib/measurements.js';
+import {
+  assessTrack,
+  baselineSum,
+  declareLesion,
+  fetchRecistAssessments,
+  loadRecistTrack,
+  saveRecistAssessment,
+  validateAssessmentInput,
+  validateBaseline
+} from '../lib/recist.js';
+
+// RECIST 1.1 tracks: target and non-target lesions declared at baseline and the
+// response assessments of each follow-up (see lib/recist.js)
+const router = express.Router();
+
+async function fetchOwnReport(id, userId) {
+  const { data: report, error } = await database
+    .from('reports')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+  return report || null;
+}
+
+const reportFindings = (report) => report.structured_data?.findings || report.findings;
+
+// Follow-up input from a request body, taking the findings from `report_id` when given
+async function assessmentInput(body, userId) {
+  const { report_id = null, assessed_at, measurements = [], non_target = {}, new_lesions = false, findings } = body || {};
+
+  let report = null;
+  if (report_id) {
+    report = await fetchOwnReport(report_id, userId);
+    if (!report) return { notFound: 'Report not found' };
+  }
+
+  return {
+    report,
+    input: {
+      findings: report ? reportFindings(report) : findings,
+      measurements,
+      non_target,
+      new_lesions: new_lesions === true,
+      assessed_at: assessed_at || report?.created_at
+    }
+  };
+}
+
+// GET /api/recist - List tracks (patient_id, page, limit)
+router.get('/', authenticateDatabase, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, patient_id } = req.query;
+
+    let query = database
+      .from('recist_tracks')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.id);
+
+    if (patient_id) {
+      query = query.eq('patient_id', patient_id);
+    }
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    query = query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + parseInt(limit) - 1);
+
+    const { data: tracks, error, count } = await query;
+
+    if (error) {
+      console.error('Error fetching RECIST tracks:', error);
+      return res.status(500).json({ error: 'Failed to fetch RECIST tracks' });
+    }
+
+    res.json({
+      tracks: tracks || [],
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('RECIST tracks fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/recist - Declare the baseline lesions of a patient. Lesions reference a
+// measurement of the baseline report (measurement_id) or are entered by hand.
+router.post('/', authenticateDatabase, async (req, res) => {
+  try {
+    const { name = null, patient_id = null, baseline_report_id = null, baseline_date = null, lesions } = req.body || {};
+
+    if (!Array.isArray(lesions)) {
+      return res.status(400).json({ error: 'lesions must be an array' });
+    }
+
+    let baselineReport = null;
+    if (baseline_report_id) {
+      baselineReport = await fetchOwnReport(baseline_report_id, req.user.id);
+      if (!baselineReport) {
+        return res.status(404).json({ error: 'Baseline report not found' });
+      }
+    }
+
+    const patientId = patient_id || baselineReport?.patient_id;
+    if (!patientId) {
+      return res.status(400).json({ error: 'patient_id is required' });
+    }
+
+    const baselineMeasurements = baselineReport ? extractMeasurements(reportFindings(baselineReport)) : [];
+    const declared = [];
+    const counts = { target: 0, non_target: 0 };
+    for (const input of lesions) {
+      const kind = input?.kind === 'non_target' ? 'non_target' : 'target';
+      const { lesion, error } = declareLesion(input, baselineMeasurements, counts[kind]++);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      declared.push(lesion);
+    }
+
+    const validationError = validateBaseline(declared);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data: track, error } = await database
+      .from('recist_tracks')
+      .insert({
+        user_id: req.user.id,
+        patient_id: patientId,
+        name: name || baselineReport?.scan_name || null,
+        baseline_report_id: baselineReport?.id || null,
+        baseline_date: baseline_date || baselineReport?.created_at || new Date().toISOString(),
+        lesions: declared,
+        baseline_sum_mm: baselineSum(declared)
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating RECIST track:', error);
+      return res.status(500).json({ error: 'Failed to create RECIST track' });
+    }
+
+    res.status(201).json({ track });
+
+  } catch (error) {
+    console.error('RECIST track create error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/recist/:id - Get a track with its assessments, oldest first
+router.get('/:id', authenticateDatabase, async (req, res) => {
+  try {
+    const track = await loadRecistTrack(req.user.id, req.params.id);
+
+    if (!track) {
+      return res.status(404).json({ error: 'RECIST track not found' });
+    }
+
+    res.json({ track, assessments: await fetchRecistAssessments(req.user.id, track.id) });
+
+  } catch (error) {
+    console.error('RECIST track fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/recist/:id - Delete a track and its assessments
+router.delete('/:id', authenticateDatabase, async (req, res) => {
+  try {
+    const track = await loadRecistTrack(req.user.id, req.params.id);
+
+    if (!track) {
+      return res.status(404).json({ error: 'RECIST track not found' });
+    }
+
+    const { error: assessmentsError } = await database
+      .from('recist_assessments')
+      .delete()
+      .eq('track_id', track.id);
+
+    if (assessmentsError) {
+      console.error('Error deleting RECIST assessments:', assessmentsError);
+      return res.status(500).json({ error: 'Failed to delete RECIST track' });
+    }
+
+    const { error } = await database
+      .from('recist_tracks')
+      .delete()
+      .eq('id', track.id)
+      .eq('user_id', req.user.id);
+
+    if (error) {
+      console.error('Error deleting RECIST track:', error);
+      return res.status(500).json({ error: 'Failed to delete RECIST track' });
+    }
+
+    res.json({ message: 'RECIST track deleted successfully' });
+
+  } catch (error) {
+    console.error('RECIST track delete error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/recist/:id/evaluate - Compute the response for a follow-up without storing it
+// (report_id or findings, measurements, non_target, new_lesions, assessed_at)
+router.post('/:id/evaluate', authenticateDatabase, async (req, res) => {
+  try {
+    const track = await loadRecistTrack(req.user.id, req.params.id);
+    if (!track) {
+      return res.status(404).json({ error: 'RECIST track not found' });
+    }
+
+    const { input, notFound } = await assessmentInput(req.body, req.user.id);
+    if (notFound) {
+      return res.status(404).json({ error: notFound });
+    }
+
+    const inputError = validateAssessmentInput(track, input);
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const assessment = await assessTrack(track, input);
+    res.json({ assessment });
+
+  } catch (error) {
+    console.error('RECIST evaluate error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/recist/:id/assessments - Record a follow-up assessment (same body as /evaluate)
+router.post('/:id/assessments', authenticateDatabase, async (req, res) => {
+  try {
+    const track = await loadRecistTrack(req.user.id, req.params.id);
+    if (!track) {
+      return res.status(404).json({ error: 'RECIST track not found' });
+    }
+
+    const { input, report, notFound } = await assessmentInput(req.body, req.user.id);
+    if (notFound) {
+      return res.status(404).json({ error: notFound });
+    }
+
+    const inputError = validateAssessmentInput(track, input);
+    if (inputError) {
+      return res.status(400).json({ error: inputError });
+    }
+
+    const assessment = await assessTrack(track, input);
+    const saved = await saveRecistAssessment(req.user.id, track, assessment, report?.id || null);
+
+    res.status(201).json({ assessment: saved });
+
+  } catch (error) {
+    console.error('RECIST assessment create error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/recist/:id/assessments/:assessmentId - Delete one assessment
+router.delete('/:id/assessments/:assessmentId', authenticateDatabase, async (req, res) => {
+  try {
+    const track = await loadRecistTrack(req.user.id, req.params.id);
+    if (!track) {
+      return res.status(404).json({ error: 'RECIST track not found' });
+    }
+
+    const { data: deleted, error } = await database
+      .from('recist_assessments')
+      .delete()
+      .eq('id', req.params.assessmentId)
+      .eq('track_id', track.id)
+      .select();
+
+    if (error) {
+      console.error('Error deleting RECIST assessment:', error);
+      return res.status(500).json({ error: 'Failed to delete RECIST assessment' });
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({ error: 'RECIST assessment not found' });
+    }
+
+    res.json({ message: 'RECIST assessment deleted successfully' });
+
+  } catch (error) {
+    console.error('RECIST assessment delete error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
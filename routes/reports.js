@@ -0,0 +1,1089 @@
+import express from 'express';
+import { database } from '../lib/database.js';
+import { authenticateDatabase } from '../middleware/database-auth.js';
+import { saveGeneratedReport, REPORT_STATUSES, canTransition, isLocked, userDisplayName } from '../lib/reports.js';
+import { applyEdit, buildRevisionContent, diffSections, fetchRevisions, recordRevision, summariseChanges } from '../lib/revisions.js';
+import { buildReportHtml } from '../lib/report-html.js';
+import { checkConsistency } from '../lib/consistency.js';
+import { EXPORT_FORMATS, buildReportDocument, exportFileName } from '../lib/export/index.js';
+import { loadHL7Config } from '../lib/hl7/config.js';
+import { buildOruR01 } from '../lib/hl7/oru.js';
+import { sendMLLP } from '../lib/hl7/mllp.js';
+import { isValidUid } from '../lib/dicom/uid.js';
+import { computeGrowth, extractMeasurements } from '../lib/measurements.js';
+import { fetchPatientReports, measurementHistory } from '../lib/prior-reports.js';
+import { closeMatchingFollowUps, recordFollowUps } from '../lib/follow-ups.js';
+import { detectCriticalFindings, dismissReportCriticalResults, openCriticalResults } from '../lib/critical-results.js';
+import { reportConceptFields, resolveConceptFilter } from '../lib/terminology/index.js';
+import { reportBillingFields } from '../lib/billing/index.js';
+
+const router = express.Router();
+
+// GET /api/reports - List reports for authenticated user
+router.get('/', authenticateDatabase, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      scan_name,
+      template_id,
+      generation_mode,
+      status,
+      from,
+      to,
+      search,
+      concept,
+      sort_by = 'created_at',
+      sort_order = 'desc'
+    } = req.query;
+
+    const conceptCode = concept ? resolveConceptFilter(concept) : null;
+    if (concept && !conceptCode) {
+      return res.status(400).json({ error: 'Unknown concept. Use a SNOMED CT id, a RadLex RID or a term from GET /api/terminology' });
+    }
+
+    let query = database
+      .from('reports')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.id);
+
+    // Filter by scan name if provided
+    if (scan_name) {
+      query = query.ilike('scan_name', `%${scan_name}%`);
+    }
+
+    // Filter by template if provided
+    if (template_id) {
+      query = query.eq('template_id', template_id);
+    }
+
+    // Filter by generation mode if provided
+    if (generation_mode) {
+      query = query.eq('generation_mode', generation_mode);
+    }
+
+    // Filter by lifecycle status if provided
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    // Filter by creation date range if provided
+    if (from) {
+      query = query.gte('created_at', from);
+    }
+    if (to) {
+      query = query.lte('created_at', to);
+    }
+
+    // Search inputs and generated text if provided
+    if (search) {
+      query = query.or(`scan_name.ilike.%${search}%,findings.ilike.%${search}%,clinical_history.ilike.%${search}%,impression_text.ilike.%${search}%`);
+    }
+
+    // Reports that affirm a concept (negated mentions do not count)
+    if (conceptCode) {
+      query = query.contains('concept_codes', [conceptCode]);
+    }
+
+    // Apply sorting
+    query = query.order(sort_by, { ascending: sort_order === 'asc' });
+
+    // Apply pagination
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    query = query.range(offset, offset + parseInt(limit) - 1);
+
+    const { data: reports, error, count } = await query;
+
+    if (error) {
+      console.error('Error fetching reports:', error);
+      return res.status(500).json({ error: 'Failed to fetch reports' });
+    }
+
+    res.json({
+      reports: reports || [],
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Report fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/reports/:id - Get specific report by ID
+router.get('/:id', authenticateDatabase, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: report, error } = await database
+      .from('reports')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+      console.error('Error fetching report:', error);
+      return res.status(500).json({ error: 'Failed to fetch report' });
+    }
+
+    const { data: addenda, error: addendaError } = await database
+      .from('report_addenda')
+      .select('*')
+      .eq('report_id', id)
+      .order('created_at', { ascending: true });
+
+    if (addendaError) {
+      console.error('Error fetching addenda:', addendaError);
+    }
+
+    res.json({ report: { ...report, addenda: addenda || [] } });
+
+  } catch (error) {
+    console.error('Report fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reports - Store a report generated or written elsewhere
+router.post('/', authenticateDatabase, async (req, res) => {
+  try {
+    const {
+      scan_name,
+      findings,
+      clinical_history,
+      comparison,
+      template_id,
+      generation_mode,
+      model,
+      report_html,
+      impression_text,
+      structured_data,
+      procedure_code
+    } = req.body;
+
+    // Validation
+    if (!report_html && !structured_data) {
+      return res.status(400).json({ error: 'report_html or structured_data is required' });
+    }
+
+    const report = await saveGeneratedReport(req.user.id, {
+      scan_name,
+      findings,
+      clinical_history,
+      comparison,
+      template_id,
+      generation_mode,
+      model,
+      report_html,
+      impression_text,
+      structured_data,
+      procedure_code
+    });
+
+    if (!report) {
+      return res.status(500).json({ error: 'Failed to create report' });
+    }
+
+    res.status(201).json({
+      message: 'Report created successfully',
+      report
+    });
+
+  } catch (error) {
+    console.error('Report creation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reports/check - Laterality, sex, anatomy and measurement checks for a stored report or raw text
+router.post('/check', authenticateDatabase, async (req, res) => {
+  try {
+    const { report_id, patient_sex = null } = req.body || {};
+    let { findings, impression, scan_name = null, clinical_history = null } = req.body || {};
+
+    if (report_id) {
+      const { data: report, error } = await database
+        .from('reports')
+        .select('scan_name, clinical_history, structured_data')
+        .eq('id', report_id)
+        .eq('user_id', req.user.id)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return res.status(404).json({ error: 'Report not found' });
+        }
+        console.error('Error fetching report for check:', error);
+        return res.status(500).json({ error: 'Failed to fetch report' });
+      }
+
+      findings = report.structured_data?.findings;
+      impression = report.structured_data?.impression;
+      scan_name = scan_name || report.structured_data?.scan_name || report.scan_name;
+      clinical_history = clinical_history || report.clinical_history;
+    }
+
+    if (!findings && !impression) {
+      return res.status(400).json({ error: 'report_id or findings/impression is required' });
+    }
+
+    const consistency = checkConsistency({
+      findings,
+      impression,
+      scanName: scan_name,
+      patientSex: patient_sex,
+      clinicalHistory: clinical_history
+    });
+
+    res.json({ consistency });
+
+  } catch (error) {
+    console.error('Report check error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/reports/:id - Update existing report
+router.put('/:id', authenticateDatabase, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scan_name, clinical_history, comparison, report_html, impression_text, structured_data } = req.body;
+
+    // Check if report exists and belongs to user
+    const { data: existingReport, error: fetchError } = await database
+      .from('reports')
+      .select('id, status, scan_name, procedure_code, impression_text, structured_data')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !existingReport) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (isLocked(existingReport)) {
+      return res.status(409).json({ error: 'Signed reports are locked. Add an addendum instead.' });
+    }
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (scan_name !== undefined) updateData.scan_name = scan_name;
+    if (clinical_history !== undefined) updateData.clinical_history = clinical_history;
+    if (comparison !== undefined) updateData.comparison = comparison;
+    if (report_html !== undefined) updateData.report_html = report_html;
+    if (impression_text !== undefined) updateData.impression_text = impression_text;
+    if (structured_data !== undefined) {
+      updateData.structured_data = structured_data;
+      Object.assign(updateData, reportConceptFields(structured_data));
+    }
+    if (scan_name !== undefined || impression_text !== undefined || structured_data !== undefined) {
+      Object.assign(updateData, reportBillingFields({ ...existingReport, ...updateData }));
+    }
+
+    const { data: report, error } = await database
+      .from('reports')
+      .update(updateData)
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error updating report:', error);
+      return res.status(500).json({ error: 'Failed to update report' });
+    }
+
+    if (structured_data !== undefined) {
+      try {
+        await recordRevision(id, existingReport.structured_data, structured_data, {
+          author: { id: req.user.id, name: userDisplayName(req.user) }
+        });
+      } catch (revisionError) {
+        console.error('Error recording revision:', revisionError);
+      }
+    }
+
+    res.json({
+      message: 'Report updated successfully',
+      report
+    });
+
+  } catch (error) {
+    console.error('Report update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/reports/:id - Delete report
+router.delete('/:id', authenticateDatabase, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if report exists and belongs to user
+    const { data: existingReport, error: fetchError } = await database
+      .from('reports')
+      .select('id, status')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !existingReport) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (isLocked(existingReport)) {
+      return res.status(409).json({ error: 'Signed reports cannot be deleted' });
+    }
+
+    // Pending critical results of the report would otherwise keep escalating
+    try {
+      await dismissReportCriticalResults(id);
+    } catch (dismissError) {
+      console.error('Error dismissing critical results:', dismissError);
+      return res.status(500).json({ error: 'Failed to delete report' });
+    }
+
+    const { error } = await database
+      .from('reports')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', req.user.id);
+
+    if (error) {
+      console.error('Error deleting report:', error);
+      return res.status(500).json({ error: 'Failed to delete report' });
+    }
+
+    res.json({ message: 'Report deleted successfully' });
+
+  } catch (error) {
+    console.error('Report deletion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reports/:id/status - Move an unsigned report between draft and preliminary
+router.post('/:id/status', authenticateDatabase, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    if (!REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${REPORT_STATUSES.join(', ')}` });
+    }
+
+    if (status === 'final') {
+      return res.status(400).json({ error: 'Use the sign endpoint to finalise a report' });
+    }
+
+    const { data: existingReport, error: fetchError } = await database
+      .from('reports')
+      .select('id, status')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !existingReport) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (!canTransition(existingReport.status, status)) {
+      return res.status(409).json({ error: `Cannot change status from ${existingReport.status} to ${status}` });
+    }
+
+    const { data: report, error } = await database
+      .from('reports')
+      .update({ status, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error updating report status:', error);
+      return res.status(500).json({ error: 'Failed to update report status' });
+    }
+
+    res.json({
+      message: 'Report status updated successfully',
+      report
+    });
+
+  } catch (error) {
+    console.error('Report status update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reports/:id/sign - Sign off a report, making it final and locking its content
+router.post('/:id/sign', authenticateDatabase, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { acknowledge_verification = false } = req.body || {};
+
+    const { data: existingReport, error: fetchError } = await database
+      .from('reports')
+      .select('id, status, verification, patient_id, structured_data, findings, impression_text')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !existingReport) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (isLocked(existingReport)) {
+      return res.status(409).json({ error: 'Report is already signed' });
+    }
+
+    // Faithfulness issues from generation must be reviewed before the report is signed
+    if (existingReport.verification?.issue_count > 0 && acknowledge_verification !== true) {
+      return res.status(409).json({
+        error: 'Report has unreviewed verification issues. Review them and sign with acknowledge_verification: true.',
+        verification: existingReport.verification
+      });
+    }
+
+    // Critical findings (including any added while editing) must be communicated first
+    const criticalResults = await openCriticalResults(req.user, existingReport, detectCriticalFindings({
+      findings: existingReport.structured_data?.findings || existingReport.findings,
+      impression: existingReport.structured_data?.impression || existingReport.impression_text
+    }));
+    const uncommunicated = criticalResults.filter(result => result.status === 'pending');
+    if (uncommunicated.length > 0) {
+      return res.status(409).json({
+        error: 'Report has critical results awaiting acknowledgement. Log the communication, or dismiss a false detection, before signing.',
+        critical_results: uncommunicated
+      });
+    }
+
+    const signedAt = new Date().toISOString();
+    const { data: report, error } = await database
+      .from('reports')
+      .update({
+        status: 'final',
+        signed_by: req.user.id,
+        signed_by_name: userDisplayName(req.user),
+        signed_at: signedAt,
+        updated_at: signedAt
+      })
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error signing report:', error);
+      return res.status(500).json({ error: 'Failed to sign report' });
+    }
+
+    // The signed report closes the patient's earlier follow-ups it satisfies and
+    // starts tracking the follow-up it recommends
+    const completedFollowUps = await closeMatchingFollowUps({
+      patientId: report.patient_id,
+      userId: req.user.id,
+      scanName: report.scan_name,
+      reportId: report.id,
+      orderId: report.order_id,
+      studyAt: report.created_at
+    });
+    const followUps = await recordFollowUps(req.user, report);
+
+    res.json({
+      message: 'Report signed successfully',
+      report,
+      follow_ups: followUps,
+      completed_follow_ups: completedFollowUps
+    });
+
+  } catch (error) {
+    console.error('Report sign error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/reports/:id/addenda - List addenda of a report
+router.get('/:id/addenda', authenticateDatabase, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existingReport, error: fetchError } = await database
+      .from('reports')
+      .select('id')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !existingReport) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const { data: addenda, error } = await database
+      .from('report_addenda')
+      .select('*')
+      .eq('report_id', id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching addenda:', error);
+      return res.status(500).json({ error: 'Failed to fetch addenda' });
+    }
+
+    res.json({ addenda: addenda || [] });
+
+  } catch (error) {
+    console.error('Addenda fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reports/:id/addenda - Append an addendum to a signed report
+router.post('/:id/addenda', authenticateDatabase, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content } = req.body;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({ error: 'Addendum content is required' });
+    }
+
+    const { data: existingReport, error: fetchError } = await database
+      .from('reports')
+      .select('id, status')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !existingReport) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (!isLocked(existingReport)) {
+      return res.status(409).json({ error: 'Addenda can only be added to signed reports. Edit the report instead.' });
+    }
+
+    const { data: addendum, error } = await database
+      .from('report_addenda')
+      .insert({
+        report_id: id,
+        author_id: req.user.id,
+        author_name: userDisplayName(req.user),
+        content: content.trim()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating addendum:', error);
+      return res.status(500).json({ error: 'Failed to create addendum' });
+    }
+
+    res.status(201).json({
+      message: 'Addendum added successfully',
+      addendum
+    });
+
+  } catch (error) {
+    console.error('Addendum creation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/reports/:id - Edit structuredData with a JSON Patch, stored as a new revision
+router.patch('/:id', authenticateDatabase, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { patch, note } = req.body;
+
+    const { data: existingReport, error: fetchError } = await database
+      .from('reports')
+      .select('id, status, scan_name, procedure_code, clinical_history, structured_data')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !existingReport) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (isLocked(existingReport)) {
+      return res.status(409).json({ error: 'Signed reports are locked. Add an addendum instead.' });
+    }
+
+    let structuredData;
+    try {
+      structuredData = applyEdit(existingReport.structured_data, patch);
+    } catch (patchError) {
+      return res.status(400).json({ error: 'Invalid patch: ' + patchError.message });
+    }
+
+    const { data: report, error } = await database
+      .from('reports')
+      .update({
+        structured_data: structuredData,
+        report_html: buildReportHtml(structuredData, { clinicalHistory: existingReport.clinical_history }),
+        impression_text: structuredData.impression || '',
+        ...reportConceptFields(structuredData),
+        ...reportBillingFields({ ...existingReport, structured_data: structuredData }),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error patching report:', error);
+      return res.status(500).json({ error: 'Failed to update report' });
+    }
+
+    // The edit is saved; a failed revision is logged rather than reported as a failed edit
+    let revision = null;
+    try {
+      revision = await recordRevision(id, existingReport.structured_data, structuredData, {
+        author: { id: req.user.id, name: userDisplayName(req.user) },
+        note: note || null
+      });
+    } catch (revisionError) {
+      console.error('Error recording revision:', revisionError);
+    }
+
+    res.json({
+      message: 'Report updated successfully',
+      report,
+      revision
+    });
+
+  } catch (error) {
+    console.error('Report patch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/reports/:id/revisions - List revision history of a report
+router.get('/:id/revisions', authenticateDatabase, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existingReport, error: fetchError } = await database
+      .from('reports')
+      .select('id')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !existingReport) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const revisions = await fetchRevisions(id);
+
+    res.json({ revisions });
+
+  } catch (error) {
+    console.error('Revision fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/reports/:id/revisions/:revision - Get structuredData as of a revision
+router.get('/:id/revisions/:revision', authenticateDatabase, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revisionNumber = parseInt(req.params.revision);
+
+    const { data: existingReport, error: fetchError } = await database
+      .from('reports')
+      .select('id')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !existingReport) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const revisions = await fetchRevisions(id);
+    const revision = revisions.find(r => r.revision_number === revisionNumber);
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      revision,
+      structured_data: buildRevisionContent(revisions, revisionNumber)
+    });
+
+  } catch (error) {
+    console.error('Revision fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/reports/:id/diff?from=&to= - Section-by-section diff between two revisions
+router.get('/:id/diff', authenticateDatabase, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existingReport, error: fetchError } = await database
+      .from('reports')
+      .select('id')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !existingReport) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const revisions = await fetchRevisions(id);
+
+    if (revisions.length === 0) {
+      return res.status(404).json({ error: 'Report has no revisions' });
+    }
+
+    const latest = revisions[revisions.length - 1].revision_number;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : 0;
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : latest;
+
+    if (!revisions.some(r => r.revision_number === from) || !revisions.some(r => r.revision_number === to)) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      from,
+      to,
+      sections: diffSections(buildRevisionContent(revisions, from), buildRevisionContent(revisions, to))
+    });
+
+  } catch (error) {
+    console.error('Revision diff error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/reports/:id/ai-changes - How much the generated draft was edited
+router.get('/:id/ai-changes', authenticateDatabase, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existingReport, error: fetchError } = await database
+      .from('reports')
+      .select('id, status, structured_data')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !existingReport) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const revisions = await fetchRevisions(id);
+    const draft = revisions.find(r => r.source === 'generated');
+
+    if (!draft) {
+      return res.status(404).json({ error: 'No generated draft recorded for this report' });
+    }
+
+    res.json({
+      status: existingReport.status,
+      revisions: revisions.length,
+      ...summariseChanges(buildRevisionContent(revisions, draft.revision_number), existingReport.structured_data)
+    });
+
+  } catch (error) {
+    console.error('AI change summary error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/reports/:id/measurements - Lesion measurements in the report's current findings
+// and their interval growth against the patient's earlier reports
+router.get('/:id/measurements', authenticateDatabase, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: report, error: fetchError } = await database
+      .from('reports')
+      .select('id, patient_id, order_id, created_at, findings, structured_data')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    // Computed from the current findings so edits since generation are reflected
+    const measurements = extractMeasurements(report.structured_data?.findings || report.findings);
+
+    let growth = [];
+    if (report.patient_id && measurements.length > 0) {
+      const earlier = await fetchPatientReports(req.user.id, report.patient_id, {
+        before: report.created_at,
+        excludeId: report.id,
+        orderId: report.order_id
+      });
+      growth = computeGrowth(measurements, report.created_at, measurementHistory(earlier));
+    }
+
+    res.json({
+      report_id: report.id,
+      patient_id: report.patient_id || null,
+      measurements,
+      growth
+    });
+
+  } catch (error) {
+    console.error('Measurement fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reports/:id/revert - Restore structuredData from an earlier revision
+router.post('/:id/revert', authenticateDatabase, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revisionNumber = parseInt(req.body.revision);
+
+    if (Number.isNaN(revisionNumber)) {
+      return res.status(400).json({ error: 'Revision number is required' });
+    }
+
+    const { data: existingReport, error: fetchError } = await database
+      .from('reports')
+      .select('id, status, scan_name, procedure_code, clinical_history, structured_data')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !existingReport) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (isLocked(existingReport)) {
+      return res.status(409).json({ error: 'Signed reports are locked. Add an addendum instead.' });
+    }
+
+    const revisions = await fetchRevisions(id);
+
+    if (!revisions.some(r => r.revision_number === revisionNumber)) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const structuredData = buildRevisionContent(revisions, revisionNumber);
+
+    const { data: report, error } = await database
+      .from('reports')
+      .update({
+        structured_data: structuredData,
+        report_html: buildReportHtml(structuredData, { clinicalHistory: existingReport.clinical_history }),
+        impression_text: structuredData.impression || '',
+        ...reportConceptFields(structuredData),
+        ...reportBillingFields({ ...existingReport, structured_data: structuredData }),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error reverting report:', error);
+      return res.status(500).json({ error: 'Failed to revert report' });
+    }
+
+    // Reverting is itself a revision, so history is never rewritten
+    let revision = null;
+    try {
+      revision = await recordRevision(id, existingReport.structured_data, structuredData, {
+        author: { id: req.user.id, name: userDisplayName(req.user) },
+        source: 'revert',
+        note: `Reverted to revision ${revisionNumber}`
+      });
+    } catch (revisionError) {
+      console.error('Error recording revision:', revisionError);
+    }
+
+    res.json({
+      message: 'Report reverted successfully',
+      report,
+      revision
+    });
+
+  } catch (error) {
+    console.error('Report revert error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Stored report and its addenda for export, or null when the user has no such report
+async function fetchReportForExport(id, userId) {
+  const { data: report, error } = await database
+    .from('reports')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !report) {
+    return null;
+  }
+
+  const { data: addenda, error: addendaError } = await database
+    .from('report_addenda')
+    .select('*')
+    .eq('report_id', id)
+    .order('created_at', { ascending: true });
+
+  if (addendaError) {
+    console.error('Error fetching addenda for export:', addendaError);
+  }
+
+  return { report, addenda: addenda || [] };
+}
+
+// A posted report is never signed: only the sign endpoint can finalise one, so the
+// export renders it as a draft with no signature block or stored billing codes
+function unsignedReport(report) {
+  if (!report || typeof report !== 'object') return report;
+  const { id, status, signed_by, signed_by_name, signed_at, billing_codes, ...rest } = report;
+  return { ...rest, status: 'draft' };
+}
+
+// Caller-supplied DICOM UIDs for the SR export, checked before rendering
+function invalidDicomUid(...values) {
+  return values.find(value => value && !isValidUid(value));
+}
+
+async function sendExport(res, format, document, options = {}) {
+  const { contentType, render } = EXPORT_FORMATS[format];
+  const file = await render(document, options);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(document, format)}"`);
+  res.send(file);
+}
+
+// GET /api/reports/:id/export/:format - Download a stored report (pdf, docx, txt, html, hl7, dcm).
+// Text options come from the query: line_width, header_style, line_ending; the DICOM SR
+// takes study_instance_uid and series_instance_uid (generated when missing)
+router.get('/:id/export/:format', authenticateDatabase, async (req, res) => {
+  try {
+    const { id, format } = req.params;
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const source = await fetchReportForExport(id, req.user.id);
+    if (!source) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const { line_width, header_style, line_ending, study_instance_uid, series_instance_uid } = req.query;
+    const options = { line_width, header_style, line_ending, study_instance_uid, series_instance_uid };
+
+    const badUid = invalidDicomUid(study_instance_uid, series_instance_uid);
+    if (badUid) {
+      return res.status(400).json({ error: `Invalid DICOM UID: ${badUid}` });
+    }
+
+    await sendExport(res, format, buildReportDocument(source.report, { addenda: source.addenda }), options);
+
+  } catch (error) {
+    console.error('Report export error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reports/export/:format - Export a stored (report_id) or posted report, with
+// optional patient/study details, letterhead overrides and format options. Posted reports
+// always export as unsigned drafts.
+router.post('/export/:format', authenticateDatabase, async (req, res) => {
+  try {
+    const { format } = req.params;
+    const { report_id, report, patient = {}, study = {}, letterhead = {}, options = {} } = req.body || {};
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    let source = { report: unsignedReport(report), addenda: [] };
+    if (report_id) {
+      source = await fetchReportForExport(report_id, req.user.id);
+      if (!source) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+    } else if (!report || typeof report !== 'object') {
+      return res.status(400).json({ error: 'report_id or report is required' });
+    }
+
+    const badUid = invalidDicomUid(study.study_instance_uid, study.series_instance_uid, options.study_instance_uid, options.series_instance_uid);
+    if (badUid) {
+      return res.status(400).json({ error: `Invalid DICOM UID: ${badUid}` });
+    }
+
+    const document = buildReportDocument(source.report, { patient, study, letterhead, addenda: source.addenda });
+    await sendExport(res, format, document, options);
+
+  } catch (error) {
+    console.error('Report export error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/reports/:id/hl7/send - Send the report as an HL7 ORU^R01 to the configured MLLP destination
+router.post('/:id/hl7/send', authenticateDatabase, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { patient = {}, study = {} } = req.body || {};
+    const config = loadHL7Config();
+
+    if (!config.mllp.host || !config.mllp.port) {
+      return res.status(503).json({ error: 'HL7 interface is not configured' });
+    }
+
+    const source = await fetchReportForExport(id, req.user.id);
+    if (!source) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const document = buildReportDocument(source.report, { patient, study, addenda: source.addenda });
+    const { message, controlId, status } = buildOruR01(document, { config });
+
+    let ack;
+    try {
+      ack = await sendMLLP(message, config.mllp);
+    } catch (sendError) {
+      console.error('HL7 send error:', sendError.message);
+      return res.status(502).json({ error: 'Failed to deliver HL7 message', details: sendError.message });
+    }
+
+    if (!ack.accepted) {
+      return res.status(502).json({ error: 'HL7 message was not accepted', control_id: controlId, ack });
+    }
+
+    res.json({
+      message: 'Report sent successfully',
+      control_id: controlId,
+      result_status: status,
+      ack
+    });
+
+  } catch (error) {
+    console.error('HL7 send error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,55 @@
+import express from 'express';
+import { authenticateDatabase } from '../middleware/database-auth.js';
+import { CALCULATORS, calculatorsForScan, listCalculators, runCalculator, validateFeatures } from '../lib/scoring/index.js';
+
+// ACR reporting-system calculators (BI-RADS, LI-RADS, Lung-RADS, PI-RADS, TI-RADS)
+const router = express.Router();
+
+// GET /api/scoring - List the calculators and their features, or those for a scan_name
+router.get('/', authenticateDatabase, (req, res) => {
+  const { scan_name } = req.query;
+  const ids = scan_name ? calculatorsForScan(scan_name).map(calculator => calculator.id) : null;
+
+  res.json({
+    calculators: listCalculators().filter(calculator => !ids || ids.includes(calculator.id))
+  });
+});
+
+// POST /api/scoring/:calculator - Compute a category from features and/or findings
+// (features, findings, clinical_history). 400 with `missing` when it cannot be scored.
+router.post('/:calculator', authenticateDatabase, (req, res) => {
+  try {
+    const calculator = CALCULATORS[req.params.calculator];
+    if (!calculator) {
+      return res.status(404).json({ error: `Unknown calculator. Available: ${Object.keys(CALCULATORS).join(', ')}` });
+    }
+
+    const { features = {}, findings = null, clinical_history = null } = req.body || {};
+
+    const validationError = validateFeatures(calculator, features);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (findings !== null && typeof findings !== 'string') {
+      return res.status(400).json({ error: 'findings must be a string' });
+    }
+
+    const result = runCalculator(calculator, { features, findings, clinicalHistory: clinical_history });
+
+    if (result.missing) {
+      return res.status(400).json({ error: `Not enough information for ${calculator.name}`, missing: result.missing, features: result.features });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error, features: result.features });
+    }
+
+    res.json({ result });
+
+  } catch (error) {
+    console.error('Scoring error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
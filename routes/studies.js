@@ -0,0 +1,48 @@
+import express from 'express';
+import { authenticateDatabase } from '../middleware/database-auth.js';
+import { createDicomwebClient } from '../lib/dicom/dicomweb.js';
+import { hasQueryWildcard, lookupStudyContext } from '../lib/dicom/study-context.js';
+
+const router = express.Router();
+
+// GET /api/studies/lookup - Study, series and prior studies from the PACS (DICOMweb QIDO-RS)
+// by accession, patient_id or study_instance_uid, with the technique text and comparison
+// candidates that generate-report accepts
+router.get('/lookup', authenticateDatabase, async (req, res) => {
+  try {
+    const { accession, patient_id, study_instance_uid } = req.query;
+
+    if (!accession && !patient_id && !study_instance_uid) {
+      return res.status(400).json({ error: 'accession, patient_id or study_instance_uid is required' });
+    }
+
+    if (hasQueryWildcard(accession, patient_id, study_instance_uid)) {
+      return res.status(400).json({ error: 'accession, patient_id and study_instance_uid must not contain *, ? or \\' });
+    }
+
+    const client = createDicomwebClient();
+    if (!client.configured) {
+      return res.status(503).json({ error: 'DICOMweb is not configured' });
+    }
+
+    let context;
+    try {
+      context = await lookupStudyContext({ accession, patient_id, study_instance_uid }, client);
+    } catch (lookupError) {
+      console.error('DICOMweb lookup error:', lookupError.message);
+      return res.status(502).json({ error: 'Study lookup failed', details: lookupError.message });
+    }
+
+    if (!context) {
+      return res.status(404).json({ error: 'Study not found' });
+    }
+
+    res.json(context);
+
+  } catch (error) {
+    console.error('Study lookup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
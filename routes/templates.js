@@ -1,13 +1,19 @@
 import express from 'express';
 import { database, databaseAdmin } from '../lib/database.js';
 import { authenticateDatabase } from '../middleware/database-auth.js';
+import { resolveConceptFilter, templateConceptFields } from '../lib/terminology/index.js';
 
 const router = express.Router();
 
 // GET /api/templates - Get all templates for authenticated user
 router.get('/', authenticateDatabase, async (req, res) => {
   try {
-    const { modality, body_part, search } = req.query;
+    const { modality, body_part, search, concept } = req.query;
+    
+    const conceptCode = concept ? resolveConceptFilter(concept) : null;
+    if (concept && !conceptCode) {
+      return res.status(400).json({ error: 'Unknown concept. Use a SNOMED CT id, a RadLex RID or a term from GET /api/terminology' });
+    }
     
     let query = database
       .from('templates')
@@ -30,6 +36,11 @@ router.get('/', authenticateDatabase, async (req, res) => {
       query = query.or(`name.ilike.%${search}%,description.ilike.%${search}%`);
     }
     
+    // Filter by a RadLex / SNOMED CT concept in the template content if provided
+    if (conceptCode) {
+      query = query.contains('concept_codes', [conceptCode]);
+    }
+    
     const { data: templates, error } = await query;
     
     if (error) {
@@ -102,7 +113,8 @@ router.post('/', authenticateDatabase, async (req, res) => {
         modality: modality || '',
         body_part: body_part || '',
         tags: tags || [],
-        is_default: is_default || false
+        is_default: is_default || false,
+        ...templateConceptFields(content)
       })
       .select()
       .single();
@@ -153,7 +165,10 @@ router.put('/:id', authenticateDatabase, async (req, res) => {
     
     const updateData = {};
     if (name !== undefined) updateData.name = name;
-    if (content !== undefined) updateData.content = content;
+    if (content !== undefined) {
+      updateData.content = content;
+      Object.assign(updateData, templateConceptFields(content));
+    }
     if (description !== undefined) updateData.description = description;
     if (modality !== undefined) updateData.modality = modality;
     if (body_part !== undefined) updateData.body_part = body_part;
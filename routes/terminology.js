@@ -0,0 +1,88 @@
+import express from 'express';
+import { database } from '../lib/database.js';
+import { authenticateDatabase } from '../middleware/database-auth.js';
+import { CONCEPT_CATEGORIES, annotateReport, reportConceptFields, searchConcepts, templateConceptFields } from '../lib/terminology/index.js';
+
+// RadLex / SNOMED CT subset used to code report text (see lib/terminology/index.js)
+const router = express.Router();
+
+const BACKFILL_PAGE_SIZE = 100;
+
+// Re-code every row of a table belonging to the user; returns the number updated
+async function recodeRows(table, userId, columns, fieldsFor) {
+  let updated = 0;
+
+  for (let from = 0; ; from += BACKFILL_PAGE_SIZE) {
+    const { data: rows, error } = await database
+      .from(table)
+      .select(columns)
+      .eq('user_id', userId)
+      .order('id', { ascending: true })
+      .range(from, from + BACKFILL_PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    for (const row of rows || []) {
+      const { error: updateError } = await database
+        .from(table)
+        .update(fieldsFor(row))
+        .eq('id', row.id)
+        .eq('user_id', userId);
+
+      if (updateError) throw updateError;
+      updated += 1;
+    }
+
+    if (!rows || rows.length < BACKFILL_PAGE_SIZE) return updated;
+  }
+}
+
+// GET /api/terminology - Concepts of the loaded subset (search, category)
+router.get('/', authenticateDatabase, (req, res) => {
+  const { search = '', category } = req.query;
+
+  if (category && !CONCEPT_CATEGORIES.includes(category)) {
+    return res.status(400).json({ error: `category must be one of: ${CONCEPT_CATEGORIES.join(', ')}` });
+  }
+
+  res.json({ concepts: searchConcepts({ search, category }) });
+});
+
+// POST /api/terminology/annotate - Code findings and impression text without storing it
+router.post('/annotate', authenticateDatabase, (req, res) => {
+  try {
+    const { findings = '', impression = '' } = req.body || {};
+
+    if (typeof findings !== 'string' || typeof impression !== 'string') {
+      return res.status(400).json({ error: 'findings and impression must be strings' });
+    }
+    if (!findings && !impression) {
+      return res.status(400).json({ error: 'findings or impression is required' });
+    }
+
+    res.json(annotateReport({ findings, impression }));
+
+  } catch (error) {
+    console.error('Terminology annotate error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/terminology/backfill - Re-code the user's stored reports and templates, for
+// rows saved before coding existed or before the subset (TERMINOLOGY_FILE) changed
+router.post('/backfill', authenticateDatabase, async (req, res) => {
+  try {
+    const reports = await recodeRows('reports', req.user.id, 'id, findings, impression_text, structured_data',
+      report => reportConceptFields(report.structured_data, { findings: report.findings, impression: report.impression_text }));
+    const templates = await recodeRows('templates', req.user.id, 'id, content',
+      template => templateConceptFields(template.content));
+
+    res.json({ message: 'Concepts recoded', reports, templates });
+
+  } catch (error) {
+    console.error('Terminology backfill error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,264 @@
+import express from 'express';
+import { database } from '../lib/database.js';
+import { authenticateDatabase } from '../middleware/database-auth.js';
+import { OPEN_ORDER_STATUSES, ORDER_PRIORITIES, ORDER_STATUSES, orderReportDefaults } from '../lib/worklist.js';
+
+// Radiologist worklist built from inbound HL7 orders. The raw HL7 message is kept with
+// the order but not returned in listings.
+const router = express.Router();
+
+const LIST_COLUMNS = 'id, accession, placer_order_number, filler_order_number, patient_name, patient_mrn, patient_dob, patient_sex, procedure_code, procedure_name, modality, clinical_indication, priority, ordering_physician, scheduled_at, status, claimed_by, claimed_at, report_id, created_at, updated_at';
+
+async function fetchOrder(id) {
+  const { data: order, error } = await database
+    .from('worklist_orders')
+    .select(LIST_COLUMNS)
+    .eq('id', id)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+  return order || null;
+}
+
+// Claim an unclaimed order for the user. The update only matches while the order is
+// still unclaimed, so two radiologists cannot claim the same order.
+async function claimOrder(id, userId, status) {
+  const { data, error } = await database
+    .from('worklist_orders')
+    .update({ status, claimed_by: userId, claimed_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('claimed_by', null)
+    .eq('status', 'scheduled')
+    .select(LIST_COLUMNS);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+// GET /api/worklist - List orders (status, priority, modality, mine, search, page, limit)
+router.get('/', authenticateDatabase, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      status,
+      priority,
+      modality,
+      mine,
+      search
+    } = req.query;
+
+    let query = database
+      .from('worklist_orders')
+      .select(LIST_COLUMNS, { count: 'exact' });
+
+    // Open orders unless specific statuses are asked for
+    const statuses = status ? String(status).split(',') : OPEN_ORDER_STATUSES;
+    const unknownStatus = statuses.find(s => !ORDER_STATUSES.includes(s));
+    if (unknownStatus) {
+      return res.status(400).json({ error: `status must be one of: ${ORDER_STATUSES.join(', ')}` });
+    }
+    query = query.in('status', statuses);
+
+    if (priority) {
+      query = query.in('priority', String(priority).split(',').filter(p => ORDER_PRIORITIES.includes(p)));
+    }
+
+    if (modality) {
+      query = query.in('modality', String(modality).toUpperCase().split(','));
+    }
+
+    // Only orders claimed by the current user
+    if (mine === 'true') {
+      query = query.eq('claimed_by', req.user.id);
+    }
+
+    if (search) {
+      query = query.or(`accession.ilike.%${search}%,patient_name.ilike.%${search}%,patient_mrn.ilike.%${search}%,procedure_name.ilike.%${search}%`);
+    }
+
+    // Scheduled time first, then arrival order
+    query = query
+      .order('scheduled_at', { ascending: true, nullsFirst: false })
+      .order('created_at', { ascending: true });
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    query = query.range(offset, offset + parseInt(limit) - 1);
+
+    const { data: orders, error, count } = await query;
+
+    if (error) {
+      console.error('Error fetching worklist:', error);
+      return res.status(500).json({ error: 'Failed to fetch worklist' });
+    }
+
+    res.json({
+      orders: orders || [],
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil((count || 0) / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Worklist fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/worklist/:id - Get one order
+router.get('/:id', authenticateDatabase, async (req, res) => {
+  try {
+    const order = await fetchOrder(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({ order });
+
+  } catch (error) {
+    console.error('Worklist order fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/worklist/:id/claim - Claim a scheduled order
+router.post('/:id/claim', authenticateDatabase, async (req, res) => {
+  try {
+    const order = await fetchOrder(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.claimed_by === req.user.id) {
+      return res.json({ order });
+    }
+
+    const claimed = order.status === 'scheduled' ? await claimOrder(order.id, req.user.id, 'claimed') : null;
+    if (!claimed) {
+      return res.status(409).json({ error: `Order is ${order.status === 'scheduled' ? 'claimed' : order.status}` });
+    }
+
+    res.json({ order: claimed });
+
+  } catch (error) {
+    console.error('Worklist claim error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/worklist/:id/release - Give a claimed order back to the worklist
+router.post('/:id/release', authenticateDatabase, async (req, res) => {
+  try {
+    const order = await fetchOrder(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.claimed_by !== req.user.id || !['claimed', 'in_progress'].includes(order.status)) {
+      return res.status(409).json({ error: 'Only orders you have claimed and not yet reported can be released' });
+    }
+
+    // The update repeats the checks so an order reported or cancelled meanwhile stays put
+    const { data, error } = await database
+      .from('worklist_orders')
+      .update({ status: 'scheduled', claimed_by: null, claimed_at: null, updated_at: new Date().toISOString() })
+      .eq('id', order.id)
+      .eq('claimed_by', req.user.id)
+      .in('status', ['claimed', 'in_progress'])
+      .select(LIST_COLUMNS);
+
+    if (error) {
+      console.error('Error releasing order:', error);
+      return res.status(500).json({ error: 'Failed to release order' });
+    }
+
+    if (!data?.[0]) {
+      return res.status(409).json({ error: 'Only orders you have claimed and not yet reported can be released' });
+    }
+
+    res.json({ order: data[0] });
+
+  } catch (error) {
+    console.error('Worklist release error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/worklist/:id/open - Start reporting an order (claiming it if needed).
+// Returns the fields to pre-fill /api/generate-report with; send `order_id` along.
+router.post('/:id/open', authenticateDatabase, async (req, res) => {
+  try {
+    let order = await fetchOrder(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.claimed_by && order.claimed_by !== req.user.id) {
+      return res.status(409).json({ error: 'Order is claimed by another radiologist' });
+    }
+
+    if (order.status === 'cancelled') {
+      return res.status(409).json({ error: 'Order is cancelled' });
+    }
+
+    if (!order.claimed_by) {
+      order = await claimOrder(order.id, req.user.id, 'in_progress');
+      if (!order) {
+        return res.status(409).json({ error: 'Order is claimed by another radiologist' });
+      }
+    } else if (order.status === 'claimed') {
+      const { data, error } = await database
+        .from('worklist_orders')
+        .update({ status: 'in_progress', updated_at: new Date().toISOString() })
+        .eq('id', order.id)
+        .eq('claimed_by', req.user.id)
+        .eq('status', 'claimed')
+        .select(LIST_COLUMNS);
+
+      if (error) {
+        console.error('Error opening order:', error);
+        return res.status(500).json({ error: 'Failed to open order' });
+      }
+
+      // Released, cancelled or opened elsewhere since it was read
+      if (!data?.[0]) {
+        return res.status(409).json({ error: 'Order has changed, refresh the worklist' });
+      }
+      order = data[0];
+    }
+
+    res.json({
+      order,
+      report_request: orderReportDefaults(order),
+      patient: {
+        name: order.patient_name,
+        mrn: order.patient_mrn,
+        dob: order.patient_dob,
+        sex: order.patient_sex
+      },
+      study: {
+        accession: order.accession,
+        placer_order_number: order.placer_order_number,
+        procedure_code: order.procedure_code,
+        description: order.procedure_name,
+        date: order.scheduled_at,
+        referring_physician: order.ordering_physician
+      }
+    });
+
+  } catch (error) {
+    console.error('Worklist open error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;